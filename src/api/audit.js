@@ -0,0 +1,307 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Audit Log - Tamper-evident record of mutating and sensitive operations
+ *
+ * Non-GET routes, routes declaring `audit: true` and destructive agent tools
+ * append one JSON line to AUDIT_LOG_PATH: the actor (API key or WebSocket
+ * client), the route or tool with its arguments redacted, the outcome and
+ * the duration. Each entry holds the hash of the entry before it, so
+ * editing, reordering or removing lines breaks the chain verify() checks.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { appendFileSync, createReadStream, existsSync, mkdirSync, readFileSync } from 'fs';
+import { dirname } from 'path';
+import { createInterface } from 'readline';
+import { getSetting } from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+import { getTraceContext } from '../utils/trace.js';
+
+const logger = createLogger('audit');
+
+/**
+ * Actor of the operation being handled
+ */
+const actors = new AsyncLocalStorage();
+
+/**
+ * `prevHash` of the first entry
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Placeholder for redacted values
+ */
+const REDACTED = '[redacted]';
+
+/**
+ * Names of fields whose values are never written to the log
+ */
+const SENSITIVE_FIELD = /secret|token|password|passphrase|authorization|cookie|credential|api[-_]?key|^key$|^code$|^card$|card[-_]?number|cvc|cvv/i;
+
+// Limits keeping entries small: longer strings are cut, longer arrays and
+// deeper objects summarized
+const MAX_STRING_LENGTH = 256;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 4;
+
+/**
+ * Redact a value for the audit log
+ * Sensitive fields and URL credentials are replaced, buffers summarized by
+ * size and long strings and arrays cut.
+ * @param {*} value - Value to redact
+ * @param {number} [depth=0] - Nesting depth of the value
+ * @returns {*} Redacted copy
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    const text = value.replace(/\/\/[^/@\s]*@/g, `//${REDACTED}@`);
+    return text.length > MAX_STRING_LENGTH ? `${text.slice(0, MAX_STRING_LENGTH)}… (${text.length} chars)` : text;
+  }
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[array]' : '[object]';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map((item) => redact(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`… (${value.length - MAX_ARRAY_ITEMS} more)`);
+    return items;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, SENSITIVE_FIELD.test(key) ? REDACTED : redact(item, depth + 1)]));
+}
+
+/**
+ * Describe the actor of an HTTP request
+ * @param {IncomingMessage} req - Request
+ * @param {Object|null} principal - Principal of its API key
+ * @returns {Object} `{ type: 'api-key', id, name, ip }`, or `{ type: 'anonymous', ip }` without a key
+ */
+export function describeActor(req, principal) {
+  const ip = req.headers?.['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress;
+  return principal?.id
+    ? { type: 'api-key', id: principal.id, name: principal.name, ip }
+    : { type: 'anonymous', ip };
+}
+
+/**
+ * Run a function on behalf of an actor
+ * Audit entries recorded while it runs (tools it calls) name the actor.
+ * @param {Object} actor - Actor (see describeActor)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runAsActor(actor, fn) {
+  return actors.run(actor, fn);
+}
+
+/**
+ * Actor of the current operation
+ * @returns {Object|null} Actor, or null outside requests and messages
+ */
+export function getActor() {
+  return actors.getStore() ?? null;
+}
+
+/**
+ * Outcome of an HTTP request by response status
+ * @param {number} status - Response status
+ * @param {boolean} [finished=true] - Whether the response was completely sent
+ * @returns {string} success, denied (401/403), failure or aborted
+ */
+export function httpOutcome(status, finished = true) {
+  if (!finished) return 'aborted';
+  if (status === 401 || status === 403) return 'denied';
+  return status < 400 ? 'success' : 'failure';
+}
+
+/**
+ * Hash of an entry, covering every field but `hash`
+ */
+function hashEntry({ hash, ...entry }) {
+  return createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Check whether an entry matches query filters
+ */
+function matches(entry, { actor, action, kind, outcome, since, until }) {
+  if (actor && ![entry.actor?.id, entry.actor?.name, entry.actor?.key].includes(actor)) return false;
+  if (action && !(action.endsWith('*') ? entry.action?.startsWith(action.slice(0, -1)) : entry.action === action)) return false;
+  if (kind && entry.kind !== kind) return false;
+  if (outcome && entry.outcome !== outcome) return false;
+
+  const time = Date.parse(entry.timestamp);
+  if (since && time < new Date(since).getTime()) return false;
+  if (until && time > new Date(until).getTime()) return false;
+  return true;
+}
+
+/**
+ * Audit log
+ * Appends hash-chained entries to a JSONL file and queries them. Entries
+ * are written synchronously, so they are on disk in order before the
+ * response that reports the operation finishes.
+ */
+export class AuditLog {
+  #seq = 0;
+  #lastHash = GENESIS_HASH;
+  #loaded = false;
+
+  /**
+   * @param {Object} [options] - Log options
+   * @param {string} [options.path] - JSONL file entries are appended to; nothing is recorded when empty
+   */
+  constructor({ path = '' } = {}) {
+    this.path = path;
+  }
+
+  /**
+   * Whether entries are recorded
+   */
+  get enabled() {
+    return Boolean(this.path);
+  }
+
+  /**
+   * Append an entry
+   * Write errors are logged, never thrown, so auditing cannot fail the
+   * operation it records.
+   * @param {Object} event - Operation
+   * @param {string} event.kind - `http` or `tool`
+   * @param {string} event.action - Route (`POST /api/keys`) or tool name
+   * @param {string} event.outcome - success, failure, denied or aborted
+   * @param {number} event.durationMs - Duration in milliseconds
+   * @param {Object} [event.actor] - Actor; the current actor when omitted
+   * @returns {Object|null} Entry written, or null when disabled or the write failed
+   */
+  record({ kind, action, outcome, durationMs, actor = getActor(), ...details }) {
+    if (!this.enabled) return null;
+    this.#load();
+
+    const trace = getTraceContext();
+    const entry = {
+      seq: this.#seq + 1,
+      timestamp: new Date().toISOString(),
+      kind,
+      action,
+      actor: actor ?? { type: 'system' },
+      ...redact(details),
+      outcome,
+      durationMs: Math.round(durationMs),
+      requestId: trace?.requestId,
+      traceId: trace?.traceId,
+      prevHash: this.#lastHash,
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      mkdirSync(dirname(this.path), { recursive: true });
+      appendFileSync(this.path, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    } catch (error) {
+      logger.error(`Failed to write audit entry for ${action}: ${error.message}`);
+      return null;
+    }
+
+    this.#seq = entry.seq;
+    this.#lastHash = entry.hash;
+    return entry;
+  }
+
+  /**
+   * Find entries
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.actor] - Actor id, name or API key id
+   * @param {string} [filters.action] - Action; a trailing `*` matches by prefix
+   * @param {string} [filters.kind] - `http` or `tool`
+   * @param {string} [filters.outcome] - Outcome
+   * @param {string|Date} [filters.since] - Earliest timestamp
+   * @param {string|Date} [filters.until] - Latest timestamp
+   * @param {number} [filters.limit=100] - Maximum entries returned
+   * @returns {Promise<Array<Object>>} Matching entries, newest first
+   */
+  async query({ limit = 100, ...filters } = {}) {
+    const found = [];
+    for await (const line of this.#lines()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!matches(entry, filters)) continue;
+      found.push(entry);
+      if (found.length > limit) found.shift();
+    }
+    return found.reverse();
+  }
+
+  /**
+   * Check the hash chain
+   * Detects edited, reordered and removed entries; truncation of the end of
+   * the file is only detectable against a `lastHash` kept elsewhere.
+   * @returns {Promise<Object>} `{ valid: true, entries, lastHash }`, or
+   *   `{ valid: false, entries, line, reason }` naming the first bad line
+   */
+  async verify() {
+    let prevHash = GENESIS_HASH;
+    let entries = 0;
+
+    for await (const line of this.#lines()) {
+      const broken = (reason) => ({ valid: false, entries, line: entries + 1, reason });
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return broken('entry is not valid JSON');
+      }
+      if (entry.prevHash !== prevHash) return broken('prevHash does not match the previous entry');
+      if (hashEntry(entry) !== entry.hash) return broken('hash does not match the entry');
+      prevHash = entry.hash;
+      entries++;
+    }
+
+    return { valid: true, entries, lastHash: prevHash };
+  }
+
+  /**
+   * Non-empty lines of the log file
+   * @private
+   */
+  async *#lines() {
+    if (!this.enabled || !existsSync(this.path)) return;
+    const lines = createInterface({ input: createReadStream(this.path), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim()) yield line;
+    }
+  }
+
+  /**
+   * Continue the chain of an existing file
+   * @private
+   */
+  #load() {
+    if (this.#loaded) return;
+    this.#loaded = true;
+    if (!existsSync(this.path)) return;
+
+    const last = readFileSync(this.path, 'utf-8').trimEnd().split('\n').at(-1);
+    if (!last) return;
+    try {
+      const entry = JSON.parse(last);
+      this.#seq = entry.seq;
+      this.#lastHash = entry.hash;
+    } catch (error) {
+      logger.error(`Last entry of ${this.path} is unreadable, the chain restarts: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Audit log of the tower (AUDIT_LOG_PATH)
+ */
+export const auditLog = new AuditLog({ path: getSetting('AUDIT_LOG_PATH') });
+
+export default auditLog;
@@ -0,0 +1,231 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * API Keys - Bearer-token authentication with scoped keys
+ *
+ * Keys are random tokens shown once when they are created; only their
+ * SHA-256 hash is stored (API_KEYS_PATH). `API_SECRET_KEY`, when set, is a
+ * root key holding every scope, used to create the first named keys.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('auth');
+
+/**
+ * Scopes a key can hold, with what they grant
+ * Scopes do not imply each other: a key that writes usually also needs `read`.
+ */
+export const API_SCOPES = {
+  read: 'Read-only routes (GET)',
+  'servers:write': 'Add, change, start and stop MCP servers and call their tools',
+  payments: 'Stripe and Patreon',
+  'db:write': 'Write to MongoDB, SQLite, storage, analytics and the memory stores',
+  agent: 'Agent, LLM inference, browser automation, outbound fetches and the MCP gateway',
+  admin: 'Create and revoke API keys and read the audit log',
+};
+
+/**
+ * Prefix of generated keys, so they are recognizable in configs and logs
+ */
+const KEY_PREFIX = 'bst_';
+
+/**
+ * Principal the operation being handled runs for
+ */
+const principals = new AsyncLocalStorage();
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Read the API key of a request
+ * `Authorization: Bearer <key>` or `X-API-Key: <key>`; WebSocket upgrades
+ * may also pass `?access_token=<key>`, since browsers cannot set headers there.
+ * @param {IncomingMessage} req - Request
+ * @param {Object} [options] - Read options
+ * @param {boolean} [options.allowQuery=false] - Accept the `access_token` query parameter
+ * @returns {string|null} Key, or null when none was sent
+ */
+export function readApiKey(req, { allowQuery = false } = {}) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  if (allowQuery) {
+    return new URL(req.url, 'http://localhost').searchParams.get('access_token');
+  }
+  return null;
+}
+
+/**
+ * Run a function on behalf of a principal
+ * Agent tools it calls are checked against the principal's scopes.
+ * @param {Object} principal - Principal ({ id, name, scopes }, or {} with authentication off)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runAsPrincipal(principal, fn) {
+  return principals.run(principal, fn);
+}
+
+/**
+ * Principal of the current operation
+ * @returns {Object|null} Principal, or null outside API requests
+ */
+export function getPrincipal() {
+  return principals.getStore() ?? null;
+}
+
+/**
+ * Check whether a principal holds a scope
+ * Principals without scopes (authentication off, or local callers such as
+ * the stdio gateway) hold every scope.
+ * @param {Object|null} principal - Principal
+ * @param {string} scope - Scope
+ * @returns {boolean} True when the scope is held
+ */
+export function hasScope(principal, scope) {
+  return !principal?.scopes || principal.scopes.includes(scope);
+}
+
+/**
+ * Describe a stored key for the API, without its hash
+ */
+function describeKey({ hash, ...record }) {
+  return record;
+}
+
+/**
+ * API key store
+ * Keeps named, scoped keys (hashed) in a JSON file and authenticates requests.
+ */
+export class ApiKeyStore {
+  #keys = [];
+  #rootHash = null;
+
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.path] - JSON file keys are persisted to; in memory only when omitted
+   * @param {string} [options.rootKey] - Key holding every scope (API_SECRET_KEY)
+   * @param {boolean} [options.required=true] - Whether requests must authenticate
+   */
+  constructor({ path = null, rootKey = '', required = true } = {}) {
+    this.path = path;
+    this.required = required;
+    if (rootKey) this.#rootHash = hashApiKey(rootKey);
+    this.#load();
+  }
+
+  /**
+   * Whether any key can authenticate (the root key or an active named key)
+   */
+  get hasKeys() {
+    return this.#rootHash !== null || this.#keys.some((key) => !key.revokedAt);
+  }
+
+  /**
+   * Stored keys, without their hashes
+   * @returns {Array<Object>} `{ id, name, prefix, scopes, createdAt, revokedAt }`
+   */
+  list() {
+    return this.#keys.map(describeKey);
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Name shown in listings and logs
+   * @param {string[]} options.scopes - Scopes from API_SCOPES
+   * @returns {Object} Key description plus `key`, the token (only returned here)
+   */
+  create({ name, scopes }) {
+    const unknown = scopes.filter((scope) => !API_SCOPES[scope]);
+    if (unknown.length > 0) throw new Error(`Unknown scope: ${unknown.join(', ')}`);
+
+    const key = `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: randomUUID(),
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      hash: hashApiKey(key),
+    };
+
+    this.#keys.push(record);
+    this.#save();
+    logger.info(`API key "${name}" created (${record.prefix}…, scopes: ${record.scopes.join(', ')})`);
+    return { ...describeKey(record), key };
+  }
+
+  /**
+   * Revoke a key; it stays listed with `revokedAt` set
+   * @param {string} id - Key ID
+   * @returns {Object|null} Key description, or null when no key has the ID
+   */
+  revoke(id) {
+    const record = this.#keys.find((key) => key.id === id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.#save();
+      logger.info(`API key "${record.name}" revoked`);
+    }
+    return describeKey(record);
+  }
+
+  /**
+   * Find the principal a key belongs to
+   * @param {string|null} key - Key presented by the client
+   * @returns {Object|null} `{ id, name, scopes }`, or null for missing, unknown and revoked keys
+   */
+  authenticate(key) {
+    if (!key) return null;
+    const hash = Buffer.from(hashApiKey(key), 'hex');
+    const matches = (stored) => timingSafeEqual(hash, Buffer.from(stored, 'hex'));
+
+    if (this.#rootHash && matches(this.#rootHash)) {
+      return { id: 'root', name: 'API_SECRET_KEY', scopes: Object.keys(API_SCOPES) };
+    }
+
+    const record = this.#keys.find((stored) => !stored.revokedAt && matches(stored.hash));
+    return record ? { id: record.id, name: record.name, scopes: record.scopes } : null;
+  }
+
+  /**
+   * @private
+   */
+  #load() {
+    if (!this.path || !existsSync(this.path)) return;
+    try {
+      this.#keys = JSON.parse(readFileSync(this.path, 'utf-8')).keys || [];
+    } catch (error) {
+      throw new Error(`Failed to load API keys from ${this.path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the keys atomically, readable by the owner only
+   * @private
+   */
+  #save() {
+    if (!this.path) return;
+    mkdirSync(dirname(this.path), { recursive: true });
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    writeFileSync(tempPath, `${JSON.stringify({ keys: this.#keys }, null, 2)}\n`, { mode: 0o600 });
+    renameSync(tempPath, this.path);
+  }
+}
+
+export default ApiKeyStore;
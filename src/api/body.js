@@ -0,0 +1,210 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Request Body Parsing - size limits, content types and raw body access
+ *
+ * Bodies are buffered up to a limit (413 beyond it) and parsed by
+ * Content-Type: JSON (400 with the parser message when malformed),
+ * `application/x-www-form-urlencoded` and `multipart/form-data`. Other
+ * types are rejected with 415. The raw bytes are returned alongside the
+ * parsed body for signature checks.
+ */
+
+export const JSON_TYPE = 'application/json';
+export const FORM_TYPE = 'application/x-www-form-urlencoded';
+export const MULTIPART_TYPE = 'multipart/form-data';
+
+/**
+ * Default body size limit in bytes (1 MiB)
+ */
+export const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+/**
+ * Create a body error carrying the HTTP status to answer with
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra fields of the error response
+ * @param {Object} [headers] - Extra response headers
+ */
+function bodyError(status, message, details = {}, headers = {}) {
+  return Object.assign(new Error(message), { status, details, headers });
+}
+
+/**
+ * Add a form field, collecting repeated names into an array
+ */
+function addField(fields, name, value) {
+  if (name === '__proto__') return;
+  if (!Object.hasOwn(fields, name)) {
+    fields[name] = value;
+  } else if (Array.isArray(fields[name])) {
+    fields[name].push(value);
+  } else {
+    fields[name] = [fields[name], value];
+  }
+}
+
+/**
+ * Parse a Content-Type (or Content-Disposition) header
+ * @param {string} [header=''] - Header value
+ * @returns {{type: string, params: Object}} Lower-cased type and its parameters
+ */
+export function parseContentType(header = '') {
+  const [type, ...parts] = header.split(';');
+  const params = {};
+  for (const part of parts) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const key = part.slice(0, index).trim().toLowerCase();
+    params[key] = part.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+/**
+ * Buffer a request body
+ * Rejects with 413 as soon as the body (or its Content-Length) exceeds the
+ * limit; the rest of the body is discarded and the connection closed.
+ * @param {IncomingMessage} req - Request
+ * @param {number} [limit=DEFAULT_BODY_LIMIT] - Maximum size in bytes
+ * @returns {Promise<Buffer>} Raw body
+ */
+export function readRawBody(req, limit = DEFAULT_BODY_LIMIT) {
+  const tooLarge = () => bodyError(413, `Request body exceeds ${limit} bytes`, { limit }, { Connection: 'close' });
+
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > limit) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let done = false;
+
+    const finish = (error, buffer) => {
+      if (done) return;
+      done = true;
+      req.off('data', onData);
+      if (error) {
+        req.resume();
+        reject(error);
+      } else {
+        resolve(buffer);
+      }
+    };
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) return finish(tooLarge());
+      chunks.push(chunk);
+    };
+
+    req.on('data', onData);
+    req.on('end', () => finish(null, Buffer.concat(chunks, size)));
+    req.on('error', (error) => finish(bodyError(400, `Failed to read request body: ${error.message}`)));
+    req.on('close', () => finish(bodyError(400, 'Request body was not completed')));
+  });
+}
+
+/**
+ * Parse an `application/x-www-form-urlencoded` body
+ * @param {string} text - Body text
+ * @returns {Object} Fields; repeated names become arrays
+ */
+export function parseForm(text) {
+  const fields = {};
+  for (const [name, value] of new URLSearchParams(text)) {
+    addField(fields, name, value);
+  }
+  return fields;
+}
+
+/**
+ * Parse a `multipart/form-data` body
+ * File parts become `{ filename, contentType, size, data }` with `data` a Buffer.
+ * @param {Buffer} buffer - Raw body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Object} Fields and files by name; repeated names become arrays
+ */
+export function parseMultipart(buffer, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const separator = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+
+  let position = buffer.indexOf(delimiter);
+  if (position === -1) throw bodyError(400, 'Invalid multipart body: boundary not found');
+  position += delimiter.length;
+
+  while (buffer.toString('latin1', position, position + 2) !== '--') {
+    if (buffer.toString('latin1', position, position + 2) !== '\r\n') {
+      throw bodyError(400, 'Invalid multipart body: malformed boundary line');
+    }
+    const end = buffer.indexOf(separator, position);
+    if (end === -1) throw bodyError(400, 'Invalid multipart body: missing closing boundary');
+
+    const part = buffer.subarray(position + 2, end);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) throw bodyError(400, 'Invalid multipart body: part without headers');
+
+    const headers = {};
+    for (const line of part.toString('utf-8', 0, headerEnd).split('\r\n')) {
+      const index = line.indexOf(':');
+      if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+
+    const { params } = parseContentType(headers['content-disposition']);
+    if (!params.name) throw bodyError(400, 'Invalid multipart body: part without a name');
+
+    const data = part.subarray(headerEnd + 4);
+    addField(fields, params.name, params.filename === undefined ? data.toString('utf-8') : {
+      filename: params.filename,
+      contentType: headers['content-type'] || 'application/octet-stream',
+      size: data.length,
+      data,
+    });
+
+    position = end + separator.length;
+  }
+
+  return fields;
+}
+
+/**
+ * Read and parse a request body
+ * An empty body parses to `{}`; a body without Content-Type is read as JSON.
+ * @param {IncomingMessage} req - Request
+ * @param {Object} [options] - Parse options
+ * @param {number} [options.limit=DEFAULT_BODY_LIMIT] - Maximum size in bytes
+ * @param {string[]} [options.types=[JSON_TYPE]] - Accepted content types
+ * @returns {Promise<{body: *, raw: Buffer}>} Parsed body and raw bytes
+ * @throws {Error} With `status` 400, 413 or 415, `details` and `headers` for the response
+ */
+export async function parseBody(req, { limit = DEFAULT_BODY_LIMIT, types = [JSON_TYPE] } = {}) {
+  const raw = await readRawBody(req, limit);
+  if (raw.length === 0) return { body: {}, raw };
+
+  const { type, params } = parseContentType(req.headers['content-type'] || JSON_TYPE);
+  const kind = type.endsWith('+json') ? JSON_TYPE : type;
+  if (!types.includes(kind)) {
+    throw bodyError(415, `Unsupported Content-Type: ${type}`, { accepted: types });
+  }
+
+  switch (kind) {
+    case JSON_TYPE:
+      try {
+        return { body: JSON.parse(raw.toString('utf-8')), raw };
+      } catch (error) {
+        throw bodyError(400, `Invalid JSON body: ${error.message}`);
+      }
+    case FORM_TYPE:
+      return { body: parseForm(raw.toString('utf-8')), raw };
+    case MULTIPART_TYPE:
+      if (!params.boundary) throw bodyError(400, 'Invalid multipart body: Content-Type has no boundary');
+      return { body: parseMultipart(raw, params.boundary), raw };
+    default:
+      throw bodyError(415, `Unsupported Content-Type: ${type}`, { accepted: types });
+  }
+}
+
+export default parseBody;
@@ -0,0 +1,126 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * CORS - Cross-origin policy for the API and WebSocket upgrades
+ *
+ * Only origins in `security.corsOrigins` (CORS_ORIGINS) get CORS headers;
+ * `*` in the list allows any origin. The allowed origin is echoed rather
+ * than `*` so credentialed requests work. Requests without an `Origin`
+ * header (curl, servers, same-origin GETs) are not affected.
+ */
+
+/**
+ * Request headers browsers may send to the API
+ */
+export const CORS_ALLOWED_HEADERS = [
+  'Authorization',
+  'Content-Type',
+  'X-API-Key',
+  'Mcp-Session-Id',
+  'Mcp-Protocol-Version',
+  'Last-Event-ID',
+  'X-Request-Id',
+  'traceparent',
+  'Idempotency-Key',
+];
+
+/**
+ * Response headers browser scripts may read
+ */
+export const CORS_EXPOSED_HEADERS = [
+  'Allow',
+  'Retry-After',
+  'WWW-Authenticate',
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  'X-RateLimit-Reset',
+  'Mcp-Session-Id',
+  'X-Request-Id',
+  'traceparent',
+  'Idempotent-Replayed',
+];
+
+/**
+ * CORS policy
+ * Checks `Origin` against the configured list and writes the CORS headers.
+ */
+export class CorsPolicy {
+  /**
+   * @param {Object} [options] - Policy options
+   * @param {string[]} [options.origins=[]] - Allowed origins; `*` allows any
+   * @param {boolean} [options.credentials=true] - Allow cookies and HTTP auth
+   * @param {number} [options.maxAge=600] - Seconds browsers may cache a preflight
+   */
+  constructor({ origins = [], credentials = true, maxAge = 600 } = {}) {
+    this.origins = new Set(origins.map((origin) => origin.replace(/\/$/, '')));
+    this.credentials = credentials;
+    this.maxAge = maxAge;
+  }
+
+  /**
+   * Check whether an origin may call the API
+   * @param {string} origin - Value of the `Origin` header
+   * @returns {boolean}
+   */
+  isAllowed(origin) {
+    return this.origins.has('*') || this.origins.has(origin);
+  }
+
+  /**
+   * Set the CORS headers of a response
+   * Call before the response is written; headers passed to writeHead() are merged in.
+   * @param {IncomingMessage} req - Request
+   * @param {ServerResponse} res - Response
+   * @returns {boolean} False when the request has an Origin that is not allowed
+   */
+  apply(req, res) {
+    const { origin } = req.headers;
+    if (!origin) return true;
+
+    res.setHeader('Vary', 'Origin');
+    if (!this.isAllowed(origin)) return false;
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    if (this.credentials) res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS.join(', '));
+    return true;
+  }
+
+  /**
+   * Answer a preflight request
+   * Allowed methods are the ones registered for the path; allowed headers
+   * are the requested ones that are in CORS_ALLOWED_HEADERS.
+   * @param {IncomingMessage} req - OPTIONS request
+   * @param {ServerResponse} res - Response
+   * @param {string[]} methods - Methods registered for the requested path
+   */
+  preflight(req, res, methods) {
+    if (!this.apply(req, res)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Origin not allowed' }));
+      return;
+    }
+
+    res.setHeader('Vary', 'Origin, Access-Control-Request-Headers');
+    if (methods.length === 0) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+
+    const allowed = CORS_ALLOWED_HEADERS.map((header) => header.toLowerCase());
+    const requested = (req.headers['access-control-request-headers'] || '')
+      .split(',')
+      .map((header) => header.trim())
+      .filter((header) => allowed.includes(header.toLowerCase()));
+
+    res.writeHead(204, {
+      Allow: [...methods, 'OPTIONS'].join(', '),
+      'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+      'Access-Control-Allow-Headers': (requested.length > 0 ? requested : CORS_ALLOWED_HEADERS).join(', '),
+      'Access-Control-Max-Age': String(this.maxAge),
+    });
+    res.end();
+  }
+}
+
+export default CorsPolicy;
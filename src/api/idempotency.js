@@ -0,0 +1,238 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Idempotency - Replay of retried mutating requests
+ *
+ * A POST, PUT, PATCH or DELETE to an authenticated route carrying an
+ * `Idempotency-Key` header is handled once per API key: its response is
+ * kept for IDEMPOTENCY_TTL and replayed, marked `Idempotent-Replayed:
+ * true`, to retries with the same key. A key belongs to the request that first used it (method, path and a
+ * hash of the raw body, multipart boundary left out), so reusing it for a
+ * different request gets 409, as does a retry that arrives while the first
+ * request is still running.
+ * 5xx and aborted responses are not kept, so their retries run again.
+ * Handlers pass the key on to upstream APIs that dedupe (Stripe) through
+ * getIdempotencyKey().
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { getSetting } from '../utils/config.js';
+import { MULTIPART_TYPE, parseContentType } from './body.js';
+
+/**
+ * Idempotency key of the request being handled
+ */
+const requestKeys = new AsyncLocalStorage();
+
+/**
+ * Longest accepted `Idempotency-Key` (Stripe's limit)
+ */
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * sha256 of fields joined by NUL bytes, hex
+ */
+function digest(...parts) {
+  const hash = createHash('sha256');
+  parts.forEach((part, index) => {
+    if (index > 0) hash.update('\0');
+    hash.update(part ?? '');
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Body bytes a request is fingerprinted by
+ * Clients pick a new random multipart boundary for every attempt, so it is
+ * taken out; the parts themselves must match.
+ * @param {Buffer} [body] - Raw body
+ * @param {string} [contentType] - Content-Type header
+ * @returns {Buffer|undefined} Body to hash
+ */
+function fingerprintBody(body, contentType) {
+  const { type, params } = parseContentType(contentType);
+  if (!body || type !== MULTIPART_TYPE || !params.boundary) return body;
+  return Buffer.from(body.toString('latin1').replaceAll(params.boundary, ''), 'latin1');
+}
+
+/**
+ * Run a function on behalf of a request sent with an idempotency key
+ * @param {Object} context - `{ owner, key }`: API key id and `Idempotency-Key`
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithIdempotencyKey(context, fn) {
+  return requestKeys.run({ ...context, calls: new Map() }, fn);
+}
+
+/**
+ * Idempotency key for an upstream call made by the current request
+ * Derived from the API key, the request's `Idempotency-Key`, `scope` (the
+ * upstream endpoint) and how many times the request called it, so callers
+ * choosing the same key do not share upstream results and every call of
+ * one request (e.g. two customers created by an agent chat) gets its own
+ * key. A retry making the same calls in the same order gets the same keys.
+ * @param {string} scope - Upstream call (e.g. 'POST /customers')
+ * @returns {string|null} 64 hex characters, or null when the request has no key
+ */
+export function getIdempotencyKey(scope) {
+  const context = requestKeys.getStore();
+  if (!context) return null;
+
+  const call = (context.calls.get(scope) ?? 0) + 1;
+  context.calls.set(scope, call);
+  return digest(context.owner, context.key, scope, String(call));
+}
+
+/**
+ * Idempotency store
+ * Keeps the first response to each key in memory; keys are lost on restart.
+ * Entries expire `ttlMs` after the response was stored, the oldest are
+ * dropped beyond `maxEntries`.
+ */
+export class IdempotencyStore {
+  #entries = new Map();
+
+  /**
+   * @param {Object} [options] - Store options
+   * @param {number} [options.ttlMs=86400000] - Milliseconds responses are replayed for; 0 disables the store
+   * @param {number} [options.maxEntries=10000] - Most keys kept
+   */
+  constructor({ ttlMs = 86400000, maxEntries = 10000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Whether keys are honored
+   */
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  /**
+   * Number of keys kept, including requests still running
+   */
+  get size() {
+    this.#prune();
+    return this.#entries.size;
+  }
+
+  /**
+   * Claim a key for a request
+   * @param {Object} request - Request
+   * @param {string} request.owner - API key id (`anonymous` without one)
+   * @param {string} request.key - `Idempotency-Key`
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path and query
+   * @param {Buffer} [request.body] - Raw body
+   * @param {string} [request.contentType] - Content-Type header (for the multipart boundary)
+   * @returns {Object} `{ state: 'started', id }` for a new key (finish it with
+   *   capture() or release()), `{ state: 'replay', response }` for a stored
+   *   response, or `{ state: 'mismatch' }` / `{ state: 'in-progress' }`
+   */
+  begin({ owner, key, method, path, body, contentType }) {
+    this.#prune();
+    const id = digest(owner, key);
+    const fingerprint = digest(method, path, fingerprintBody(body, contentType));
+
+    const entry = this.#entries.get(id);
+    if (entry) {
+      if (entry.fingerprint !== fingerprint) return { state: 'mismatch' };
+      return entry.response ? { state: 'replay', response: entry.response } : { state: 'in-progress' };
+    }
+
+    // Claims expire too, so a request that never finishes frees its key
+    this.#entries.set(id, { fingerprint, response: null, expiresAt: Date.now() + this.ttlMs });
+    while (this.#entries.size > this.maxEntries) {
+      this.#entries.delete(this.#entries.keys().next().value);
+    }
+    return { state: 'started', id };
+  }
+
+  /**
+   * Store the response of a claimed key
+   * @param {string} id - Id returned by begin()
+   * @param {Object} response - `{ status, headers, body }`
+   */
+  complete(id, response) {
+    const entry = this.#entries.get(id);
+    if (!entry) return;
+    // Re-inserted so entries stay ordered by expiry
+    this.#entries.delete(id);
+    this.#entries.set(id, { ...entry, response, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  /**
+   * Give up a claimed key, so a retry runs the request again
+   * @param {string} id - Id returned by begin()
+   */
+  release(id) {
+    this.#entries.delete(id);
+  }
+
+  /**
+   * Store the response a handler sends for a claimed key
+   * Headers already set when capture starts (request id, CORS, rate limit)
+   * belong to this request and are not replayed.
+   * @param {string} id - Id returned by begin()
+   * @param {ServerResponse} res - Response
+   */
+  capture(id, res) {
+    const before = new Set(res.getHeaderNames());
+    const chunks = [];
+    const collect = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') {
+        chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+      }
+    };
+
+    const { write, end } = res;
+    res.write = function (chunk, encoding, callback) {
+      collect(chunk, encoding);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+      collect(chunk, encoding);
+      return end.call(this, chunk, encoding, callback);
+    };
+
+    res.once('close', () => {
+      if (!res.writableFinished || res.statusCode >= 500) {
+        this.release(id);
+        return;
+      }
+      const headers = Object.fromEntries(Object.entries(res.getHeaders()).filter(([name]) => !before.has(name)));
+      this.complete(id, { status: res.statusCode, headers, body: Buffer.concat(chunks) });
+    });
+  }
+
+  /**
+   * Forget every key (for testing)
+   */
+  clear() {
+    this.#entries.clear();
+  }
+
+  /**
+   * Drop expired entries; they are ordered by expiry
+   * @private
+   */
+  #prune() {
+    const now = Date.now();
+    for (const [id, entry] of this.#entries) {
+      if (entry.expiresAt > now) break;
+      this.#entries.delete(id);
+    }
+  }
+}
+
+/**
+ * Idempotency store of the tower (IDEMPOTENCY_TTL, IDEMPOTENCY_MAX_ENTRIES)
+ */
+export const idempotencyStore = new IdempotencyStore({
+  ttlMs: getSetting('IDEMPOTENCY_TTL'),
+  maxEntries: getSetting('IDEMPOTENCY_MAX_ENTRIES'),
+});
+
+export default idempotencyStore;
@@ -4,26 +4,134 @@
  */
 
 import { registry } from '../servers/index.js';
+import { getSetting } from '../utils/config.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('metrics');
 
+/**
+ * Format Prometheus labels, escaping values
+ * @param {Object} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or '' without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Counter with one series per label set
+ */
+class Counter {
+  series = new Map();
+
+  /**
+   * @param {Object} labels - Label names and values
+   * @param {number} [amount=1] - Increment
+   */
+  inc(labels, amount = 1) {
+    const key = JSON.stringify(labels);
+    const series = this.series.get(key) || { labels, value: 0 };
+    series.value += amount;
+    this.series.set(key, series);
+  }
+
+  *[Symbol.iterator]() {
+    yield* this.series.values();
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * Histogram with cumulative Prometheus buckets
+ * Observations are in seconds; each label set gets its own buckets, sum and count.
+ */
+export class Histogram {
+  series = new Map();
+
+  /**
+   * @param {number[]} buckets - Increasing upper bounds in seconds (`+Inf` is implied)
+   */
+  constructor(buckets) {
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label names and values
+   * @param {number} seconds - Observed value
+   */
+  observe(labels, seconds) {
+    const key = JSON.stringify(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: new Array(this.buckets.length).fill(0), count: 0, sum: 0 };
+      this.series.set(key, series);
+    }
+    const index = this.buckets.findIndex((bound) => seconds <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.count++;
+    series.sum += seconds;
+  }
+
+  /**
+   * Exposition lines of every series
+   * @param {string} name - Metric name
+   * @returns {string[]} `_bucket`, `_sum` and `_count` lines
+   */
+  format(name) {
+    const lines = [];
+    for (const { labels, counts, count, sum } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum.toFixed(6)}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Series as JSON: cumulative counts by upper bound, sum and count
+   */
+  toJSON() {
+    return [...this.series.values()].map(({ labels, counts, count, sum }) => {
+      let cumulative = 0;
+      const buckets = Object.fromEntries(this.buckets.map((bound, i) => [bound, (cumulative += counts[i])]));
+      return { ...labels, buckets, count, sum };
+    });
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
 /**
  * Metrics storage
  */
 const metrics = {
   // Counters
-  httpRequestsTotal: new Map(), // path:method -> count
+  httpRequestsTotal: new Counter(), // { method, route, status }
   httpErrorsTotal: new Map(),   // status_code -> count
-  toolExecutionsTotal: new Map(), // tool_name -> count
+  toolExecutionsTotal: new Counter(), // { tool, status: success | failure }
   wsMessagesTotal: { sent: 0, received: 0 },
   
   // Gauges
   activeConnections: 0,
   serverStatus: new Map(), // server_name -> 0/1
   
-  // Histograms (simplified - just tracking counts and sums)
-  httpDuration: new Map(), // path:method -> { count, sum }
+  // Histograms (buckets from METRICS_HTTP_BUCKETS / METRICS_TOOL_BUCKETS)
+  httpDuration: new Histogram(getSetting('METRICS_HTTP_BUCKETS')), // { method, route }
+  toolDuration: new Histogram(getSetting('METRICS_TOOL_BUCKETS')), // { tool }
+  serverProbes: new Map(), // server_name -> { count, sum, last, failures }
   
   // Info
   startTime: Date.now(),
@@ -31,45 +139,49 @@ const metrics = {
 
 /**
  * Record HTTP request
+ * @param {string} route - Route template (e.g. `/api/servers/:name`), never the raw path
+ * @param {string} method - HTTP method
+ * @param {number} statusCode - Response status
+ * @param {number} durationMs - Time until the response finished
  */
-export function recordHttpRequest(path, method, statusCode, durationMs) {
-  const key = `${method}:${path}`;
-  
-  // Increment request counter
-  metrics.httpRequestsTotal.set(key, (metrics.httpRequestsTotal.get(key) || 0) + 1);
+export function recordHttpRequest(route, method, statusCode, durationMs) {
+  metrics.httpRequestsTotal.inc({ method, route, status: statusCode });
   
   // Record errors
   if (statusCode >= 400) {
     metrics.httpErrorsTotal.set(statusCode, (metrics.httpErrorsTotal.get(statusCode) || 0) + 1);
   }
   
-  // Record duration
-  const duration = metrics.httpDuration.get(key) || { count: 0, sum: 0 };
-  duration.count++;
-  duration.sum += durationMs;
-  metrics.httpDuration.set(key, duration);
+  metrics.httpDuration.observe({ method, route }, durationMs / 1000);
 }
 
 /**
  * Record tool execution
+ * @param {string} toolName - Tool name
+ * @param {boolean} success - Whether the tool succeeded
+ * @param {number} durationMs - Execution time
  */
-export function recordToolExecution(toolName) {
-  metrics.toolExecutionsTotal.set(toolName, (metrics.toolExecutionsTotal.get(toolName) || 0) + 1);
+export function recordToolExecution(toolName, success, durationMs) {
+  metrics.toolExecutionsTotal.inc({ tool: toolName, status: success ? 'success' : 'failure' });
+  metrics.toolDuration.observe({ tool: toolName }, durationMs / 1000);
 }
 
 /**
- * Record WebSocket message
+ * Record WebSocket messages
+ * @param {string} direction - 'sent' or 'received'
+ * @param {number} [count=1] - Number of messages (clients reached by a broadcast)
  */
-export function recordWsMessage(direction) {
+export function recordWsMessage(direction, count = 1) {
   if (direction === 'sent') {
-    metrics.wsMessagesTotal.sent++;
+    metrics.wsMessagesTotal.sent += count;
   } else {
-    metrics.wsMessagesTotal.received++;
+    metrics.wsMessagesTotal.received += count;
   }
 }
 
 /**
  * Set active connections gauge
+ * @param {number} count - Connected WebSocket clients
  */
 export function setActiveConnections(count) {
   metrics.activeConnections = count;
@@ -82,6 +194,32 @@ export function updateServerStatus(name, running) {
   metrics.serverStatus.set(name, running ? 1 : 0);
 }
 
+/**
+ * Record a liveness probe of an MCP server
+ */
+export function recordServerProbe(name, success, latencyMs) {
+  const probes = metrics.serverProbes.get(name) || { count: 0, sum: 0, last: null, failures: 0 };
+  if (success) {
+    probes.count++;
+    probes.sum += latencyMs;
+    probes.last = latencyMs;
+  } else {
+    probes.failures++;
+  }
+  metrics.serverProbes.set(name, probes);
+}
+
+/**
+ * Record the liveness probes of a server registry
+ * Called by the API server rather than at import time: the registry imports
+ * the WebSocket module, which records metrics, so `registry` may not be
+ * initialized yet while this module loads.
+ * @param {EventEmitter} serverRegistry - Registry emitting `probe` events
+ */
+export function watchServerProbes(serverRegistry = registry) {
+  serverRegistry.on('probe', ({ name, success, latencyMs }) => recordServerProbe(name, success, latencyMs));
+}
+
 /**
  * Get uptime in seconds
  */
@@ -98,12 +236,10 @@ export function formatPrometheusMetrics() {
   // Add help and type declarations
   
   // HTTP Requests Total
-  lines.push('# HELP mcp_http_requests_total Total number of HTTP requests');
+  lines.push('# HELP mcp_http_requests_total Total number of HTTP requests by route template and status');
   lines.push('# TYPE mcp_http_requests_total counter');
-  for (const [key, count] of metrics.httpRequestsTotal) {
-    const [method, path] = key.split(':');
-    const normalizedPath = path.replace(/\/[a-f0-9-]{36}/g, '/:id').replace(/\/\d+/g, '/:id');
-    lines.push(`mcp_http_requests_total{method="${method}",path="${normalizedPath}"} ${count}`);
+  for (const { labels, value } of metrics.httpRequestsTotal) {
+    lines.push(`mcp_http_requests_total${formatLabels(labels)} ${value}`);
   }
   
   // HTTP Errors Total
@@ -117,21 +253,21 @@ export function formatPrometheusMetrics() {
   // HTTP Duration
   lines.push('');
   lines.push('# HELP mcp_http_request_duration_seconds HTTP request duration in seconds');
-  lines.push('# TYPE mcp_http_request_duration_seconds summary');
-  for (const [key, { count, sum }] of metrics.httpDuration) {
-    const [method, path] = key.split(':');
-    const normalizedPath = path.replace(/\/[a-f0-9-]{36}/g, '/:id').replace(/\/\d+/g, '/:id');
-    lines.push(`mcp_http_request_duration_seconds_count{method="${method}",path="${normalizedPath}"} ${count}`);
-    lines.push(`mcp_http_request_duration_seconds_sum{method="${method}",path="${normalizedPath}"} ${(sum / 1000).toFixed(3)}`);
-  }
+  lines.push('# TYPE mcp_http_request_duration_seconds histogram');
+  lines.push(...metrics.httpDuration.format('mcp_http_request_duration_seconds'));
   
   // Tool Executions
   lines.push('');
-  lines.push('# HELP mcp_tool_executions_total Total number of tool executions');
+  lines.push('# HELP mcp_tool_executions_total Total number of tool executions by outcome');
   lines.push('# TYPE mcp_tool_executions_total counter');
-  for (const [tool, count] of metrics.toolExecutionsTotal) {
-    lines.push(`mcp_tool_executions_total{tool="${tool}"} ${count}`);
+  for (const { labels, value } of metrics.toolExecutionsTotal) {
+    lines.push(`mcp_tool_executions_total${formatLabels(labels)} ${value}`);
   }
+
+  lines.push('');
+  lines.push('# HELP mcp_tool_execution_duration_seconds Tool execution time in seconds');
+  lines.push('# TYPE mcp_tool_execution_duration_seconds histogram');
+  lines.push(...metrics.toolDuration.format('mcp_tool_execution_duration_seconds'));
   
   // WebSocket Messages
   lines.push('');
@@ -142,7 +278,7 @@ export function formatPrometheusMetrics() {
   
   // Active Connections
   lines.push('');
-  lines.push('# HELP mcp_active_connections Current number of active connections');
+  lines.push('# HELP mcp_active_connections Current number of WebSocket connections');
   lines.push('# TYPE mcp_active_connections gauge');
   lines.push(`mcp_active_connections ${metrics.activeConnections}`);
   
@@ -165,6 +301,31 @@ export function formatPrometheusMetrics() {
     }
   }
   
+  // Server Liveness Probes
+  lines.push('');
+  lines.push('# HELP mcp_server_probe_duration_seconds Round-trip time of successful MCP server liveness probes');
+  lines.push('# TYPE mcp_server_probe_duration_seconds summary');
+  for (const [name, { count, sum }] of metrics.serverProbes) {
+    lines.push(`mcp_server_probe_duration_seconds_count{server="${name}"} ${count}`);
+    lines.push(`mcp_server_probe_duration_seconds_sum{server="${name}"} ${(sum / 1000).toFixed(3)}`);
+  }
+
+  lines.push('');
+  lines.push('# HELP mcp_server_probe_last_duration_seconds Round-trip time of the last successful liveness probe');
+  lines.push('# TYPE mcp_server_probe_last_duration_seconds gauge');
+  for (const [name, { last }] of metrics.serverProbes) {
+    if (last !== null) {
+      lines.push(`mcp_server_probe_last_duration_seconds{server="${name}"} ${(last / 1000).toFixed(3)}`);
+    }
+  }
+
+  lines.push('');
+  lines.push('# HELP mcp_server_probe_failures_total Failed MCP server liveness probes');
+  lines.push('# TYPE mcp_server_probe_failures_total counter');
+  for (const [name, { failures }] of metrics.serverProbes) {
+    lines.push(`mcp_server_probe_failures_total{server="${name}"} ${failures}`);
+  }
+
   // Uptime
   lines.push('');
   lines.push('# HELP mcp_uptime_seconds Server uptime in seconds');
@@ -213,11 +374,14 @@ export function formatPrometheusMetrics() {
  */
 export function getMetricsJson() {
   return {
-    httpRequestsTotal: Object.fromEntries(metrics.httpRequestsTotal),
+    httpRequestsTotal: [...metrics.httpRequestsTotal].map(({ labels, value }) => ({ ...labels, count: value })),
     httpErrorsTotal: Object.fromEntries(metrics.httpErrorsTotal),
-    toolExecutionsTotal: Object.fromEntries(metrics.toolExecutionsTotal),
+    httpDuration: metrics.httpDuration.toJSON(),
+    toolExecutionsTotal: [...metrics.toolExecutionsTotal].map(({ labels, value }) => ({ ...labels, count: value })),
+    toolDuration: metrics.toolDuration.toJSON(),
     wsMessagesTotal: metrics.wsMessagesTotal,
     activeConnections: metrics.activeConnections,
+    serverProbes: Object.fromEntries(metrics.serverProbes),
     uptimeSeconds: getUptimeSeconds(),
     memory: process.memoryUsage(),
     startTime: new Date(metrics.startTime).toISOString(),
@@ -228,10 +392,12 @@ export function getMetricsJson() {
  * Reset all metrics (for testing)
  */
 export function resetMetrics() {
-  metrics.httpRequestsTotal.clear();
+  metrics.httpRequestsTotal.reset();
   metrics.httpErrorsTotal.clear();
-  metrics.toolExecutionsTotal.clear();
-  metrics.httpDuration.clear();
+  metrics.toolExecutionsTotal.reset();
+  metrics.httpDuration.reset();
+  metrics.toolDuration.reset();
+  metrics.serverProbes.clear();
   metrics.wsMessagesTotal = { sent: 0, received: 0 };
   metrics.activeConnections = 0;
   metrics.serverStatus.clear();
@@ -245,6 +411,8 @@ export default {
   recordWsMessage,
   setActiveConnections,
   updateServerStatus,
+  recordServerProbe,
+  watchServerProbes,
   formatPrometheusMetrics,
   getMetricsJson,
   resetMetrics,
@@ -1,12 +1,238 @@
 /**
  * BambiSleep™ Church MCP Control Tower
  * OpenAPI 3.0 Specification Generator
+ *
+ * Paths are generated from the route table in routes.js, so the document
+ * always matches the routes the server actually registers.
  */
 
 /**
- * OpenAPI 3.0 specification for MCP Control Tower API
+ * Shared schemas and security schemes, also used to resolve `$ref`s when
+ * requests are validated
  */
-export const openApiSpec = {
+export const openApiComponents = {
+  schemas: {
+    ValidationError: {
+      type: 'object',
+      description: 'Request rejected before reaching the handler',
+      properties: {
+        error: { type: 'string', example: 'Validation failed' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string', description: 'Offending field, e.g. `messages[0].role`', example: 'uri' },
+              in: { type: 'string', enum: ['path', 'query', 'body'] },
+              message: { type: 'string', example: 'is required' },
+            },
+          },
+        },
+      },
+    },
+    ServerDefinition: {
+      type: 'object',
+      description: 'Entry of `mcp.servers` in the settings file; exactly one of command or url',
+      properties: {
+        command: { type: 'string' },
+        args: { type: 'array', items: { type: 'string' } },
+        env: { type: 'object', additionalProperties: { type: 'string' } },
+        envAllowlist: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Extra variables inherited from the tower; a trailing * matches by prefix',
+        },
+        cwd: { type: 'string', description: 'Working directory, relative to the tower working directory' },
+        shell: { type: 'boolean', default: false },
+        probe: {
+          oneOf: [
+            { type: 'boolean', description: 'false disables liveness probes' },
+            {
+              type: 'object',
+              properties: {
+                intervalMs: { type: 'integer' },
+                timeoutMs: { type: 'integer' },
+                failureThreshold: { type: 'integer' },
+                restart: { type: 'boolean', description: 'Restart the server when it becomes degraded' },
+              },
+            },
+          ],
+        },
+        maxHeapMb: { type: 'integer', description: 'Node heap limit, applied via NODE_OPTIONS' },
+        maxRuntimeMs: { type: 'integer', description: 'Stop the process after this long' },
+        url: { type: 'string', format: 'uri' },
+        headers: { type: 'object', additionalProperties: { type: 'string' } },
+        dependsOn: { type: 'array', items: { type: 'string' } },
+        startupTimeoutMs: { type: 'integer' },
+        restart: {
+          oneOf: [
+            { type: 'string', enum: ['always', 'on-failure', 'never'] },
+            { type: 'object' },
+          ],
+        },
+      },
+    },
+    Server: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        source: { type: 'string', nullable: true, description: 'Config file the server was read from' },
+        status: { type: 'string', enum: ['starting', 'running', 'degraded', 'stopped', 'error'] },
+        type: { type: 'string', enum: ['mcp', 'integrated'] },
+        description: { type: 'string' },
+        pid: { type: 'integer' },
+        startedAt: { type: 'string', format: 'date-time' },
+        error: { type: 'string', nullable: true },
+        restartPolicy: {
+          type: 'object',
+          properties: {
+            policy: { type: 'string', enum: ['always', 'on-failure', 'never'] },
+            maxRetries: { type: 'integer' },
+            initialDelayMs: { type: 'integer' },
+            maxDelayMs: { type: 'integer' },
+            resetAfterMs: { type: 'integer' },
+            crashLoopWindowMs: { type: 'integer' },
+            crashLoopThreshold: { type: 'integer' },
+          },
+        },
+        restartCount: { type: 'integer' },
+        nextRestartAt: { type: 'string', format: 'date-time', nullable: true },
+        lastExitCode: { type: 'integer', nullable: true },
+        lastExitSignal: { type: 'string', nullable: true },
+        lastExitAt: { type: 'string', format: 'date-time', nullable: true },
+        serverInfo: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            name: { type: 'string' },
+            version: { type: 'string' },
+          },
+        },
+        protocolVersion: { type: 'string', nullable: true },
+        capabilities: { type: 'object', nullable: true },
+        health: {
+          type: 'object',
+          description: 'Liveness probe results of the current run',
+          properties: {
+            latencyMs: { type: 'number', nullable: true, description: 'Round-trip time of the last successful probe' },
+            lastProbeAt: { type: 'string', format: 'date-time', nullable: true },
+            consecutiveFailures: { type: 'integer' },
+            lastError: { type: 'string', nullable: true },
+          },
+        },
+        spawnSpec: {
+          type: 'object',
+          nullable: true,
+          description: 'How the local process was (or will be) spawned; environment values are omitted',
+          properties: {
+            command: { type: 'string' },
+            args: { type: 'array', items: { type: 'string' } },
+            cwd: { type: 'string' },
+            shell: { type: 'boolean' },
+            env: {
+              type: 'object',
+              properties: {
+                inherited: { type: 'array', items: { type: 'string' } },
+                injected: { type: 'array', items: { type: 'string' } },
+              },
+            },
+            maxHeapMb: { type: 'integer', nullable: true },
+            maxRuntimeMs: { type: 'integer', nullable: true },
+          },
+        },
+        config: { type: 'object', description: 'Server definition; env and headers values are redacted' },
+      },
+    },
+    ServerLogEntry: {
+      type: 'object',
+      properties: {
+        seq: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' },
+        level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+        source: { type: 'string', enum: ['stderr', 'stdout', 'supervisor'] },
+        message: { type: 'string' },
+      },
+    },
+    ServerStats: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        running: { type: 'integer' },
+        degraded: { type: 'integer' },
+        stopped: { type: 'integer' },
+        errors: { type: 'integer' },
+        integrated: { type: 'integer' },
+      },
+    },
+    KnowledgeGraph: {
+      type: 'object',
+      properties: {
+        entities: {
+          type: 'array',
+          items: { $ref: '#/components/schemas/Entity' },
+        },
+        relations: {
+          type: 'array',
+          items: { $ref: '#/components/schemas/Relation' },
+        },
+      },
+    },
+    Entity: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        entityType: { type: 'string' },
+        observations: {
+          type: 'array',
+          items: { type: 'string' },
+        },
+      },
+      required: ['name', 'entityType'],
+    },
+    Relation: {
+      type: 'object',
+      properties: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        relationType: { type: 'string' },
+      },
+      required: ['from', 'to', 'relationType'],
+    },
+    Tool: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        category: { type: 'string' },
+        parameters: { type: 'object' },
+      },
+    },
+  },
+  parameters: {
+    IdempotencyKey: {
+      name: 'Idempotency-Key',
+      in: 'header',
+      description: 'Handle the request once: retries with the same key and body get the first response again (marked `Idempotent-Replayed: true`) for IDEMPOTENCY_TTL',
+      schema: { type: 'string', minLength: 1, maxLength: 255 },
+    },
+  },
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+    },
+    apiKey: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+    },
+  },
+};
+
+/**
+ * Document metadata; `paths` are added by getOpenApiSpec()
+ */
+const openApiDocument = {
   openapi: '3.0.3',
   info: {
     title: 'BambiSleep™ MCP Control Tower API',
@@ -31,8 +257,12 @@ export const openApiSpec = {
       description: 'Production server',
     },
   ],
+  // Every operation needs an API key unless it declares `security: []`
+  security: [{ bearerAuth: [] }, { apiKey: [] }],
   tags: [
     { name: 'Health', description: 'Health check and system status' },
+    { name: 'Auth', description: 'API keys and scopes' },
+    { name: 'Audit', description: 'Audit log of mutating and sensitive operations' },
     { name: 'Servers', description: 'MCP server management' },
     { name: 'Memory', description: 'Knowledge graph operations' },
     { name: 'UserModel', description: 'User preferences, patterns, and profiles' },
@@ -57,2119 +287,110 @@ export const openApiSpec = {
     { name: 'Tools', description: 'Agent tool execution' },
     { name: 'Metrics', description: 'Prometheus metrics' },
   ],
-  paths: {
-    // ============ HEALTH ============
-    '/api/health': {
-      get: {
-        tags: ['Health'],
-        summary: 'Health check',
-        description: 'Returns server health status, version, and environment',
-        responses: {
-          200: {
-            description: 'Server is healthy',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    status: { type: 'string', example: 'ok' },
-                    timestamp: { type: 'string', format: 'date-time' },
-                    version: { type: 'string', example: '1.0.0' },
-                    env: { type: 'string', example: 'development' },
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
-    },
-    '/api/stats/rate-limit': {
-      get: {
-        tags: ['Health'],
-        summary: 'Rate limit statistics',
-        description: 'Returns current rate limit stats per IP',
-        responses: {
-          200: {
-            description: 'Rate limit stats',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    totalTracked: { type: 'integer' },
-                    ipStats: { type: 'object' },
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
-    },
-    '/api/stats/websocket': {
-      get: {
-        tags: ['Health'],
-        summary: 'WebSocket statistics',
-        description: 'Returns WebSocket connection stats',
-        responses: {
-          200: {
-            description: 'WebSocket stats',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    connections: { type: 'integer' },
-                    messagesSent: { type: 'integer' },
-                    messagesReceived: { type: 'integer' },
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
-    },
-    '/api/metrics': {
-      get: {
-        tags: ['Metrics'],
-        summary: 'Prometheus metrics',
-        description: 'Returns metrics in Prometheus exposition format',
-        responses: {
-          200: {
-            description: 'Prometheus metrics',
-            content: {
-              'text/plain': {
-                schema: { type: 'string' },
-              },
-            },
-          },
-        },
-      },
-    },
-
-    // ============ SERVERS ============
-    '/api/servers': {
-      get: {
-        tags: ['Servers'],
-        summary: 'List all MCP servers',
-        description: 'Returns all registered MCP servers and integrated handlers',
-        responses: {
-          200: {
-            description: 'List of servers',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    servers: {
-                      type: 'array',
-                      items: { $ref: '#/components/schemas/Server' },
-                    },
-                    stats: { $ref: '#/components/schemas/ServerStats' },
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
-    },
-    '/api/servers/{name}': {
-      get: {
-        tags: ['Servers'],
-        summary: 'Get server details',
-        parameters: [
-          { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Server details' },
-          404: { description: 'Server not found' },
-        },
-      },
-    },
-    '/api/servers/{name}/start': {
-      post: {
-        tags: ['Servers'],
-        summary: 'Start a server',
-        parameters: [
-          { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Server started' },
-          400: { description: 'Failed to start' },
-        },
-      },
-    },
-    '/api/servers/{name}/stop': {
-      post: {
-        tags: ['Servers'],
-        summary: 'Stop a server',
-        parameters: [
-          { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Server stopped' },
-          400: { description: 'Failed to stop' },
-        },
-      },
-    },
-
-    // ============ MEMORY ============
-    '/api/memory': {
-      get: {
-        tags: ['Memory'],
-        summary: 'Read entire knowledge graph',
-        responses: {
-          200: {
-            description: 'Knowledge graph data',
-            content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/KnowledgeGraph' },
-              },
-            },
-          },
-        },
-      },
-    },
-    '/api/memory/entities': {
-      post: {
-        tags: ['Memory'],
-        summary: 'Create entities',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  entities: {
-                    type: 'array',
-                    items: { $ref: '#/components/schemas/Entity' },
-                  },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Entities created' },
-        },
-      },
-      delete: {
-        tags: ['Memory'],
-        summary: 'Delete entities',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  names: { type: 'array', items: { type: 'string' } },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Entities deleted' },
-        },
-      },
-    },
-    '/api/memory/relations': {
-      post: {
-        tags: ['Memory'],
-        summary: 'Create relations',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  relations: {
-                    type: 'array',
-                    items: { $ref: '#/components/schemas/Relation' },
-                  },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Relations created' },
-        },
-      },
-      delete: {
-        tags: ['Memory'],
-        summary: 'Delete relations',
-        responses: {
-          200: { description: 'Relations deleted' },
-        },
-      },
-    },
-    '/api/memory/search': {
-      get: {
-        tags: ['Memory'],
-        summary: 'Search nodes',
-        parameters: [
-          { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Search query' },
-        ],
-        responses: {
-          200: { description: 'Search results' },
-        },
-      },
-    },
-
-    // ============ GITHUB ============
-    '/api/github/user': {
-      get: {
-        tags: ['GitHub'],
-        summary: 'Get authenticated user',
-        responses: {
-          200: { description: 'User info' },
-          401: { description: 'Not authenticated' },
-        },
-      },
-    },
-    '/api/github/repos': {
-      get: {
-        tags: ['GitHub'],
-        summary: 'List repositories',
-        parameters: [
-          { name: 'per_page', in: 'query', schema: { type: 'integer', default: 30 } },
-          { name: 'page', in: 'query', schema: { type: 'integer', default: 1 } },
-        ],
-        responses: {
-          200: { description: 'List of repositories' },
-        },
-      },
-    },
-    '/api/github/search/repos': {
-      get: {
-        tags: ['GitHub'],
-        summary: 'Search repositories',
-        parameters: [
-          { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Search results' },
-        },
-      },
-    },
-
-    // ============ HUGGINGFACE ============
-    '/api/huggingface/models': {
-      get: {
-        tags: ['HuggingFace'],
-        summary: 'Search ML models',
-        parameters: [
-          { name: 'q', in: 'query', schema: { type: 'string' } },
-          { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } },
-        ],
-        responses: {
-          200: { description: 'Model search results' },
-        },
-      },
-    },
-    '/api/huggingface/datasets': {
-      get: {
-        tags: ['HuggingFace'],
-        summary: 'Search datasets',
-        parameters: [
-          { name: 'q', in: 'query', schema: { type: 'string' } },
-          { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } },
-        ],
-        responses: {
-          200: { description: 'Dataset search results' },
-        },
-      },
-    },
-    '/api/huggingface/inference': {
-      post: {
-        tags: ['HuggingFace'],
-        summary: 'Run inference',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  model: { type: 'string' },
-                  inputs: { type: 'string' },
-                  options: { type: 'object' },
-                },
-                required: ['model', 'inputs'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Inference result' },
-        },
-      },
-    },
+};
 
-    // ============ LM STUDIO ============
-    '/api/lmstudio/health': {
-      get: {
-        tags: ['LMStudio'],
-        summary: 'Test LM Studio connection',
-        responses: {
-          200: { description: 'Connection healthy' },
-          500: { description: 'Connection failed' },
-        },
-      },
-    },
-    '/api/lmstudio/models': {
-      get: {
-        tags: ['LMStudio'],
-        summary: 'List loaded models',
-        responses: {
-          200: { description: 'List of models' },
-        },
-      },
-    },
-    '/api/lmstudio/chat': {
-      post: {
-        tags: ['LMStudio'],
-        summary: 'Chat completion',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  messages: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        role: { type: 'string', enum: ['system', 'user', 'assistant'] },
-                        content: { type: 'string' },
-                      },
-                    },
-                  },
-                  options: { type: 'object' },
-                },
-                required: ['messages'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Chat response' },
-        },
-      },
-    },
-    '/api/lmstudio/embed': {
-      post: {
-        tags: ['LMStudio'],
-        summary: 'Generate embeddings',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  input: { type: 'string' },
-                  options: { type: 'object' },
-                },
-                required: ['input'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Embedding vector' },
-        },
-      },
-    },
+/**
+ * Convert a route path pattern to an OpenAPI path template
+ * @param {string} path - Route path (e.g. '/api/docs/:file*')
+ * @returns {string} Path template (e.g. '/api/docs/{file}')
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)\*?/g, '{$1}');
+}
 
-    // ============ STRIPE ============
-    '/api/stripe/customers': {
-      get: {
-        tags: ['Stripe'],
-        summary: 'List customers',
-        parameters: [
-          { name: 'limit', in: 'query', schema: { type: 'integer', default: 10 } },
-          { name: 'email', in: 'query', schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Customer list' },
-        },
-      },
-      post: {
-        tags: ['Stripe'],
-        summary: 'Create customer',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  email: { type: 'string', format: 'email' },
-                  name: { type: 'string' },
-                  metadata: { type: 'object' },
-                },
-                required: ['email'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Customer created' },
-        },
-      },
-    },
-    '/api/stripe/products': {
-      get: {
-        tags: ['Stripe'],
-        summary: 'List products',
-        responses: {
-          200: { description: 'Product list' },
-        },
-      },
-      post: {
-        tags: ['Stripe'],
-        summary: 'Create product',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  name: { type: 'string' },
-                  description: { type: 'string' },
-                },
-                required: ['name'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Product created' },
-        },
-      },
-    },
-    '/api/stripe/balance': {
-      get: {
-        tags: ['Stripe'],
-        summary: 'Get account balance',
-        responses: {
-          200: { description: 'Balance info' },
-        },
-      },
-    },
+/**
+ * Expand the route table's response shorthand
+ * A response is a description string, `{ description, schema }` for JSON
+ * bodies, or a full OpenAPI response object.
+ */
+function expandResponses(responses = { 200: 'Success' }) {
+  return Object.fromEntries(Object.entries(responses).map(([status, response]) => {
+    if (typeof response === 'string') return [status, { description: response }];
+    const { schema, ...rest } = response;
+    if (!schema) return [status, rest];
+    return [status, { ...rest, content: { 'application/json': { schema } } }];
+  }));
+}
 
-    // ============ PATREON ============
-    '/api/patreon/identity': {
-      get: {
-        tags: ['Patreon'],
-        summary: 'Get creator identity',
-        responses: {
-          200: { description: 'Creator info' },
-        },
-      },
-    },
-    '/api/patreon/campaigns': {
-      get: {
-        tags: ['Patreon'],
-        summary: 'List campaigns',
-        responses: {
-          200: { description: 'Campaign list' },
-        },
-      },
-    },
-    '/api/patreon/members': {
-      get: {
-        tags: ['Patreon'],
-        summary: 'List members',
-        parameters: [
-          { name: 'campaignId', in: 'query', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Member list' },
-        },
-      },
-    },
+/**
+ * Build the OpenAPI operation of a route
+ * @param {Object} route - Route definition
+ * @returns {Object} Operation object
+ */
+function buildOperation(route) {
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: route.params?.properties?.[name] || { type: 'string' },
+  }));
 
-    // ============ MONGODB ============
-    '/api/mongodb/connect': {
-      post: {
-        tags: ['MongoDB'],
-        summary: 'Connect to MongoDB',
-        responses: {
-          200: { description: 'Connected' },
-        },
-      },
-    },
-    '/api/mongodb/collections': {
-      get: {
-        tags: ['MongoDB'],
-        summary: 'List collections',
-        parameters: [
-          { name: 'database', in: 'query', schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Collection list' },
-        },
-      },
-    },
-    '/api/mongodb/{database}/{collection}': {
-      get: {
-        tags: ['MongoDB'],
-        summary: 'Query documents',
-        parameters: [
-          { name: 'database', in: 'path', required: true, schema: { type: 'string' } },
-          { name: 'collection', in: 'path', required: true, schema: { type: 'string' } },
-          { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } },
-        ],
-        responses: {
-          200: { description: 'Documents' },
-        },
-      },
-      post: {
-        tags: ['MongoDB'],
-        summary: 'Insert document',
-        parameters: [
-          { name: 'database', in: 'path', required: true, schema: { type: 'string' } },
-          { name: 'collection', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: { type: 'object' },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Inserted' },
-        },
-      },
-    },
+  const queryRequired = route.query?.required || [];
+  const queryParams = Object.entries(route.query?.properties || {}).map(([name, { description, ...schema }]) => ({
+    name,
+    in: 'query',
+    ...(queryRequired.includes(name) && { required: true }),
+    ...(description && { description }),
+    schema,
+  }));
 
-    // ============ SQLITE ============
-    '/api/sqlite/query': {
-      post: {
-        tags: ['SQLite'],
-        summary: 'Execute SQL query',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  sql: { type: 'string' },
-                  params: { type: 'array' },
-                },
-                required: ['sql'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Query results' },
-        },
-      },
-    },
-    '/api/sqlite/tables': {
-      get: {
-        tags: ['SQLite'],
-        summary: 'List tables',
-        responses: {
-          200: { description: 'Table list' },
-        },
-      },
-    },
+  const operation = {
+    tags: route.tags,
+    summary: route.summary,
+    description: route.description,
+    parameters: [...pathParams, ...queryParams],
+    responses: expandResponses(route.responses),
+  };
 
-    // ============ PUPPETEER ============
-    '/api/puppeteer/status': {
-      get: {
-        tags: ['Puppeteer'],
-        summary: 'Get browser status',
-        responses: {
-          200: { description: 'Browser status' },
-        },
-      },
-    },
-    '/api/puppeteer/launch': {
-      post: {
-        tags: ['Puppeteer'],
-        summary: 'Launch browser',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  headless: { type: 'boolean', default: true },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Browser launched' },
-        },
-      },
-    },
-    '/api/puppeteer/navigate': {
-      post: {
-        tags: ['Puppeteer'],
-        summary: 'Navigate to URL',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  url: { type: 'string', format: 'uri' },
-                },
-                required: ['url'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Navigation complete' },
-        },
-      },
-    },
-    '/api/puppeteer/screenshot': {
-      post: {
-        tags: ['Puppeteer'],
-        summary: 'Take screenshot',
-        responses: {
-          200: { description: 'Screenshot data' },
-        },
-      },
-    },
+  if (route.auth === false) {
+    operation.security = [];
+  } else {
+    operation['x-required-scope'] = route.scope || 'read';
+    operation.responses[401] ??= { description: 'Missing or invalid API key' };
+    operation.responses[403] ??= { description: `API key lacks the \`${route.scope || 'read'}\` scope` };
+  }
 
-    // ============ STORAGE ============
-    '/api/storage/files': {
-      get: {
-        tags: ['Storage'],
-        summary: 'List files',
-        parameters: [
-          { name: 'type', in: 'query', schema: { type: 'string', enum: ['images', 'videos'] } },
-        ],
-        responses: {
-          200: { description: 'File list' },
-        },
-      },
-    },
-    '/api/storage/upload': {
-      post: {
-        tags: ['Storage'],
-        summary: 'Upload file',
-        requestBody: {
-          content: {
-            'multipart/form-data': {
-              schema: {
-                type: 'object',
-                properties: {
-                  file: { type: 'string', format: 'binary' },
-                  type: { type: 'string', enum: ['images', 'videos'] },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'File uploaded' },
-        },
-      },
-    },
+  if (!['GET', 'HEAD'].includes(route.method) && route.auth !== false && route.idempotency !== false) {
+    operation.parameters.push({ $ref: '#/components/parameters/IdempotencyKey' });
+    operation.responses[409] ??= { description: 'Idempotency-Key already used for a different request, or by one still being handled' };
+  }
 
-    // ============ FETCH ============
-    '/api/fetch/url': {
-      post: {
-        tags: ['Fetch'],
-        summary: 'Fetch URL content',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  url: { type: 'string', format: 'uri' },
-                  options: { type: 'object' },
-                },
-                required: ['url'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Fetched content' },
-        },
-      },
-    },
+  if (route.body) {
+    const contentTypes = route.contentTypes || ['application/json'];
+    operation.requestBody = {
+      required: Boolean(route.body.required?.length || route.body.anyOf),
+      content: Object.fromEntries(contentTypes.map((type) => [type, { schema: route.body }])),
+    };
+    operation.responses[413] ??= { description: 'Request body too large' };
+    operation.responses[415] ??= { description: 'Unsupported Content-Type' };
+  }
 
-    // ============ THINKING ============
-    '/api/thinking/think': {
-      post: {
-        tags: ['Thinking'],
-        summary: 'Start thinking chain',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  thought: { type: 'string' },
-                  thoughtNumber: { type: 'integer' },
-                  totalThoughts: { type: 'integer' },
-                },
-                required: ['thought'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Thought recorded' },
-        },
-      },
-    },
-    '/api/thinking/sessions': {
-      get: {
-        tags: ['Thinking'],
-        summary: 'List thinking sessions',
-        responses: {
-          200: { description: 'Session list' },
-        },
-      },
-    },
+  if ((route.params || route.query || route.body) && !operation.responses[400]) {
+    operation.responses[400] = {
+      description: 'Validation failed',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } },
+    };
+  }
 
-    // ============ CLARITY ============
-    '/api/clarity/init': {
-      post: {
-        tags: ['Clarity'],
-        summary: 'Initialize Clarity analytics',
-        responses: {
-          200: { description: 'Initialized' },
-        },
-      },
-    },
-    '/api/clarity/events': {
-      get: {
-        tags: ['Clarity'],
-        summary: 'Get event history',
-        parameters: [
-          { name: 'limit', in: 'query', schema: { type: 'integer', default: 50 } },
-          { name: 'type', in: 'query', schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Event list' },
-        },
-      },
-    },
-
-    // ============ AGENT ============
-    '/api/agent/chat': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Send message to agent',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  message: { type: 'string' },
-                  conversationId: { type: 'string' },
-                  options: { type: 'object' },
-                },
-                required: ['message'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Agent response' },
-        },
-      },
-    },
-    '/api/agent/tools': {
-      get: {
-        tags: ['Agent'],
-        summary: 'List agent tools',
-        responses: {
-          200: {
-            description: 'Tool list',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    tools: {
-                      type: 'array',
-                      items: { $ref: '#/components/schemas/Tool' },
-                    },
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
-    },
-    '/api/agent/tools/execute': {
-      post: {
-        tags: ['Tools'],
-        summary: 'Execute agent tool',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  tool: { type: 'string' },
-                  arguments: { type: 'object' },
-                },
-                required: ['tool'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Tool result' },
-        },
-      },
-    },
-    '/api/agent/personality': {
-      get: {
-        tags: ['Agent'],
-        summary: 'Get agent personality',
-        responses: {
-          200: { description: 'Personality info' },
-        },
-      },
-    },
-    
-    // ============ AGENT RENDER (Phase 6) ============
-    '/api/agent/render': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render component to workspace',
-        description: 'Broadcasts a render command to the Agent Workspace via WebSocket',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['type', 'data'],
-                properties: {
-                  type: { 
-                    type: 'string', 
-                    enum: ['card', 'table', 'form', 'alert', 'progress', 'list', 'code'],
-                    description: 'Component type to render'
-                  },
-                  data: { type: 'object', description: 'Component data' },
-                  options: { type: 'object', description: 'Rendering options' },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Component rendered successfully' },
-        },
-      },
-    },
-    '/api/agent/render/card': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render card component',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  title: { type: 'string' },
-                  content: { type: 'string' },
-                  icon: { type: 'string' },
-                  variant: { type: 'string', enum: ['default', 'success', 'warning', 'error', 'info'] },
-                  actions: { type: 'array', items: { type: 'object' } },
-                },
-              },
-            },
-          },
-        },
-        responses: { 200: { description: 'Card rendered' } },
-      },
-    },
-    '/api/agent/render/table': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render table component',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['columns', 'rows'],
-                properties: {
-                  title: { type: 'string' },
-                  columns: { type: 'array', items: { type: 'string' } },
-                  rows: { type: 'array', items: { type: 'array' } },
-                  sortable: { type: 'boolean' },
-                  filterable: { type: 'boolean' },
-                },
-              },
-            },
-          },
-        },
-        responses: { 200: { description: 'Table rendered' } },
-      },
-    },
-    '/api/agent/render/form': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render form component',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['fields'],
-                properties: {
-                  title: { type: 'string' },
-                  fields: { 
-                    type: 'array', 
-                    items: { 
-                      type: 'object',
-                      properties: {
-                        name: { type: 'string' },
-                        type: { type: 'string' },
-                        label: { type: 'string' },
-                        required: { type: 'boolean' },
-                      }
-                    } 
-                  },
-                  submitText: { type: 'string' },
-                  onSubmit: { type: 'string', description: 'Callback function name' },
-                },
-              },
-            },
-          },
-        },
-        responses: { 200: { description: 'Form rendered' } },
-      },
-    },
-    '/api/agent/render/alert': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render alert component',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['message'],
-                properties: {
-                  message: { type: 'string' },
-                  type: { type: 'string', enum: ['info', 'success', 'warning', 'error'] },
-                  dismissible: { type: 'boolean', default: true },
-                },
-              },
-            },
-          },
-        },
-        responses: { 200: { description: 'Alert rendered' } },
-      },
-    },
-    '/api/agent/render/progress': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render progress component',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  label: { type: 'string' },
-                  value: { type: 'number', default: 0 },
-                  max: { type: 'number', default: 100 },
-                  showPercent: { type: 'boolean', default: true },
-                },
-              },
-            },
-          },
-        },
-        responses: { 200: { description: 'Progress rendered' } },
-      },
-    },
-    '/api/agent/render/list': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render list component',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['items'],
-                properties: {
-                  title: { type: 'string' },
-                  items: { type: 'array', items: { type: 'string' } },
-                  ordered: { type: 'boolean', default: false },
-                  selectable: { type: 'boolean', default: false },
-                },
-              },
-            },
-          },
-        },
-        responses: { 200: { description: 'List rendered' } },
-      },
-    },
-    '/api/agent/render/code': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render code component',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['code'],
-                properties: {
-                  title: { type: 'string' },
-                  code: { type: 'string' },
-                  language: { type: 'string', default: 'text' },
-                  showLineNumbers: { type: 'boolean', default: true },
-                },
-              },
-            },
-          },
-        },
-        responses: { 200: { description: 'Code rendered' } },
-      },
-    },
-    '/api/agent/render/wizard': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Render interactive wizard component',
-        description: 'Renders a multi-step wizard for complex workflows with progress tracking',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['id', 'steps'],
-                properties: {
-                  id: { type: 'string', description: 'Unique wizard ID' },
-                  title: { type: 'string', description: 'Wizard title' },
-                  steps: { 
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        title: { type: 'string' },
-                        description: { type: 'string' },
-                        fields: { type: 'array', items: { type: 'object' } },
-                        component: { type: 'object' },
-                        nextLabel: { type: 'string' },
-                        completeLabel: { type: 'string' },
-                      },
-                    },
-                    description: 'Array of wizard steps'
-                  },
-                  currentStep: { type: 'number', default: 0 },
-                  showProgress: { type: 'boolean', default: true },
-                  canGoBack: { type: 'boolean', default: true },
-                  onComplete: { type: 'string', description: 'Action on completion' },
-                  onCancel: { type: 'string', description: 'Action on cancel' },
-                },
-              },
-            },
-          },
-        },
-        responses: { 200: { description: 'Wizard rendered' } },
-      },
-    },
-    '/api/agent/render/clear': {
-      post: {
-        tags: ['Agent'],
-        summary: 'Clear workspace content',
-        description: 'Removes all rendered components from the Agent Workspace',
-        responses: { 200: { description: 'Workspace cleared' } },
-      },
-    },
-
-    // ============ MODEL ROUTER ============
-    '/api/model-router/select': {
-      post: {
-        tags: ['ModelRouter'],
-        summary: 'Select optimal model for task',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  message: { type: 'string' },
-                  taskType: { type: 'string' },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Selected model' },
-        },
-      },
-    },
-    '/api/model-router/profiles': {
-      get: {
-        tags: ['ModelRouter'],
-        summary: 'List model profiles',
-        responses: {
-          200: { description: 'Model profiles' },
-        },
-      },
-    },
-
-    // ============ BAMBISLEEP CHAT ============
-    '/api/bambisleep/triggers': {
-      get: {
-        tags: ['BambiSleepChat'],
-        summary: 'List BambiSleep triggers',
-        responses: {
-          200: { description: 'Trigger list by category' },
-        },
-      },
-    },
-    '/api/bambisleep/spiral': {
-      post: {
-        tags: ['BambiSleepChat'],
-        summary: 'Start spiral effect',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  duration: { type: 'integer' },
-                  intensity: { type: 'number' },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Spiral started' },
-        },
-      },
-    },
-
-    // ============ DOCS ============
-    '/api/docs': {
-      get: {
-        tags: ['Health'],
-        summary: 'List documentation files',
-        responses: {
-          200: { description: 'Documentation list' },
-        },
-      },
-    },
-    '/api/docs/{filename}': {
-      get: {
-        tags: ['Health'],
-        summary: 'Get documentation file',
-        parameters: [
-          { name: 'filename', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Documentation content' },
-          404: { description: 'Not found' },
-        },
-      },
-    },
-    '/api/openapi': {
-      get: {
-        tags: ['Health'],
-        summary: 'OpenAPI specification',
-        responses: {
-          200: { description: 'OpenAPI 3.0 spec' },
-        },
-      },
-    },
-
-    // ============ USER MODEL ============
-    '/api/user/preferences': {
-      get: {
-        tags: ['UserModel'],
-        summary: 'Get all user preferences',
-        parameters: [
-          { name: 'category', in: 'query', schema: { type: 'string' }, description: 'Filter by category' },
-        ],
-        responses: {
-          200: { description: 'User preferences by category' },
-        },
-      },
-    },
-    '/api/user/preferences/{category}/{key}': {
-      get: {
-        tags: ['UserModel'],
-        summary: 'Get a specific preference',
-        parameters: [
-          { name: 'category', in: 'path', required: true, schema: { type: 'string' } },
-          { name: 'key', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Preference value' },
-        },
-      },
-      put: {
-        tags: ['UserModel'],
-        summary: 'Set a preference',
-        parameters: [
-          { name: 'category', in: 'path', required: true, schema: { type: 'string' } },
-          { name: 'key', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  value: { description: 'Preference value' },
-                  source: { type: 'string', description: 'Source of preference' },
-                },
-                required: ['value'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Preference set' },
-        },
-      },
-    },
-    '/api/user/preferences/learn': {
-      post: {
-        tags: ['UserModel'],
-        summary: 'Learn a preference from observation',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  category: { type: 'string' },
-                  key: { type: 'string' },
-                  value: { description: 'Observed value' },
-                  confidence: { type: 'number', minimum: 0, maximum: 1 },
-                },
-                required: ['category', 'key', 'value'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Preference learned' },
-        },
-      },
-    },
-    '/api/user/profile': {
-      get: {
-        tags: ['UserModel'],
-        summary: 'Get user profile',
-        responses: {
-          200: { description: 'User profile data' },
-        },
-      },
-    },
-    '/api/user/profile/{field}': {
-      put: {
-        tags: ['UserModel'],
-        summary: 'Update profile field',
-        parameters: [
-          { name: 'field', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  value: { description: 'Field value' },
-                },
-                required: ['value'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Profile updated' },
-        },
-      },
-    },
-    '/api/user/patterns': {
-      get: {
-        tags: ['UserModel'],
-        summary: 'Get user patterns',
-        parameters: [
-          { name: 'minConfidence', in: 'query', schema: { type: 'number' }, description: 'Minimum confidence threshold' },
-        ],
-        responses: {
-          200: { description: 'User patterns' },
-        },
-      },
-      post: {
-        tags: ['UserModel'],
-        summary: 'Track a pattern occurrence',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  name: { type: 'string', description: 'Pattern name' },
-                  data: { type: 'object', description: 'Pattern context data' },
-                },
-                required: ['name'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Pattern tracked' },
-        },
-      },
-    },
-    '/api/user/patterns/detect': {
-      post: {
-        tags: ['UserModel'],
-        summary: 'Detect patterns in behavior data',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  code: { type: 'string', description: 'Code to analyze' },
-                  message: { type: 'string', description: 'Message to analyze' },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Detected patterns' },
-        },
-      },
-    },
-    '/api/user/expertise/{domain}': {
-      get: {
-        tags: ['UserModel'],
-        summary: 'Get expertise level for domain',
-        parameters: [
-          { name: 'domain', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Expertise data' },
-        },
-      },
-      put: {
-        tags: ['UserModel'],
-        summary: 'Update expertise level',
-        parameters: [
-          { name: 'domain', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  level: { type: 'string', enum: ['beginner', 'intermediate', 'advanced', 'expert'] },
-                  confidence: { type: 'number', minimum: 0, maximum: 1 },
-                },
-                required: ['level'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Expertise updated' },
-        },
-      },
-    },
-
-    // ============ CONVERSATION ============
-    '/api/conversation/session': {
-      get: {
-        tags: ['Conversation'],
-        summary: 'Get current session',
-        responses: {
-          200: { description: 'Current session data' },
-        },
-      },
-      post: {
-        tags: ['Conversation'],
-        summary: 'Start new session',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  topic: { type: 'string' },
-                  metadata: { type: 'object' },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Session started' },
-        },
-      },
-      delete: {
-        tags: ['Conversation'],
-        summary: 'End current session',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  summary: { type: 'string' },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Session ended' },
-        },
-      },
-    },
-    '/api/conversation/session/{sessionId}': {
-      get: {
-        tags: ['Conversation'],
-        summary: 'Get session by ID',
-        parameters: [
-          { name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Session data' },
-          404: { description: 'Session not found' },
-        },
-      },
-    },
-    '/api/conversation/sessions': {
-      get: {
-        tags: ['Conversation'],
-        summary: 'List sessions',
-        parameters: [
-          { name: 'status', in: 'query', schema: { type: 'string' } },
-          { name: 'limit', in: 'query', schema: { type: 'integer' } },
-        ],
-        responses: {
-          200: { description: 'Session list' },
-        },
-      },
-    },
-    '/api/conversation/messages': {
-      get: {
-        tags: ['Conversation'],
-        summary: 'Get message buffer',
-        responses: {
-          200: { description: 'Current message buffer' },
-        },
-      },
-      post: {
-        tags: ['Conversation'],
-        summary: 'Add message to session',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  role: { type: 'string', enum: ['user', 'assistant', 'system'] },
-                  content: { type: 'string' },
-                  metadata: { type: 'object' },
-                },
-                required: ['role', 'content'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Message added' },
-        },
-      },
-    },
-    '/api/conversation/context': {
-      get: {
-        tags: ['Conversation'],
-        summary: 'Get current context',
-        responses: {
-          200: { description: 'Conversation context' },
-        },
-      },
-      put: {
-        tags: ['Conversation'],
-        summary: 'Update context',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  key: { type: 'string' },
-                  value: { description: 'Context value' },
-                },
-                required: ['key', 'value'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Context updated' },
-        },
-      },
-      delete: {
-        tags: ['Conversation'],
-        summary: 'Reset context',
-        responses: {
-          200: { description: 'Context reset' },
-        },
-      },
-    },
-    '/api/conversation/topics': {
-      get: {
-        tags: ['Conversation'],
-        summary: 'Get active topics',
-        responses: {
-          200: { description: 'Active topics list' },
-        },
-      },
-    },
-    '/api/conversation/tasks': {
-      get: {
-        tags: ['Conversation'],
-        summary: 'Get pending tasks',
-        responses: {
-          200: { description: 'Pending tasks list' },
-        },
-      },
-      post: {
-        tags: ['Conversation'],
-        summary: 'Add pending task',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  task: { type: 'string' },
-                  priority: { type: 'string', enum: ['low', 'medium', 'high'] },
-                },
-                required: ['task'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Task added' },
-        },
-      },
-      delete: {
-        tags: ['Conversation'],
-        summary: 'Complete a task',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  task: { type: 'string' },
-                },
-                required: ['task'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Task completed' },
-        },
-      },
-    },
-    '/api/conversation/summarize': {
-      post: {
-        tags: ['Conversation'],
-        summary: 'Summarize session',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  sessionId: { type: 'string' },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Session summary' },
-        },
-      },
-    },
-    '/api/conversation/search': {
-      get: {
-        tags: ['Conversation'],
-        summary: 'Search conversation history',
-        parameters: [
-          { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
-          { name: 'limit', in: 'query', schema: { type: 'integer' } },
-        ],
-        responses: {
-          200: { description: 'Search results' },
-        },
-      },
-    },
-
-    // ============ WORKSPACE ============
-    '/api/workspace/project': {
-      post: {
-        tags: ['Workspace'],
-        summary: 'Analyze/register project',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  path: { type: 'string', description: 'Project root path' },
-                  analysis: { type: 'object', description: 'Pre-computed analysis' },
-                },
-                required: ['path'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Project registered' },
-        },
-      },
-    },
-    '/api/workspace/project/{name}': {
-      get: {
-        tags: ['Workspace'],
-        summary: 'Get project details',
-        parameters: [
-          { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Project data' },
-          404: { description: 'Project not found' },
-        },
-      },
-      put: {
-        tags: ['Workspace'],
-        summary: 'Update project',
-        parameters: [
-          { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: { type: 'object' },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Project updated' },
-        },
-      },
-    },
-    '/api/workspace/projects': {
-      get: {
-        tags: ['Workspace'],
-        summary: 'List all projects',
-        responses: {
-          200: { description: 'Project list' },
-        },
-      },
-    },
-    '/api/workspace/project/{name}/conventions': {
-      get: {
-        tags: ['Workspace'],
-        summary: 'Get project conventions',
-        parameters: [
-          { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Project conventions' },
-        },
-      },
-    },
-    '/api/workspace/file': {
-      post: {
-        tags: ['Workspace'],
-        summary: 'Learn about a file',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  path: { type: 'string' },
-                  analysis: {
-                    type: 'object',
-                    properties: {
-                      purpose: { type: 'string' },
-                      exports: { type: 'array', items: { type: 'string' } },
-                      imports: { type: 'array', items: { type: 'string' } },
-                    },
-                  },
-                },
-                required: ['path', 'analysis'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'File knowledge stored' },
-        },
-      },
-    },
-    '/api/workspace/file/{path}': {
-      get: {
-        tags: ['Workspace'],
-        summary: 'Get file knowledge',
-        parameters: [
-          { name: 'path', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'File knowledge' },
-          404: { description: 'File not found' },
-        },
-      },
-    },
-    '/api/workspace/files/purpose/{purpose}': {
-      get: {
-        tags: ['Workspace'],
-        summary: 'Find files by purpose',
-        parameters: [
-          { name: 'purpose', in: 'path', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Matching files' },
-        },
-      },
-    },
-    '/api/workspace/pattern': {
-      post: {
-        tags: ['Workspace'],
-        summary: 'Learn a code pattern',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  name: { type: 'string' },
-                  examples: { type: 'array', items: { type: 'string' } },
-                  project: { type: 'string' },
-                },
-                required: ['name', 'examples'],
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Pattern learned' },
-        },
-      },
-    },
-    '/api/workspace/patterns': {
-      get: {
-        tags: ['Workspace'],
-        summary: 'List all patterns',
-        parameters: [
-          { name: 'project', in: 'query', schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Pattern list' },
-        },
-      },
-    },
-
-    // ============ MEMORY MANAGER ============
-    '/api/memory-manager/stats': {
-      get: {
-        tags: ['MemoryManager'],
-        summary: 'Get memory statistics',
-        responses: {
-          200: {
-            description: 'Memory stats',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    totalEntities: { type: 'integer' },
-                    totalRelations: { type: 'integer' },
-                    byType: { type: 'object' },
-                    lastDecay: { type: 'string', format: 'date-time' },
-                    lastSync: { type: 'string', format: 'date-time' },
-                  },
-                },
-              },
-            },
-          },
-        },
-      },
-    },
-    '/api/memory-manager/search': {
-      get: {
-        tags: ['MemoryManager'],
-        summary: 'Search memory',
-        parameters: [
-          { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
-          { name: 'entityType', in: 'query', schema: { type: 'string' } },
-          { name: 'minConfidence', in: 'query', schema: { type: 'number' } },
-          { name: 'maxConfidence', in: 'query', schema: { type: 'number' } },
-          { name: 'limit', in: 'query', schema: { type: 'integer' } },
-        ],
-        responses: {
-          200: { description: 'Search results' },
-        },
-      },
-    },
-    '/api/memory-manager/search/type/{entityType}': {
-      get: {
-        tags: ['MemoryManager'],
-        summary: 'Search by entity type',
-        parameters: [
-          { name: 'entityType', in: 'path', required: true, schema: { type: 'string' } },
-          { name: 'query', in: 'query', schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Entities of type' },
-        },
-      },
-    },
-    '/api/memory-manager/search/time': {
-      get: {
-        tags: ['MemoryManager'],
-        summary: 'Search by time range',
-        parameters: [
-          { name: 'start', in: 'query', required: true, schema: { type: 'string', format: 'date-time' } },
-          { name: 'end', in: 'query', required: true, schema: { type: 'string', format: 'date-time' } },
-        ],
-        responses: {
-          200: { description: 'Entities in time range' },
-        },
-      },
-    },
-    '/api/memory-manager/related/{entityName}': {
-      get: {
-        tags: ['MemoryManager'],
-        summary: 'Get related entities',
-        parameters: [
-          { name: 'entityName', in: 'path', required: true, schema: { type: 'string' } },
-          { name: 'depth', in: 'query', schema: { type: 'integer', default: 1 } },
-        ],
-        responses: {
-          200: { description: 'Related entities' },
-        },
-      },
-    },
-    '/api/memory-manager/decay': {
-      post: {
-        tags: ['MemoryManager'],
-        summary: 'Apply confidence decay',
-        responses: {
-          200: { description: 'Decay applied' },
-        },
-      },
-    },
-    '/api/memory-manager/cleanup': {
-      post: {
-        tags: ['MemoryManager'],
-        summary: 'Cleanup low-confidence entities',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  threshold: { type: 'number', default: 0.1 },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Cleanup complete' },
-        },
-      },
-    },
-    '/api/memory-manager/archive': {
-      post: {
-        tags: ['MemoryManager'],
-        summary: 'Archive old entities to MongoDB',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  olderThanDays: { type: 'integer', default: 90 },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Archive complete' },
-        },
-      },
-    },
-    '/api/memory-manager/sync/mongodb': {
-      post: {
-        tags: ['MemoryManager'],
-        summary: 'Sync to MongoDB',
-        responses: {
-          200: { description: 'Sync complete' },
-        },
-      },
-      get: {
-        tags: ['MemoryManager'],
-        summary: 'Load from MongoDB',
-        responses: {
-          200: { description: 'Loaded from MongoDB' },
-        },
-      },
-    },
-    '/api/memory-manager/sync/file': {
-      post: {
-        tags: ['MemoryManager'],
-        summary: 'Save to file',
-        requestBody: {
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  path: { type: 'string' },
-                },
-              },
-            },
-          },
-        },
-        responses: {
-          200: { description: 'Saved to file' },
-        },
-      },
-      get: {
-        tags: ['MemoryManager'],
-        summary: 'Load from file',
-        parameters: [
-          { name: 'path', in: 'query', required: true, schema: { type: 'string' } },
-        ],
-        responses: {
-          200: { description: 'Loaded from file' },
-        },
-      },
-    },
-  },
-  components: {
-    schemas: {
-      Server: {
-        type: 'object',
-        properties: {
-          name: { type: 'string' },
-          status: { type: 'string', enum: ['running', 'stopped', 'error'] },
-          type: { type: 'string', enum: ['mcp', 'integrated'] },
-          description: { type: 'string' },
-          pid: { type: 'integer' },
-          startedAt: { type: 'string', format: 'date-time' },
-        },
-      },
-      ServerStats: {
-        type: 'object',
-        properties: {
-          total: { type: 'integer' },
-          running: { type: 'integer' },
-          stopped: { type: 'integer' },
-          errors: { type: 'integer' },
-          integrated: { type: 'integer' },
-        },
-      },
-      KnowledgeGraph: {
-        type: 'object',
-        properties: {
-          entities: {
-            type: 'array',
-            items: { $ref: '#/components/schemas/Entity' },
-          },
-          relations: {
-            type: 'array',
-            items: { $ref: '#/components/schemas/Relation' },
-          },
-        },
-      },
-      Entity: {
-        type: 'object',
-        properties: {
-          name: { type: 'string' },
-          entityType: { type: 'string' },
-          observations: {
-            type: 'array',
-            items: { type: 'string' },
-          },
-        },
-        required: ['name', 'entityType'],
-      },
-      Relation: {
-        type: 'object',
-        properties: {
-          from: { type: 'string' },
-          to: { type: 'string' },
-          relationType: { type: 'string' },
-        },
-        required: ['from', 'to', 'relationType'],
-      },
-      Tool: {
-        type: 'object',
-        properties: {
-          name: { type: 'string' },
-          description: { type: 'string' },
-          category: { type: 'string' },
-          parameters: { type: 'object' },
-        },
-      },
-    },
-    securitySchemes: {
-      bearerAuth: {
-        type: 'http',
-        scheme: 'bearer',
-      },
-      apiKey: {
-        type: 'apiKey',
-        in: 'header',
-        name: 'X-API-Key',
-      },
-    },
-  },
-};
+  for (const key of Object.keys(operation)) {
+    const value = operation[key];
+    if (value === undefined || (key === 'parameters' && value.length === 0)) delete operation[key];
+  }
+  return operation;
+}
 
 /**
  * Get OpenAPI specification as JSON
+ * @param {Array<Object>} routes - Route table the paths are generated from
+ * @returns {Object} OpenAPI document
  */
-export function getOpenApiSpec() {
-  return openApiSpec;
+export function getOpenApiSpec(routes = []) {
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: buildOperation(route) };
+  }
+  return { ...openApiDocument, paths, components: openApiComponents };
 }
 
 /**
@@ -0,0 +1,522 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Router - Declarative route table with request validation
+ *
+ * Routes are plain objects: a `method`, a `path` pattern whose `:name`
+ * segments become `params`, optional JSON Schemas for `params`, `query`
+ * and `body`, the API key `scope` it requires (`read` by default; `auth:
+ * false` makes it public) and a `handler`. Requests are authenticated and
+ * validated before the handler runs, and the same table generates the
+ * OpenAPI document (see openapi.js). Requests that change state, and routes
+ * declaring `audit: true`, are recorded in the audit log, rejected ones
+ * included, and are handled once per `Idempotency-Key` (see idempotency.js).
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { describeActor, httpOutcome, runAsActor } from './audit.js';
+import { runAsPrincipal } from './auth.js';
+import { MAX_IDEMPOTENCY_KEY_LENGTH, runWithIdempotencyKey } from './idempotency.js';
+
+const logger = createLogger('router');
+
+/**
+ * Methods whose requests carry a body
+ */
+const BODY_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Methods that do not change state, audited only when a route asks for it
+ * and never deduplicated by `Idempotency-Key`
+ */
+const SAFE_METHODS = new Set(['GET', 'HEAD']);
+
+/**
+ * Compile a path pattern to a regular expression
+ * `:name` matches one segment, `:name*` the rest of the path.
+ * @param {string} pattern - Path pattern (e.g. '/api/servers/:name')
+ * @returns {{regex: RegExp, keys: string[]}} Matcher and parameter names
+ */
+export function compilePath(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      const param = segment.match(/^:(\w+)(\*)?$/);
+      if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      keys.push(param[1]);
+      return param[2] ? '(.+)' : '([^/]+)';
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}$`), keys };
+}
+
+/**
+ * Join a field path with a property name or array index
+ */
+function fieldPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Check a value against a JSON Schema type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the subset used by the route table: type (with OpenAPI
+ * `nullable`), enum, string length, pattern and `date-time` format,
+ * numeric bounds, items, properties, required, additionalProperties,
+ * oneOf/anyOf (any branch may match) and `#/components/schemas/` references.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.field=''] - Path of the value, used in error entries
+ * @param {Object} [options.schemas={}] - Schemas `$ref`s resolve against
+ * @returns {Array<{field: string, message: string}>} Errors, empty when valid
+ */
+export function validateSchema(schema, value, { field = '', schemas = {} } = {}) {
+  if (!schema) return [];
+
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return validateSchema(schemas[name], value, { field, schemas });
+  }
+
+  const fail = (message) => [{ field, message }];
+
+  if (value === null && schema.nullable) return [];
+
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (alternatives) {
+    const matches = alternatives.some((branch) =>
+      validateSchema(branch, value, { field, schemas }).length === 0);
+    if (!matches) return fail('does not match any allowed schema');
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      const article = /^[aeiou]/.test(types[0]) ? 'an' : 'a';
+      return fail(`must be ${article} ${types.join(' or ')}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail(`must match pattern ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      return fail('must be a date-time');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  const errors = [];
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, { field: fieldPath(field, index), schemas }));
+      });
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: fieldPath(field, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const path = fieldPath(field, key);
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, { field: path, schemas }));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: path, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, { field: path, schemas }));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a query string value to the type its schema declares
+ * Values that do not convert cleanly are left as strings for validation to reject.
+ */
+function coerceQueryValue(schema = {}, value) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Read query parameters, typed according to a query schema
+ * Parameters declared as arrays collect repeated values.
+ * @param {URLSearchParams} searchParams - Request query
+ * @param {Object} [schema] - Object schema of the query
+ * @returns {Object} Query parameters
+ */
+export function parseQuery(searchParams, schema) {
+  const properties = schema?.properties || {};
+  const query = {};
+
+  for (const key of new Set(searchParams.keys())) {
+    const property = properties[key];
+    query[key] = property?.type === 'array'
+      ? searchParams.getAll(key).map((value) => coerceQueryValue(property.items, value))
+      : coerceQueryValue(property, searchParams.get(key));
+  }
+
+  return query;
+}
+
+/**
+ * Router
+ * Matches requests against a route table, validates them and runs the handler
+ */
+export class Router {
+  #routes = [];
+
+  /**
+   * @param {Array<Object>} [routes=[]] - Route definitions
+   * @param {Object} [options] - Router options
+   * @param {Object} [options.schemas={}] - Component schemas `$ref`s resolve against
+   * @param {Function} options.parseBody - Reads the request body: `(req, route) => Promise<{ body, raw }>`;
+   *   rejects with an error carrying `status` (and optional `details`, `headers`) for bad bodies
+   * @param {Function} options.send - Sends a JSON response: `(res, data, status, headers) => void`
+   * @param {Function} [options.authenticate] - Finds the principal of a request:
+   *   `(req) => { scopes } | null`; requests are not authenticated when omitted
+   * @param {Object} [options.audit] - Audit log (see AuditLog) audited requests are recorded in
+   * @param {Object} [options.idempotency] - Store (see IdempotencyStore) replaying responses to
+   *   requests retried with an `Idempotency-Key`; the header is ignored when omitted
+   */
+  constructor(routes = [], { schemas = {}, parseBody, send, authenticate = null, audit = null, idempotency = null } = {}) {
+    this.schemas = schemas;
+    this.parseBody = parseBody;
+    this.send = send;
+    this.authenticate = authenticate;
+    this.audit = audit;
+    this.idempotency = idempotency;
+    routes.forEach((route) => this.add(route));
+  }
+
+  /**
+   * Route definitions in registration order
+   */
+  get routes() {
+    return this.#routes.map(({ route }) => route);
+  }
+
+  /**
+   * Register a route
+   * @param {Object} route - Route definition
+   * @param {string} route.method - HTTP method
+   * @param {string} route.path - Path pattern; `:name` segments become params
+   * @param {Function} route.handler - `({ req, res, url, params, query, body, rawBody, auth }) => void`
+   * @param {string} [route.scope='read'] - API key scope the route requires
+   * @param {boolean} [route.auth=true] - False for public routes
+   * @param {Object} [route.params] - Object schema of the path parameters
+   * @param {Object} [route.query] - Object schema of the query parameters
+   * @param {Object} [route.body] - Schema of the body
+   * @param {string[]} [route.contentTypes] - Accepted body content types (JSON when omitted)
+   * @param {number} [route.bodyLimit] - Maximum body size in bytes (API_BODY_LIMIT when omitted)
+   * @param {boolean} [route.audit] - Whether requests are audited (all but GET and HEAD when omitted)
+   * @param {boolean} [route.idempotency] - False for routes whose responses cannot be replayed (streams);
+   *   public routes never honor `Idempotency-Key`
+   */
+  add(route) {
+    if (!route.method || !route.path || typeof route.handler !== 'function') {
+      throw new Error(`Invalid route ${route.method} ${route.path}: method, path and handler are required`);
+    }
+    this.#routes.push({ route, ...compilePath(route.path) });
+  }
+
+  /**
+   * Methods registered for a path
+   * @param {string} path - Request path
+   * @returns {string[]} Methods in registration order, empty for unknown paths
+   */
+  methodsFor(path) {
+    const methods = this.#routes.filter(({ regex }) => regex.test(path)).map(({ route }) => route.method);
+    return [...new Set(methods)];
+  }
+
+  /**
+   * Route template of a path, for metric labels
+   * @param {string} path - Request path
+   * @returns {string|null} Path pattern of the first matching route
+   */
+  templateFor(path) {
+    return this.#routes.find(({ regex }) => regex.test(path))?.route.path ?? null;
+  }
+
+  /**
+   * Find the route for a request
+   * Routes are tried in registration order.
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {Object|null} `{ route, params }`, `{ allow }` (methods of a known
+   *   path when none matches) or null for unknown paths
+   */
+  match(method, path) {
+    const allow = new Set();
+
+    for (const { route, regex, keys } of this.#routes) {
+      const match = path.match(regex);
+      if (!match) continue;
+
+      if (route.method !== method) {
+        allow.add(route.method);
+        continue;
+      }
+
+      const params = {};
+      keys.forEach((key, index) => {
+        params[key] = match[index + 1];
+      });
+      return { route, params };
+    }
+
+    return allow.size > 0 ? { allow: [...allow] } : null;
+  }
+
+  /**
+   * Authenticate a request and check it holds a scope
+   * Sends 401 when no valid key was presented and 403 when the key lacks
+   * the scope.
+   * @param {IncomingMessage} req - Request
+   * @param {ServerResponse} res - Response
+   * @param {string} scope - Required scope
+   * @returns {Object|null} Principal, or null when a response was sent
+   */
+  authorize(req, res, scope) {
+    if (!this.authenticate) return {};
+
+    const principal = this.authenticate(req);
+    if (!principal) {
+      this.send(res, { error: 'Authentication required' }, 401, { 'WWW-Authenticate': 'Bearer' });
+      return null;
+    }
+    if (!principal.scopes.includes(scope)) {
+      this.send(res, { error: `API key lacks the "${scope}" scope`, scope }, 403);
+      return null;
+    }
+    return principal;
+  }
+
+  /**
+   * Handle a request
+   * Sends 405 with `Allow` for known paths, 401/403 for requests without a
+   * key holding the route's scope, the status of the body error for bodies
+   * that cannot be read (400, 413, 415), 400 with field-level errors for
+   * invalid requests and 409 for `Idempotency-Key`s in use by another
+   * request. Handlers run on behalf of the request's actor.
+   * @param {IncomingMessage} req - Request
+   * @param {ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   * @returns {Promise<boolean>} False when no route has the path
+   */
+  async handle(req, res, url) {
+    const found = this.match(req.method, url.pathname);
+    if (!found) return false;
+
+    if (found.allow) {
+      this.send(res, { error: 'Method not allowed' }, 405, { Allow: found.allow.join(', ') });
+      return true;
+    }
+
+    const { route } = found;
+    const audited = { params: found.params, query: undefined, body: undefined, auth: null };
+    if (this.audit && (route.audit ?? !SAFE_METHODS.has(req.method))) {
+      this.#auditOnClose(req, res, url, route, audited);
+    }
+
+    let auth = null;
+    if (route.auth !== false) {
+      auth = this.authorize(req, res, route.scope || 'read');
+      if (!auth) return true;
+    }
+    audited.auth = auth;
+
+    const errors = [];
+
+    const params = {};
+    for (const [key, value] of Object.entries(found.params)) {
+      try {
+        params[key] = decodeURIComponent(value);
+      } catch {
+        errors.push({ field: key, in: 'path', message: 'is not valid URI encoding' });
+      }
+    }
+
+    const query = parseQuery(url.searchParams, route.query);
+    audited.query = query;
+
+    // Public routes have no caller to keep replays apart, so keys are ignored there
+    const idempotencyKey = this.idempotency?.enabled && route.auth !== false && route.idempotency !== false && !SAFE_METHODS.has(req.method)
+      ? req.headers['idempotency-key'] ?? null
+      : null;
+    if (idempotencyKey !== null && (idempotencyKey === '' || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      const message = idempotencyKey === '' ? 'must not be empty' : `must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`;
+      errors.push({ field: 'Idempotency-Key', in: 'header', message });
+    }
+
+    let body;
+    let rawBody;
+    if (BODY_METHODS.has(req.method)) {
+      try {
+        ({ body, raw: rawBody } = await this.parseBody(req, route));
+        audited.body = body;
+      } catch (error) {
+        this.send(res, { error: error.message, ...error.details }, error.status || 400, error.headers);
+        return true;
+      }
+    }
+
+    for (const [location, schema, value] of [
+      ['path', route.params, params],
+      ['query', route.query, query],
+      ['body', route.body, body],
+    ]) {
+      for (const error of validateSchema(schema, value, { schemas: this.schemas })) {
+        errors.push({ field: error.field || location, in: location, message: error.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      this.send(res, { error: 'Validation failed', details: errors }, 400);
+      return true;
+    }
+
+    const owner = auth?.id ?? 'anonymous';
+    const request = { owner, key: idempotencyKey, method: req.method, url, rawBody, contentType: req.headers['content-type'] };
+    if (idempotencyKey && !this.#claimIdempotencyKey(res, request, audited)) {
+      return true;
+    }
+
+    const run = () => runAsActor(describeActor(req, auth), () => runAsPrincipal(auth, () =>
+      route.handler({ req, res, url, params, query, body, rawBody, auth })));
+
+    try {
+      await (idempotencyKey ? runWithIdempotencyKey({ owner, key: idempotencyKey }, run) : run());
+    } catch (error) {
+      audited.error = error.message;
+      logger.error(`${route.method} ${route.path} failed:`, error.message);
+      if (!res.headersSent) {
+        this.send(res, { error: error.message }, 500);
+      } else {
+        res.end();
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Claim an idempotency key for a request about to be handled
+   * Replays the stored response of a retry and sends 409 for a key used by
+   * a different request or by one still running.
+   * @private
+   * @returns {boolean} True when the handler should run
+   */
+  #claimIdempotencyKey(res, { owner, key, method, url, rawBody, contentType }, audited) {
+    const claim = this.idempotency.begin({ owner, key, method, path: `${url.pathname}${url.search}`, body: rawBody, contentType });
+
+    switch (claim.state) {
+      case 'started':
+        this.idempotency.capture(claim.id, res);
+        return true;
+      case 'replay': {
+        const { status, headers, body } = claim.response;
+        audited.replayed = true;
+        res.writeHead(status, { ...headers, 'Idempotent-Replayed': 'true' });
+        res.end(body);
+        return false;
+      }
+      case 'mismatch':
+        this.send(res, { error: 'Idempotency-Key was already used for a different request' }, 409);
+        return false;
+      default:
+        this.send(res, { error: 'A request with this Idempotency-Key is still being handled' }, 409, { 'Retry-After': '1' });
+        return false;
+    }
+  }
+
+  /**
+   * Record a request in the audit log once its response closes
+   * `audited` is filled in as the request is handled, so requests rejected
+   * before the handler are recorded with what was known.
+   * @private
+   */
+  #auditOnClose(req, res, url, route, audited) {
+    const started = performance.now();
+    res.once('close', () => {
+      const principal = audited.auth ?? this.authenticate?.(req) ?? null;
+      this.audit.record({
+        kind: 'http',
+        action: `${route.method} ${route.path}`,
+        actor: describeActor(req, principal),
+        path: url.pathname,
+        params: audited.params,
+        query: audited.query,
+        body: audited.body,
+        status: res.statusCode,
+        error: audited.error,
+        replayed: audited.replayed,
+        outcome: httpOutcome(res.statusCode, res.writableFinished),
+        durationMs: performance.now() - started,
+      });
+    });
+  }
+}
+
+export default Router;
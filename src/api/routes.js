@@ -7,14 +7,15 @@ import { readdir, readFile } from 'fs/promises';
 import { createServer } from 'http';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
-import { AGENT_TOOLS, createAgentToolExecutor, formatToolsForOpenAI, getCoreTools, getToolByName, getToolsByCategory, TOOL_CATEGORIES } from '../servers/agent-tools.js';
+import { canUseTool, createAgentToolExecutor, formatToolsForOpenAI, getAllTools, getCoreTools, getToolByName, getToolsByCategory, TOOL_CATEGORIES } from '../servers/agent-tools.js';
 import { agentHandlers } from '../servers/agent.js';
 import { bambisleepChatHandlers } from '../servers/bambisleep-chat.js';
 import { clarityHandlers } from '../servers/clarity.js';
 import { fetchHandlers } from '../servers/fetch.js';
 import { githubHandlers } from '../servers/github.js';
 import { huggingfaceHandlers } from '../servers/huggingface.js';
-import { registry } from '../servers/index.js';
+import { describeServer, registry, validateServerConfig } from '../servers/index.js';
+import { createGatewayExecutor, createMcpHttpHandler, JsonRpcErrorCode, McpGateway } from '../servers/mcp-gateway.js';
 import { lmstudioHandlers } from '../servers/lmstudio.js';
 import { conversationHandlers } from '../servers/memory/conversation.js';
 import { memoryHandlers } from '../servers/memory/graph.js';
@@ -29,12 +30,21 @@ import { thinkingHandlers } from '../servers/sequential-thinking.js';
 import { sqliteHandlers } from '../servers/sqlite.js';
 import { storageHandlers } from '../servers/storage.js';
 import { stripeHandlers } from '../servers/stripe.js';
-import { getConfig } from '../utils/config.js';
+import { getConfig, getRedactedConfig, readMcpServerConfig, writeMcpServer } from '../utils/config.js';
 import { createLogger } from '../utils/logger.js';
 import { createRateLimiter, getRateLimitStats } from '../utils/rate-limit.js';
-import { formatPrometheusMetrics, getMetricsJson } from './metrics.js';
-import { generateApiDocsHtml, getOpenApiSpec } from './openapi.js';
-import { createWebSocketServer, getWebSocketStats } from './websocket.js';
+import { shutdownCoordinator } from '../utils/shutdown.js';
+import { runInSpan, SpanKind, startSpan } from '../utils/trace.js';
+import { formatPrometheusMetrics, getMetricsJson, recordHttpRequest, watchServerProbes } from './metrics.js';
+import { auditLog, describeActor, runAsActor } from './audit.js';
+import { API_SCOPES, ApiKeyStore, readApiKey, runAsPrincipal } from './auth.js';
+import { JSON_TYPE, MULTIPART_TYPE, parseBody as parseRequestBody } from './body.js';
+import { CorsPolicy } from './cors.js';
+import { idempotencyStore } from './idempotency.js';
+import { generateApiDocsHtml, getOpenApiSpec, openApiComponents } from './openapi.js';
+import { Router } from './router.js';
+import { streamEvents } from './sse.js';
+import { createWebSocketServer, disconnectApiKey, getWebSocketStats } from './websocket.js';
 
 const logger = createLogger('api');
 const config = getConfig();
@@ -42,6 +52,33 @@ const config = getConfig();
 // WebSocket server instance (initialized in createApiServer)
 let wss = null;
 
+// MCP gateway endpoint handler (initialized in createApiServer)
+let mcpHttpHandler = null;
+
+// API keys; every route except /api/health requires one unless API_AUTH=false
+const apiKeys = new ApiKeyStore({
+  path: config.security.apiKeysPath,
+  rootKey: config.security.apiSecretKey,
+  required: config.security.authRequired,
+});
+
+/**
+ * Find the principal of a request, or null without a valid key
+ */
+function authenticate(req) {
+  return apiKeys.authenticate(readApiKey(req, { allowQuery: req.url.startsWith('/ws') }));
+}
+
+// Cross-origin policy from CORS_ORIGINS, shared with the WebSocket upgrade
+const cors = new CorsPolicy({
+  origins: config.security.corsOrigins,
+  credentials: config.security.corsCredentials,
+  maxAge: config.security.corsMaxAge,
+});
+
+// Methods of the MCP gateway endpoint (Streamable HTTP)
+const MCP_METHODS = ['GET', 'POST', 'DELETE'];
+
 // Initialize rate limiter
 const rateLimit = createRateLimiter({
   windowMs: config.rateLimit.windowMs,
@@ -50,2914 +87,5574 @@ const rateLimit = createRateLimiter({
 });
 
 /**
- * Parse JSON body from request
+ * Read the body of a request
+ * Routes accept JSON up to API_BODY_LIMIT unless they declare `contentTypes`
+ * or `bodyLimit`; rejects with a 400/413/415 error for bodies that do not fit.
+ * @param {IncomingMessage} req - Request
+ * @param {Object} [route] - Route definition
+ * @returns {Promise<{body: *, raw: Buffer}>} Parsed body and raw bytes
  */
-async function parseBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', (chunk) => (body += chunk));
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch {
-        resolve({});
-      }
-    });
+function parseBody(req, route = {}) {
+  return parseRequestBody(req, {
+    limit: route.bodyLimit ?? config.api.bodyLimit,
+    types: route.contentTypes,
   });
 }
 
+/**
+ * Response of streaming routes in the route table
+ */
+const EVENT_STREAM_RESPONSE = {
+  description: 'Server-Sent Events',
+  content: { 'text/event-stream': { schema: { type: 'string' } } },
+};
+
 /**
  * Send JSON response
  */
-function json(res, data, status = 200) {
+function json(res, data, status = 200, headers = {}) {
   res.writeHead(status, {
     'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    ...headers,
   });
   res.end(JSON.stringify(data));
 }
 
 /**
- * Route handler
+ * Get the MCP client of a running server, or send an error response
+ * @param {ServerResponse} res - Response used for errors
+ * @param {string} name - Server name
+ * @param {string} capability - Required server capability (e.g. 'resources')
+ * @returns {McpToolClient|null} Client, or null when a response was sent
  */
-async function handleRequest(req, res) {
-  // Apply rate limiting
-  if (!rateLimit(req, res)) {
-    return; // Rate limited, response already sent
-  }
-
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const path = url.pathname;
-  const method = req.method;
-
-  logger.debug(`${method} ${path}`);
-
-  // Handle CORS preflight
-  if (method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    });
-    return res.end();
-  }
-
-  // Health check
-  if (path === '/api/health' && method === 'GET') {
-    return json(res, { 
-      status: 'ok', 
-      timestamp: new Date().toISOString(),
-      version: '1.0.0',
-      env: config.env.nodeEnv,
-    });
-  }
-
-  // ============ METRICS & DOCS ROUTES ============
-
-  // Prometheus metrics endpoint
-  if (path === '/api/metrics' && method === 'GET') {
-    res.writeHead(200, {
-      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
-      'Access-Control-Allow-Origin': '*',
-    });
-    return res.end(formatPrometheusMetrics());
-  }
-
-  // Metrics JSON endpoint (internal)
-  if (path === '/api/metrics/json' && method === 'GET') {
-    return json(res, getMetricsJson());
-  }
-
-  // OpenAPI specification
-  if (path === '/api/openapi' && method === 'GET') {
-    return json(res, getOpenApiSpec());
+function getServerClient(res, name, capability) {
+  const server = registry.get(name);
+  if (!server) {
+    json(res, { error: 'Server not found' }, 404);
+    return null;
   }
 
-  // OpenAPI YAML
-  if (path === '/api/openapi.yaml' && method === 'GET') {
-    // Simple JSON to YAML conversion (basic)
-    res.writeHead(200, {
-      'Content-Type': 'text/yaml; charset=utf-8',
-      'Access-Control-Allow-Origin': '*',
-    });
-    return res.end(JSON.stringify(getOpenApiSpec(), null, 2));
+  const client = registry.getClient(name);
+  if (!client) {
+    json(res, { error: `Server not running: ${name}` }, 409);
+    return null;
   }
 
-  // API documentation HTML (Swagger UI)
-  if ((path === '/api/docs/ui' || path === '/docs') && method === 'GET') {
-    res.writeHead(200, {
-      'Content-Type': 'text/html; charset=utf-8',
-      'Access-Control-Allow-Origin': '*',
-    });
-    return res.end(generateApiDocsHtml());
+  if (!server.capabilities?.[capability]) {
+    json(res, { error: `Server ${name} does not support ${capability}` }, 400);
+    return null;
   }
 
-  // Rate limit stats
-  if (path === '/api/stats/rate-limit' && method === 'GET') {
-    return json(res, getRateLimitStats());
-  }
+  return client;
+}
 
-  // WebSocket stats
-  if (path === '/api/stats/websocket' && method === 'GET') {
-    return json(res, getWebSocketStats());
+/**
+ * Subscribe to or unsubscribe from updates of a server resource
+ * @param {ServerResponse} res - Response
+ * @param {string} name - Server name
+ * @param {string} uri - Resource URI
+ * @param {boolean} subscribed - True to subscribe, false to unsubscribe
+ */
+async function setResourceSubscription(res, name, uri, subscribed) {
+  const client = getServerClient(res, name, 'resources');
+  if (!client) return;
+  if (subscribed && !registry.get(name).capabilities.resources.subscribe) {
+    return json(res, { error: `Server ${name} does not support resource subscriptions` }, 400);
+  }
+  try {
+    if (subscribed) {
+      await client.subscribeResource(uri);
+    } else {
+      await client.unsubscribeResource(uri);
+    }
+    return json(res, { success: true, server: name, uri, subscribed });
+  } catch (error) {
+    return json(res, { error: error.message }, 500);
   }
+}
 
-  // Get all servers and integrated handlers
-  if (path === '/api/servers' && method === 'GET') {
-    const mcpServers = registry.getAll();
-    const stats = registry.getStats();
-    
-    // Add integrated handlers that don't spawn external processes
-    const integratedHandlers = [
-      { name: 'storage', status: 'running', type: 'integrated', description: 'Local file storage' },
-      { name: 'clarity', status: 'running', type: 'integrated', description: 'Microsoft Clarity analytics' },
-      { name: 'lmstudio', status: 'running', type: 'integrated', description: 'LM Studio LLM integration' },
-      { name: 'agent', status: 'running', type: 'integrated', description: 'Agent orchestrator' },
-      { name: 'bambisleep-chat', status: 'running', type: 'integrated', description: 'BambiSleep chat triggers & TTS' },
-    ];
-    
-    // Combine MCP servers with integrated handlers
-    const allServers = [
-      ...mcpServers.map(s => ({ ...s, type: 'mcp' })),
-      ...integratedHandlers,
-    ];
-    
-    return json(res, {
-      servers: allServers,
-      stats: {
-        ...stats,
-        total: stats.total + integratedHandlers.length,
-        running: stats.running + integratedHandlers.length,
-        integrated: integratedHandlers.length,
-      },
-    });
-  }
+/**
+ * Write a server definition to the primary config file and apply all sources to the registry
+ * @param {ServerResponse} res - Response
+ * @param {string} name - Server name
+ * @param {Object|undefined} definition - Server config, or undefined to remove it
+ * @param {number} [status=200] - Status on success
+ */
+async function persistServerDefinition(res, name, definition, status = 200) {
+  let merged;
+  try {
+    writeMcpServer(name, definition, { configPath: config.mcp.configPath });
+    merged = readMcpServerConfig(config.mcp.sources);
+  } catch (error) {
+    logger.error(`Failed to update MCP config: ${error.message}`);
+    return json(res, { error: `Failed to update MCP config: ${error.message}` }, 500);
+  }
+
+  const changes = await registry.applyConfig(merged.servers, merged.origins);
+  const server = registry.get(name);
+  return json(res, { success: true, server: server ? describeServer(server) : null, changes }, status);
+}
 
-  // Start a server
-  const startMatch = path.match(/^\/api\/servers\/([^/]+)\/start$/);
-  if (startMatch && method === 'POST') {
-    const name = startMatch[1];
-    const success = await registry.start(name);
-    return json(res, { success, server: registry.get(name) }, success ? 200 : 400);
-  }
+/**
+ * Route table
+ * Each entry declares its method, path pattern, request schemas and
+ * handler; the OpenAPI document served at /api/openapi is generated from it.
+ */
+const routes = [
+  {
+    method: 'GET',
+    path: '/api/health',
+    tags: ['Health'],
+    summary: 'Health check',
+    description: 'Returns server health status, version, and environment',
+    auth: false,
+    responses: {
+      200: {
+        description: 'Server is healthy',
+        schema: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'ok' },
+            timestamp: { type: 'string', format: 'date-time' },
+            version: { type: 'string', example: '1.0.0' },
+            env: { type: 'string', example: 'development' },
+          },
+        },
+      },
+    },
+    handler: ({ res }) => {
+      return json(res, { 
+        status: 'ok', 
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        env: config.env.nodeEnv,
+      });
+    },
+  },
 
-  // Stop a server
-  const stopMatch = path.match(/^\/api\/servers\/([^/]+)\/stop$/);
-  if (stopMatch && method === 'POST') {
-    const name = stopMatch[1];
-    const success = registry.stop(name);
-    return json(res, { success, server: registry.get(name) }, success ? 200 : 400);
-  }
+  // ============ METRICS & DOCS ROUTES ============
 
-  // Get single server
-  const serverMatch = path.match(/^\/api\/servers\/([^/]+)$/);
-  if (serverMatch && method === 'GET') {
-    const name = serverMatch[1];
-    const server = registry.get(name);
-    if (server) {
-      return json(res, server);
-    }
-    return json(res, { error: 'Server not found' }, 404);
-  }
+  {
+    method: 'GET',
+    path: '/api/metrics',
+    tags: ['Metrics'],
+    summary: 'Prometheus metrics',
+    description: 'Returns metrics in Prometheus exposition format',
+    responses: {
+      200: {
+        description: 'Prometheus metrics',
+        content: { 'text/plain': { schema: { type: 'string' } } },
+      },
+    },
+    handler: ({ res }) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      });
+      return res.end(formatPrometheusMetrics());
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/metrics/json',
+    tags: ['Metrics'],
+    summary: 'Metrics JSON endpoint (internal)',
+    handler: ({ res }) => json(res, getMetricsJson()),
+  },
+  {
+    method: 'GET',
+    path: '/api/openapi',
+    tags: ['Health'],
+    summary: 'OpenAPI specification',
+    responses: { 200: 'OpenAPI 3.0 spec' },
+    handler: ({ res }) => json(res, getOpenApiSpec(routes)),
+  },
+  {
+    method: 'GET',
+    path: '/api/openapi.yaml',
+    tags: ['Health'],
+    summary: 'OpenAPI specification (YAML)',
+    handler: ({ res }) => {
+      // Simple JSON to YAML conversion (basic)
+      res.writeHead(200, {
+        'Content-Type': 'text/yaml; charset=utf-8',
+      });
+      return res.end(JSON.stringify(getOpenApiSpec(routes), null, 2));
+    },
+  },
+  // API documentation HTML (Swagger UI), also served at /docs
+  ...['/api/docs/ui', '/docs'].map((path) => ({
+    method: 'GET',
+    path,
+    tags: ['Health'],
+    summary: 'API documentation (Swagger UI)',
+    handler: ({ res }) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+      });
+      return res.end(generateApiDocsHtml());
+    },
+  })),
+  {
+    method: 'GET',
+    path: '/api/stats/rate-limit',
+    tags: ['Health'],
+    summary: 'Rate limit statistics',
+    description: 'Returns current rate limit stats per IP',
+    responses: {
+      200: {
+        description: 'Rate limit stats',
+        schema: {
+          type: 'object',
+          properties: { totalTracked: { type: 'integer' }, ipStats: { type: 'object' } },
+        },
+      },
+    },
+    handler: ({ res }) => json(res, getRateLimitStats()),
+  },
+  {
+    method: 'GET',
+    path: '/api/stats/websocket',
+    tags: ['Health'],
+    summary: 'WebSocket statistics',
+    description: 'Returns WebSocket connection stats',
+    responses: {
+      200: {
+        description: 'WebSocket stats',
+        schema: {
+          type: 'object',
+          properties: {
+            connections: { type: 'integer' },
+            messagesSent: { type: 'integer' },
+            messagesReceived: { type: 'integer' },
+          },
+        },
+      },
+    },
+    handler: ({ res }) => json(res, getWebSocketStats()),
+  },
+  {
+    method: 'GET',
+    path: '/api/config',
+    tags: ['Health'],
+    summary: 'Effective configuration',
+    description: 'Returns the configuration with secrets redacted. `sources` maps each config path to its environment variable and origin (`default`, `environment` or `.env`) and each MCP server to its config file.',
+    responses: {
+      200: {
+        description: 'Redacted configuration',
+        schema: {
+          type: 'object',
+          properties: {
+            config: { type: 'object' },
+            sources: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  env: { type: 'string' },
+                  source: { type: 'string' },
+                  variable: { type: 'string', description: 'Alias that supplied the value' },
+                  secret: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    handler: ({ res }) => json(res, getRedactedConfig()),
+  },
+
+  // ============ API KEYS ============
+
+  {
+    method: 'GET',
+    path: '/api/keys',
+    tags: ['Auth'],
+    summary: 'List API keys',
+    description: 'Stored keys (without the keys themselves) and the scopes a key can hold',
+    scope: 'admin',
+    responses: { 200: 'Keys and scopes' },
+    handler: ({ res }) => json(res, { keys: apiKeys.list(), scopes: API_SCOPES }),
+  },
+  {
+    method: 'POST',
+    path: '/api/keys',
+    tags: ['Auth'],
+    summary: 'Create an API key',
+    description: 'The key is only returned in this response; the server keeps its SHA-256 hash.',
+    scope: 'admin',
+    body: {
+      type: 'object',
+      required: ['name', 'scopes'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: Object.keys(API_SCOPES) } },
+      },
+    },
+    responses: { 201: 'Key created; `key` holds the token' },
+    handler: ({ res, body }) => json(res, apiKeys.create(body), 201),
+  },
+  {
+    method: 'DELETE',
+    path: '/api/keys/:id',
+    tags: ['Auth'],
+    summary: 'Revoke an API key',
+    description: 'The key stops authenticating at once; WebSocket connections opened with it are closed.',
+    scope: 'admin',
+    responses: { 200: 'Key revoked', 404: 'Key not found' },
+    handler: ({ res, params }) => {
+      const key = apiKeys.revoke(params.id);
+      if (!key) return json(res, { error: 'API key not found' }, 404);
+      disconnectApiKey(key.id);
+      return json(res, { success: true, key });
+    },
+  },
+
+  // ============ AUDIT LOG ============
+
+  {
+    method: 'GET',
+    path: '/api/audit',
+    tags: ['Audit'],
+    summary: 'Query the audit log',
+    description: 'Entries of mutating and sensitive operations, newest first. `action` is a route (`POST /api/keys`) or tool name; a trailing `*` matches by prefix. Reading the log is itself audited.',
+    scope: 'admin',
+    audit: true,
+    query: {
+      type: 'object',
+      properties: {
+        actor: { type: 'string', description: 'API key id or name, or WebSocket client id' },
+        action: { type: 'string' },
+        kind: { type: 'string', enum: ['http', 'tool'] },
+        outcome: { type: 'string', enum: ['success', 'failure', 'denied', 'aborted'] },
+        since: { type: 'string', format: 'date-time' },
+        until: { type: 'string', format: 'date-time' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+      },
+    },
+    responses: { 200: 'Matching entries' },
+    handler: async ({ res, query }) => {
+      const entries = await auditLog.query(query);
+      return json(res, { entries, count: entries.length });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/audit/verify',
+    tags: ['Audit'],
+    summary: 'Verify the audit log hash chain',
+    description: 'Recomputes every entry hash. `valid: false` names the first line that was edited, reordered or removed; compare `lastHash` with a copy kept elsewhere to detect truncation.',
+    scope: 'admin',
+    responses: { 200: 'Verification result' },
+    handler: async ({ res }) => json(res, await auditLog.verify()),
+  },
+  {
+    method: 'GET',
+    path: '/api/servers',
+    tags: ['Servers'],
+    summary: 'List all MCP servers',
+    description: 'Returns all registered MCP servers and integrated handlers',
+    responses: {
+      200: {
+        description: 'List of servers',
+        schema: {
+          type: 'object',
+          properties: {
+            servers: { type: 'array', items: { $ref: '#/components/schemas/Server' } },
+            stats: { $ref: '#/components/schemas/ServerStats' },
+          },
+        },
+      },
+    },
+    handler: ({ res }) => {
+      const mcpServers = registry.getAll();
+      const stats = registry.getStats();
+      
+      // Add integrated handlers that don't spawn external processes
+      const integratedHandlers = [
+        { name: 'storage', status: 'running', type: 'integrated', description: 'Local file storage' },
+        { name: 'clarity', status: 'running', type: 'integrated', description: 'Microsoft Clarity analytics' },
+        { name: 'lmstudio', status: 'running', type: 'integrated', description: 'LM Studio LLM integration' },
+        { name: 'agent', status: 'running', type: 'integrated', description: 'Agent orchestrator' },
+        { name: 'bambisleep-chat', status: 'running', type: 'integrated', description: 'BambiSleep chat triggers & TTS' },
+      ];
+      
+      // Combine MCP servers with integrated handlers
+      const allServers = [
+        ...mcpServers.map(s => ({ ...describeServer(s), type: 'mcp' })),
+        ...integratedHandlers,
+      ];
+      
+      return json(res, {
+        servers: allServers,
+        stats: {
+          ...stats,
+          total: stats.total + integratedHandlers.length,
+          running: stats.running + integratedHandlers.length,
+          integrated: integratedHandlers.length,
+        },
+      });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/servers/:name/start',
+    tags: ['Servers'],
+    summary: 'Start a server',
+    scope: 'servers:write',
+    responses: { 200: 'Server started', 400: 'Failed to start' },
+    handler: async ({ res, params }) => {
+      const name = params.name;
+      const success = await registry.start(name);
+      const server = registry.get(name);
+      return json(res, { success, server: server && describeServer(server) }, success ? 200 : 400);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/servers/:name/stop',
+    tags: ['Servers'],
+    summary: 'Stop a server',
+    scope: 'servers:write',
+    responses: { 200: 'Server stopped', 400: 'Failed to stop' },
+    handler: ({ res, params }) => {
+      const name = params.name;
+      const success = registry.stop(name);
+      const server = registry.get(name);
+      return json(res, { success, server: server && describeServer(server) }, success ? 200 : 400);
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/servers/:name/logs',
+    tags: ['Servers'],
+    summary: 'Get server log history',
+    description: 'Returns buffered stdout/stderr and supervisor lines. New lines are streamed as `server:log` WebSocket messages.',
+    query: {
+      type: 'object',
+      properties: {
+        since: { type: 'string', description: 'Only lines after this ISO timestamp or epoch ms' },
+        level: {
+          type: 'string',
+          enum: ['error', 'warn', 'info', 'debug'],
+          description: 'Minimum severity',
+        },
+        limit: { type: 'integer', description: 'Return only the newest N lines' },
+      },
+    },
+    responses: {
+      200: {
+        description: 'Log lines, oldest first',
+        schema: {
+          type: 'object',
+          properties: {
+            server: { type: 'string' },
+            count: { type: 'integer' },
+            logs: { type: 'array', items: { $ref: '#/components/schemas/ServerLogEntry' } },
+          },
+        },
+      },
+      400: 'Invalid since or level',
+      404: 'Server not found',
+    },
+    handler: ({ res, params, query }) => {
+      const name = params.name;
+      try {
+        const logs = registry.getLogs(name, {
+          since: query.since ?? undefined,
+          level: query.level ?? undefined,
+          limit: parseInt(query.limit) || undefined,
+        });
+        if (!logs) {
+          return json(res, { error: 'Server not found' }, 404);
+        }
+        return json(res, { server: name, logs, count: logs.length });
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+
+  // ============ MCP RESOURCES & PROMPTS ============
+
+  {
+    method: 'GET',
+    path: '/api/servers/:name/resources',
+    tags: ['Servers'],
+    summary: 'List MCP resources',
+    description: 'Proxies `resources/list` to a running server.',
+    query: {
+      type: 'object',
+      properties: {
+        cursor: { type: 'string', description: 'Pagination cursor (nextCursor of the previous page)' },
+      },
+    },
+    responses: {
+      200: 'Resources and optional nextCursor',
+      400: 'Server does not support resources',
+      404: 'Server not found',
+      409: 'Server not running',
+    },
+    handler: async ({ res, params, query }) => {
+      const client = getServerClient(res, params.name, 'resources');
+      if (!client) return;
+      try {
+        return json(res, await client.listResources(query.cursor || undefined));
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/servers/:name/resources/templates',
+    tags: ['Servers'],
+    summary: 'List MCP resource templates',
+    query: { type: 'object', properties: { cursor: { type: 'string' } } },
+    responses: {
+      200: 'Resource templates and optional nextCursor',
+      400: 'Server does not support resources',
+      404: 'Server not found',
+      409: 'Server not running',
+    },
+    handler: async ({ res, params, query }) => {
+      const client = getServerClient(res, params.name, 'resources');
+      if (!client) return;
+      try {
+        return json(res, await client.listResourceTemplates(query.cursor || undefined));
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/servers/:name/resources/read',
+    tags: ['Servers'],
+    summary: 'Read an MCP resource',
+    query: { type: 'object', required: ['uri'], properties: { uri: { type: 'string', minLength: 1 } } },
+    responses: {
+      200: 'Resource contents',
+      400: 'Missing uri or server does not support resources',
+      404: 'Server not found',
+      409: 'Server not running',
+    },
+    handler: async ({ res, params, query }) => {
+      const client = getServerClient(res, params.name, 'resources');
+      if (!client) return;
+      try {
+        return json(res, await client.readResource(query.uri));
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/servers/:name/resources/subscribe',
+    tags: ['Servers'],
+    summary: 'Subscribe to MCP resource updates',
+    description: 'Updates are broadcast as `resource:updated` WebSocket messages on the `resources` and `resources:<server>` channels.',
+    scope: 'servers:write',
+    body: { type: 'object', required: ['uri'], properties: { uri: { type: 'string', minLength: 1 } } },
+    responses: {
+      200: 'Subscribed',
+      400: 'Missing uri or server does not support subscriptions',
+      404: 'Server not found',
+      409: 'Server not running',
+    },
+    handler: ({ res, params, body }) => setResourceSubscription(res, params.name, body.uri, true),
+  },
+  {
+    method: 'POST',
+    path: '/api/servers/:name/resources/unsubscribe',
+    tags: ['Servers'],
+    summary: 'Unsubscribe from MCP resource updates',
+    scope: 'servers:write',
+    body: { type: 'object', required: ['uri'], properties: { uri: { type: 'string', minLength: 1 } } },
+    responses: {
+      200: 'Unsubscribed',
+      400: 'Missing uri or server does not support resources',
+      404: 'Server not found',
+      409: 'Server not running',
+    },
+    handler: ({ res, params, body }) => setResourceSubscription(res, params.name, body.uri, false),
+  },
+  {
+    method: 'GET',
+    path: '/api/servers/:name/prompts',
+    tags: ['Servers'],
+    summary: 'List MCP prompts',
+    query: { type: 'object', properties: { cursor: { type: 'string' } } },
+    responses: {
+      200: 'Prompts and optional nextCursor',
+      400: 'Server does not support prompts',
+      404: 'Server not found',
+      409: 'Server not running',
+    },
+    handler: async ({ res, params, query }) => {
+      const client = getServerClient(res, params.name, 'prompts');
+      if (!client) return;
+      try {
+        return json(res, await client.listPrompts(query.cursor || undefined));
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/servers/:name/prompts/:prompt',
+    tags: ['Servers'],
+    summary: 'Get an MCP prompt',
+    description: 'Proxies `prompts/get` with the given arguments and returns the rendered messages.',
+    scope: 'servers:write',
+    body: {
+      type: 'object',
+      properties: { arguments: { type: 'object', additionalProperties: { type: 'string' } } },
+    },
+    responses: {
+      200: 'Prompt description and messages',
+      400: 'Server does not support prompts',
+      404: 'Server not found',
+      409: 'Server not running',
+    },
+    handler: async ({ res, params, body }) => {
+      const client = getServerClient(res, params.name, 'prompts');
+      if (!client) return;
+      try {
+        const prompt = params.prompt;
+        return json(res, await client.getPrompt(prompt, body.arguments || {}));
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/servers/:name',
+    tags: ['Servers'],
+    summary: 'Get server details',
+    responses: {
+      200: { description: 'Server details', schema: { $ref: '#/components/schemas/Server' } },
+      404: 'Server not found',
+    },
+    handler: ({ res, params }) => {
+      const name = params.name;
+      const server = registry.get(name);
+      if (!server) {
+        return json(res, { error: 'Server not found' }, 404);
+      }
+      return json(res, describeServer(server, { previewSpawnSpec: true }));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/servers',
+    tags: ['Servers'],
+    summary: 'Add an MCP server',
+    description: 'Validates the definition, writes it to the primary config file (comments preserved) and starts the server.',
+    scope: 'servers:write',
+    body: {
+      type: 'object',
+      required: ['name', 'config'],
+      properties: { name: { type: 'string' }, config: { $ref: '#/components/schemas/ServerDefinition' } },
+    },
+    responses: {
+      201: 'Server added',
+      400: 'Invalid server definition',
+      409: 'Server already exists',
+      500: 'Settings file could not be written',
+    },
+    handler: ({ res, body }) => {
+      const { name, config: definition } = body;
+      const errors = validateServerConfig(name, definition);
+      if (errors.length > 0) {
+        return json(res, { error: 'Invalid server definition', details: errors }, 400);
+      }
+      if (registry.get(name)) {
+        return json(res, { error: `Server already exists: ${name}` }, 409);
+      }
+      return persistServerDefinition(res, name, definition, 201);
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/servers/:name',
+    tags: ['Servers'],
+    summary: 'Replace an MCP server definition',
+    description: 'Writes the definition to the primary config file, overriding lower-precedence sources. The server is restarted when its launch settings changed.',
+    scope: 'servers:write',
+    body: {
+      type: 'object',
+      required: ['config'],
+      properties: { config: { $ref: '#/components/schemas/ServerDefinition' } },
+    },
+    responses: {
+      200: 'Server updated',
+      400: 'Invalid server definition',
+      404: 'Server not found',
+      500: 'Settings file could not be written',
+    },
+    handler: ({ res, params, body }) => {
+      const name = params.name;
+      if (!registry.get(name)) {
+        return json(res, { error: 'Server not found' }, 404);
+      }
+      const { config: definition } = body;
+      const errors = validateServerConfig(name, definition);
+      if (errors.length > 0) {
+        return json(res, { error: 'Invalid server definition', details: errors }, 400);
+      }
+      return persistServerDefinition(res, name, definition);
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/servers/:name',
+    tags: ['Servers'],
+    summary: 'Remove an MCP server',
+    description: 'Stops the server and removes its definition from the primary config file.',
+    scope: 'servers:write',
+    responses: {
+      200: 'Server removed',
+      404: 'Server not found',
+      409: 'Server is defined in another config file',
+      500: 'Settings file could not be written',
+    },
+    handler: ({ res, params }) => {
+      const name = params.name;
+      const server = registry.get(name);
+      if (!server) {
+        return json(res, { error: 'Server not found' }, 404);
+      }
+      if (server.source && server.source !== config.mcp.configPath) {
+        return json(res, { error: `Server ${name} is defined in ${server.source}; remove it there` }, 409);
+      }
+      return persistServerDefinition(res, name, undefined);
+    },
+  },
 
   // ============ MEMORY MCP ROUTES ============
-  
-  // GET /api/memory - Read entire graph
-  if (path === '/api/memory' && method === 'GET') {
-    return json(res, memoryHandlers.readGraph());
-  }
-
-  // POST /api/memory/entities - Create entities
-  if (path === '/api/memory/entities' && method === 'POST') {
-    const body = await parseBody(req);
-    const result = memoryHandlers.createEntities(body.entities || []);
-    return json(res, { created: result });
-  }
-
-  // DELETE /api/memory/entities - Delete entities
-  if (path === '/api/memory/entities' && method === 'DELETE') {
-    const body = await parseBody(req);
-    const result = memoryHandlers.deleteEntities(body.names || []);
-    return json(res, { deleted: result });
-  }
-
-  // POST /api/memory/relations - Create relations
-  if (path === '/api/memory/relations' && method === 'POST') {
-    const body = await parseBody(req);
-    const result = memoryHandlers.createRelations(body.relations || []);
-    return json(res, { created: result });
-  }
-
-  // DELETE /api/memory/relations - Delete relations
-  if (path === '/api/memory/relations' && method === 'DELETE') {
-    const body = await parseBody(req);
-    const result = memoryHandlers.deleteRelations(body.relations || []);
-    return json(res, { deleted: result });
-  }
 
-  // GET /api/memory/search?q= - Search nodes
-  if (path === '/api/memory/search' && method === 'GET') {
-    const query = url.searchParams.get('q') || '';
-    const result = memoryHandlers.searchNodes(query);
-    return json(res, { results: result });
-  }
+  {
+    method: 'GET',
+    path: '/api/memory',
+    tags: ['Memory'],
+    summary: 'Read entire knowledge graph',
+    responses: {
+      200: {
+        description: 'Knowledge graph data',
+        schema: { $ref: '#/components/schemas/KnowledgeGraph' },
+      },
+    },
+    handler: ({ res }) => json(res, memoryHandlers.readGraph()),
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/entities',
+    tags: ['Memory'],
+    summary: 'Create entities',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      properties: { entities: { type: 'array', items: { $ref: '#/components/schemas/Entity' } } },
+    },
+    responses: { 200: 'Entities created' },
+    handler: ({ res, body }) => {
+      const result = memoryHandlers.createEntities(body.entities || []);
+      return json(res, { created: result });
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/memory/entities',
+    tags: ['Memory'],
+    summary: 'Delete entities',
+    scope: 'db:write',
+    body: { type: 'object', properties: { names: { type: 'array', items: { type: 'string' } } } },
+    responses: { 200: 'Entities deleted' },
+    handler: ({ res, body }) => {
+      const result = memoryHandlers.deleteEntities(body.names || []);
+      return json(res, { deleted: result });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/relations',
+    tags: ['Memory'],
+    summary: 'Create relations',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      properties: { relations: { type: 'array', items: { $ref: '#/components/schemas/Relation' } } },
+    },
+    responses: { 200: 'Relations created' },
+    handler: ({ res, body }) => {
+      const result = memoryHandlers.createRelations(body.relations || []);
+      return json(res, { created: result });
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/memory/relations',
+    tags: ['Memory'],
+    summary: 'Delete relations',
+    scope: 'db:write',
+    responses: { 200: 'Relations deleted' },
+    handler: ({ res, body }) => {
+      const result = memoryHandlers.deleteRelations(body.relations || []);
+      return json(res, { deleted: result });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/memory/search',
+    tags: ['Memory'],
+    summary: 'Search nodes',
+    query: { type: 'object', properties: { q: { type: 'string', description: 'Search query' } } },
+    responses: { 200: 'Search results' },
+    handler: ({ res, query }) => {
+      const result = memoryHandlers.searchNodes(query.q || '');
+      return json(res, { results: result });
+    },
+  },
 
   // ============ USER MODEL ROUTES ============
 
-  // GET /api/user/profile - Get user profile
-  if (path === '/api/user/profile' && method === 'GET') {
-    try {
-      const profile = userModelHandlers.getProfile();
-      return json(res, profile);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // PUT /api/user/profile - Update user profile
-  if (path === '/api/user/profile' && method === 'PUT') {
-    try {
-      const body = await parseBody(req);
-      const result = userModelHandlers.updateProfile(body);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/user/preferences - Get all preferences
-  if (path === '/api/user/preferences' && method === 'GET') {
-    try {
-      const category = url.searchParams.get('category');
-      const preferences = userModelHandlers.getPreferences(category);
-      return json(res, preferences);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/user/preferences/:category - Get preferences by category
-  const userPrefMatch = path.match(/^\/api\/user\/preferences\/([^/]+)$/);
-  if (userPrefMatch && method === 'GET') {
-    try {
-      const category = userPrefMatch[1];
-      const preferences = userModelHandlers.getPreferences(category);
-      return json(res, preferences);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  {
+    method: 'GET',
+    path: '/api/user/profile',
+    tags: ['UserModel'],
+    summary: 'Get user profile',
+    responses: { 200: 'User profile data' },
+    handler: ({ res }) => {
+      try {
+        const profile = userModelHandlers.getProfile();
+        return json(res, profile);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/user/profile',
+    tags: ['UserModel'],
+    summary: 'Update user profile',
+    scope: 'db:write',
+    body: { type: 'object' },
+    handler: ({ res, body }) => {
+      try {
+        const result = userModelHandlers.updateProfile(body);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/user/preferences',
+    tags: ['UserModel'],
+    summary: 'Get all user preferences',
+    query: {
+      type: 'object',
+      properties: { category: { type: 'string', description: 'Filter by category' } },
+    },
+    responses: { 200: 'User preferences by category' },
+    handler: ({ res, query }) => {
+      try {
+        const category = query.category;
+        const preferences = userModelHandlers.getPreferences(category);
+        return json(res, preferences);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/user/preferences/:category',
+    tags: ['UserModel'],
+    summary: 'Get preferences by category',
+    handler: ({ res, params }) => {
+      try {
+        const category = params.category;
+        const preferences = userModelHandlers.getPreferences(category);
+        return json(res, preferences);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/user/preferences/:category',
+    tags: ['UserModel'],
+    summary: 'Update preferences by category',
+    scope: 'db:write',
+    body: { type: 'object' },
+    handler: ({ res, params, body }) => {
+      try {
+        const category = params.category;
+        const result = userModelHandlers.setPreferences(category, body);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/user/patterns',
+    tags: ['UserModel'],
+    summary: 'Get user patterns',
+    query: {
+      type: 'object',
+      properties: { minConfidence: { type: 'number', description: 'Minimum confidence threshold' } },
+    },
+    responses: { 200: 'User patterns' },
+    handler: ({ res, query }) => {
+      try {
+        const minConfidence = parseFloat(query.minConfidence) || 0;
+        const patterns = userModelHandlers.getPatterns(minConfidence);
+        return json(res, patterns);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/user/patterns/:name',
+    tags: ['UserModel'],
+    summary: 'Get specific pattern',
+    handler: ({ res, params }) => {
+      try {
+        const name = params.name;
+        const pattern = userModelHandlers.getPattern(name);
+        return json(res, pattern);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/user/patterns',
+    tags: ['UserModel'],
+    summary: 'Track a pattern occurrence',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Pattern name' },
+        data: { type: 'object', description: 'Pattern context data' },
+      },
+      required: ['name'],
+    },
+    responses: { 200: 'Pattern tracked' },
+    handler: ({ res, body }) => {
+      try {
+        const result = userModelHandlers.trackPattern(body.name, body.data);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/user/expertise',
+    tags: ['UserModel'],
+    summary: 'Update expertise level',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['domain', 'level'],
+      properties: {
+        domain: { type: 'string', minLength: 1 },
+        level: { type: 'string', description: 'Expertise level (e.g. beginner, intermediate, expert)' },
+      },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = userModelHandlers.updateExpertise(body.domain, body.level);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // PUT /api/user/preferences/:category - Update preferences by category
-  if (userPrefMatch && method === 'PUT') {
-    try {
-      const category = userPrefMatch[1];
-      const body = await parseBody(req);
-      const result = userModelHandlers.setPreferences(category, body);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  // ============ CONVERSATION MEMORY ROUTES ============
 
-  // GET /api/user/patterns - Get user patterns
-  if (path === '/api/user/patterns' && method === 'GET') {
-    try {
-      const minConfidence = parseFloat(url.searchParams.get('minConfidence')) || 0;
-      const patterns = userModelHandlers.getPatterns(minConfidence);
-      return json(res, patterns);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  {
+    method: 'GET',
+    path: '/api/conversation/current',
+    tags: ['Conversation'],
+    summary: 'Get current session',
+    handler: ({ res }) => {
+      try {
+        const session = conversationHandlers.getCurrentSession();
+        return json(res, session);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/conversation/sessions',
+    tags: ['Conversation'],
+    summary: 'Start new session',
+    scope: 'db:write',
+    body: { type: 'object', properties: { project: { type: 'string' }, metadata: { type: 'object' } } },
+    handler: ({ res, body }) => {
+      try {
+        const session = conversationHandlers.startSession(body);
+        return json(res, session);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/conversation/sessions',
+    tags: ['Conversation'],
+    summary: 'List sessions',
+    query: { type: 'object', properties: { status: { type: 'string' }, limit: { type: 'integer' } } },
+    responses: { 200: 'Session list' },
+    handler: ({ res, query }) => {
+      try {
+        const limit = parseInt(query.limit) || 20;
+        const status = query.status;
+        const sessions = conversationHandlers.getSessions({ limit, status });
+        return json(res, sessions);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/conversation/sessions/:id',
+    tags: ['Conversation'],
+    summary: 'Get session by ID',
+    handler: ({ res, params }) => {
+      try {
+        const sessionId = params.id;
+        const session = conversationHandlers.getSession(sessionId);
+        return json(res, session);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/conversation/sessions/:id/end',
+    tags: ['Conversation'],
+    summary: 'End session',
+    scope: 'db:write',
+    body: { type: 'object', properties: { summary: { type: 'string' } } },
+    handler: ({ res, params, body }) => {
+      try {
+        const sessionId = params.id;
+        const result = conversationHandlers.endSession(sessionId, body.summary);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/conversation/sessions/:id/summarize',
+    tags: ['Conversation'],
+    summary: 'Summarize session',
+    scope: 'db:write',
+    handler: async ({ res, params }) => {
+      try {
+        const sessionId = params.id;
+        const result = await conversationHandlers.summarizeSession(sessionId);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/conversation/summaries',
+    tags: ['Conversation'],
+    summary: 'Get all summaries',
+    query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1, default: 10 } } },
+    handler: ({ res, query }) => {
+      try {
+        const limit = parseInt(query.limit) || 10;
+        const summaries = conversationHandlers.getSummaries(limit);
+        return json(res, summaries);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/conversation/context',
+    tags: ['Conversation'],
+    summary: 'Get current context',
+    responses: { 200: 'Conversation context' },
+    handler: ({ res }) => {
+      try {
+        const context = conversationHandlers.getCurrentContext();
+        return json(res, context);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/conversation/context',
+    tags: ['Conversation'],
+    summary: 'Update context',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      properties: { key: { type: 'string' }, value: { description: 'Context value' } },
+      required: ['key', 'value'],
+    },
+    responses: { 200: 'Context updated' },
+    handler: ({ res, body }) => {
+      try {
+        const result = conversationHandlers.updateContext(body.key, body.value);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/conversation/topics',
+    tags: ['Conversation'],
+    summary: 'Get active topics',
+    responses: { 200: 'Active topics list' },
+    handler: ({ res }) => {
+      try {
+        const topics = conversationHandlers.getActiveTopics();
+        return json(res, topics);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/conversation/tasks',
+    tags: ['Conversation'],
+    summary: 'Get pending tasks',
+    responses: { 200: 'Pending tasks list' },
+    handler: ({ res }) => {
+      try {
+        const tasks = conversationHandlers.getPendingTasks();
+        return json(res, tasks);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // GET /api/user/patterns/:name - Get specific pattern
-  const userPatternMatch = path.match(/^\/api\/user\/patterns\/([^/]+)$/);
-  if (userPatternMatch && method === 'GET') {
-    try {
-      const name = userPatternMatch[1];
-      const pattern = userModelHandlers.getPattern(name);
-      return json(res, pattern);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  // ============ WORKSPACE MEMORY ROUTES ============
 
-  // POST /api/user/patterns - Track a new pattern
-  if (path === '/api/user/patterns' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = userModelHandlers.trackPattern(body.name, body.data);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  {
+    method: 'GET',
+    path: '/api/workspace/projects',
+    tags: ['Workspace'],
+    summary: 'List all projects',
+    responses: { 200: 'Project list' },
+    handler: ({ res }) => {
+      try {
+        const projects = workspaceHandlers.getProjects();
+        return json(res, projects);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/workspace/projects',
+    tags: ['Workspace'],
+    summary: 'Analyze/register project',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['path'],
+      properties: { path: { type: 'string', minLength: 1 }, analysis: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const project = workspaceHandlers.analyzeProject(body.path, body.analysis);
+        return json(res, project);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/workspace/projects/:name',
+    tags: ['Workspace'],
+    summary: 'Get project by name',
+    handler: ({ res, params }) => {
+      try {
+        const name = params.name;
+        const project = workspaceHandlers.getProject(name);
+        return json(res, project);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/workspace/projects/:name/conventions',
+    tags: ['Workspace'],
+    summary: 'Get project conventions',
+    handler: ({ res, params }) => {
+      try {
+        const name = params.name;
+        const conventions = workspaceHandlers.getConventions(name);
+        return json(res, conventions);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/workspace/files',
+    tags: ['Workspace'],
+    summary: 'Learn file knowledge',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['path'],
+      properties: { path: { type: 'string', minLength: 1 }, analysis: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = workspaceHandlers.learnFile(body.path, body.analysis);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/workspace/files',
+    tags: ['Workspace'],
+    summary: 'Get file knowledge',
+    query: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path; takes precedence over purpose' },
+        purpose: { type: 'string' },
+      },
+    },
+    handler: ({ res, query }) => {
+      try {
+        const filePath = query.path;
+        const purpose = query.purpose;
+        
+        if (filePath) {
+          const file = workspaceHandlers.getFile(filePath);
+          return json(res, file);
+        } else if (purpose) {
+          const files = workspaceHandlers.getFilesByPurpose(purpose);
+          return json(res, files);
+        } else {
+          const files = workspaceHandlers.getRecentFiles(20);
+          return json(res, files);
+        }
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/workspace/patterns',
+    tags: ['Workspace'],
+    summary: 'List all patterns',
+    query: { type: 'object', properties: { project: { type: 'string' } } },
+    responses: { 200: 'Pattern list' },
+    handler: ({ res, query }) => {
+      try {
+        const project = query.project;
+        const patterns = workspaceHandlers.getPatterns(project);
+        return json(res, patterns);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/workspace/patterns',
+    tags: ['Workspace'],
+    summary: 'Learn code pattern',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        examples: { type: 'array' },
+        project: { type: 'string' },
+      },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = workspaceHandlers.learnPattern(body.name, body.examples, body.project);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // POST /api/user/expertise - Update expertise level
-  if (path === '/api/user/expertise' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = userModelHandlers.updateExpertise(body.domain, body.level);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  // ============ MEMORY MANAGER ROUTES ============
 
-  // ============ CONVERSATION MEMORY ROUTES ============
+  {
+    method: 'GET',
+    path: '/api/memory/stats',
+    tags: ['MemoryManager'],
+    summary: 'Get memory statistics',
+    handler: ({ res }) => {
+      try {
+        const stats = memoryManagerHandlers.getStats();
+        return json(res, stats);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/search/advanced',
+    tags: ['MemoryManager'],
+    summary: 'Advanced memory search',
+    body: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        entityType: { type: 'string' },
+        minConfidence: { type: 'number' },
+        limit: { type: 'integer' },
+      },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const results = memoryManagerHandlers.search(body);
+        return json(res, results);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/memory/related/:name',
+    tags: ['MemoryManager'],
+    summary: 'Get related entities',
+    query: { type: 'object', properties: { depth: { type: 'integer', minimum: 1, default: 1 } } },
+    handler: ({ res, params, query }) => {
+      try {
+        const name = params.name;
+        const depth = parseInt(query.depth) || 1;
+        const related = memoryManagerHandlers.getRelated(name, depth);
+        return json(res, related);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/decay',
+    tags: ['MemoryManager'],
+    summary: 'Apply confidence decay',
+    scope: 'db:write',
+    handler: ({ res }) => {
+      try {
+        const result = memoryManagerHandlers.applyDecay();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/cleanup',
+    tags: ['MemoryManager'],
+    summary: 'Clean low-confidence entities',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      properties: { threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.1 } },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const threshold = body.threshold || 0.1;
+        const result = memoryManagerHandlers.cleanup(threshold);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/archive',
+    tags: ['MemoryManager'],
+    summary: 'Archive old entities',
+    scope: 'db:write',
+    body: { type: 'object', properties: { olderThanDays: { type: 'integer', minimum: 1, default: 90 } } },
+    handler: async ({ res, body }) => {
+      try {
+        const olderThanDays = body.olderThanDays || 90;
+        const result = await memoryManagerHandlers.archive(olderThanDays);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/restore',
+    tags: ['MemoryManager'],
+    summary: 'Restore from archive',
+    scope: 'db:write',
+    body: { type: 'object', properties: { entityNames: { type: 'array', items: { type: 'string' } } } },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await memoryManagerHandlers.restore(body.entityNames);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/sync',
+    tags: ['MemoryManager'],
+    summary: 'Sync to MongoDB',
+    scope: 'db:write',
+    handler: async ({ res }) => {
+      try {
+        const result = await memoryManagerHandlers.syncToMongo();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/sync/load',
+    tags: ['MemoryManager'],
+    summary: 'Load from MongoDB',
+    scope: 'db:write',
+    handler: async ({ res }) => {
+      try {
+        const result = await memoryManagerHandlers.loadFromMongo();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/export',
+    tags: ['MemoryManager'],
+    summary: 'Export to file',
+    scope: 'db:write',
+    body: { type: 'object', properties: { path: { type: 'string' } } },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await memoryManagerHandlers.exportToFile(body.path);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/memory/import',
+    tags: ['MemoryManager'],
+    summary: 'Import from file',
+    scope: 'db:write',
+    body: { type: 'object', properties: { path: { type: 'string' } } },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await memoryManagerHandlers.importFromFile(body.path);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // GET /api/conversation/current - Get current session
-  if (path === '/api/conversation/current' && method === 'GET') {
-    try {
-      const session = conversationHandlers.getCurrentSession();
-      return json(res, session);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  // ============ GITHUB MCP ROUTES ============
 
-  // POST /api/conversation/sessions - Start new session
-  if (path === '/api/conversation/sessions' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const session = conversationHandlers.startSession(body);
-      return json(res, session);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  {
+    method: 'GET',
+    path: '/api/github/user',
+    tags: ['GitHub'],
+    summary: 'Get authenticated user',
+    responses: { 200: 'User info', 401: 'Not authenticated' },
+    handler: async ({ res }) => {
+      try {
+        const user = await githubHandlers.getUser();
+        return json(res, user);
+      } catch (error) {
+        return json(res, { error: error.message }, 401);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/github/repos',
+    tags: ['GitHub'],
+    summary: 'List repositories',
+    query: {
+      type: 'object',
+      properties: { per_page: { type: 'integer', default: 30 }, page: { type: 'integer', default: 1 } },
+    },
+    responses: { 200: 'List of repositories' },
+    handler: async ({ res, query }) => {
+      try {
+        const repos = await githubHandlers.listRepos({
+          perPage: parseInt(query.per_page) || 30,
+          page: parseInt(query.page) || 1,
+        });
+        return json(res, repos);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/github/search/repos',
+    tags: ['GitHub'],
+    summary: 'Search repositories',
+    query: { type: 'object', required: ['q'], properties: { q: { type: 'string' } } },
+    responses: { 200: 'Search results' },
+    handler: async ({ res, query }) => {
+      try {
+        const result = await githubHandlers.searchRepos(query.q || '');
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // GET /api/conversation/sessions - List sessions
-  if (path === '/api/conversation/sessions' && method === 'GET') {
-    try {
-      const limit = parseInt(url.searchParams.get('limit')) || 20;
-      const status = url.searchParams.get('status');
-      const sessions = conversationHandlers.getSessions({ limit, status });
-      return json(res, sessions);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  // ============ HUGGINGFACE MCP ROUTES ============
 
-  // GET /api/conversation/sessions/:id - Get session by ID
-  const convSessionMatch = path.match(/^\/api\/conversation\/sessions\/([^/]+)$/);
-  if (convSessionMatch && method === 'GET') {
-    try {
-      const sessionId = convSessionMatch[1];
-      const session = conversationHandlers.getSession(sessionId);
-      return json(res, session);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  {
+    method: 'GET',
+    path: '/api/huggingface/models',
+    tags: ['HuggingFace'],
+    summary: 'Search ML models',
+    query: {
+      type: 'object',
+      properties: { q: { type: 'string' }, limit: { type: 'integer', default: 20 } },
+    },
+    responses: { 200: 'Model search results' },
+    handler: async ({ res, query }) => {
+      try {
+        const models = await huggingfaceHandlers.searchModels(query.q || '', {
+          limit: parseInt(query.limit) || 20,
+        });
+        return json(res, models);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/huggingface/datasets',
+    tags: ['HuggingFace'],
+    summary: 'Search datasets',
+    query: {
+      type: 'object',
+      properties: { q: { type: 'string' }, limit: { type: 'integer', default: 20 } },
+    },
+    responses: { 200: 'Dataset search results' },
+    handler: async ({ res, query }) => {
+      try {
+        const datasets = await huggingfaceHandlers.searchDatasets(query.q || '', {
+          limit: parseInt(query.limit) || 20,
+        });
+        return json(res, datasets);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/huggingface/inference',
+    tags: ['HuggingFace'],
+    summary: 'Run inference',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: { model: { type: 'string' }, inputs: { description: 'Model inputs' }, options: { type: 'object' } },
+      required: ['model', 'inputs'],
+    },
+    responses: { 200: 'Inference result' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await huggingfaceHandlers.inference(
+          body.model,
+          body.inputs,
+          body.options || {}
+        );
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // POST /api/conversation/sessions/:id/end - End session
-  const convEndMatch = path.match(/^\/api\/conversation\/sessions\/([^/]+)\/end$/);
-  if (convEndMatch && method === 'POST') {
-    try {
-      const sessionId = convEndMatch[1];
-      const body = await parseBody(req);
-      const result = conversationHandlers.endSession(sessionId, body.summary);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
+  // ============ LM STUDIO MCP ROUTES ============
 
-  // POST /api/conversation/sessions/:id/summarize - Summarize session
-  const convSummaryMatch = path.match(/^\/api\/conversation\/sessions\/([^/]+)\/summarize$/);
-  if (convSummaryMatch && method === 'POST') {
-    try {
-      const sessionId = convSummaryMatch[1];
-      const result = await conversationHandlers.summarizeSession(sessionId);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/conversation/summaries - Get all summaries
-  if (path === '/api/conversation/summaries' && method === 'GET') {
-    try {
-      const limit = parseInt(url.searchParams.get('limit')) || 10;
-      const summaries = conversationHandlers.getSummaries(limit);
-      return json(res, summaries);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/conversation/context - Get current context
-  if (path === '/api/conversation/context' && method === 'GET') {
-    try {
-      const context = conversationHandlers.getCurrentContext();
-      return json(res, context);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // PUT /api/conversation/context - Update context
-  if (path === '/api/conversation/context' && method === 'PUT') {
-    try {
-      const body = await parseBody(req);
-      const result = conversationHandlers.updateContext(body.key, body.value);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/conversation/topics - Get active topics
-  if (path === '/api/conversation/topics' && method === 'GET') {
-    try {
-      const topics = conversationHandlers.getActiveTopics();
-      return json(res, topics);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/conversation/tasks - Get pending tasks
-  if (path === '/api/conversation/tasks' && method === 'GET') {
-    try {
-      const tasks = conversationHandlers.getPendingTasks();
-      return json(res, tasks);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ WORKSPACE MEMORY ROUTES ============
-
-  // GET /api/workspace/projects - List projects
-  if (path === '/api/workspace/projects' && method === 'GET') {
-    try {
-      const projects = workspaceHandlers.getProjects();
-      return json(res, projects);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/workspace/projects - Analyze/register project
-  if (path === '/api/workspace/projects' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const project = workspaceHandlers.analyzeProject(body.path, body.analysis);
-      return json(res, project);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/workspace/projects/:name - Get project by name
-  const workspaceProjectMatch = path.match(/^\/api\/workspace\/projects\/([^/]+)$/);
-  if (workspaceProjectMatch && method === 'GET') {
-    try {
-      const name = workspaceProjectMatch[1];
-      const project = workspaceHandlers.getProject(name);
-      return json(res, project);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/workspace/projects/:name/conventions - Get project conventions
-  const workspaceConvMatch = path.match(/^\/api\/workspace\/projects\/([^/]+)\/conventions$/);
-  if (workspaceConvMatch && method === 'GET') {
-    try {
-      const name = workspaceConvMatch[1];
-      const conventions = workspaceHandlers.getConventions(name);
-      return json(res, conventions);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/workspace/files - Learn file knowledge
-  if (path === '/api/workspace/files' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = workspaceHandlers.learnFile(body.path, body.analysis);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/workspace/files - Get file knowledge
-  if (path === '/api/workspace/files' && method === 'GET') {
-    try {
-      const filePath = url.searchParams.get('path');
-      const purpose = url.searchParams.get('purpose');
-      
-      if (filePath) {
-        const file = workspaceHandlers.getFile(filePath);
-        return json(res, file);
-      } else if (purpose) {
-        const files = workspaceHandlers.getFilesByPurpose(purpose);
-        return json(res, files);
-      } else {
-        const files = workspaceHandlers.getRecentFiles(20);
-        return json(res, files);
-      }
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/workspace/patterns - Get code patterns
-  if (path === '/api/workspace/patterns' && method === 'GET') {
-    try {
-      const project = url.searchParams.get('project');
-      const patterns = workspaceHandlers.getPatterns(project);
-      return json(res, patterns);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/workspace/patterns - Learn code pattern
-  if (path === '/api/workspace/patterns' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = workspaceHandlers.learnPattern(body.name, body.examples, body.project);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ MEMORY MANAGER ROUTES ============
-
-  // GET /api/memory/stats - Get memory statistics
-  if (path === '/api/memory/stats' && method === 'GET') {
-    try {
-      const stats = memoryManagerHandlers.getStats();
-      return json(res, stats);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/search/advanced - Advanced memory search
-  if (path === '/api/memory/search/advanced' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const results = memoryManagerHandlers.search(body);
-      return json(res, results);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/memory/related/:name - Get related entities
-  const memoryRelatedMatch = path.match(/^\/api\/memory\/related\/([^/]+)$/);
-  if (memoryRelatedMatch && method === 'GET') {
-    try {
-      const name = decodeURIComponent(memoryRelatedMatch[1]);
-      const depth = parseInt(url.searchParams.get('depth')) || 1;
-      const related = memoryManagerHandlers.getRelated(name, depth);
-      return json(res, related);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/decay - Apply confidence decay
-  if (path === '/api/memory/decay' && method === 'POST') {
-    try {
-      const result = memoryManagerHandlers.applyDecay();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/cleanup - Clean low-confidence entities
-  if (path === '/api/memory/cleanup' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const threshold = body.threshold || 0.1;
-      const result = memoryManagerHandlers.cleanup(threshold);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/archive - Archive old entities
-  if (path === '/api/memory/archive' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const olderThanDays = body.olderThanDays || 90;
-      const result = await memoryManagerHandlers.archive(olderThanDays);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/restore - Restore from archive
-  if (path === '/api/memory/restore' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await memoryManagerHandlers.restore(body.entityNames);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/sync - Sync to MongoDB
-  if (path === '/api/memory/sync' && method === 'POST') {
-    try {
-      const result = await memoryManagerHandlers.syncToMongo();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/sync/load - Load from MongoDB
-  if (path === '/api/memory/sync/load' && method === 'POST') {
-    try {
-      const result = await memoryManagerHandlers.loadFromMongo();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/export - Export to file
-  if (path === '/api/memory/export' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await memoryManagerHandlers.exportToFile(body.path);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/memory/import - Import from file
-  if (path === '/api/memory/import' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await memoryManagerHandlers.importFromFile(body.path);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ GITHUB MCP ROUTES ============
-
-  // GET /api/github/user - Get authenticated user
-  if (path === '/api/github/user' && method === 'GET') {
-    try {
-      const user = await githubHandlers.getUser();
-      return json(res, user);
-    } catch (error) {
-      return json(res, { error: error.message }, 401);
-    }
-  }
-
-  // GET /api/github/repos - List repos
-  if (path === '/api/github/repos' && method === 'GET') {
-    try {
-      const repos = await githubHandlers.listRepos({
-        perPage: parseInt(url.searchParams.get('per_page')) || 30,
-        page: parseInt(url.searchParams.get('page')) || 1,
-      });
-      return json(res, repos);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/github/search/repos?q= - Search repositories
-  if (path === '/api/github/search/repos' && method === 'GET') {
-    try {
-      const query = url.searchParams.get('q') || '';
-      const result = await githubHandlers.searchRepos(query);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ HUGGINGFACE MCP ROUTES ============
-
-  // GET /api/huggingface/models?q= - Search models
-  if (path === '/api/huggingface/models' && method === 'GET') {
-    try {
-      const query = url.searchParams.get('q') || '';
-      const models = await huggingfaceHandlers.searchModels(query, {
-        limit: parseInt(url.searchParams.get('limit')) || 20,
-      });
-      return json(res, models);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/huggingface/datasets?q= - Search datasets
-  if (path === '/api/huggingface/datasets' && method === 'GET') {
-    try {
-      const query = url.searchParams.get('q') || '';
-      const datasets = await huggingfaceHandlers.searchDatasets(query, {
-        limit: parseInt(url.searchParams.get('limit')) || 20,
-      });
-      return json(res, datasets);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/huggingface/inference - Run inference
-  if (path === '/api/huggingface/inference' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await huggingfaceHandlers.inference(
-        body.model,
-        body.inputs,
-        body.options || {}
-      );
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ LM STUDIO MCP ROUTES ============
-
-  // GET /api/lmstudio/health - Test connection to LM Studio
-  if (path === '/api/lmstudio/health' && method === 'GET') {
-    try {
-      const result = await lmstudioHandlers.testConnection();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/lmstudio/status - Get connection status and config
-  if (path === '/api/lmstudio/status' && method === 'GET') {
-    try {
-      const result = lmstudioHandlers.getStatus();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/lmstudio/server - Get full server status
-  if (path === '/api/lmstudio/server' && method === 'GET') {
-    try {
-      const result = await lmstudioHandlers.getServerStatus();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/lmstudio/models - List loaded models
-  if (path === '/api/lmstudio/models' && method === 'GET') {
-    try {
-      const result = await lmstudioHandlers.listModels();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/lmstudio/models/downloaded - List all downloaded models
-  if (path === '/api/lmstudio/models/downloaded' && method === 'GET') {
-    try {
-      const result = await lmstudioHandlers.listDownloadedModels();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/lmstudio/model/loaded - Get currently loaded model
-  if (path === '/api/lmstudio/model/loaded' && method === 'GET') {
-    try {
-      const result = await lmstudioHandlers.selectLoadedModel();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/model/select - Select a loaded model
-  if (path === '/api/lmstudio/model/select' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.selectLoadedModel(body.modelName);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/model/load - Load a specific model
-  if (path === '/api/lmstudio/model/load' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.loadModel(body.modelId, body.options || {});
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/model/unload - Unload a model
-  if (path === '/api/lmstudio/model/unload' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.unloadModel(body.modelId);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/model/autoload - Auto-load best available model
-  if (path === '/api/lmstudio/model/autoload' && method === 'POST') {
-    try {
-      const result = await lmstudioHandlers.autoLoadModel();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/lmstudio/model/:id/info - Get model info
-  const lmModelInfoMatch = path.match(/^\/api\/lmstudio\/model\/([^/]+)\/info$/);
-  if (lmModelInfoMatch && method === 'GET') {
-    try {
-      const modelId = decodeURIComponent(lmModelInfoMatch[1]);
-      const result = await lmstudioHandlers.getModelInfo(modelId);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/chat - Chat completion
-  if (path === '/api/lmstudio/chat' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.chat(body.messages, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/chat/v0 - Chat using REST API v0 with enhanced stats
-  if (path === '/api/lmstudio/chat/v0' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.chatV0(body.messages, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/chat/tools - Chat with tool calling
-  if (path === '/api/lmstudio/chat/tools' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.chatWithTools(body.messages, body.tools, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/chat/image - Chat with image input (vision)
-  if (path === '/api/lmstudio/chat/image' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.chatWithImage(body.text, body.images, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/chat/structured - Chat with structured JSON output
-  if (path === '/api/lmstudio/chat/structured' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.chatStructured(body.messages, body.schema, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/complete - Text completion
-  if (path === '/api/lmstudio/complete' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.completeV0(body.prompt, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/embed - Generate embeddings
-  if (path === '/api/lmstudio/embed' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.embed(body.input, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/embeddings - Get multiple embeddings
-  if (path === '/api/lmstudio/embeddings' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.getEmbeddings(body.texts, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/similar - Find similar texts
-  if (path === '/api/lmstudio/similar' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.findSimilar(body.query, body.candidates, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/describe - Describe a single image
-  if (path === '/api/lmstudio/describe' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.describeImage(body.image, body.prompt, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/lmstudio/analyze - Analyze multiple images
-  if (path === '/api/lmstudio/analyze' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await lmstudioHandlers.analyzeImages(body.images, body.question, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ STRIPE MCP ROUTES ============
-
-  // GET /api/stripe/customers - List customers
-  if (path === '/api/stripe/customers' && method === 'GET') {
-    try {
-      const result = await stripeHandlers.listCustomers({
-        limit: parseInt(url.searchParams.get('limit')) || 10,
-        email: url.searchParams.get('email'),
-      });
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/stripe/customers - Create customer
-  if (path === '/api/stripe/customers' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await stripeHandlers.createCustomer(body.email, body.name, body.metadata);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/stripe/products - List products
-  if (path === '/api/stripe/products' && method === 'GET') {
-    try {
-      const result = await stripeHandlers.listProducts({
-        limit: parseInt(url.searchParams.get('limit')) || 10,
-      });
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/stripe/products - Create product
-  if (path === '/api/stripe/products' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await stripeHandlers.createProduct(body.name, body.description, body.metadata);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/stripe/subscriptions - List subscriptions
-  if (path === '/api/stripe/subscriptions' && method === 'GET') {
-    try {
-      const result = await stripeHandlers.listSubscriptions({
-        limit: parseInt(url.searchParams.get('limit')) || 10,
-        customer: url.searchParams.get('customer'),
-      });
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/stripe/balance - Get balance
-  if (path === '/api/stripe/balance' && method === 'GET') {
-    try {
-      const result = await stripeHandlers.getBalance();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ PATREON MCP ROUTES ============
-
-  // GET /api/patreon/status - Get Patreon connection status
-  if (path === '/api/patreon/status' && method === 'GET') {
-    try {
-      const result = patreonHandlers.getStatus();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/identity - Get current user identity
-  if (path === '/api/patreon/identity' && method === 'GET') {
-    try {
-      const result = await patreonHandlers.getIdentity();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/campaigns - Get all campaigns
-  if (path === '/api/patreon/campaigns' && method === 'GET') {
-    try {
-      const result = await patreonHandlers.getCampaigns();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/campaigns/:id - Get specific campaign
-  if (path.startsWith('/api/patreon/campaigns/') && !path.includes('/members') && !path.includes('/posts') && method === 'GET') {
-    try {
-      const campaignId = path.split('/')[4];
-      const result = await patreonHandlers.getCampaign(campaignId);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/campaigns/:id/members - Get campaign members
-  if (path.match(/^\/api\/patreon\/campaigns\/[^/]+\/members$/) && method === 'GET') {
-    try {
-      const campaignId = path.split('/')[4];
-      const cursor = url.searchParams.get('cursor');
-      const result = await patreonHandlers.getCampaignMembers(campaignId, { cursor });
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/campaigns/:id/members/all - Get all campaign members (paginated)
-  if (path.match(/^\/api\/patreon\/campaigns\/[^/]+\/members\/all$/) && method === 'GET') {
-    try {
-      const campaignId = path.split('/')[4];
-      const maxPages = parseInt(url.searchParams.get('maxPages')) || 100;
-      const result = await patreonHandlers.getAllMembers(campaignId, { maxPages });
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/members/:id - Get specific member
-  if (path.match(/^\/api\/patreon\/members\/[^/]+$/) && method === 'GET') {
-    try {
-      const memberId = path.split('/')[4];
-      const result = await patreonHandlers.getMember(memberId);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/campaigns/:id/posts - Get campaign posts
-  if (path.match(/^\/api\/patreon\/campaigns\/[^/]+\/posts$/) && method === 'GET') {
-    try {
-      const campaignId = path.split('/')[4];
-      const cursor = url.searchParams.get('cursor');
-      const result = await patreonHandlers.getCampaignPosts(campaignId, { cursor });
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/posts/:id - Get specific post
-  if (path.match(/^\/api\/patreon\/posts\/[^/]+$/) && method === 'GET') {
-    try {
-      const postId = path.split('/')[4];
-      const result = await patreonHandlers.getPost(postId);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/webhooks - Get all webhooks
-  if (path === '/api/patreon/webhooks' && method === 'GET') {
-    try {
-      const result = await patreonHandlers.getWebhooks();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/patreon/webhooks - Create webhook
-  if (path === '/api/patreon/webhooks' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await patreonHandlers.createWebhook(body.campaignId, body.uri, body.triggers);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // PATCH /api/patreon/webhooks/:id - Update webhook
-  if (path.match(/^\/api\/patreon\/webhooks\/[^/]+$/) && method === 'PATCH') {
-    try {
-      const webhookId = path.split('/')[4];
-      const body = await parseBody(req);
-      const result = await patreonHandlers.updateWebhook(webhookId, body);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // DELETE /api/patreon/webhooks/:id - Delete webhook
-  if (path.match(/^\/api\/patreon\/webhooks\/[^/]+$/) && method === 'DELETE') {
-    try {
-      const webhookId = path.split('/')[4];
-      const result = await patreonHandlers.deleteWebhook(webhookId);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/patreon/webhooks/verify - Verify webhook signature
-  if (path === '/api/patreon/webhooks/verify' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const isValid = patreonHandlers.verifyWebhookSignature(body.payload, body.signature);
-      return json(res, { valid: isValid });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/patreon/oauth/refresh - Refresh OAuth token
-  if (path === '/api/patreon/oauth/refresh' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await patreonHandlers.refreshToken(body.refreshToken);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/patreon/oauth/exchange - Exchange code for token
-  if (path === '/api/patreon/oauth/exchange' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await patreonHandlers.exchangeCode(body.code, body.redirectUri);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/patreon/oauth/url - Get OAuth authorization URL
-  if (path === '/api/patreon/oauth/url' && method === 'GET') {
-    try {
-      const redirectUri = url.searchParams.get('redirectUri');
-      const scopes = url.searchParams.get('scopes')?.split(',') || ['identity', 'campaigns', 'campaigns.members'];
-      const state = url.searchParams.get('state');
-      const result = patreonHandlers.getAuthorizationUrl(redirectUri, scopes, state);
-      return json(res, { url: result });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ FETCH MCP ROUTES ============
-
-  // POST /api/fetch - Make HTTP GET request
-  if (path === '/api/fetch' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await fetchHandlers.get(body.url, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/fetch/post - Make HTTP POST request
-  if (path === '/api/fetch/post' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await fetchHandlers.post(body.url, body.body, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/fetch/put - Make HTTP PUT request
-  if (path === '/api/fetch/put' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await fetchHandlers.put(body.url, body.body, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/fetch/patch - Make HTTP PATCH request
-  if (path === '/api/fetch/patch' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await fetchHandlers.patch(body.url, body.body, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/fetch/delete - Make HTTP DELETE request
-  if (path === '/api/fetch/delete' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await fetchHandlers.delete(body.url, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/fetch/head - Make HTTP HEAD request
-  if (path === '/api/fetch/head' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await fetchHandlers.head(body.url, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/fetch/ping?url= - Ping URL
-  if (path === '/api/fetch/ping' && method === 'GET') {
-    try {
-      const targetUrl = url.searchParams.get('url');
-      if (!targetUrl) {
-        return json(res, { error: 'Missing url parameter' }, 400);
-      }
-      const result = await fetchHandlers.ping(targetUrl);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/fetch/download - Download file as base64
-  if (path === '/api/fetch/download' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await fetchHandlers.downloadBase64(body.url);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/fetch/feed - Fetch RSS/Atom feed
-  if (path === '/api/fetch/feed' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await fetchHandlers.fetchFeed(body.url);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ SQLITE MCP ROUTES ============
-
-  // GET /api/sqlite/tables - List tables
-  if (path === '/api/sqlite/tables' && method === 'GET') {
-    return json(res, { tables: sqliteHandlers.listTables() });
-  }
-
-  // POST /api/sqlite/tables - Create table
-  if (path === '/api/sqlite/tables' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = sqliteHandlers.createTable(body.name, body.columns);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // GET /api/sqlite/stats - Get stats
-  if (path === '/api/sqlite/stats' && method === 'GET') {
-    return json(res, sqliteHandlers.getStats());
-  }
-
-  // POST /api/sqlite/query - Execute query
-  if (path === '/api/sqlite/query' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      if (body.sql) {
-        const result = sqliteHandlers.execute(body.sql);
-        return json(res, { result });
-      }
-      if (body.table) {
-        const result = sqliteHandlers.select(body.table, body.options || {});
-        return json(res, { rows: result });
-      }
-      return json(res, { error: 'Missing sql or table parameter' }, 400);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // POST /api/sqlite/insert - Insert row
-  if (path === '/api/sqlite/insert' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = sqliteHandlers.insert(body.table, body.data);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // ============ MONGODB MCP ROUTES ============
-
-  // POST /api/mongodb/connect - Connect to MongoDB
-  if (path === '/api/mongodb/connect' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await mongoHandlers.connect(body.database);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/disconnect - Disconnect
-  if (path === '/api/mongodb/disconnect' && method === 'POST') {
-    try {
-      const result = await mongoHandlers.disconnect();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/mongodb/info - Get connection info
-  if (path === '/api/mongodb/info' && method === 'GET') {
-    return json(res, mongoHandlers.getConnectionInfo());
-  }
-
-  // GET /api/mongodb/databases - List databases
-  if (path === '/api/mongodb/databases' && method === 'GET') {
-    try {
-      const databases = await mongoHandlers.listDatabases();
-      return json(res, { databases });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/mongodb/collections - List collections
-  if (path === '/api/mongodb/collections' && method === 'GET') {
-    try {
-      const collections = await mongoHandlers.listCollections();
-      return json(res, { collections });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/find - Find documents
-  if (path === '/api/mongodb/find' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const docs = await mongoHandlers.find(
-        body.collection,
-        body.filter || {},
-        body.options || {}
-      );
-      return json(res, { documents: docs, count: docs.length });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/findOne - Find one document
-  if (path === '/api/mongodb/findOne' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const doc = await mongoHandlers.findOne(
-        body.collection,
-        body.filter || {},
-        body.options || {}
-      );
-      return json(res, { document: doc });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/insertOne - Insert one document
-  if (path === '/api/mongodb/insertOne' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await mongoHandlers.insertOne(body.collection, body.document);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/insertMany - Insert many documents
-  if (path === '/api/mongodb/insertMany' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await mongoHandlers.insertMany(body.collection, body.documents);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/updateOne - Update one document
-  if (path === '/api/mongodb/updateOne' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await mongoHandlers.updateOne(
-        body.collection,
-        body.filter,
-        body.update,
-        body.options
-      );
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/updateMany - Update many documents
-  if (path === '/api/mongodb/updateMany' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await mongoHandlers.updateMany(
-        body.collection,
-        body.filter,
-        body.update,
-        body.options
-      );
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/deleteOne - Delete one document
-  if (path === '/api/mongodb/deleteOne' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await mongoHandlers.deleteOne(body.collection, body.filter);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/deleteMany - Delete many documents
-  if (path === '/api/mongodb/deleteMany' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await mongoHandlers.deleteMany(body.collection, body.filter);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/aggregate - Run aggregation pipeline
-  if (path === '/api/mongodb/aggregate' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await mongoHandlers.aggregate(
-        body.collection,
-        body.pipeline,
-        body.options
-      );
-      return json(res, { results: result });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/mongodb/count - Count documents
-  if (path === '/api/mongodb/count' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const count = await mongoHandlers.countDocuments(body.collection, body.filter || {});
-      return json(res, { count });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/mongodb/stats - Get database stats
-  if (path === '/api/mongodb/stats' && method === 'GET') {
-    try {
-      const stats = await mongoHandlers.databaseStats();
-      return json(res, stats);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ PUPPETEER MCP ROUTES ============
-
-  // GET /api/puppeteer/status - Get browser status
-  if (path === '/api/puppeteer/status' && method === 'GET') {
-    return json(res, puppeteerHandlers.getStatus());
-  }
-
-  // POST /api/puppeteer/launch - Launch browser
-  if (path === '/api/puppeteer/launch' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.launch(body);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/navigate - Navigate to URL
-  if (path === '/api/puppeteer/navigate' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.navigate(body.url, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/screenshot - Take screenshot
-  if (path === '/api/puppeteer/screenshot' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.screenshot(body);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/close - Close browser
-  if (path === '/api/puppeteer/close' && method === 'POST') {
-    try {
-      const result = await puppeteerHandlers.close();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/click - Click element
-  if (path === '/api/puppeteer/click' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.click(body.selector, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/type - Type text
-  if (path === '/api/puppeteer/type' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.type(body.selector, body.text, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/evaluate - Execute JavaScript
-  if (path === '/api/puppeteer/evaluate' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.evaluate(body.script);
-      return json(res, { success: true, result });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/puppeteer/content - Get page content
-  if (path === '/api/puppeteer/content' && method === 'GET') {
-    try {
-      const content = await puppeteerHandlers.getContent();
-      return json(res, { success: true, content });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/content - Get page content with selector
-  if (path === '/api/puppeteer/content' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      let content;
-      if (body.selector) {
-        content = await puppeteerHandlers.getText(body.selector);
-      } else {
-        content = await puppeteerHandlers.getContent();
-      }
-      return json(res, { success: true, content });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/pdf - Generate PDF
-  if (path === '/api/puppeteer/pdf' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.pdf(body);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/wait - Wait for selector
-  if (path === '/api/puppeteer/wait' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.waitForSelector(body.selector, body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/viewport - Set viewport size
-  if (path === '/api/puppeteer/viewport' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.setViewport(body.width, body.height);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/puppeteer/cookies - Get cookies
-  if (path === '/api/puppeteer/cookies' && method === 'GET') {
-    try {
-      const cookies = await puppeteerHandlers.getCookies();
-      return json(res, { cookies });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/puppeteer/cookies - Set cookies
-  if (path === '/api/puppeteer/cookies' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await puppeteerHandlers.setCookies(body.cookies);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // DELETE /api/puppeteer/cookies - Clear cookies
-  if (path === '/api/puppeteer/cookies' && method === 'DELETE') {
-    try {
-      const result = await puppeteerHandlers.clearCookies();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/puppeteer/console - Get console logs
-  if (path === '/api/puppeteer/console' && method === 'GET') {
-    try {
-      const logs = puppeteerHandlers.getConsoleLogs();
-      return json(res, { logs });
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // DELETE /api/puppeteer/console - Clear console logs
-  if (path === '/api/puppeteer/console' && method === 'DELETE') {
-    try {
-      const result = puppeteerHandlers.clearConsoleLogs();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ STORAGE MCP ROUTES ============
-
-  // GET /api/storage/status - Get storage status
-  if (path === '/api/storage/status' && method === 'GET') {
-    return json(res, storageHandlers.getStatus());
-  }
-
-  // POST /api/storage/connect - Initialize storage
-  if (path === '/api/storage/connect' && method === 'POST') {
-    try {
-      const result = await storageHandlers.connect();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/storage/files - List all files
-  if (path === '/api/storage/files' && method === 'GET') {
-    try {
-      const folder = url.searchParams.get('folder') || 'all';
-      const result = await storageHandlers.listFiles(folder);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/storage/images - List images
-  if (path === '/api/storage/images' && method === 'GET') {
-    try {
-      const result = await storageHandlers.listImages();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/storage/videos - List videos
-  if (path === '/api/storage/videos' && method === 'GET') {
-    try {
-      const result = await storageHandlers.listVideos();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/storage/stats - Get storage statistics
-  if (path === '/api/storage/stats' && method === 'GET') {
-    try {
-      const result = await storageHandlers.getStats();
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // POST /api/storage/upload - Upload file
-  if (path === '/api/storage/upload' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const { filename, content, type, encoding } = body;
-      let result;
-      if (type === 'image') {
-        result = await storageHandlers.uploadImage(filename, content);
-      } else if (type === 'video') {
-        result = await storageHandlers.uploadVideo(filename, content);
-      } else {
-        result = await storageHandlers.uploadFile(filename, content, encoding || 'base64');
+  {
+    method: 'GET',
+    path: '/api/lmstudio/health',
+    tags: ['LMStudio'],
+    summary: 'Test LM Studio connection',
+    responses: { 200: 'Connection healthy', 500: 'Connection failed' },
+    handler: async ({ res }) => {
+      try {
+        const result = await lmstudioHandlers.testConnection();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
       }
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // GET /api/storage/file/:folder/:filename - Download file
-  const storageFileMatch = path.match(/^\/api\/storage\/file\/([^/]+)\/([^/]+)$/);
-  if (storageFileMatch && method === 'GET') {
-    try {
-      const folder = storageFileMatch[1];
-      const filename = decodeURIComponent(storageFileMatch[2]);
-      const encoding = url.searchParams.get('encoding') || 'base64';
-      const content = await storageHandlers.downloadFile(filename, folder, encoding);
-      return json(res, { filename, folder, content, encoding });
-    } catch (error) {
-      return json(res, { error: error.message }, 404);
-    }
-  }
-
-  // GET /api/storage/info/:folder/:filename - Get file info
-  const storageInfoMatch = path.match(/^\/api\/storage\/info\/([^/]+)\/([^/]+)$/);
-  if (storageInfoMatch && method === 'GET') {
-    try {
-      const folder = storageInfoMatch[1];
-      const filename = decodeURIComponent(storageInfoMatch[2]);
-      const info = await storageHandlers.getFileInfo(filename, folder);
-      return json(res, info);
-    } catch (error) {
-      return json(res, { error: error.message }, 404);
-    }
-  }
-
-  // DELETE /api/storage/file/:folder/:filename - Delete file
-  const storageDeleteMatch = path.match(/^\/api\/storage\/file\/([^/]+)\/([^/]+)$/);
-  if (storageDeleteMatch && method === 'DELETE') {
-    try {
-      const folder = storageDeleteMatch[1];
-      const filename = decodeURIComponent(storageDeleteMatch[2]);
-      const result = await storageHandlers.deleteFile(filename, folder);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 500);
-    }
-  }
-
-  // ============ SEQUENTIAL THINKING MCP ROUTES ============
-
-  // GET /api/thinking/sessions - List thinking sessions
-  if (path === '/api/thinking/sessions' && method === 'GET') {
-    return json(res, { sessions: thinkingHandlers.listSessions() });
-  }
-
-  // POST /api/thinking/sessions - Start new session
-  if (path === '/api/thinking/sessions' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = thinkingHandlers.startSession(body.title, body.description);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // GET /api/thinking/sessions/:id - Get session
-  const thinkingSessionMatch = path.match(/^\/api\/thinking\/sessions\/([^/]+)$/);
-  if (thinkingSessionMatch && method === 'GET') {
-    try {
-      const session = thinkingHandlers.getSession(thinkingSessionMatch[1]);
-      return json(res, session);
-    } catch (error) {
-      return json(res, { error: error.message }, 404);
-    }
-  }
-
-  // POST /api/thinking/sessions/:id/thought - Add thought
-  const thoughtMatch = path.match(/^\/api\/thinking\/sessions\/([^/]+)\/thought$/);
-  if (thoughtMatch && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = thinkingHandlers.addThought(thoughtMatch[1], body);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // POST /api/thinking/sessions/:id/conclude - Conclude session
-  const concludeMatch = path.match(/^\/api\/thinking\/sessions\/([^/]+)\/conclude$/);
-  if (concludeMatch && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = thinkingHandlers.conclude(concludeMatch[1], body.answer);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // GET /api/thinking/stats - Get thinking stats
-  if (path === '/api/thinking/stats' && method === 'GET') {
-    return json(res, thinkingHandlers.getStats());
-  }
-
-  // ============ CLARITY ANALYTICS MCP ROUTES ============
-
-  // POST /api/clarity/init - Initialize Clarity
-  if (path === '/api/clarity/init' && method === 'POST') {
-    return json(res, clarityHandlers.init());
-  }
-
-  // GET /api/clarity/info - Get Clarity info
-  if (path === '/api/clarity/info' && method === 'GET') {
-    return json(res, clarityHandlers.getInfo());
-  }
-
-  // GET /api/clarity/dashboard - Get dashboard data
-  if (path === '/api/clarity/dashboard' && method === 'GET') {
-    return json(res, clarityHandlers.getDashboardData());
-  }
-
-  // POST /api/clarity/identify - Identify user
-  if (path === '/api/clarity/identify' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = clarityHandlers.identify(
-        body.customId,
-        body.customSessionId,
-        body.customPageId,
-        body.friendlyName
-      );
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // POST /api/clarity/tag - Set custom tag
-  if (path === '/api/clarity/tag' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = clarityHandlers.setTag(body.key, body.value);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // POST /api/clarity/event - Track custom event
-  if (path === '/api/clarity/event' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = clarityHandlers.event(body.eventName, body.data || {});
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // POST /api/clarity/pageview - Track page view
-  if (path === '/api/clarity/pageview' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = clarityHandlers.pageView(body.path, body.data || {});
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // POST /api/clarity/upgrade - Upgrade session
-  if (path === '/api/clarity/upgrade' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = clarityHandlers.upgrade(body.reason);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // POST /api/clarity/consent - Set consent
-  if (path === '/api/clarity/consent' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = clarityHandlers.consent(body.options);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // GET /api/clarity/sessions - List sessions
-  if (path === '/api/clarity/sessions' && method === 'GET') {
-    const limit = parseInt(url.searchParams.get('limit')) || 20;
-    const offset = parseInt(url.searchParams.get('offset')) || 0;
-    return json(res, clarityHandlers.listSessions({ limit, offset }));
-  }
-
-  // GET /api/clarity/sessions/:id - Get session by ID
-  const claritySessionMatch = path.match(/^\/api\/clarity\/sessions\/([^/]+)$/);
-  if (claritySessionMatch && method === 'GET') {
-    try {
-      const result = clarityHandlers.getSession(claritySessionMatch[1]);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 404);
-    }
-  }
-
-  // GET /api/clarity/events - Get event history
-  if (path === '/api/clarity/events' && method === 'GET') {
-    const limit = parseInt(url.searchParams.get('limit')) || 50;
-    const eventType = url.searchParams.get('type');
-    return json(res, clarityHandlers.getEventHistory({ limit, eventType }));
-  }
-
-  // GET /api/clarity/top-events - Get top events
-  if (path === '/api/clarity/top-events' && method === 'GET') {
-    const limit = parseInt(url.searchParams.get('limit')) || 10;
-    return json(res, clarityHandlers.getTopEvents(limit));
-  }
-
-  // GET /api/clarity/top-pages - Get top pages
-  if (path === '/api/clarity/top-pages' && method === 'GET') {
-    const limit = parseInt(url.searchParams.get('limit')) || 10;
-    return json(res, clarityHandlers.getTopPages(limit));
-  }
-
-  // POST /api/clarity/reset - Reset analytics data
-  if (path === '/api/clarity/reset' && method === 'POST') {
-    return json(res, clarityHandlers.reset());
-  }
-
-  // ============ DOCUMENTATION ROUTES ============
-
-  // GET /api/docs - List documentation files
-  if (path === '/api/docs' && method === 'GET') {
-    try {
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = dirname(__filename);
-      const docsDir = join(__dirname, '..', '..', 'docs');
-      
-      const files = await readdir(docsDir);
-      const docs = files
-        .filter(f => f.endsWith('.md'))
-        .map(f => ({
-          name: f.replace('.md', ''),
-          filename: f,
-          path: `/api/docs/${encodeURIComponent(f)}`,
-        }));
-      return json(res, { docs });
-    } catch (error) {
-      return json(res, { error: error.message, docs: [] }, 500);
-    }
-  }
-
-  // GET /api/docs/:filename - Get specific documentation file
-  const docsMatch = path.match(/^\/api\/docs\/([^/]+\.md)$/);
-  if (docsMatch && method === 'GET') {
-    try {
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = dirname(__filename);
-      const docsDir = join(__dirname, '..', '..', 'docs');
-      
-      const filename = decodeURIComponent(docsMatch[1]);
-      const filePath = join(docsDir, filename);
-      
-      // Security: prevent directory traversal
-      if (!filePath.startsWith(docsDir)) {
-        return json(res, { error: 'Forbidden' }, 403);
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/lmstudio/status',
+    tags: ['LMStudio'],
+    summary: 'Get connection status and config',
+    handler: ({ res }) => {
+      try {
+        const result = lmstudioHandlers.getStatus();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
       }
-      
-      const content = await readFile(filePath, 'utf-8');
-      return json(res, {
-        filename,
-        name: filename.replace('.md', ''),
-        content,
-      });
-    } catch (error) {
-      return json(res, { error: 'Document not found' }, 404);
-    }
-  }
-
-  // ============ AGENT ORCHESTRATOR ROUTES ============
-
-  // POST /api/agent/chat - Send message to agent
-  if (path === '/api/agent/chat' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await agentHandlers.chat(
-        body.message,
-        body.conversationId,
-        body.options || {}
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/lmstudio/server',
+    tags: ['LMStudio'],
+    summary: 'Get full server status',
+    handler: async ({ res }) => {
+      try {
+        const result = await lmstudioHandlers.getServerStatus();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/lmstudio/models',
+    tags: ['LMStudio'],
+    summary: 'List loaded models',
+    responses: { 200: 'List of models' },
+    handler: async ({ res }) => {
+      try {
+        const result = await lmstudioHandlers.listModels();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/lmstudio/models/downloaded',
+    tags: ['LMStudio'],
+    summary: 'List all downloaded models',
+    handler: async ({ res }) => {
+      try {
+        const result = await lmstudioHandlers.listDownloadedModels();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/lmstudio/model/loaded',
+    tags: ['LMStudio'],
+    summary: 'Get currently loaded model',
+    handler: async ({ res }) => {
+      try {
+        const result = await lmstudioHandlers.selectLoadedModel();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/model/select',
+    tags: ['LMStudio'],
+    summary: 'Select a loaded model',
+    scope: 'agent',
+    body: { type: 'object', properties: { modelName: { type: 'string' } } },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.selectLoadedModel(body.modelName);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/model/load',
+    tags: ['LMStudio'],
+    summary: 'Load a specific model',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['modelId'],
+      properties: { modelId: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.loadModel(body.modelId, body.options || {});
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/model/unload',
+    tags: ['LMStudio'],
+    summary: 'Unload a model',
+    scope: 'agent',
+    body: { type: 'object', properties: { modelId: { type: 'string' } } },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.unloadModel(body.modelId);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/model/autoload',
+    tags: ['LMStudio'],
+    summary: 'Auto-load best available model',
+    scope: 'agent',
+    handler: async ({ res }) => {
+      try {
+        const result = await lmstudioHandlers.autoLoadModel();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/lmstudio/model/:id/info',
+    tags: ['LMStudio'],
+    summary: 'Get model info',
+    handler: async ({ res, params }) => {
+      try {
+        const modelId = params.id;
+        const result = await lmstudioHandlers.getModelInfo(modelId);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/chat',
+    tags: ['LMStudio'],
+    summary: 'Chat completion',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: {
+        messages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['role'],
+            properties: { role: { type: 'string' } },
+          },
+        },
+        options: { type: 'object' },
+      },
+      required: ['messages'],
+    },
+    responses: { 200: 'Chat response' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.chat(body.messages, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/chat/stream',
+    tags: ['LMStudio'],
+    summary: 'Stream a chat completion',
+    description: 'Server-Sent Events: `token` for each content delta, `tool_call_start` when the model begins a tool call, `tool_call_end` with its complete arguments, then a final `usage` frame (or `error`). Disconnecting aborts the LM Studio request.',
+    scope: 'agent',
+    idempotency: false,
+    body: {
+      type: 'object',
+      properties: {
+        messages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['role'],
+            properties: { role: { type: 'string' } },
+          },
+        },
+        options: { type: 'object' },
+      },
+      required: ['messages'],
+    },
+    responses: { 200: EVENT_STREAM_RESPONSE },
+    handler: ({ res, body }) => streamEvents(res, async (stream) => {
+      const result = await lmstudioHandlers.streamCompletion(
+        body.messages,
+        { ...body.options, signal: stream.signal },
+        ({ type, ...data }) => stream.send(type, data)
       );
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
-
-  // GET /api/agent/tools - List available tools
-  if (path === '/api/agent/tools' && method === 'GET') {
-    return json(res, { tools: agentHandlers.getTools() });
-  }
+      result.toolCalls.forEach((call, index) => stream.send('tool_call_end', {
+        index,
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments,
+      }));
+      return { model: result.model, finishReason: result.finishReason, usage: result.usage };
+    }, { finalEvent: 'usage' }),
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/chat/v0',
+    tags: ['LMStudio'],
+    summary: 'Chat using REST API v0 with enhanced stats',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['messages'],
+      properties: {
+        messages: {
+          type: 'array',
+          items: { type: 'object', required: ['role'], properties: { role: { type: 'string' } } },
+        },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.chatV0(body.messages, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/chat/tools',
+    tags: ['LMStudio'],
+    summary: 'Chat with tool calling',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['messages', 'tools'],
+      properties: {
+        messages: {
+          type: 'array',
+          items: { type: 'object', required: ['role'], properties: { role: { type: 'string' } } },
+        },
+        tools: { type: 'array', items: { type: 'object' } },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.chatWithTools(body.messages, body.tools, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/chat/image',
+    tags: ['LMStudio'],
+    summary: 'Chat with image input (vision)',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['text', 'images'],
+      properties: {
+        text: { type: 'string' },
+        images: { type: 'array', items: { type: 'string' }, description: 'Base64 data or data: URLs' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.chatWithImage(body.text, body.images, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/chat/structured',
+    tags: ['LMStudio'],
+    summary: 'Chat with structured JSON output',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['messages', 'schema'],
+      properties: {
+        messages: {
+          type: 'array',
+          items: { type: 'object', required: ['role'], properties: { role: { type: 'string' } } },
+        },
+        schema: { type: 'object', description: 'JSON Schema of the response' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.chatStructured(body.messages, body.schema, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/complete',
+    tags: ['LMStudio'],
+    summary: 'Text completion',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['prompt'],
+      properties: { prompt: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.completeV0(body.prompt, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/embed',
+    tags: ['LMStudio'],
+    summary: 'Generate embeddings',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: {
+        input: { type: ['string', 'array'], description: 'Text or array of texts' },
+        options: { type: 'object' },
+      },
+      required: ['input'],
+    },
+    responses: { 200: 'Embedding vector' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.embed(body.input, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/embeddings',
+    tags: ['LMStudio'],
+    summary: 'Get multiple embeddings',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['texts'],
+      properties: { texts: { type: 'array', items: { type: 'string' } }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.getEmbeddings(body.texts, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/similar',
+    tags: ['LMStudio'],
+    summary: 'Find similar texts',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['query', 'candidates'],
+      properties: {
+        query: { type: 'string', minLength: 1 },
+        candidates: { type: 'array', items: { type: 'string' } },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.findSimilar(body.query, body.candidates, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/describe',
+    tags: ['LMStudio'],
+    summary: 'Describe a single image',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['image'],
+      properties: {
+        image: { type: 'string', minLength: 1, description: 'Base64 data or data: URL' },
+        prompt: { type: 'string' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.describeImage(body.image, body.prompt, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/lmstudio/analyze',
+    tags: ['LMStudio'],
+    summary: 'Analyze multiple images',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['images'],
+      properties: {
+        images: { type: 'array', items: { type: 'string' } },
+        question: { type: 'string' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await lmstudioHandlers.analyzeImages(body.images, body.question, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // POST /api/agent/tools/execute - Execute a tool directly
-  if (path === '/api/agent/tools/execute' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = await agentHandlers.executeTool(body.tool, body.args || {});
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
+  // ============ STRIPE MCP ROUTES ============
 
-  // GET /api/agent/stats - Get agent statistics
-  if (path === '/api/agent/stats' && method === 'GET') {
-    return json(res, agentHandlers.getStats());
-  }
+  {
+    method: 'GET',
+    path: '/api/stripe/customers',
+    tags: ['Stripe'],
+    summary: 'List customers',
+    scope: 'payments',
+    query: {
+      type: 'object',
+      properties: { limit: { type: 'integer', default: 10 }, email: { type: 'string' } },
+    },
+    responses: { 200: 'Customer list' },
+    handler: async ({ res, query }) => {
+      try {
+        const result = await stripeHandlers.listCustomers({
+          limit: parseInt(query.limit) || 10,
+          email: query.email,
+        });
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/stripe/customers',
+    tags: ['Stripe'],
+    summary: 'Create customer',
+    scope: 'payments',
+    body: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        name: { type: 'string' },
+        metadata: { type: 'object' },
+      },
+      required: ['email'],
+    },
+    responses: { 200: 'Customer created' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await stripeHandlers.createCustomer(body.email, body.name, body.metadata);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/stripe/products',
+    tags: ['Stripe'],
+    summary: 'List products',
+    scope: 'payments',
+    query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1, default: 10 } } },
+    responses: { 200: 'Product list' },
+    handler: async ({ res, query }) => {
+      try {
+        const result = await stripeHandlers.listProducts({
+          limit: parseInt(query.limit) || 10,
+        });
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/stripe/products',
+    tags: ['Stripe'],
+    summary: 'Create product',
+    scope: 'payments',
+    body: {
+      type: 'object',
+      properties: { name: { type: 'string' }, description: { type: 'string' } },
+      required: ['name'],
+    },
+    responses: { 200: 'Product created' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await stripeHandlers.createProduct(body.name, body.description, body.metadata);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/stripe/subscriptions',
+    tags: ['Stripe'],
+    summary: 'List subscriptions',
+    scope: 'payments',
+    query: {
+      type: 'object',
+      properties: { customer: { type: 'string' }, limit: { type: 'integer', minimum: 1, default: 10 } },
+    },
+    handler: async ({ res, query }) => {
+      try {
+        const result = await stripeHandlers.listSubscriptions({
+          limit: parseInt(query.limit) || 10,
+          customer: query.customer,
+        });
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/stripe/balance',
+    tags: ['Stripe'],
+    summary: 'Get account balance',
+    scope: 'payments',
+    responses: { 200: 'Balance info' },
+    handler: async ({ res }) => {
+      try {
+        const result = await stripeHandlers.getBalance();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // GET /api/agent/config - Get agent configuration
-  if (path === '/api/agent/config' && method === 'GET') {
-    return json(res, agentHandlers.getConfig());
-  }
+  // ============ PATREON MCP ROUTES ============
 
-  // POST /api/agent/config - Update agent configuration
-  if (path === '/api/agent/config' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const result = agentHandlers.setConfig(body);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 400);
-    }
-  }
+  {
+    method: 'GET',
+    path: '/api/patreon/status',
+    tags: ['Patreon'],
+    summary: 'Get Patreon connection status',
+    scope: 'payments',
+    handler: ({ res }) => {
+      try {
+        const result = patreonHandlers.getStatus();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/identity',
+    tags: ['Patreon'],
+    summary: 'Get creator identity',
+    scope: 'payments',
+    responses: { 200: 'Creator info' },
+    handler: async ({ res }) => {
+      try {
+        const result = await patreonHandlers.getIdentity();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/campaigns',
+    tags: ['Patreon'],
+    summary: 'List campaigns',
+    scope: 'payments',
+    responses: { 200: 'Campaign list' },
+    handler: async ({ res }) => {
+      try {
+        const result = await patreonHandlers.getCampaigns();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/campaigns/:id',
+    tags: ['Patreon'],
+    summary: 'Get specific campaign',
+    scope: 'payments',
+    handler: async ({ res, params }) => {
+      try {
+        const result = await patreonHandlers.getCampaign(params.id);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/campaigns/:id/members',
+    tags: ['Patreon'],
+    summary: 'Get campaign members',
+    scope: 'payments',
+    query: { type: 'object', properties: { cursor: { type: 'string' } } },
+    handler: async ({ res, params, query }) => {
+      try {
+        const campaignId = params.id;
+        const cursor = query.cursor;
+        const result = await patreonHandlers.getCampaignMembers(campaignId, { cursor });
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/campaigns/:id/members/all',
+    tags: ['Patreon'],
+    summary: 'Get all campaign members (paginated)',
+    scope: 'payments',
+    query: { type: 'object', properties: { maxPages: { type: 'integer', minimum: 1, default: 100 } } },
+    handler: async ({ res, params, query }) => {
+      try {
+        const campaignId = params.id;
+        const maxPages = parseInt(query.maxPages) || 100;
+        const result = await patreonHandlers.getAllMembers(campaignId, { maxPages });
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/members/:id',
+    tags: ['Patreon'],
+    summary: 'Get specific member',
+    scope: 'payments',
+    handler: async ({ res, params }) => {
+      try {
+        const memberId = params.id;
+        const result = await patreonHandlers.getMember(memberId);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/campaigns/:id/posts',
+    tags: ['Patreon'],
+    summary: 'Get campaign posts',
+    scope: 'payments',
+    query: { type: 'object', properties: { cursor: { type: 'string' } } },
+    handler: async ({ res, params, query }) => {
+      try {
+        const campaignId = params.id;
+        const cursor = query.cursor;
+        const result = await patreonHandlers.getCampaignPosts(campaignId, { cursor });
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/posts/:id',
+    tags: ['Patreon'],
+    summary: 'Get specific post',
+    scope: 'payments',
+    handler: async ({ res, params }) => {
+      try {
+        const postId = params.id;
+        const result = await patreonHandlers.getPost(postId);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/webhooks',
+    tags: ['Patreon'],
+    summary: 'Get all webhooks',
+    scope: 'payments',
+    handler: async ({ res }) => {
+      try {
+        const result = await patreonHandlers.getWebhooks();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/patreon/webhooks',
+    tags: ['Patreon'],
+    summary: 'Create webhook',
+    scope: 'payments',
+    body: {
+      type: 'object',
+      required: ['campaignId', 'uri'],
+      properties: {
+        campaignId: { type: 'string', minLength: 1 },
+        uri: { type: 'string', minLength: 1 },
+        triggers: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await patreonHandlers.createWebhook(body.campaignId, body.uri, body.triggers);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'PATCH',
+    path: '/api/patreon/webhooks/:id',
+    tags: ['Patreon'],
+    summary: 'Update webhook',
+    scope: 'payments',
+    body: {
+      type: 'object',
+      properties: {
+        uri: { type: 'string' },
+        triggers: { type: 'array', items: { type: 'string' } },
+        paused: { type: 'boolean' },
+      },
+    },
+    handler: async ({ res, params, body }) => {
+      try {
+        const webhookId = params.id;
+        const result = await patreonHandlers.updateWebhook(webhookId, body);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/patreon/webhooks/:id',
+    tags: ['Patreon'],
+    summary: 'Delete webhook',
+    scope: 'payments',
+    handler: async ({ res, params }) => {
+      try {
+        const webhookId = params.id;
+        const result = await patreonHandlers.deleteWebhook(webhookId);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/patreon/webhooks/verify',
+    tags: ['Patreon'],
+    summary: 'Verify webhook signature',
+    description: 'Forward a webhook delivery unchanged: its body and its `X-Patreon-Signature` header. The signature is checked against the raw body bytes, so re-serialized JSON does not verify.',
+    scope: 'payments',
+    body: { description: 'Webhook delivery body, byte for byte' },
+    responses: {
+      200: { description: 'Verification result', schema: { type: 'object', properties: { valid: { type: 'boolean' } } } },
+      400: 'Missing X-Patreon-Signature header',
+    },
+    handler: ({ req, res, rawBody }) => {
+      const signature = req.headers['x-patreon-signature'];
+      if (!signature) {
+        return json(res, { error: 'X-Patreon-Signature header is required' }, 400);
+      }
+      return json(res, { valid: patreonHandlers.verifyWebhookSignature(rawBody, signature) });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/patreon/oauth/refresh',
+    tags: ['Patreon'],
+    summary: 'Refresh OAuth token',
+    scope: 'payments',
+    body: {
+      type: 'object',
+      required: ['refreshToken'],
+      properties: { refreshToken: { type: 'string', minLength: 1 } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await patreonHandlers.refreshToken(body.refreshToken);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/patreon/oauth/exchange',
+    tags: ['Patreon'],
+    summary: 'Exchange code for token',
+    scope: 'payments',
+    body: {
+      type: 'object',
+      required: ['code'],
+      properties: { code: { type: 'string', minLength: 1 }, redirectUri: { type: 'string' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await patreonHandlers.exchangeCode(body.code, body.redirectUri);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/patreon/oauth/url',
+    tags: ['Patreon'],
+    summary: 'Get OAuth authorization URL',
+    scope: 'payments',
+    query: {
+      type: 'object',
+      properties: {
+        redirectUri: { type: 'string' },
+        scopes: { type: 'string', description: 'Comma-separated scopes' },
+        state: { type: 'string' },
+      },
+    },
+    handler: ({ res, query }) => {
+      try {
+        const redirectUri = query.redirectUri;
+        const scopes = query.scopes?.split(',') || ['identity', 'campaigns', 'campaigns.members'];
+        const state = query.state;
+        const result = patreonHandlers.getAuthorizationUrl(redirectUri, scopes, state);
+        return json(res, { url: result });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // GET /api/agent/personality - Get agent personality info
-  if (path === '/api/agent/personality' && method === 'GET') {
-    return json(res, agentHandlers.getPersonality());
-  }
+  // ============ FETCH MCP ROUTES ============
 
-  // POST /api/agent/initialize - Initialize agent and connect to LM Studio
-  if (path === '/api/agent/initialize' && method === 'POST') {
-    try {
-      const connected = await agentHandlers.initialize();
-      return json(res, { success: connected, connected });
-    } catch (error) {
-      return json(res, { error: error.message, connected: false }, 500);
-    }
-  }
+  {
+    method: 'POST',
+    path: '/api/fetch',
+    tags: ['Fetch'],
+    summary: 'Make HTTP GET request',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await fetchHandlers.get(body.url, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/fetch/post',
+    tags: ['Fetch'],
+    summary: 'Make HTTP POST request',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', minLength: 1 },
+        body: { description: 'Request body' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await fetchHandlers.post(body.url, body.body, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/fetch/put',
+    tags: ['Fetch'],
+    summary: 'Make HTTP PUT request',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', minLength: 1 },
+        body: { description: 'Request body' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await fetchHandlers.put(body.url, body.body, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/fetch/patch',
+    tags: ['Fetch'],
+    summary: 'Make HTTP PATCH request',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', minLength: 1 },
+        body: { description: 'Request body' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await fetchHandlers.patch(body.url, body.body, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/fetch/delete',
+    tags: ['Fetch'],
+    summary: 'Make HTTP DELETE request',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await fetchHandlers.delete(body.url, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/fetch/head',
+    tags: ['Fetch'],
+    summary: 'Make HTTP HEAD request',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await fetchHandlers.head(body.url, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/fetch/ping',
+    tags: ['Fetch'],
+    summary: 'Ping URL',
+    scope: 'agent',
+    query: { type: 'object', required: ['url'], properties: { url: { type: 'string', minLength: 1 } } },
+    handler: async ({ res, query }) => {
+      try {
+        const result = await fetchHandlers.ping(query.url);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/fetch/download',
+    tags: ['Fetch'],
+    summary: 'Download file as base64',
+    scope: 'agent',
+    body: { type: 'object', required: ['url'], properties: { url: { type: 'string', minLength: 1 } } },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await fetchHandlers.downloadBase64(body.url);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/fetch/feed',
+    tags: ['Fetch'],
+    summary: 'Fetch RSS/Atom feed',
+    scope: 'agent',
+    body: { type: 'object', required: ['url'], properties: { url: { type: 'string', minLength: 1 } } },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await fetchHandlers.fetchFeed(body.url);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // POST /api/agent/conversations - Create new conversation
-  if (path === '/api/agent/conversations' && method === 'POST') {
-    return json(res, agentHandlers.createConversation());
-  }
+  // ============ SQLITE MCP ROUTES ============
 
-  // GET /api/agent/conversations - List conversations
-  if (path === '/api/agent/conversations' && method === 'GET') {
-    const limit = parseInt(url.searchParams.get('limit')) || 20;
-    return json(res, agentHandlers.listConversations(limit));
-  }
+  {
+    method: 'GET',
+    path: '/api/sqlite/tables',
+    tags: ['SQLite'],
+    summary: 'List tables',
+    responses: { 200: 'Table list' },
+    handler: ({ res }) => json(res, { tables: sqliteHandlers.listTables() }),
+  },
+  {
+    method: 'POST',
+    path: '/api/sqlite/tables',
+    tags: ['SQLite'],
+    summary: 'Create table',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['name', 'columns'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        columns: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = sqliteHandlers.createTable(body.name, body.columns);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/sqlite/stats',
+    tags: ['SQLite'],
+    summary: 'Get stats',
+    handler: ({ res }) => json(res, sqliteHandlers.getStats()),
+  },
+  {
+    method: 'POST',
+    path: '/api/sqlite/query',
+    tags: ['SQLite'],
+    summary: 'Execute SQL query',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      properties: {
+        sql: { type: 'string', description: 'SQL statement; takes precedence over table' },
+        table: { type: 'string', description: 'Table to select from' },
+        options: { type: 'object' },
+      },
+    },
+    responses: { 200: 'Query results' },
+    handler: ({ res, body }) => {
+      try {
+        if (body.sql) {
+          const result = sqliteHandlers.execute(body.sql);
+          return json(res, { result });
+        }
+        if (body.table) {
+          const result = sqliteHandlers.select(body.table, body.options || {});
+          return json(res, { rows: result });
+        }
+        return json(res, { error: 'Missing sql or table parameter' }, 400);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/sqlite/insert',
+    tags: ['SQLite'],
+    summary: 'Insert row',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['table', 'data'],
+      properties: { table: { type: 'string', minLength: 1 }, data: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = sqliteHandlers.insert(body.table, body.data);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
 
-  // DELETE /api/agent/conversations - Clear all conversations
-  if (path === '/api/agent/conversations' && method === 'DELETE') {
-    return json(res, agentHandlers.clearConversations());
-  }
+  // ============ MONGODB MCP ROUTES ============
 
-  // GET /api/agent/conversations/:id - Get conversation by ID
-  const agentConvMatch = path.match(/^\/api\/agent\/conversations\/([^/]+)$/);
-  if (agentConvMatch && method === 'GET') {
-    try {
-      const result = agentHandlers.getConversation(agentConvMatch[1]);
-      return json(res, result);
-    } catch (error) {
-      return json(res, { error: error.message }, 404);
-    }
-  }
+  {
+    method: 'POST',
+    path: '/api/mongodb/connect',
+    tags: ['MongoDB'],
+    summary: 'Connect to MongoDB',
+    scope: 'db:write',
+    body: { type: 'object', properties: { database: { type: 'string' } } },
+    responses: { 200: 'Connected' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await mongoHandlers.connect(body.database);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/disconnect',
+    tags: ['MongoDB'],
+    summary: 'Disconnect',
+    scope: 'db:write',
+    handler: async ({ res }) => {
+      try {
+        const result = await mongoHandlers.disconnect();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/mongodb/info',
+    tags: ['MongoDB'],
+    summary: 'Get connection info',
+    handler: ({ res }) => json(res, mongoHandlers.getConnectionInfo()),
+  },
+  {
+    method: 'GET',
+    path: '/api/mongodb/databases',
+    tags: ['MongoDB'],
+    summary: 'List databases',
+    handler: async ({ res }) => {
+      try {
+        const databases = await mongoHandlers.listDatabases();
+        return json(res, { databases });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/mongodb/collections',
+    tags: ['MongoDB'],
+    summary: 'List collections',
+    query: { type: 'object', properties: { database: { type: 'string' } } },
+    responses: { 200: 'Collection list' },
+    handler: async ({ res }) => {
+      try {
+        const collections = await mongoHandlers.listCollections();
+        return json(res, { collections });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/find',
+    tags: ['MongoDB'],
+    summary: 'Find documents',
+    body: {
+      type: 'object',
+      required: ['collection'],
+      properties: {
+        collection: { type: 'string', minLength: 1 },
+        filter: { type: 'object' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const docs = await mongoHandlers.find(
+          body.collection,
+          body.filter || {},
+          body.options || {}
+        );
+        return json(res, { documents: docs, count: docs.length });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/findOne',
+    tags: ['MongoDB'],
+    summary: 'Find one document',
+    body: {
+      type: 'object',
+      required: ['collection'],
+      properties: {
+        collection: { type: 'string', minLength: 1 },
+        filter: { type: 'object' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const doc = await mongoHandlers.findOne(
+          body.collection,
+          body.filter || {},
+          body.options || {}
+        );
+        return json(res, { document: doc });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/insertOne',
+    tags: ['MongoDB'],
+    summary: 'Insert one document',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['collection', 'document'],
+      properties: { collection: { type: 'string', minLength: 1 }, document: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await mongoHandlers.insertOne(body.collection, body.document);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/insertMany',
+    tags: ['MongoDB'],
+    summary: 'Insert many documents',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['collection', 'documents'],
+      properties: {
+        collection: { type: 'string', minLength: 1 },
+        documents: { type: 'array', items: { type: 'object' }, minItems: 1 },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await mongoHandlers.insertMany(body.collection, body.documents);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/updateOne',
+    tags: ['MongoDB'],
+    summary: 'Update one document',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['collection', 'filter', 'update'],
+      properties: {
+        collection: { type: 'string', minLength: 1 },
+        filter: { type: 'object' },
+        update: { type: 'object' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await mongoHandlers.updateOne(
+          body.collection,
+          body.filter,
+          body.update,
+          body.options
+        );
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/updateMany',
+    tags: ['MongoDB'],
+    summary: 'Update many documents',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['collection', 'filter', 'update'],
+      properties: {
+        collection: { type: 'string', minLength: 1 },
+        filter: { type: 'object' },
+        update: { type: 'object' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await mongoHandlers.updateMany(
+          body.collection,
+          body.filter,
+          body.update,
+          body.options
+        );
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/deleteOne',
+    tags: ['MongoDB'],
+    summary: 'Delete one document',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['collection', 'filter'],
+      properties: { collection: { type: 'string', minLength: 1 }, filter: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await mongoHandlers.deleteOne(body.collection, body.filter);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/deleteMany',
+    tags: ['MongoDB'],
+    summary: 'Delete many documents',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['collection', 'filter'],
+      properties: { collection: { type: 'string', minLength: 1 }, filter: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await mongoHandlers.deleteMany(body.collection, body.filter);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/aggregate',
+    tags: ['MongoDB'],
+    summary: 'Run aggregation pipeline',
+    body: {
+      type: 'object',
+      required: ['collection', 'pipeline'],
+      properties: {
+        collection: { type: 'string', minLength: 1 },
+        pipeline: { type: 'array', items: { type: 'object' } },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await mongoHandlers.aggregate(
+          body.collection,
+          body.pipeline,
+          body.options
+        );
+        return json(res, { results: result });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/mongodb/count',
+    tags: ['MongoDB'],
+    summary: 'Count documents',
+    body: {
+      type: 'object',
+      required: ['collection'],
+      properties: { collection: { type: 'string', minLength: 1 }, filter: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const count = await mongoHandlers.countDocuments(body.collection, body.filter || {});
+        return json(res, { count });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/mongodb/stats',
+    tags: ['MongoDB'],
+    summary: 'Get database stats',
+    handler: async ({ res }) => {
+      try {
+        const stats = await mongoHandlers.databaseStats();
+        return json(res, stats);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // DELETE /api/agent/conversations/:id - Delete conversation
-  if (agentConvMatch && method === 'DELETE') {
-    return json(res, agentHandlers.deleteConversation(agentConvMatch[1]));
-  }
+  // ============ PUPPETEER MCP ROUTES ============
 
-  // ============ AGENT RENDER ROUTES (Phase 6) ============
-  
-  // POST /api/agent/render - Render component to workspace
-  if (path === '/api/agent/render' && method === 'POST') {
-    const { type, data, options } = await parseBody(req);
-    
-    // Broadcast render command via WebSocket
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: type,
-        data,
-        options: options || {}
-      });
-    }
-    
-    return json(res, { 
-      success: true, 
-      type,
-      message: `Rendered ${type} component`
-    });
-  }
-  
-  // POST /api/agent/render/card - Render card component
-  if (path === '/api/agent/render/card' && method === 'POST') {
-    const { title, content, actions, icon, variant } = await parseBody(req);
-    
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: 'card',
-        data: { title, content, actions, icon },
-        options: { variant: variant || 'default' }
-      });
-    }
-    
-    return json(res, { success: true, type: 'card' });
-  }
-  
-  // POST /api/agent/render/table - Render table component
-  if (path === '/api/agent/render/table' && method === 'POST') {
-    const { columns, rows, title, sortable, filterable } = await parseBody(req);
-    
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: 'table',
-        data: { columns, rows, title },
-        options: { sortable, filterable }
-      });
-    }
-    
-    return json(res, { success: true, type: 'table' });
-  }
-  
-  // POST /api/agent/render/form - Render form component
-  if (path === '/api/agent/render/form' && method === 'POST') {
-    const { fields, onSubmit, title, submitText } = await parseBody(req);
-    
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: 'form',
-        data: { fields, onSubmit, title },
-        options: { submitText: submitText || 'Submit' }
-      });
-    }
-    
-    return json(res, { success: true, type: 'form' });
-  }
-  
-  // POST /api/agent/render/alert - Render alert component
-  if (path === '/api/agent/render/alert' && method === 'POST') {
-    const { message, type: alertType, dismissible } = await parseBody(req);
-    
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: 'alert',
-        data: { message, type: alertType || 'info' },
-        options: { dismissible: dismissible !== false }
-      });
-    }
-    
-    return json(res, { success: true, type: 'alert' });
-  }
-  
-  // POST /api/agent/render/progress - Render progress component
-  if (path === '/api/agent/render/progress' && method === 'POST') {
-    const { label, value, max, showPercent } = await parseBody(req);
-    
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: 'progress',
-        data: { label, value: value || 0, max: max || 100 },
-        options: { showPercent: showPercent !== false }
-      });
-    }
-    
-    return json(res, { success: true, type: 'progress' });
-  }
-  
-  // POST /api/agent/render/list - Render list component
-  if (path === '/api/agent/render/list' && method === 'POST') {
-    const { items, title, ordered, selectable } = await parseBody(req);
-    
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: 'list',
-        data: { items, title },
-        options: { ordered, selectable }
-      });
-    }
-    
-    return json(res, { success: true, type: 'list' });
-  }
-  
-  // POST /api/agent/render/code - Render code component
-  if (path === '/api/agent/render/code' && method === 'POST') {
-    const { code, language, title, showLineNumbers } = await parseBody(req);
-    
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: 'code',
-        data: { code, language: language || 'text', title },
-        options: { showLineNumbers: showLineNumbers !== false }
-      });
-    }
-    
-    return json(res, { success: true, type: 'code' });
-  }
-  
-  // POST /api/agent/render/wizard - Render wizard component
-  if (path === '/api/agent/render/wizard' && method === 'POST') {
-    const { id, title, steps, currentStep, showProgress, canGoBack, onComplete, onCancel } = await parseBody(req);
-    
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render',
-        component: 'wizard',
-        data: { 
-          id, 
-          title, 
-          steps: steps || [],
-          currentStep: currentStep || 0,
-          onComplete,
-          onCancel
-        },
-        options: { 
-          showProgress: showProgress !== false, 
-          canGoBack: canGoBack !== false 
+  {
+    method: 'GET',
+    path: '/api/puppeteer/status',
+    tags: ['Puppeteer'],
+    summary: 'Get browser status',
+    scope: 'agent',
+    responses: { 200: 'Browser status' },
+    handler: ({ res }) => json(res, puppeteerHandlers.getStatus()),
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/launch',
+    tags: ['Puppeteer'],
+    summary: 'Launch browser',
+    scope: 'agent',
+    body: { type: 'object', properties: { headless: { type: 'boolean', default: true } } },
+    responses: { 200: 'Browser launched' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.launch(body);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/navigate',
+    tags: ['Puppeteer'],
+    summary: 'Navigate to URL',
+    scope: 'agent',
+    body: { type: 'object', properties: { url: { type: 'string', format: 'uri' } }, required: ['url'] },
+    responses: { 200: 'Navigation complete' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.navigate(body.url, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/screenshot',
+    tags: ['Puppeteer'],
+    summary: 'Take screenshot',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: { fullPage: { type: 'boolean' }, type: { type: 'string', enum: ['png', 'jpeg', 'webp'] } },
+    },
+    responses: { 200: 'Screenshot data' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.screenshot(body);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/close',
+    tags: ['Puppeteer'],
+    summary: 'Close browser',
+    scope: 'agent',
+    handler: async ({ res }) => {
+      try {
+        const result = await puppeteerHandlers.close();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/click',
+    tags: ['Puppeteer'],
+    summary: 'Click element',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['selector'],
+      properties: { selector: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.click(body.selector, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/type',
+    tags: ['Puppeteer'],
+    summary: 'Type text',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['selector', 'text'],
+      properties: {
+        selector: { type: 'string', minLength: 1 },
+        text: { type: 'string' },
+        options: { type: 'object' },
+      },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.type(body.selector, body.text, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/evaluate',
+    tags: ['Puppeteer'],
+    summary: 'Execute JavaScript',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['script'],
+      properties: { script: { type: 'string', minLength: 1 } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.evaluate(body.script);
+        return json(res, { success: true, result });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/puppeteer/content',
+    tags: ['Puppeteer'],
+    summary: 'Get page content',
+    scope: 'agent',
+    handler: async ({ res }) => {
+      try {
+        const content = await puppeteerHandlers.getContent();
+        return json(res, { success: true, content });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/content',
+    tags: ['Puppeteer'],
+    summary: 'Get page content with selector',
+    scope: 'agent',
+    body: { type: 'object', properties: { selector: { type: 'string' } } },
+    handler: async ({ res, body }) => {
+      try {
+        let content;
+        if (body.selector) {
+          content = await puppeteerHandlers.getText(body.selector);
+        } else {
+          content = await puppeteerHandlers.getContent();
         }
-      });
-    }
-    
-    return json(res, { success: true, type: 'wizard' });
-  }
-  
-  // POST /api/agent/render/clear - Clear workspace
-  if (path === '/api/agent/render/clear' && method === 'POST') {
-    if (wsBroadcast) {
-      wsBroadcast({
-        type: 'render:clear',
-        data: {}
-      });
-    }
-    
-    return json(res, { success: true, message: 'Workspace cleared' });
-  }
-
-  // ============ BAMBISLEEP-CHAT MCP ROUTES ============
-  
-  // --- Trigger Routes ---
-  
-  // GET /api/bambisleep-chat/triggers - Get all official triggers
-  if (path === '/api/bambisleep-chat/triggers' && method === 'GET') {
-    return json(res, bambisleepChatHandlers.triggers.getAllTriggers());
-  }
-
-  // GET /api/bambisleep-chat/triggers/category/:category - Get triggers by category
-  const triggerCategoryMatch = path.match(/^\/api\/bambisleep-chat\/triggers\/category\/([^/]+)$/);
-  if (triggerCategoryMatch && method === 'GET') {
-    return json(res, bambisleepChatHandlers.triggers.getTriggersByCategory(triggerCategoryMatch[1]));
-  }
-
-  // POST /api/bambisleep-chat/triggers/detect - Detect triggers in text
-  if (path === '/api/bambisleep-chat/triggers/detect' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.triggers.detectTriggers(body.text));
-  }
+        return json(res, { success: true, content });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/pdf',
+    tags: ['Puppeteer'],
+    summary: 'Generate PDF',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: { format: { type: 'string' }, printBackground: { type: 'boolean' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.pdf(body);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/wait',
+    tags: ['Puppeteer'],
+    summary: 'Wait for selector',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['selector'],
+      properties: { selector: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.waitForSelector(body.selector, body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/viewport',
+    tags: ['Puppeteer'],
+    summary: 'Set viewport size',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['width', 'height'],
+      properties: { width: { type: 'integer', minimum: 1 }, height: { type: 'integer', minimum: 1 } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.setViewport(body.width, body.height);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/puppeteer/cookies',
+    tags: ['Puppeteer'],
+    summary: 'Get cookies',
+    scope: 'agent',
+    handler: async ({ res }) => {
+      try {
+        const cookies = await puppeteerHandlers.getCookies();
+        return json(res, { cookies });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/puppeteer/cookies',
+    tags: ['Puppeteer'],
+    summary: 'Set cookies',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['cookies'],
+      properties: { cookies: { type: 'array', items: { type: 'object' }, minItems: 1 } },
+    },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await puppeteerHandlers.setCookies(body.cookies);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/puppeteer/cookies',
+    tags: ['Puppeteer'],
+    summary: 'Clear cookies',
+    scope: 'agent',
+    handler: async ({ res }) => {
+      try {
+        const result = await puppeteerHandlers.clearCookies();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/puppeteer/console',
+    tags: ['Puppeteer'],
+    summary: 'Get console logs',
+    scope: 'agent',
+    handler: ({ res }) => {
+      try {
+        const logs = puppeteerHandlers.getConsoleLogs();
+        return json(res, { logs });
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/puppeteer/console',
+    tags: ['Puppeteer'],
+    summary: 'Clear console logs',
+    scope: 'agent',
+    handler: ({ res }) => {
+      try {
+        const result = puppeteerHandlers.clearConsoleLogs();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // POST /api/bambisleep-chat/triggers/process - Process message with trigger highlighting
-  if (path === '/api/bambisleep-chat/triggers/process' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.triggers.processMessage(body.text, body.options));
-  }
+  // ============ STORAGE MCP ROUTES ============
 
-  // POST /api/bambisleep-chat/triggers/active - Set active triggers for session
-  if (path === '/api/bambisleep-chat/triggers/active' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.triggers.setActiveTriggers(body.sessionId, body.triggers));
-  }
+  {
+    method: 'GET',
+    path: '/api/storage/status',
+    tags: ['Storage'],
+    summary: 'Get storage status',
+    handler: ({ res }) => json(res, storageHandlers.getStatus()),
+  },
+  {
+    method: 'POST',
+    path: '/api/storage/connect',
+    tags: ['Storage'],
+    summary: 'Initialize storage',
+    scope: 'db:write',
+    handler: async ({ res }) => {
+      try {
+        const result = await storageHandlers.connect();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/storage/files',
+    tags: ['Storage'],
+    summary: 'List files',
+    query: {
+      type: 'object',
+      properties: { folder: { type: 'string', enum: ['all', 'images', 'videos', 'files'], default: 'all' } },
+    },
+    responses: { 200: 'File list' },
+    handler: async ({ res, query }) => {
+      try {
+        const folder = query.folder || 'all';
+        const result = await storageHandlers.listFiles(folder);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/storage/images',
+    tags: ['Storage'],
+    summary: 'List images',
+    handler: async ({ res }) => {
+      try {
+        const result = await storageHandlers.listImages();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/storage/videos',
+    tags: ['Storage'],
+    summary: 'List videos',
+    handler: async ({ res }) => {
+      try {
+        const result = await storageHandlers.listVideos();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/storage/stats',
+    tags: ['Storage'],
+    summary: 'Get storage statistics',
+    handler: async ({ res }) => {
+      try {
+        const result = await storageHandlers.getStats();
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/storage/upload',
+    tags: ['Storage'],
+    summary: 'Upload file',
+    description: 'Send JSON with base64 `content`, or multipart/form-data with a `file` part.',
+    scope: 'db:write',
+    contentTypes: [JSON_TYPE, MULTIPART_TYPE],
+    bodyLimit: config.api.uploadLimit,
+    body: {
+      type: 'object',
+      anyOf: [{ required: ['filename', 'content'] }, { required: ['file'] }],
+      properties: {
+        filename: { type: 'string', minLength: 1 },
+        content: { type: 'string', description: 'File content, base64 unless encoding says otherwise' },
+        file: { type: 'object', description: 'Uploaded file part (multipart/form-data)' },
+        type: { type: 'string', enum: ['image', 'video', 'file'], default: 'file' },
+        encoding: { type: 'string', default: 'base64' },
+      },
+    },
+    responses: { 200: 'File uploaded' },
+    handler: async ({ res, body }) => {
+      try {
+        const { file, type } = body;
+        const filename = body.filename || file?.filename;
+        const content = file ? file.data.toString('base64') : body.content;
+        const encoding = file ? 'base64' : body.encoding;
+        let result;
+        if (type === 'image') {
+          result = await storageHandlers.uploadImage(filename, content);
+        } else if (type === 'video') {
+          result = await storageHandlers.uploadVideo(filename, content);
+        } else {
+          result = await storageHandlers.uploadFile(filename, content, encoding || 'base64');
+        }
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/storage/file/:folder/:filename',
+    tags: ['Storage'],
+    summary: 'Download file',
+    query: { type: 'object', properties: { encoding: { type: 'string', default: 'base64' } } },
+    handler: async ({ res, params, query }) => {
+      try {
+        const folder = params.folder;
+        const filename = params.filename;
+        const encoding = query.encoding || 'base64';
+        const content = await storageHandlers.downloadFile(filename, folder, encoding);
+        return json(res, { filename, folder, content, encoding });
+      } catch (error) {
+        return json(res, { error: error.message }, 404);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/storage/info/:folder/:filename',
+    tags: ['Storage'],
+    summary: 'Get file info',
+    handler: async ({ res, params }) => {
+      try {
+        const folder = params.folder;
+        const filename = params.filename;
+        const info = await storageHandlers.getFileInfo(filename, folder);
+        return json(res, info);
+      } catch (error) {
+        return json(res, { error: error.message }, 404);
+      }
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/storage/file/:folder/:filename',
+    tags: ['Storage'],
+    summary: 'Delete file',
+    scope: 'db:write',
+    handler: async ({ res, params }) => {
+      try {
+        const folder = params.folder;
+        const filename = params.filename;
+        const result = await storageHandlers.deleteFile(filename, folder);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 500);
+      }
+    },
+  },
 
-  // GET /api/bambisleep-chat/triggers/active/:sessionId - Get active triggers
-  const activeTriggersMatch = path.match(/^\/api\/bambisleep-chat\/triggers\/active\/([^/]+)$/);
-  if (activeTriggersMatch && method === 'GET') {
-    return json(res, bambisleepChatHandlers.triggers.getActiveTriggers(activeTriggersMatch[1]));
-  }
+  // ============ SEQUENTIAL THINKING MCP ROUTES ============
 
-  // --- TTS Routes ---
+  {
+    method: 'GET',
+    path: '/api/thinking/sessions',
+    tags: ['Thinking'],
+    summary: 'List thinking sessions',
+    responses: { 200: 'Session list' },
+    handler: ({ res }) => json(res, { sessions: thinkingHandlers.listSessions() }),
+  },
+  {
+    method: 'POST',
+    path: '/api/thinking/sessions',
+    tags: ['Thinking'],
+    summary: 'Start new session',
+    scope: 'agent',
+    body: { type: 'object', properties: { title: { type: 'string' }, description: { type: 'string' } } },
+    handler: ({ res, body }) => {
+      try {
+        const result = thinkingHandlers.startSession(body.title, body.description);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/thinking/sessions/:id',
+    tags: ['Thinking'],
+    summary: 'Get session',
+    handler: ({ res, params }) => {
+      try {
+        const session = thinkingHandlers.getSession(params.id);
+        return json(res, session);
+      } catch (error) {
+        return json(res, { error: error.message }, 404);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/thinking/sessions/:id/thought',
+    tags: ['Thinking'],
+    summary: 'Add thought',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['thought'],
+      properties: {
+        thought: { type: 'string', minLength: 1 },
+        isRevision: { type: 'boolean' },
+        revisesThought: { type: 'integer' },
+        branchId: { type: 'string' },
+        branchFromThought: { type: 'integer' },
+      },
+    },
+    handler: ({ res, params, body }) => {
+      try {
+        const result = thinkingHandlers.addThought(params.id, body);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/thinking/sessions/:id/conclude',
+    tags: ['Thinking'],
+    summary: 'Conclude session',
+    scope: 'agent',
+    body: { type: 'object', properties: { answer: { type: 'string' } } },
+    handler: ({ res, params, body }) => {
+      try {
+        const result = thinkingHandlers.conclude(params.id, body.answer);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/thinking/stats',
+    tags: ['Thinking'],
+    summary: 'Get thinking stats',
+    handler: ({ res }) => json(res, thinkingHandlers.getStats()),
+  },
 
-  // POST /api/bambisleep-chat/tts/clean - Clean text for TTS
-  if (path === '/api/bambisleep-chat/tts/clean' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.tts.cleanTextForTTS(body.text));
-  }
+  // ============ CLARITY ANALYTICS MCP ROUTES ============
 
-  // POST /api/bambisleep-chat/tts/split - Split text into sentences
-  if (path === '/api/bambisleep-chat/tts/split' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.tts.splitIntoSentences(body.text));
-  }
+  {
+    method: 'POST',
+    path: '/api/clarity/init',
+    tags: ['Clarity'],
+    summary: 'Initialize Clarity analytics',
+    scope: 'db:write',
+    responses: { 200: 'Initialized' },
+    handler: ({ res }) => json(res, clarityHandlers.init()),
+  },
+  {
+    method: 'GET',
+    path: '/api/clarity/info',
+    tags: ['Clarity'],
+    summary: 'Get Clarity info',
+    handler: ({ res }) => json(res, clarityHandlers.getInfo()),
+  },
+  {
+    method: 'GET',
+    path: '/api/clarity/dashboard',
+    tags: ['Clarity'],
+    summary: 'Get dashboard data',
+    handler: ({ res }) => json(res, clarityHandlers.getDashboardData()),
+  },
+  {
+    method: 'POST',
+    path: '/api/clarity/identify',
+    tags: ['Clarity'],
+    summary: 'Identify user',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['customId'],
+      properties: {
+        customId: { type: 'string', minLength: 1 },
+        customSessionId: { type: 'string' },
+        customPageId: { type: 'string' },
+        friendlyName: { type: 'string' },
+      },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = clarityHandlers.identify(
+          body.customId,
+          body.customSessionId,
+          body.customPageId,
+          body.friendlyName
+        );
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/clarity/tag',
+    tags: ['Clarity'],
+    summary: 'Set custom tag',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['key', 'value'],
+      properties: {
+        key: { type: 'string', minLength: 1 },
+        value: { description: 'Tag value or array of values' },
+      },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = clarityHandlers.setTag(body.key, body.value);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/clarity/event',
+    tags: ['Clarity'],
+    summary: 'Track custom event',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['eventName'],
+      properties: { eventName: { type: 'string', minLength: 1 }, data: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = clarityHandlers.event(body.eventName, body.data || {});
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/clarity/pageview',
+    tags: ['Clarity'],
+    summary: 'Track page view',
+    scope: 'db:write',
+    body: {
+      type: 'object',
+      required: ['path'],
+      properties: { path: { type: 'string', minLength: 1 }, data: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      try {
+        const result = clarityHandlers.pageView(body.path, body.data || {});
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/clarity/upgrade',
+    tags: ['Clarity'],
+    summary: 'Upgrade session',
+    scope: 'db:write',
+    body: { type: 'object', properties: { reason: { type: 'string' } } },
+    handler: ({ res, body }) => {
+      try {
+        const result = clarityHandlers.upgrade(body.reason);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/clarity/consent',
+    tags: ['Clarity'],
+    summary: 'Set consent',
+    scope: 'db:write',
+    body: { type: 'object', properties: { options: { type: 'object' } } },
+    handler: ({ res, body }) => {
+      try {
+        const result = clarityHandlers.consent(body.options);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/clarity/sessions',
+    tags: ['Clarity'],
+    summary: 'List sessions',
+    query: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, default: 20 },
+        offset: { type: 'integer', minimum: 0, default: 0 },
+      },
+    },
+    handler: ({ res, query }) => {
+      const limit = parseInt(query.limit) || 20;
+      const offset = parseInt(query.offset) || 0;
+      return json(res, clarityHandlers.listSessions({ limit, offset }));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/clarity/sessions/:id',
+    tags: ['Clarity'],
+    summary: 'Get session by ID',
+    handler: ({ res, params }) => {
+      try {
+        const result = clarityHandlers.getSession(params.id);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 404);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/clarity/events',
+    tags: ['Clarity'],
+    summary: 'Get event history',
+    query: {
+      type: 'object',
+      properties: { limit: { type: 'integer', default: 50 }, type: { type: 'string' } },
+    },
+    responses: { 200: 'Event list' },
+    handler: ({ res, query }) => {
+      const limit = parseInt(query.limit) || 50;
+      const eventType = query.type;
+      return json(res, clarityHandlers.getEventHistory({ limit, eventType }));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/clarity/top-events',
+    tags: ['Clarity'],
+    summary: 'Get top events',
+    query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1, default: 10 } } },
+    handler: ({ res, query }) => {
+      const limit = parseInt(query.limit) || 10;
+      return json(res, clarityHandlers.getTopEvents(limit));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/clarity/top-pages',
+    tags: ['Clarity'],
+    summary: 'Get top pages',
+    query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1, default: 10 } } },
+    handler: ({ res, query }) => {
+      const limit = parseInt(query.limit) || 10;
+      return json(res, clarityHandlers.getTopPages(limit));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/clarity/reset',
+    tags: ['Clarity'],
+    summary: 'Reset analytics data',
+    scope: 'db:write',
+    handler: ({ res }) => json(res, clarityHandlers.reset()),
+  },
 
-  // POST /api/bambisleep-chat/tts/process - Process for TTS with sentence pairs
-  if (path === '/api/bambisleep-chat/tts/process' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.tts.processForTTS(body.message));
-  }
+  // ============ DOCUMENTATION ROUTES ============
 
-  // --- Chat Routes ---
+  {
+    method: 'GET',
+    path: '/api/docs',
+    tags: ['Health'],
+    summary: 'List documentation files',
+    responses: { 200: 'Documentation list' },
+    handler: async ({ res }) => {
+      try {
+        const __filename = fileURLToPath(import.meta.url);
+        const __dirname = dirname(__filename);
+        const docsDir = join(__dirname, '..', '..', 'docs');
+        
+        const files = await readdir(docsDir);
+        const docs = files
+          .filter(f => f.endsWith('.md'))
+          .map(f => ({
+            name: f.replace('.md', ''),
+            filename: f,
+            path: `/api/docs/${encodeURIComponent(f)}`,
+          }));
+        return json(res, { docs });
+      } catch (error) {
+        return json(res, { error: error.message, docs: [] }, 500);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/docs/:filename',
+    tags: ['Health'],
+    summary: 'Get documentation file',
+    params: {
+      type: 'object',
+      properties: { filename: { type: 'string', pattern: '^[^/]+\\.md$' } },
+    },
+    responses: { 200: 'Documentation content', 400: 'Not a markdown file name', 404: 'Not found' },
+    handler: async ({ res, params }) => {
+      try {
+        const __filename = fileURLToPath(import.meta.url);
+        const __dirname = dirname(__filename);
+        const docsDir = join(__dirname, '..', '..', 'docs');
+        
+        const filename = params.filename;
+        const filePath = join(docsDir, filename);
+        
+        // Security: prevent directory traversal
+        if (!filePath.startsWith(docsDir)) {
+          return json(res, { error: 'Forbidden' }, 403);
+        }
+        
+        const content = await readFile(filePath, 'utf-8');
+        return json(res, {
+          filename,
+          name: filename.replace('.md', ''),
+          content,
+        });
+      } catch (error) {
+        return json(res, { error: 'Document not found' }, 404);
+      }
+    },
+  },
 
-  // POST /api/bambisleep-chat/chat/message - Add message to history
-  if (path === '/api/bambisleep-chat/chat/message' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.chat.addMessage(body.sessionId, body.message));
-  }
+  // ============ AGENT ORCHESTRATOR ROUTES ============
 
-  // GET /api/bambisleep-chat/chat/history/:sessionId - Get chat history
-  const chatHistoryMatch = path.match(/^\/api\/bambisleep-chat\/chat\/history\/([^/]+)$/);
-  if (chatHistoryMatch && method === 'GET') {
-    const limit = url.searchParams.get('limit');
-    const includeAI = url.searchParams.get('includeAI') !== 'false';
-    const includeUser = url.searchParams.get('includeUser') !== 'false';
-    return json(res, bambisleepChatHandlers.chat.getHistory(chatHistoryMatch[1], {
-      limit: limit ? parseInt(limit, 10) : 50,
-      includeAI,
-      includeUser
-    }));
-  }
+  {
+    method: 'POST',
+    path: '/api/agent/chat',
+    tags: ['Agent'],
+    summary: 'Send message to agent',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        conversationId: { type: 'string' },
+        options: { type: 'object' },
+      },
+      required: ['message'],
+    },
+    responses: { 200: 'Agent response' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await agentHandlers.chat(
+          body.message,
+          body.conversationId,
+          body.options || {}
+        );
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/chat/stream',
+    tags: ['Agent'],
+    summary: 'Stream an agent reply',
+    description: 'Server-Sent Events: `token` for each piece of model output (tagged with its `iteration`), `tool_call_start` and `tool_call_end` around each tool the agent runs, then a final `usage` frame with the conversation id, iterations and summed token usage (or `error`). Disconnecting aborts the model request and stops the tool loop.',
+    scope: 'agent',
+    idempotency: false,
+    body: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        conversationId: { type: 'string' },
+        options: { type: 'object' },
+      },
+      required: ['message'],
+    },
+    responses: { 200: EVENT_STREAM_RESPONSE },
+    handler: ({ res, body }) => streamEvents(res, async (stream) => {
+      const result = await agentHandlers.chatStream(
+        body.message,
+        body.conversationId,
+        { ...body.options, signal: stream.signal },
+        (event, data) => stream.send(event, data)
+      );
+      return {
+        conversationId: result.conversationId,
+        iterations: result.iteration,
+        toolCalls: result.toolResults.length,
+        source: result.source,
+        usage: result.usage,
+      };
+    }, { finalEvent: 'usage' }),
+  },
+  {
+    method: 'GET',
+    path: '/api/agent/tools',
+    tags: ['Agent'],
+    summary: 'List agent tools',
+    responses: {
+      200: {
+        description: 'Tool list',
+        schema: {
+          type: 'object',
+          properties: { tools: { type: 'array', items: { $ref: '#/components/schemas/Tool' } } },
+        },
+      },
+    },
+    handler: ({ res }) => json(res, { tools: agentHandlers.getTools() }),
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/tools/execute',
+    tags: ['Tools'],
+    summary: 'Execute agent tool',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: { tool: { type: 'string', minLength: 1 }, args: { type: 'object' } },
+      required: ['tool'],
+    },
+    responses: { 200: 'Tool result' },
+    handler: async ({ res, body }) => {
+      try {
+        const result = await agentHandlers.executeTool(body.tool, body.args || {});
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/agent/stats',
+    tags: ['Agent'],
+    summary: 'Get agent statistics',
+    handler: ({ res }) => json(res, agentHandlers.getStats()),
+  },
+  {
+    method: 'GET',
+    path: '/api/agent/config',
+    tags: ['Agent'],
+    summary: 'Get agent configuration',
+    handler: ({ res }) => json(res, agentHandlers.getConfig()),
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/config',
+    tags: ['Agent'],
+    summary: 'Update agent configuration',
+    scope: 'agent',
+    body: { type: 'object' },
+    handler: ({ res, body }) => {
+      try {
+        const result = agentHandlers.setConfig(body);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 400);
+      }
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/agent/personality',
+    tags: ['Agent'],
+    summary: 'Get agent personality',
+    responses: { 200: 'Personality info' },
+    handler: ({ res }) => json(res, agentHandlers.getPersonality()),
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/initialize',
+    tags: ['Agent'],
+    summary: 'Initialize agent and connect to LM Studio',
+    scope: 'agent',
+    handler: async ({ res }) => {
+      try {
+        const connected = await agentHandlers.initialize();
+        return json(res, { success: connected, connected });
+      } catch (error) {
+        return json(res, { error: error.message, connected: false }, 500);
+      }
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/conversations',
+    tags: ['Agent'],
+    summary: 'Create new conversation',
+    scope: 'agent',
+    handler: ({ res }) => json(res, agentHandlers.createConversation()),
+  },
+  {
+    method: 'GET',
+    path: '/api/agent/conversations',
+    tags: ['Agent'],
+    summary: 'List conversations',
+    query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1, default: 20 } } },
+    handler: ({ res, query }) => {
+      const limit = parseInt(query.limit) || 20;
+      return json(res, agentHandlers.listConversations(limit));
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/agent/conversations',
+    tags: ['Agent'],
+    summary: 'Clear all conversations',
+    scope: 'agent',
+    handler: ({ res }) => json(res, agentHandlers.clearConversations()),
+  },
+  {
+    method: 'GET',
+    path: '/api/agent/conversations/:id',
+    tags: ['Agent'],
+    summary: 'Get conversation by ID',
+    handler: ({ res, params }) => {
+      try {
+        const result = agentHandlers.getConversation(params.id);
+        return json(res, result);
+      } catch (error) {
+        return json(res, { error: error.message }, 404);
+      }
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/agent/conversations/:id',
+    tags: ['Agent'],
+    summary: 'Delete conversation',
+    scope: 'agent',
+    handler: ({ res, params }) => json(res, agentHandlers.deleteConversation(params.id)),
+  },
 
-  // DELETE /api/bambisleep-chat/chat/history/:sessionId - Clear chat history
-  if (chatHistoryMatch && method === 'DELETE') {
-    return json(res, bambisleepChatHandlers.chat.clearHistory(chatHistoryMatch[1]));
-  }
+  // ============ AGENT RENDER ROUTES (Phase 6) ============
 
-  // GET /api/bambisleep-chat/chat/username - Generate random username
-  if (path === '/api/bambisleep-chat/chat/username' && method === 'GET') {
-    return json(res, { username: bambisleepChatHandlers.chat.generateUsername() });
-  }
+  {
+    method: 'POST',
+    path: '/api/agent/render',
+    tags: ['Agent'],
+    summary: 'Render component to workspace',
+    description: 'Broadcasts a render command to the Agent Workspace via WebSocket',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['type', 'data'],
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['card', 'table', 'form', 'alert', 'progress', 'list', 'code'],
+          description: 'Component type to render',
+        },
+        data: { type: 'object', description: 'Component data' },
+        options: { type: 'object', description: 'Rendering options' },
+      },
+    },
+    responses: { 200: 'Component rendered successfully' },
+    handler: ({ res, body }) => {
+      const { type, data, options } = body;
+      
+      // Broadcast render command via WebSocket
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: type,
+          data,
+          options: options || {}
+        });
+      }
+      
+      return json(res, { 
+        success: true, 
+        type,
+        message: `Rendered ${type} component`
+      });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/card',
+    tags: ['Agent'],
+    summary: 'Render card component',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        content: { type: 'string' },
+        icon: { type: 'string' },
+        variant: { type: 'string', enum: ['default', 'success', 'warning', 'error', 'info'] },
+        actions: { type: 'array', items: { type: 'object' } },
+      },
+    },
+    responses: { 200: 'Card rendered' },
+    handler: ({ res, body }) => {
+      const { title, content, actions, icon, variant } = body;
+      
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: 'card',
+          data: { title, content, actions, icon },
+          options: { variant: variant || 'default' }
+        });
+      }
+      
+      return json(res, { success: true, type: 'card' });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/table',
+    tags: ['Agent'],
+    summary: 'Render table component',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['columns', 'rows'],
+      properties: {
+        title: { type: 'string' },
+        columns: { type: 'array', items: { type: 'string' } },
+        rows: { type: 'array', items: { type: 'array' } },
+        sortable: { type: 'boolean' },
+        filterable: { type: 'boolean' },
+      },
+    },
+    responses: { 200: 'Table rendered' },
+    handler: ({ res, body }) => {
+      const { columns, rows, title, sortable, filterable } = body;
+      
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: 'table',
+          data: { columns, rows, title },
+          options: { sortable, filterable }
+        });
+      }
+      
+      return json(res, { success: true, type: 'table' });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/form',
+    tags: ['Agent'],
+    summary: 'Render form component',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['fields'],
+      properties: {
+        title: { type: 'string' },
+        fields: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              type: { type: 'string' },
+              label: { type: 'string' },
+              required: { type: 'boolean' },
+            },
+          },
+        },
+        submitText: { type: 'string' },
+        onSubmit: { type: 'string', description: 'Callback function name' },
+      },
+    },
+    responses: { 200: 'Form rendered' },
+    handler: ({ res, body }) => {
+      const { fields, onSubmit, title, submitText } = body;
+      
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: 'form',
+          data: { fields, onSubmit, title },
+          options: { submitText: submitText || 'Submit' }
+        });
+      }
+      
+      return json(res, { success: true, type: 'form' });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/alert',
+    tags: ['Agent'],
+    summary: 'Render alert component',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['message'],
+      properties: {
+        message: { type: 'string' },
+        type: { type: 'string', enum: ['info', 'success', 'warning', 'error'] },
+        dismissible: { type: 'boolean', default: true },
+      },
+    },
+    responses: { 200: 'Alert rendered' },
+    handler: ({ res, body }) => {
+      const { message, type: alertType, dismissible } = body;
+      
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: 'alert',
+          data: { message, type: alertType || 'info' },
+          options: { dismissible: dismissible !== false }
+        });
+      }
+      
+      return json(res, { success: true, type: 'alert' });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/progress',
+    tags: ['Agent'],
+    summary: 'Render progress component',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: {
+        label: { type: 'string' },
+        value: { type: 'number', default: 0 },
+        max: { type: 'number', default: 100 },
+        showPercent: { type: 'boolean', default: true },
+      },
+    },
+    responses: { 200: 'Progress rendered' },
+    handler: ({ res, body }) => {
+      const { label, value, max, showPercent } = body;
+      
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: 'progress',
+          data: { label, value: value || 0, max: max || 100 },
+          options: { showPercent: showPercent !== false }
+        });
+      }
+      
+      return json(res, { success: true, type: 'progress' });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/list',
+    tags: ['Agent'],
+    summary: 'Render list component',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['items'],
+      properties: {
+        title: { type: 'string' },
+        items: { type: 'array', items: { type: 'string' } },
+        ordered: { type: 'boolean', default: false },
+        selectable: { type: 'boolean', default: false },
+      },
+    },
+    responses: { 200: 'List rendered' },
+    handler: ({ res, body }) => {
+      const { items, title, ordered, selectable } = body;
+      
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: 'list',
+          data: { items, title },
+          options: { ordered, selectable }
+        });
+      }
+      
+      return json(res, { success: true, type: 'list' });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/code',
+    tags: ['Agent'],
+    summary: 'Render code component',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['code'],
+      properties: {
+        title: { type: 'string' },
+        code: { type: 'string' },
+        language: { type: 'string', default: 'text' },
+        showLineNumbers: { type: 'boolean', default: true },
+      },
+    },
+    responses: { 200: 'Code rendered' },
+    handler: ({ res, body }) => {
+      const { code, language, title, showLineNumbers } = body;
+      
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: 'code',
+          data: { code, language: language || 'text', title },
+          options: { showLineNumbers: showLineNumbers !== false }
+        });
+      }
+      
+      return json(res, { success: true, type: 'code' });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/wizard',
+    tags: ['Agent'],
+    summary: 'Render interactive wizard component',
+    description: 'Renders a multi-step wizard for complex workflows with progress tracking',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['id', 'steps'],
+      properties: {
+        id: { type: 'string', description: 'Unique wizard ID' },
+        title: { type: 'string', description: 'Wizard title' },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string' },
+              description: { type: 'string' },
+              fields: { type: 'array', items: { type: 'object' } },
+              component: { type: 'object' },
+              nextLabel: { type: 'string' },
+              completeLabel: { type: 'string' },
+            },
+          },
+          description: 'Array of wizard steps',
+        },
+        currentStep: { type: 'number', default: 0 },
+        showProgress: { type: 'boolean', default: true },
+        canGoBack: { type: 'boolean', default: true },
+        onComplete: { type: 'string', description: 'Action on completion' },
+        onCancel: { type: 'string', description: 'Action on cancel' },
+      },
+    },
+    responses: { 200: 'Wizard rendered' },
+    handler: ({ res, body }) => {
+      const { id, title, steps, currentStep, showProgress, canGoBack, onComplete, onCancel } = body;
+      
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render',
+          component: 'wizard',
+          data: { 
+            id, 
+            title, 
+            steps: steps || [],
+            currentStep: currentStep || 0,
+            onComplete,
+            onCancel
+          },
+          options: { 
+            showProgress: showProgress !== false, 
+            canGoBack: canGoBack !== false 
+          }
+        });
+      }
+      
+      return json(res, { success: true, type: 'wizard' });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent/render/clear',
+    tags: ['Agent'],
+    summary: 'Clear workspace content',
+    description: 'Removes all rendered components from the Agent Workspace',
+    scope: 'agent',
+    responses: { 200: 'Workspace cleared' },
+    handler: ({ res }) => {
+      if (wsBroadcast) {
+        wsBroadcast({
+          type: 'render:clear',
+          data: {}
+        });
+      }
+      
+      return json(res, { success: true, message: 'Workspace cleared' });
+    },
+  },
 
-  // --- Collar Routes ---
+  // ============ BAMBISLEEP-CHAT MCP ROUTES ============
 
+  // GET /api/bambisleep-chat/triggers - Get all official triggers
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/triggers',
+    tags: ['BambiSleepChat'],
+    summary: 'Get all official triggers',
+    handler: ({ res }) => json(res, bambisleepChatHandlers.triggers.getAllTriggers()),
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/triggers/category/:category',
+    tags: ['BambiSleepChat'],
+    summary: 'Get triggers by category',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.triggers.getTriggersByCategory(params.category));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/triggers/detect',
+    tags: ['BambiSleepChat'],
+    summary: 'Detect triggers in text',
+    scope: 'agent',
+    body: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.triggers.detectTriggers(body.text));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/triggers/process',
+    tags: ['BambiSleepChat'],
+    summary: 'Process message with trigger highlighting',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['text'],
+      properties: { text: { type: 'string' }, options: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.triggers.processMessage(body.text, body.options));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/triggers/active',
+    tags: ['BambiSleepChat'],
+    summary: 'Set active triggers for session',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId', 'triggers'],
+      properties: {
+        sessionId: { type: 'string', minLength: 1 },
+        triggers: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.triggers.setActiveTriggers(body.sessionId, body.triggers));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/triggers/active/:sessionId',
+    tags: ['BambiSleepChat'],
+    summary: 'Get active triggers',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.triggers.getActiveTriggers(params.sessionId));
+    },
+  },
+  // POST /api/bambisleep-chat/tts/clean - Clean text for TTS
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/tts/clean',
+    tags: ['BambiSleepChat'],
+    summary: 'Clean text for TTS',
+    scope: 'agent',
+    body: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+    handler: ({ res, body }) => json(res, bambisleepChatHandlers.tts.cleanTextForTTS(body.text)),
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/tts/split',
+    tags: ['BambiSleepChat'],
+    summary: 'Split text into sentences',
+    scope: 'agent',
+    body: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.tts.splitIntoSentences(body.text));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/tts/process',
+    tags: ['BambiSleepChat'],
+    summary: 'Process for TTS with sentence pairs',
+    scope: 'agent',
+    body: { type: 'object', required: ['message'], properties: { message: { type: 'string' } } },
+    handler: ({ res, body }) => json(res, bambisleepChatHandlers.tts.processForTTS(body.message)),
+  },
+  // POST /api/bambisleep-chat/chat/message - Add message to history
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/chat/message',
+    tags: ['BambiSleepChat'],
+    summary: 'Add message to history',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId', 'message'],
+      properties: { sessionId: { type: 'string', minLength: 1 }, message: { type: 'string', minLength: 1 } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.chat.addMessage(body.sessionId, body.message));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/chat/history/:sessionId',
+    tags: ['BambiSleepChat'],
+    summary: 'Get chat history',
+    query: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1 },
+        includeAI: { type: 'boolean', default: true },
+        includeUser: { type: 'boolean', default: true },
+      },
+    },
+    handler: ({ res, params, query }) => {
+      return json(res, bambisleepChatHandlers.chat.getHistory(params.sessionId, {
+        limit: query.limit ?? 50,
+        includeAI: query.includeAI !== false,
+        includeUser: query.includeUser !== false
+      }));
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/bambisleep-chat/chat/history/:sessionId',
+    tags: ['BambiSleepChat'],
+    summary: 'Clear chat history',
+    scope: 'agent',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.chat.clearHistory(params.sessionId));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/chat/username',
+    tags: ['BambiSleepChat'],
+    summary: 'Generate random username',
+    handler: ({ res }) => json(res, { username: bambisleepChatHandlers.chat.generateUsername() }),
+  },
   // POST /api/bambisleep-chat/collar/activate - Activate collar
-  if (path === '/api/bambisleep-chat/collar/activate' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.collar.activate(body.sessionId));
-  }
-
-  // POST /api/bambisleep-chat/collar/deactivate - Deactivate collar
-  if (path === '/api/bambisleep-chat/collar/deactivate' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.collar.deactivate(body.sessionId));
-  }
-
-  // POST /api/bambisleep-chat/collar/toggle - Toggle collar
-  if (path === '/api/bambisleep-chat/collar/toggle' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.collar.toggle(body.sessionId));
-  }
-
-  // GET /api/bambisleep-chat/collar/status/:sessionId - Get collar status
-  const collarStatusMatch = path.match(/^\/api\/bambisleep-chat\/collar\/status\/([^/]+)$/);
-  if (collarStatusMatch && method === 'GET') {
-    return json(res, bambisleepChatHandlers.collar.getStatus(collarStatusMatch[1]));
-  }
-
-  // --- Text Effects Routes ---
-
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/collar/activate',
+    tags: ['BambiSleepChat'],
+    summary: 'Activate collar',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId'],
+      properties: { sessionId: { type: 'string', minLength: 1 } },
+    },
+    handler: ({ res, body }) => json(res, bambisleepChatHandlers.collar.activate(body.sessionId)),
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/collar/deactivate',
+    tags: ['BambiSleepChat'],
+    summary: 'Deactivate collar',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId'],
+      properties: { sessionId: { type: 'string', minLength: 1 } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.collar.deactivate(body.sessionId));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/collar/toggle',
+    tags: ['BambiSleepChat'],
+    summary: 'Toggle collar',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId'],
+      properties: { sessionId: { type: 'string', minLength: 1 } },
+    },
+    handler: ({ res, body }) => json(res, bambisleepChatHandlers.collar.toggle(body.sessionId)),
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/collar/status/:sessionId',
+    tags: ['BambiSleepChat'],
+    summary: 'Get collar status',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.collar.getStatus(params.sessionId));
+    },
+  },
   // POST /api/bambisleep-chat/effects/highlights - Process text highlights
-  if (path === '/api/bambisleep-chat/effects/highlights' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.textEffects.processHighlights(body.text, body.options));
-  }
-
-  // --- Spiral Visual Effects Routes ---
-
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/effects/highlights',
+    tags: ['BambiSleepChat'],
+    summary: 'Process text highlights',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['text'],
+      properties: { text: { type: 'string' }, options: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.textEffects.processHighlights(body.text, body.options));
+    },
+  },
   // GET /api/bambisleep-chat/spiral/presets - Get all color presets
-  if (path === '/api/bambisleep-chat/spiral/presets' && method === 'GET') {
-    return json(res, bambisleepChatHandlers.spiral.getColorPresets());
-  }
-
-  // GET /api/bambisleep-chat/spiral/preset/:presetId - Get specific preset
-  const spiralPresetMatch = path.match(/^\/api\/bambisleep-chat\/spiral\/preset\/([^/]+)$/);
-  if (spiralPresetMatch && method === 'GET') {
-    return json(res, bambisleepChatHandlers.spiral.getPreset(spiralPresetMatch[1]));
-  }
-
-  // POST /api/bambisleep-chat/spiral/init - Initialize spiral for session
-  if (path === '/api/bambisleep-chat/spiral/init' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.initSession(body.sessionId, body.options));
-  }
-
-  // GET /api/bambisleep-chat/spiral/config/:sessionId - Get spiral config
-  const spiralConfigMatch = path.match(/^\/api\/bambisleep-chat\/spiral\/config\/([^/]+)$/);
-  if (spiralConfigMatch && method === 'GET') {
-    return json(res, bambisleepChatHandlers.spiral.getConfig(spiralConfigMatch[1]));
-  }
-
-  // POST /api/bambisleep-chat/spiral/params - Update spiral parameters
-  if (path === '/api/bambisleep-chat/spiral/params' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.updateParams(body.sessionId, body.params));
-  }
-
-  // POST /api/bambisleep-chat/spiral/colors - Update spiral colors
-  if (path === '/api/bambisleep-chat/spiral/colors' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.updateColors(body.sessionId, body.colors));
-  }
-
-  // POST /api/bambisleep-chat/spiral/apply-preset - Apply color preset
-  if (path === '/api/bambisleep-chat/spiral/apply-preset' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.applyPreset(body.sessionId, body.presetId));
-  }
-
-  // POST /api/bambisleep-chat/spiral/opacity - Update opacity
-  if (path === '/api/bambisleep-chat/spiral/opacity' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.updateOpacity(body.sessionId, body.opacity));
-  }
-
-  // POST /api/bambisleep-chat/spiral/fade - Generate fade animation
-  if (path === '/api/bambisleep-chat/spiral/fade' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.generateFade(body.targetOpacity, body.duration));
-  }
-
-  // POST /api/bambisleep-chat/spiral/pulse - Generate pulse animation
-  if (path === '/api/bambisleep-chat/spiral/pulse' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.generatePulse(body.minOpacity, body.maxOpacity, body.period));
-  }
-
-  // POST /api/bambisleep-chat/spiral/enabled - Enable/disable spirals
-  if (path === '/api/bambisleep-chat/spiral/enabled' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.setEnabled(body.sessionId, body.enabled));
-  }
-
-  // GET /api/bambisleep-chat/spiral/trigger-preset/:trigger - Get preset for trigger
-  const triggerPresetMatch = path.match(/^\/api\/bambisleep-chat\/spiral\/trigger-preset\/(.+)$/);
-  if (triggerPresetMatch && method === 'GET') {
-    return json(res, bambisleepChatHandlers.spiral.getPresetForTrigger(decodeURIComponent(triggerPresetMatch[1])));
-  }
-
-  // GET /api/bambisleep-chat/spiral/client-code/:sessionId - Generate client code
-  const clientCodeMatch = path.match(/^\/api\/bambisleep-chat\/spiral\/client-code\/([^/]+)$/);
-  if (clientCodeMatch && method === 'GET') {
-    return json(res, bambisleepChatHandlers.spiral.generateClientCode(clientCodeMatch[1]));
-  }
-
-  // --- Session Routes ---
-
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/spiral/presets',
+    tags: ['BambiSleepChat'],
+    summary: 'Get all color presets',
+    handler: ({ res }) => json(res, bambisleepChatHandlers.spiral.getColorPresets()),
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/spiral/preset/:presetId',
+    tags: ['BambiSleepChat'],
+    summary: 'Get specific preset',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.spiral.getPreset(params.presetId));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/spiral/init',
+    tags: ['BambiSleepChat'],
+    summary: 'Initialize spiral for session',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId'],
+      properties: { sessionId: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.initSession(body.sessionId, body.options));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/spiral/config/:sessionId',
+    tags: ['BambiSleepChat'],
+    summary: 'Get spiral config',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.spiral.getConfig(params.sessionId));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/spiral/params',
+    tags: ['BambiSleepChat'],
+    summary: 'Update spiral parameters',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId', 'params'],
+      properties: { sessionId: { type: 'string', minLength: 1 }, params: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.updateParams(body.sessionId, body.params));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/spiral/colors',
+    tags: ['BambiSleepChat'],
+    summary: 'Update spiral colors',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId', 'colors'],
+      properties: { sessionId: { type: 'string', minLength: 1 }, colors: { type: 'object' } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.updateColors(body.sessionId, body.colors));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/spiral/apply-preset',
+    tags: ['BambiSleepChat'],
+    summary: 'Apply color preset',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId', 'presetId'],
+      properties: { sessionId: { type: 'string', minLength: 1 }, presetId: { type: 'string', minLength: 1 } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.applyPreset(body.sessionId, body.presetId));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/spiral/opacity',
+    tags: ['BambiSleepChat'],
+    summary: 'Update opacity',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId', 'opacity'],
+      properties: {
+        sessionId: { type: 'string', minLength: 1 },
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+      },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.updateOpacity(body.sessionId, body.opacity));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/spiral/fade',
+    tags: ['BambiSleepChat'],
+    summary: 'Generate fade animation',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['targetOpacity'],
+      properties: {
+        targetOpacity: { type: 'number', minimum: 0, maximum: 1 },
+        duration: { type: 'number', minimum: 0 },
+      },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.generateFade(body.targetOpacity, body.duration));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/spiral/pulse',
+    tags: ['BambiSleepChat'],
+    summary: 'Generate pulse animation',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      properties: {
+        minOpacity: { type: 'number', minimum: 0, maximum: 1 },
+        maxOpacity: { type: 'number', minimum: 0, maximum: 1 },
+        period: { type: 'number', minimum: 0 },
+      },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.generatePulse(body.minOpacity, body.maxOpacity, body.period));
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/spiral/enabled',
+    tags: ['BambiSleepChat'],
+    summary: 'Enable/disable spirals',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['sessionId', 'enabled'],
+      properties: { sessionId: { type: 'string', minLength: 1 }, enabled: { type: 'boolean' } },
+    },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.setEnabled(body.sessionId, body.enabled));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/spiral/trigger-preset/:trigger*',
+    tags: ['BambiSleepChat'],
+    summary: 'Get preset for trigger',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.spiral.getPresetForTrigger(params.trigger));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/spiral/client-code/:sessionId',
+    tags: ['BambiSleepChat'],
+    summary: 'Generate client code',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.spiral.generateClientCode(params.sessionId));
+    },
+  },
   // POST /api/bambisleep-chat/session - Create new session
-  if (path === '/api/bambisleep-chat/session' && method === 'POST') {
-    return json(res, bambisleepChatHandlers.session.create());
-  }
-
-  // DELETE /api/bambisleep-chat/session/:sessionId - Destroy session
-  const sessionDestroyMatch = path.match(/^\/api\/bambisleep-chat\/session\/([^/]+)$/);
-  if (sessionDestroyMatch && method === 'DELETE') {
-    return json(res, bambisleepChatHandlers.session.destroy(sessionDestroyMatch[1]));
-  }
-
-  // GET /api/bambisleep-chat/session/:sessionId - Get session info
-  if (sessionDestroyMatch && method === 'GET') {
-    return json(res, bambisleepChatHandlers.session.getInfo(sessionDestroyMatch[1]));
-  }
-
-  // GET /api/bambisleep-chat/sessions - Get all sessions (admin)
-  if (path === '/api/bambisleep-chat/sessions' && method === 'GET') {
-    return json(res, bambisleepChatHandlers.session.getAllSessions());
-  }
+  {
+    method: 'POST',
+    path: '/api/bambisleep-chat/session',
+    tags: ['BambiSleepChat'],
+    summary: 'Create new session',
+    scope: 'agent',
+    handler: ({ res }) => json(res, bambisleepChatHandlers.session.create()),
+  },
+  {
+    method: 'DELETE',
+    path: '/api/bambisleep-chat/session/:sessionId',
+    tags: ['BambiSleepChat'],
+    summary: 'Destroy session',
+    scope: 'agent',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.session.destroy(params.sessionId));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/session/:sessionId',
+    tags: ['BambiSleepChat'],
+    summary: 'Get session info',
+    handler: ({ res, params }) => {
+      return json(res, bambisleepChatHandlers.session.getInfo(params.sessionId));
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep-chat/sessions',
+    tags: ['BambiSleepChat'],
+    summary: 'Get all sessions (admin)',
+    handler: ({ res }) => json(res, bambisleepChatHandlers.session.getAllSessions()),
+  },
 
   // ============ BAMBISLEEP ALIAS ROUTES (for frontend) ============
-  // Aliases for /api/bambisleep-chat/* as /api/bambisleep/*
-  
-  // GET /api/bambisleep/triggers
-  if (path === '/api/bambisleep/triggers' && method === 'GET') {
-    return json(res, bambisleepChatHandlers.triggers.getAllTriggers());
-  }
-
-  // GET /api/bambisleep/spirals - Get spiral presets
-  if (path === '/api/bambisleep/spirals' && method === 'GET') {
-    return json(res, bambisleepChatHandlers.spiral.getColorPresets());
-  }
-
-  // GET /api/bambisleep/voices - Get available TTS voices
-  if (path === '/api/bambisleep/voices' && method === 'GET') {
-    return json(res, bambisleepChatHandlers.tts.getVoices());
-  }
-
-  // GET /api/bambisleep/status - Get BambiSleep status
-  if (path === '/api/bambisleep/status' && method === 'GET') {
-    return json(res, {
-      status: 'active',
-      triggerCount: bambisleepChatHandlers.triggers.getAllTriggers().length,
-      spiralCount: Object.keys(bambisleepChatHandlers.spiral.getColorPresets()).length,
-      voiceCount: bambisleepChatHandlers.tts.getVoices().length,
-      ttsEngines: bambisleepChatHandlers.tts.getEngines(),
-      features: ['triggers', 'spirals', 'tts', 'collar', 'effects']
-    });
-  }
-
-  // POST /api/bambisleep/speak - Speak text with TTS
-  if (path === '/api/bambisleep/speak' && method === 'POST') {
-    const body = await parseBody(req);
-    const result = await bambisleepChatHandlers.tts.speak(body.text, body.options);
-    return json(res, result);
-  }
-
-  // POST /api/bambisleep/expression - Set avatar expression
-  if (path === '/api/bambisleep/expression' && method === 'POST') {
-    const body = await parseBody(req);
-    // This would integrate with the avatar controller
-    return json(res, { expression: body.expression, success: true });
-  }
 
-  // POST /api/bambisleep/spiral/play - Play spiral animation
-  if (path === '/api/bambisleep/spiral/play' && method === 'POST') {
-    const body = await parseBody(req);
-    return json(res, bambisleepChatHandlers.spiral.initSession(body.sessionId || 'default', body.options));
-  }
+  // GET /api/bambisleep/triggers
+  {
+    method: 'GET',
+    path: '/api/bambisleep/triggers',
+    tags: ['BambiSleepChat'],
+    summary: 'List BambiSleep triggers',
+    responses: { 200: 'Trigger list by category' },
+    handler: ({ res }) => json(res, bambisleepChatHandlers.triggers.getAllTriggers()),
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep/spirals',
+    tags: ['BambiSleepChat'],
+    summary: 'Get spiral presets',
+    handler: ({ res }) => json(res, bambisleepChatHandlers.spiral.getColorPresets()),
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep/voices',
+    tags: ['BambiSleepChat'],
+    summary: 'Get available TTS voices',
+    handler: ({ res }) => json(res, bambisleepChatHandlers.tts.getVoices()),
+  },
+  {
+    method: 'GET',
+    path: '/api/bambisleep/status',
+    tags: ['BambiSleepChat'],
+    summary: 'Get BambiSleep status',
+    handler: ({ res }) => {
+      return json(res, {
+        status: 'active',
+        triggerCount: bambisleepChatHandlers.triggers.getAllTriggers().length,
+        spiralCount: Object.keys(bambisleepChatHandlers.spiral.getColorPresets()).length,
+        voiceCount: bambisleepChatHandlers.tts.getVoices().length,
+        ttsEngines: bambisleepChatHandlers.tts.getEngines(),
+        features: ['triggers', 'spirals', 'tts', 'collar', 'effects']
+      });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep/speak',
+    tags: ['BambiSleepChat'],
+    summary: 'Speak text with TTS',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['text'],
+      properties: { text: { type: 'string', minLength: 1 }, options: { type: 'object' } },
+    },
+    handler: async ({ res, body }) => {
+      const result = await bambisleepChatHandlers.tts.speak(body.text, body.options);
+      return json(res, result);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep/expression',
+    tags: ['BambiSleepChat'],
+    summary: 'Set avatar expression',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['expression'],
+      properties: { expression: { type: 'string', minLength: 1 } },
+    },
+    handler: ({ res, body }) => {
+      // This would integrate with the avatar controller
+      return json(res, { expression: body.expression, success: true });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/bambisleep/spiral/play',
+    tags: ['BambiSleepChat'],
+    summary: 'Play spiral animation',
+    scope: 'agent',
+    body: { type: 'object', properties: { sessionId: { type: 'string' }, options: { type: 'object' } } },
+    handler: ({ res, body }) => {
+      return json(res, bambisleepChatHandlers.spiral.initSession(body.sessionId || 'default', body.options));
+    },
+  },
 
   // ============ MODEL ROUTER ROUTES ============
 
-  // GET /api/model-router/config - Get router configuration
-  if (path === '/api/model-router/config' && method === 'GET') {
-    const router = getModelRouter();
-    return json(res, router.getConfig());
-  }
-
-  // GET /api/model-router/profiles - Get all model profiles
-  if (path === '/api/model-router/profiles' && method === 'GET') {
-    return json(res, MODEL_PROFILES);
-  }
+  {
+    method: 'GET',
+    path: '/api/model-router/config',
+    tags: ['ModelRouter'],
+    summary: 'Get router configuration',
+    handler: ({ res }) => {
+      const router = getModelRouter();
+      return json(res, router.getConfig());
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/model-router/profiles',
+    tags: ['ModelRouter'],
+    summary: 'List model profiles',
+    responses: { 200: 'Model profiles' },
+    handler: ({ res }) => json(res, MODEL_PROFILES),
+  },
+  {
+    method: 'GET',
+    path: '/api/model-router/tasks',
+    tags: ['ModelRouter'],
+    summary: 'Get task type definitions',
+    handler: ({ res }) => json(res, { taskTypes: TASK_TYPES, bestModels: TASK_BEST_MODELS }),
+  },
+  {
+    method: 'GET',
+    path: '/api/model-router/recommendations',
+    tags: ['ModelRouter'],
+    summary: 'Get model recommendations for all tasks',
+    handler: ({ res }) => {
+      const router = getModelRouter();
+      return json(res, router.getRecommendations());
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/model-router/select',
+    tags: ['ModelRouter'],
+    summary: 'Select optimal model for task',
+    scope: 'agent',
+    body: { type: 'object', properties: { taskType: { type: 'string', default: 'chat' }, options: { type: 'object' } } },
+    responses: { 200: 'Selected model' },
+    handler: ({ res, body }) => {
+      const router = getModelRouter();
+      const result = router.selectModel(body.taskType || 'chat', body.options || {});
+      return json(res, result);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/model-router/detect-task',
+    tags: ['ModelRouter'],
+    summary: 'Detect task type from message',
+    body: {
+      type: 'object',
+      required: ['message'],
+      properties: { message: { type: 'string', minLength: 1 } },
+    },
+    handler: ({ res, body }) => {
+      const router = getModelRouter();
+      const taskType = router.detectTaskType(body.message || '');
+      return json(res, { taskType, message: body.message });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/model-router/update-models',
+    tags: ['ModelRouter'],
+    summary: 'Update available models',
+    scope: 'agent',
+    body: { type: 'object', properties: { models: { type: 'array', items: { type: 'string' } } } },
+    handler: ({ res, body }) => {
+      const router = getModelRouter();
+      router.updateAvailableModels(body.models || []);
+      return json(res, { success: true, config: router.getConfig() });
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/model-router/speed-preference',
+    tags: ['ModelRouter'],
+    summary: 'Set speed preference',
+    scope: 'agent',
+    body: { type: 'object', required: ['preferSpeed'], properties: { preferSpeed: { type: 'boolean' } } },
+    handler: ({ res, body }) => {
+      const router = getModelRouter();
+      router.setSpeedPreference(body.preferSpeed === true);
+      return json(res, { success: true, config: router.getConfig() });
+    },
+  },
 
-  // GET /api/model-router/tasks - Get task type definitions
-  if (path === '/api/model-router/tasks' && method === 'GET') {
-    return json(res, { taskTypes: TASK_TYPES, bestModels: TASK_BEST_MODELS });
-  }
+  // ============ AGENT TOOLS ROUTES ============
 
-  // GET /api/model-router/recommendations - Get model recommendations for all tasks
-  if (path === '/api/model-router/recommendations' && method === 'GET') {
-    const router = getModelRouter();
-    return json(res, router.getRecommendations());
-  }
+  {
+    method: 'GET',
+    path: '/api/agent-tools',
+    tags: ['Tools'],
+    summary: 'Get all available tools (built-in and MCP server tools)',
+    handler: ({ res }) => {
+      const tools = getAllTools();
+      return json(res, { tools, count: tools.length });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/agent-tools/categories',
+    tags: ['Tools'],
+    summary: 'Get tool categories',
+    handler: ({ res }) => json(res, { categories: TOOL_CATEGORIES }),
+  },
+  {
+    method: 'GET',
+    path: '/api/agent-tools/openai',
+    tags: ['Tools'],
+    summary: 'Get tools in OpenAI function calling format (those the API key may call)',
+    query: { type: 'object', properties: { useCase: { type: 'string', default: 'full' } } },
+    handler: ({ res, query }) => {
+      const useCase = query.useCase || 'full';
+      const tools = (useCase === 'full' ? getAllTools() : getCoreTools(useCase)).filter((tool) => canUseTool(tool));
+      return json(res, { tools: formatToolsForOpenAI(tools), count: tools.length });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/agent-tools/core/:useCase',
+    tags: ['Tools'],
+    summary: 'Get core tools for use case',
+    handler: ({ res, params }) => {
+      const useCase = params.useCase;
+      const tools = getCoreTools(useCase);
+      return json(res, { useCase, tools, count: tools.length });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/agent-tools/category/:category',
+    tags: ['Tools'],
+    summary: 'Get tools by category',
+    handler: ({ res, params }) => {
+      const category = params.category;
+      const tools = getToolsByCategory(category);
+      return json(res, { category, tools, count: tools.length });
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/agent-tools/:name',
+    tags: ['Tools'],
+    summary: 'Get single tool by name',
+    handler: ({ res, params }) => {
+      const tool = getToolByName(params.name);
+      if (tool) {
+        return json(res, tool);
+      }
+      return json(res, { error: 'Tool not found' }, 404);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent-tools/execute',
+    tags: ['Tools'],
+    summary: 'Execute a tool',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['tool'],
+      properties: {
+        tool: { type: 'string', minLength: 1 },
+        args: { type: 'object' },
+        timeoutMs: { type: 'integer', minimum: 1 },
+      },
+    },
+    handler: async ({ res, body }) => {
+      const executor = createAgentToolExecutor({ wsServer: wss });
+      
+      // Register all handlers
+      executor.registerHandlers('memory', memoryHandlers);
+      executor.registerHandlers('storage', storageHandlers);
+      executor.registerHandlers('fetch', fetchHandlers);
+      executor.registerHandlers('puppeteer', puppeteerHandlers);
+      executor.registerHandlers('mongodb', mongoHandlers);
+      executor.registerHandlers('sqlite', sqliteHandlers);
+      executor.registerHandlers('thinking', thinkingHandlers);
+      executor.registerHandlers('stripe', stripeHandlers);
+      executor.registerHandlers('patreon', patreonHandlers);
+      executor.registerHandlers('clarity', clarityHandlers);
+      executor.registerHandlers('github', githubHandlers);
+      executor.registerHandlers('lmstudio', lmstudioHandlers);
+      executor.registerHandlers('huggingface', huggingfaceHandlers);
+
+      // Cancel MCP server tool calls when the HTTP client goes away
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
 
-  // POST /api/model-router/select - Select optimal model for task
-  if (path === '/api/model-router/select' && method === 'POST') {
-    const body = await parseBody(req);
-    const router = getModelRouter();
-    const result = router.selectModel(body.taskType || 'chat', body.options || {});
-    return json(res, result);
-  }
+      const result = await executor.execute(body.tool, body.args || {}, {
+        timeout: body.timeoutMs,
+        signal: controller.signal,
+      });
+      return json(res, result);
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/agent-tools/execute-many',
+    tags: ['Tools'],
+    summary: 'Execute multiple tools',
+    scope: 'agent',
+    body: {
+      type: 'object',
+      required: ['toolCalls'],
+      properties: {
+        toolCalls: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['tool'],
+            properties: { tool: { type: 'string', minLength: 1 }, args: { type: 'object' } },
+          },
+        },
+      },
+    },
+    handler: async ({ res, body }) => {
+      const executor = createAgentToolExecutor({ wsServer: wss });
+      
+      // Register all handlers
+      executor.registerHandlers('memory', memoryHandlers);
+      executor.registerHandlers('storage', storageHandlers);
+      executor.registerHandlers('fetch', fetchHandlers);
+      executor.registerHandlers('puppeteer', puppeteerHandlers);
+      executor.registerHandlers('mongodb', mongoHandlers);
+      executor.registerHandlers('sqlite', sqliteHandlers);
+      executor.registerHandlers('thinking', thinkingHandlers);
+      executor.registerHandlers('stripe', stripeHandlers);
+      executor.registerHandlers('patreon', patreonHandlers);
+      executor.registerHandlers('clarity', clarityHandlers);
+      executor.registerHandlers('github', githubHandlers);
+      executor.registerHandlers('lmstudio', lmstudioHandlers);
+      executor.registerHandlers('huggingface', huggingfaceHandlers);
+
+      const results = await executor.executeMany(body.toolCalls || []);
+      return json(res, { results });
+    },
+  },
 
-  // POST /api/model-router/detect-task - Detect task type from message
-  if (path === '/api/model-router/detect-task' && method === 'POST') {
-    const body = await parseBody(req);
-    const router = getModelRouter();
-    const taskType = router.detectTaskType(body.message || '');
-    return json(res, { taskType, message: body.message });
-  }
+  // ============ OAUTH REDIRECT ROUTES ============
 
-  // POST /api/model-router/update-models - Update available models
-  if (path === '/api/model-router/update-models' && method === 'POST') {
-    const body = await parseBody(req);
-    const router = getModelRouter();
-    router.updateAvailableModels(body.models || []);
-    return json(res, { success: true, config: router.getConfig() });
-  }
+  {
+    method: 'GET',
+    path: '/redirect/patreon',
+    tags: ['Patreon'],
+    summary: 'Patreon OAuth callback',
+    auth: false,
+    audit: true,
+    query: {
+      type: 'object',
+      properties: { code: { type: 'string' }, state: { type: 'string' }, error: { type: 'string' } },
+    },
+    handler: async ({ res, query, body }) => {
+      const code = query.code;
+      const state = query.state;
+      const error = query.error;
+      
+      // HTML response for OAuth callback
+      const sendHtml = (title, message, isError = false) => {
+        const html = `<!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - BambiSleep™ Church</title>
+    <style>
+      :root { --bg: #0a0a0f; --glass: rgba(255,255,255,0.05); --accent: #ff6b9d; --text: #e0e0e0; }
+      * { margin: 0; padding: 0; box-sizing: border-box; }
+      body { font-family: system-ui, sans-serif; background: var(--bg); color: var(--text); min-height: 100vh; display: flex; align-items: center; justify-content: center; }
+      .card { background: var(--glass); backdrop-filter: blur(10px); border: 1px solid rgba(255,255,255,0.1); border-radius: 16px; padding: 2rem; max-width: 400px; text-align: center; }
+      h1 { color: ${isError ? '#ff4757' : 'var(--accent)'}; margin-bottom: 1rem; font-size: 1.5rem; }
+      p { margin-bottom: 1.5rem; line-height: 1.6; }
+      .code { background: rgba(0,0,0,0.3); padding: 0.5rem 1rem; border-radius: 8px; font-family: monospace; font-size: 0.9rem; word-break: break-all; margin: 1rem 0; }
+      a { color: var(--accent); text-decoration: none; }
+      a:hover { text-decoration: underline; }
+    </style>
+  </head>
+  <body>
+    <div class="card">
+      <h1>${title}</h1>
+      <p>${message}</p>
+      ${code ? `<div class="code">${code.substring(0, 20)}...</div>` : ''}
+      <p><a href="/">Return to Dashboard</a></p>
+    </div>
+  </body>
+  </html>`;
+        res.writeHead(isError ? 400 : 200, {
+          'Content-Type': 'text/html',
+        });
+        res.end(html);
+      };
+
+      if (error) {
+        logger.warn('Patreon OAuth error', { error, state });
+        return sendHtml('Authorization Failed', `Patreon authorization was denied or failed: ${error}`, true);
+      }
 
-  // POST /api/model-router/speed-preference - Set speed preference
-  if (path === '/api/model-router/speed-preference' && method === 'POST') {
-    const body = await parseBody(req);
-    const router = getModelRouter();
-    router.setSpeedPreference(body.preferSpeed === true);
-    return json(res, { success: true, config: router.getConfig() });
-  }
+      if (!code) {
+        logger.warn('Patreon OAuth missing code');
+        return sendHtml('Missing Authorization Code', 'No authorization code received from Patreon.', true);
+      }
 
-  // ============ AGENT TOOLS ROUTES ============
+      try {
+        // Exchange code for tokens
+        const redirectUri = 'https://bambisleep.church/redirect/patreon';
+        const tokens = await patreonHandlers.exchangeCode(code, redirectUri);
+        
+        logger.info('Patreon OAuth successful', { state, hasAccessToken: !!tokens.access_token });
+        
+        // Store tokens securely (you may want to save to database/session)
+        return sendHtml(
+          'Authorization Successful',
+          'Your Patreon account has been connected successfully. You can now close this window.'
+        );
+      } catch (err) {
+        logger.error('Patreon OAuth exchange failed', { error: err.message });
+        return sendHtml('Token Exchange Failed', `Failed to complete authorization: ${err.message}`, true);
+      }
+    },
+  },
+];
+
+const router = new Router(routes, {
+  schemas: openApiComponents.schemas,
+  parseBody,
+  send: json,
+  authenticate: apiKeys.required ? authenticate : null,
+  audit: auditLog,
+  idempotency: idempotencyStore,
+});
 
-  // GET /api/agent-tools - Get all available tools
-  if (path === '/api/agent-tools' && method === 'GET') {
-    return json(res, { tools: AGENT_TOOLS, count: AGENT_TOOLS.length });
-  }
+/**
+ * Request handler
+ * Each request runs in a server span continuing an incoming `traceparent`;
+ * its request id (`X-Request-Id` when sent) and trace context are echoed
+ * in the response headers.
+ */
+function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const path = url.pathname;
+  const method = req.method;
 
-  // GET /api/agent-tools/categories - Get tool categories
-  if (path === '/api/agent-tools/categories' && method === 'GET') {
-    return json(res, { categories: TOOL_CATEGORIES });
-  }
+  const span = startSpan(method, {
+    kind: SpanKind.SERVER,
+    requestId: req.headers['x-request-id'],
+    traceparent: req.headers.traceparent,
+    attributes: { 'http.request.method': method, 'url.path': path },
+  });
+  res.setHeader('X-Request-Id', span.requestId);
+  res.setHeader('traceparent', span.traceparent);
+
+  // Labelled by route template so ids in paths do not create new series
+  const started = performance.now();
+  res.once('finish', () => {
+    const route = path === '/mcp' ? path : router.templateFor(path) ?? 'unmatched';
+    recordHttpRequest(route, method, res.statusCode, performance.now() - started);
+    span.name = `${method} ${route}`;
+    span.setAttributes({ 'http.route': route, 'http.response.status_code': res.statusCode });
+    if (res.statusCode >= 500) span.setError(`HTTP ${res.statusCode}`);
+    span.end();
+  });
+  res.once('close', () => {
+    if (!res.writableFinished) span.setError('Connection closed before the response finished');
+    span.end();
+  });
 
-  // GET /api/agent-tools/openai - Get tools in OpenAI function calling format
-  if (path === '/api/agent-tools/openai' && method === 'GET') {
-    const useCase = url.searchParams.get('useCase') || 'full';
-    const tools = useCase === 'full' ? AGENT_TOOLS : getCoreTools(useCase);
-    return json(res, { tools: formatToolsForOpenAI(tools), count: tools.length });
-  }
+  return runInSpan(span, () => routeRequest(req, res, url));
+}
 
-  // GET /api/agent-tools/core/:useCase - Get core tools for use case
-  const coreToolsMatch = path.match(/^\/api\/agent-tools\/core\/([^/]+)$/);
-  if (coreToolsMatch && method === 'GET') {
-    const useCase = coreToolsMatch[1];
-    const tools = getCoreTools(useCase);
-    return json(res, { useCase, tools, count: tools.length });
-  }
+/**
+ * Route a request to CORS, the MCP gateway or the route table
+ */
+async function routeRequest(req, res, url) {
+  const path = url.pathname;
+  const method = req.method;
 
-  // GET /api/agent-tools/category/:category - Get tools by category
-  const toolsCategoryMatch = path.match(/^\/api\/agent-tools\/category\/([^/]+)$/);
-  if (toolsCategoryMatch && method === 'GET') {
-    const category = toolsCategoryMatch[1];
-    const tools = getToolsByCategory(category);
-    return json(res, { category, tools, count: tools.length });
-  }
+  logger.debug(`${method} ${path}`);
 
-  // GET /api/agent-tools/:name - Get single tool by name
-  const toolByNameMatch = path.match(/^\/api\/agent-tools\/([^/]+)$/);
-  if (toolByNameMatch && method === 'GET' && !['categories', 'openai'].includes(toolByNameMatch[1])) {
-    const tool = getToolByName(toolByNameMatch[1]);
-    if (tool) {
-      return json(res, tool);
-    }
-    return json(res, { error: 'Tool not found' }, 404);
-  }
+  // CORS headers go on every response, including rate limit errors
+  cors.apply(req, res);
 
-  // POST /api/agent-tools/execute - Execute a tool
-  if (path === '/api/agent-tools/execute' && method === 'POST') {
-    const body = await parseBody(req);
-    const executor = createAgentToolExecutor({ wsServer: wss });
-    
-    // Register all handlers
-    executor.registerHandlers('memory', memoryHandlers);
-    executor.registerHandlers('storage', storageHandlers);
-    executor.registerHandlers('fetch', fetchHandlers);
-    executor.registerHandlers('puppeteer', puppeteerHandlers);
-    executor.registerHandlers('mongodb', mongoHandlers);
-    executor.registerHandlers('sqlite', sqliteHandlers);
-    executor.registerHandlers('thinking', thinkingHandlers);
-    executor.registerHandlers('stripe', stripeHandlers);
-    executor.registerHandlers('patreon', patreonHandlers);
-    executor.registerHandlers('clarity', clarityHandlers);
-    executor.registerHandlers('github', githubHandlers);
-    executor.registerHandlers('lmstudio', lmstudioHandlers);
-    executor.registerHandlers('huggingface', huggingfaceHandlers);
-
-    const result = await executor.execute(body.tool, body.args || {});
-    return json(res, result);
+  // Preflights are answered with the methods registered for the path
+  if (method === 'OPTIONS') {
+    return cors.preflight(req, res, path === '/mcp' ? MCP_METHODS : router.methodsFor(path));
   }
 
-  // POST /api/agent-tools/execute-many - Execute multiple tools
-  if (path === '/api/agent-tools/execute-many' && method === 'POST') {
-    const body = await parseBody(req);
-    const executor = createAgentToolExecutor({ wsServer: wss });
-    
-    // Register all handlers
-    executor.registerHandlers('memory', memoryHandlers);
-    executor.registerHandlers('storage', storageHandlers);
-    executor.registerHandlers('fetch', fetchHandlers);
-    executor.registerHandlers('puppeteer', puppeteerHandlers);
-    executor.registerHandlers('mongodb', mongoHandlers);
-    executor.registerHandlers('sqlite', sqliteHandlers);
-    executor.registerHandlers('thinking', thinkingHandlers);
-    executor.registerHandlers('stripe', stripeHandlers);
-    executor.registerHandlers('patreon', patreonHandlers);
-    executor.registerHandlers('clarity', clarityHandlers);
-    executor.registerHandlers('github', githubHandlers);
-    executor.registerHandlers('lmstudio', lmstudioHandlers);
-    executor.registerHandlers('huggingface', huggingfaceHandlers);
-
-    const results = await executor.executeMany(body.toolCalls || []);
-    return json(res, { results });
+  // Apply rate limiting
+  if (!rateLimit(req, res)) {
+    return; // Rate limited, response already sent
   }
 
-  // ============ OAUTH REDIRECT ROUTES ============
-
-  // GET /redirect/patreon - Patreon OAuth callback
-  if (path === '/redirect/patreon' && method === 'GET') {
-    const code = url.searchParams.get('code');
-    const state = url.searchParams.get('state');
-    const error = url.searchParams.get('error');
-    
-    // HTML response for OAuth callback
-    const sendHtml = (title, message, isError = false) => {
-      const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title} - BambiSleep™ Church</title>
-  <style>
-    :root { --bg: #0a0a0f; --glass: rgba(255,255,255,0.05); --accent: #ff6b9d; --text: #e0e0e0; }
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body { font-family: system-ui, sans-serif; background: var(--bg); color: var(--text); min-height: 100vh; display: flex; align-items: center; justify-content: center; }
-    .card { background: var(--glass); backdrop-filter: blur(10px); border: 1px solid rgba(255,255,255,0.1); border-radius: 16px; padding: 2rem; max-width: 400px; text-align: center; }
-    h1 { color: ${isError ? '#ff4757' : 'var(--accent)'}; margin-bottom: 1rem; font-size: 1.5rem; }
-    p { margin-bottom: 1.5rem; line-height: 1.6; }
-    .code { background: rgba(0,0,0,0.3); padding: 0.5rem 1rem; border-radius: 8px; font-family: monospace; font-size: 0.9rem; word-break: break-all; margin: 1rem 0; }
-    a { color: var(--accent); text-decoration: none; }
-    a:hover { text-decoration: underline; }
-  </style>
-</head>
-<body>
-  <div class="card">
-    <h1>${title}</h1>
-    <p>${message}</p>
-    ${code ? `<div class="code">${code.substring(0, 20)}...</div>` : ''}
-    <p><a href="/">Return to Dashboard</a></p>
-  </div>
-</body>
-</html>`;
-      res.writeHead(isError ? 400 : 200, {
-        'Content-Type': 'text/html',
-        'Access-Control-Allow-Origin': '*',
-      });
-      res.end(html);
-    };
-
-    if (error) {
-      logger.warn('Patreon OAuth error', { error, state });
-      return sendHtml('Authorization Failed', `Patreon authorization was denied or failed: ${error}`, true);
-    }
 
-    if (!code) {
-      logger.warn('Patreon OAuth missing code');
-      return sendHtml('Missing Authorization Code', 'No authorization code received from Patreon.', true);
+  // Streamable HTTP endpoint serving the tower's tools to MCP clients
+  if (path === '/mcp' && mcpHttpHandler) {
+    const auth = router.authorize(req, res, 'agent');
+    if (!auth) return;
+    let body = null;
+    if (method === 'POST') {
+      try {
+        ({ body } = await parseBody(req));
+      } catch (error) {
+        const code = error.status === 400 ? JsonRpcErrorCode.PARSE_ERROR : JsonRpcErrorCode.INVALID_REQUEST;
+        return json(res, { jsonrpc: '2.0', id: null, error: { code, message: error.message } }, error.status, error.headers);
+      }
     }
+    return runAsActor(describeActor(req, auth), () => runAsPrincipal(auth, () => mcpHttpHandler(req, res, body, auth)));
+  }
 
-    try {
-      // Exchange code for tokens
-      const redirectUri = 'https://bambisleep.church/redirect/patreon';
-      const tokens = await patreonHandlers.exchangeCode(code, redirectUri);
-      
-      logger.info('Patreon OAuth successful', { state, hasAccessToken: !!tokens.access_token });
-      
-      // Store tokens securely (you may want to save to database/session)
-      return sendHtml(
-        'Authorization Successful',
-        'Your Patreon account has been connected successfully. You can now close this window.'
-      );
-    } catch (err) {
-      logger.error('Patreon OAuth exchange failed', { error: err.message });
-      return sendHtml('Token Exchange Failed', `Failed to complete authorization: ${err.message}`, true);
-    }
+  if (await router.handle(req, res, url)) {
+    return;
   }
 
   // 404 for unknown routes
@@ -2976,13 +5673,31 @@ export function createApiServer(port, host) {
   const server = createServer(handleRequest);
 
   // Initialize WebSocket server
-  wss = createWebSocketServer(server);
+  wss = createWebSocketServer(server, {
+    authenticate: apiKeys.required ? authenticate : null,
+    isOriginAllowed: (origin) => cors.isAllowed(origin),
+  });
+  watchServerProbes(registry);
+
+  mcpHttpHandler = createMcpHttpHandler(new McpGateway({
+    executor: createGatewayExecutor({ wsServer: wss }),
+  }));
+
+  if (!apiKeys.required) {
+    logger.warn('API authentication is disabled (API_AUTH=false)');
+  } else if (!apiKeys.hasKeys) {
+    logger.warn('No API keys exist: set API_SECRET_KEY to use the API');
+  }
 
   server.listen(port, host, () => {
     logger.info(`API server running at http://${host}:${port}`);
     logger.info(`WebSocket server available at ws://${host}:${port}/ws`);
+    logger.info(`MCP gateway available at http://${host}:${port}/mcp`);
   });
 
+  // Drain requests and close WebSocket clients on shutdown
+  shutdownCoordinator.addServer('API server', server, wss);
+
   return server;
 }
 
@@ -0,0 +1,114 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Server-Sent Events - Streaming responses
+ *
+ * Streaming routes answer with `text/event-stream` instead of JSON: every
+ * frame is a named event with a JSON payload. The stream's `signal` aborts
+ * when the client disconnects, so routes hand it to the upstream requests
+ * they relay and stop paying for tokens nobody reads.
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('sse');
+
+/**
+ * Event stream over an HTTP response
+ */
+export class EventStream {
+  #res;
+  #heartbeat;
+  #controller = new AbortController();
+
+  /**
+   * Send the stream headers
+   * @param {ServerResponse} res - Response
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.heartbeatInterval=15000] - Milliseconds between keep-alive comments
+   */
+  constructor(res, { heartbeatInterval = 15000 } = {}) {
+    this.#res = res;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops reverse proxies (nginx) from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // Comments keep idle proxies from closing the connection while a model loads
+    this.#heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatInterval);
+    this.#heartbeat.unref();
+
+    res.once('close', () => {
+      clearInterval(this.#heartbeat);
+      if (!res.writableFinished) this.#controller.abort(new Error('Client disconnected'));
+    });
+  }
+
+  /**
+   * Aborted when the client disconnects before the stream ends
+   */
+  get signal() {
+    return this.#controller.signal;
+  }
+
+  /**
+   * Whether frames can no longer be sent
+   */
+  get closed() {
+    return this.#res.writableEnded || this.#res.destroyed;
+  }
+
+  /**
+   * Send an event
+   * @param {string} event - Event name
+   * @param {*} data - JSON payload
+   * @returns {boolean} False when the stream is closed
+   */
+  send(event, data) {
+    if (this.closed) return false;
+    this.#res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  }
+
+  /**
+   * End the stream, optionally with a last event
+   * @param {string} [event] - Event name
+   * @param {*} [data] - JSON payload
+   */
+  end(event, data) {
+    if (event) this.send(event, data);
+    clearInterval(this.#heartbeat);
+    if (!this.closed) this.#res.end();
+  }
+}
+
+/**
+ * Answer a request with an event stream
+ * `produce` sends events as work progresses and resolves with the payload
+ * of the final frame, sent as `finalEvent`. Failures end the stream with an
+ * `error` event (headers are already sent, so no status code can carry
+ * them); a client disconnect ends it silently.
+ * @param {ServerResponse} res - Response
+ * @param {Function} produce - `(stream) => Promise<*>`
+ * @param {Object} [options] - Stream options
+ * @param {string} [options.finalEvent='done'] - Name of the final event
+ * @returns {Promise<void>} Resolves once the stream has ended
+ */
+export async function streamEvents(res, produce, { finalEvent = 'done' } = {}) {
+  const stream = new EventStream(res);
+  try {
+    stream.end(finalEvent, await produce(stream));
+  } catch (error) {
+    if (stream.signal.aborted) {
+      logger.info('Client disconnected, stream aborted');
+      return;
+    }
+    logger.error('Stream failed:', error.message);
+    stream.end('error', { error: error.message });
+  }
+}
+
+export default streamEvents;
@@ -3,8 +3,12 @@
  * WebSocket Server for Real-time Updates
  */
 
+import { randomUUID } from 'crypto';
 import { WebSocketServer } from 'ws';
 import { createLogger } from '../utils/logger.js';
+import { getTraceContext, runInSpan, SpanKind, startSpan } from '../utils/trace.js';
+import { runAsActor } from './audit.js';
+import { recordWsMessage, setActiveConnections } from './metrics.js';
 
 const logger = createLogger('websocket');
 
@@ -23,6 +27,16 @@ export const MessageTypes = {
   SERVER_STOPPED: 'server:stopped',
   SERVER_ERROR: 'server:error',
   SERVER_LOG: 'server:log',
+
+  // Configuration reload (one message per added/removed/changed/updated server)
+  CONFIG_CHANGED: 'config:changed',
+  
+  // MCP resource events (sent to `resources` / `resources:<server>` subscribers)
+  RESOURCE_UPDATED: 'resource:updated',
+  RESOURCE_LIST_CHANGED: 'resource:list-changed',
+
+  // MCP request progress (`notifications/progress`)
+  TOOL_PROGRESS: 'tool:progress',
   
   // System events
   HEALTH_UPDATE: 'health:update',
@@ -50,13 +64,22 @@ export const MessageTypes = {
   PONG: 'pong',
 };
 
+/**
+ * Add the ids of the current trace to an outgoing message
+ * Events emitted while handling a request carry its `requestId` and `traceId`.
+ */
+function withTrace(message) {
+  const trace = getTraceContext();
+  return trace ? { ...message, requestId: trace.requestId, traceId: trace.traceId } : message;
+}
+
 /**
  * Broadcast message to all connected clients
  * @param {Object} message Message to broadcast
  * @param {WebSocket} exclude Client to exclude (optional)
  */
 export function broadcast(message, exclude = null) {
-  const data = JSON.stringify(message);
+  const data = JSON.stringify(withTrace(message));
   let sent = 0;
   
   for (const client of clients) {
@@ -66,9 +89,33 @@ export function broadcast(message, exclude = null) {
     }
   }
   
+  recordWsMessage('sent', sent);
   logger.debug(`Broadcast ${message.type} to ${sent} clients`);
 }
 
+/**
+ * Send message to clients subscribed to any of the given channels
+ * @param {string[]} channels Channel names
+ * @param {Object} message Message to send
+ * @returns {number} Number of clients reached
+ */
+export function broadcastToSubscribers(channels, message) {
+  const data = JSON.stringify(withTrace(message));
+  let sent = 0;
+
+  for (const client of clients) {
+    if (client.readyState !== 1 || !client.subscriptions) continue;
+    if (channels.some(channel => client.subscriptions.has(channel))) {
+      client.send(data);
+      sent++;
+    }
+  }
+
+  recordWsMessage('sent', sent);
+  logger.debug(`Sent ${message.type} to ${sent} subscribers of ${channels.join(', ')}`);
+  return sent;
+}
+
 /**
  * Send message to specific client
  * @param {WebSocket} client Target client
@@ -76,7 +123,8 @@ export function broadcast(message, exclude = null) {
  */
 export function sendTo(client, message) {
   if (client.readyState === 1) {
-    client.send(JSON.stringify(message));
+    client.send(JSON.stringify(withTrace(message)));
+    recordWsMessage('sent');
   }
 }
 
@@ -93,6 +141,9 @@ export function emitServerStatus(server) {
       status: server.status,
       startedAt: server.startedAt,
       error: server.error,
+      restartCount: server.restartCount ?? 0,
+      lastExitCode: server.lastExitCode ?? null,
+      nextRestartAt: server.nextRestartAt ?? null,
     },
   });
 }
@@ -115,6 +166,71 @@ export function emitServerLog(serverName, level, message) {
   });
 }
 
+/**
+ * Emit server configuration change from a config reload
+ * @param {string} serverName Server name
+ * @param {string} change One of added, removed, changed (relaunched), updated
+ */
+export function emitConfigChanged(serverName, change) {
+  broadcast({
+    type: MessageTypes.CONFIG_CHANGED,
+    timestamp: new Date().toISOString(),
+    data: {
+      server: serverName,
+      change,
+    },
+  });
+}
+
+/**
+ * Emit MCP progress notification of a long-running request
+ * @param {string} serverName Server name
+ * @param {Object} progress `notifications/progress` params (progressToken, progress, total, message)
+ */
+export function emitToolProgress(serverName, progress) {
+  broadcast({
+    type: MessageTypes.TOOL_PROGRESS,
+    timestamp: new Date().toISOString(),
+    data: {
+      server: serverName,
+      progressToken: progress.progressToken,
+      progress: progress.progress,
+      total: progress.total ?? null,
+      message: progress.message ?? null,
+    },
+  });
+}
+
+/**
+ * Emit MCP resource update notification
+ * @param {string} serverName Server name
+ * @param {string} uri Updated resource URI
+ */
+export function emitResourceUpdated(serverName, uri) {
+  broadcastToSubscribers(['resources', `resources:${serverName}`], {
+    type: MessageTypes.RESOURCE_UPDATED,
+    timestamp: new Date().toISOString(),
+    data: {
+      server: serverName,
+      uri,
+    },
+  });
+}
+
+/**
+ * Emit MCP resource list change notification
+ * @param {string} serverName Server name
+ */
+export function emitResourceListChanged(serverName) {
+  broadcastToSubscribers(['resources', `resources:${serverName}`], {
+    type: MessageTypes.RESOURCE_LIST_CHANGED,
+    timestamp: new Date().toISOString(),
+    data: {
+      server: serverName,
+    },
+  });
+}
+
 /**
  * Emit stats update
  * @param {Object} stats Stats object
@@ -129,62 +245,114 @@ export function emitStatsUpdate(stats) {
 
 /**
  * Handle incoming WebSocket message
+ * Each message runs in its own span, on behalf of the client's actor;
+ * clients may send `requestId` and `traceparent` fields to join an
+ * existing trace.
  * @param {WebSocket} client Client connection
  * @param {string} data Raw message data
  */
 function handleMessage(client, data) {
+  let message;
   try {
-    const message = JSON.parse(data);
-    const messageType = message.type?.toUpperCase();
-    
-    switch (messageType) {
-      case 'PING':
-        sendTo(client, { type: 'PONG', timestamp: Date.now() });
-        break;
-        
-      case 'SUBSCRIBE':
-        client.subscriptions = client.subscriptions || new Set();
-        if (message.channel) {
-          client.subscriptions.add(message.channel);
-          logger.debug(`Client subscribed to ${message.channel}`);
-        }
-        if (message.channels && Array.isArray(message.channels)) {
-          message.channels.forEach(ch => client.subscriptions.add(ch));
-          logger.debug(`Client subscribed to ${message.channels.join(', ')}`);
-        }
-        break;
-        
-      case 'UNSUBSCRIBE':
-        if (client.subscriptions && message.channel) {
-          client.subscriptions.delete(message.channel);
-          logger.debug(`Client unsubscribed from ${message.channel}`);
-        }
-        break;
-        
-      default:
-        logger.warn(`Unknown message type: ${message.type}`);
-    }
+    message = JSON.parse(data);
   } catch (error) {
     logger.error('Failed to parse WebSocket message:', error.message);
+    return;
+  }
+
+  const span = startSpan(`ws ${message?.type}`, {
+    kind: SpanKind.SERVER,
+    requestId: message?.requestId,
+    traceparent: message?.traceparent,
+    attributes: { 'ws.message.type': message?.type },
+  });
+  try {
+    runInSpan(span, () => runAsActor(client.actor, () => dispatchMessage(client, message)));
+  } catch (error) {
+    span.setError(error);
+    logger.error('Failed to handle WebSocket message:', error.message);
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Run a client command
+ * @param {WebSocket} client Client connection
+ * @param {Object} message Parsed message
+ */
+function dispatchMessage(client, message) {
+  const messageType = message?.type?.toUpperCase();
+
+  switch (messageType) {
+    case 'PING':
+      sendTo(client, { type: 'PONG', timestamp: Date.now() });
+      break;
+      
+    case 'SUBSCRIBE':
+      client.subscriptions = client.subscriptions || new Set();
+      if (message.channel) {
+        client.subscriptions.add(message.channel);
+        logger.debug(`Client subscribed to ${message.channel}`);
+      }
+      if (message.channels && Array.isArray(message.channels)) {
+        message.channels.forEach(ch => client.subscriptions.add(ch));
+        logger.debug(`Client subscribed to ${message.channels.join(', ')}`);
+      }
+      break;
+      
+    case 'UNSUBSCRIBE':
+      if (client.subscriptions && message.channel) {
+        client.subscriptions.delete(message.channel);
+        logger.debug(`Client unsubscribed from ${message.channel}`);
+      }
+      break;
+      
+    default:
+      logger.warn(`Unknown message type: ${message?.type}`);
   }
 }
 
 /**
  * Create WebSocket server attached to HTTP server
  * @param {http.Server} httpServer HTTP server instance
+ * @param {Object} [options] Server options
+ * @param {Function} [options.authenticate] Finds the principal of an upgrade request; every client is accepted when omitted
+ * @param {Function} [options.isOriginAllowed] Checks the `Origin` of browser clients (see CorsPolicy)
  * @returns {WebSocketServer} WebSocket server instance
  */
-export function createWebSocketServer(httpServer) {
+export function createWebSocketServer(httpServer, { authenticate = null, isOriginAllowed = null } = {}) {
   const wss = new WebSocketServer({ 
     server: httpServer,
     path: '/ws',
+    // Browsers do not apply CORS to WebSockets, so the origin is checked here;
+    // upgrades also need a key with the `read` scope when authentication is on
+    verifyClient: (authenticate || isOriginAllowed) && (({ origin, req }, done) => {
+      if (origin && isOriginAllowed && !isOriginAllowed(origin)) {
+        logger.warn(`WebSocket upgrade rejected: origin ${origin} not allowed`);
+        return done(false, 403, 'Forbidden');
+      }
+      if (!authenticate) return done(true);
+
+      const principal = authenticate(req);
+      if (principal?.scopes.includes('read')) {
+        req.principal = principal;
+        return done(true);
+      }
+      logger.warn(`WebSocket upgrade rejected: ${principal ? 'missing read scope' : 'no valid API key'}`);
+      return done(false, principal ? 403 : 401, principal ? 'Forbidden' : 'Unauthorized');
+    }),
   });
 
   wss.on('connection', (ws, req) => {
     const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress;
     logger.info(`WebSocket client connected from ${ip}`);
+
+    // Actor named in audit entries of operations the client triggers
+    ws.actor = { type: 'websocket', id: randomUUID(), key: req.principal?.id, name: req.principal?.name, ip };
     
     clients.add(ws);
+    setActiveConnections(clients.size);
     
     // Send welcome message
     sendTo(ws, {
@@ -196,16 +364,21 @@ export function createWebSocketServer(httpServer) {
       },
     });
 
-    ws.on('message', (data) => handleMessage(ws, data.toString()));
+    ws.on('message', (data) => {
+      recordWsMessage('received');
+      handleMessage(ws, data.toString());
+    });
 
     ws.on('close', () => {
       clients.delete(ws);
+      setActiveConnections(clients.size);
       logger.info(`WebSocket client disconnected (${clients.size} remaining)`);
     });
 
     ws.on('error', (error) => {
       logger.error('WebSocket error:', error.message);
       clients.delete(ws);
+      setActiveConnections(clients.size);
     });
   });
 
@@ -220,6 +393,28 @@ export function createWebSocketServer(httpServer) {
   return wss;
 }
 
+/**
+ * Close the connections opened with an API key
+ * Keys are only checked at upgrade, so revoking one has to close its
+ * sockets (1008, policy violation) or they keep receiving events.
+ * @param {string} keyId - API key id
+ * @returns {number} Connections closed
+ */
+export function disconnectApiKey(keyId) {
+  let closed = 0;
+  for (const client of clients) {
+    if (client.actor?.key !== keyId) continue;
+    clients.delete(client);
+    client.close(1008, 'API key revoked');
+    closed++;
+  }
+  if (closed > 0) {
+    setActiveConnections(clients.size);
+    logger.info(`Closed ${closed} WebSocket connection(s) of revoked API key ${keyId}`);
+  }
+  return closed;
+}
+
 /**
  * Get WebSocket connection stats
  * @returns {Object} Connection statistics
@@ -16,7 +16,7 @@ import * as Config from './config.js';
 import { Actions, AppState, Selectors } from './state/store.js';
 
 // Services
-import { fetchServers, startServer, stopServer } from './services/api.js';
+import { fetchServerLogs, fetchServers, saveServerConfig, startServer, stopServer } from './services/api.js';
 import { initWebSocket } from './services/websocket.js';
 
 // Components
@@ -244,6 +244,10 @@ window.Dashboard = {
     const server = Selectors.serverByName(serverName)(AppState.getState());
     if (server) {
       getModal('server')?.showServer(server);
+      // Load history so the modal shows output from before it was opened
+      if (server.type === 'mcp') {
+        fetchServerLogs(serverName).then(() => getModal('server')?.renderLogs(serverName));
+      }
     }
   },
 
@@ -294,10 +298,21 @@ window.Dashboard = {
   },
 
   importConfigs() {
-    importConfigs((imported) => {
-      addActivity('config:imported', `Imported ${imported.length} server configs`);
-      // Note: In a full implementation, this would update the server config
-      showToast('info', 'Note', 'Imported configs can be applied via settings.json');
+    importConfigs(async (imported) => {
+      const existing = new Set(AppState.getState().servers.map(s => s.name));
+      let saved = 0;
+
+      for (const { name, config } of imported) {
+        try {
+          await saveServerConfig(name, config, existing.has(name));
+          saved++;
+        } catch (error) {
+          showToast('error', `Import of ${name} failed`, error.message);
+        }
+      }
+
+      addActivity('config:imported', `Saved ${saved} of ${imported.length} imported server configs`);
+      await fetchServers();
     });
   },
 
@@ -720,7 +735,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   useKeyboard({
     onRefresh: refreshData,
     onToggleServer: async (server) => {
-      if (server.status === 'running') {
+      if (server.status === 'running' || server.status === 'degraded') {
         await window.Dashboard.stopServer(server.name);
       } else {
         await window.Dashboard.startServer(server.name);
@@ -736,6 +751,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log(`✅ WS:  ${Config.getWsUrl()}`);
   }
   
+  // Send the API key with requests; ask for one if the API rejects us
+  Config.installApiKey();
+  try {
+    await Config.ensureApiKey();
+  } catch (error) {
+    console.warn('⚠️ Could not check API key:', error.message);
+  }
+
   // Initialize WebSocket (after port discovery)
   initWebSocket();
   
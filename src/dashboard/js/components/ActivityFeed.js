@@ -15,6 +15,8 @@ const ACTIVITY_ICONS = {
   'server:stopped': '⏹️',
   'server:error': '❌',
   'server:log': '📝',
+  'tool:progress': '⏳',
+  'config:changed': '🛠️',
   'health:update': '💓',
   'ws:connected': '🔌',
   'ws:disconnected': '🔴',
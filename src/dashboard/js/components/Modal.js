@@ -237,8 +237,8 @@ export class ServerDetailModal extends Modal {
       </div>
       
       <div class="server-detail-section">
-        <div class="server-detail-label">Command</div>
-        <div class="server-detail-value">${server.config?.command || 'N/A'}</div>
+        <div class="server-detail-label">${server.config?.url ? 'URL' : 'Command'}</div>
+        <div class="server-detail-value">${server.config?.url || server.config?.command || 'N/A'}</div>
       </div>
       
       <div class="server-detail-section">
@@ -246,6 +246,37 @@ export class ServerDetailModal extends Modal {
         <div class="server-detail-value">${(server.config?.args || []).join(' ') || 'None'}</div>
       </div>
       
+      ${server.source ? `
+        <div class="server-detail-section">
+          <div class="server-detail-label">Config File</div>
+          <div class="server-detail-value">${server.source}</div>
+        </div>
+      ` : ''}
+      
+      ${server.serverInfo ? `
+        <div class="server-detail-section">
+          <div class="server-detail-label">MCP Server</div>
+          <div class="server-detail-value">
+            ${server.serverInfo.name} ${server.serverInfo.version || ''} (protocol ${server.protocolVersion || 'unknown'})
+          </div>
+        </div>
+        
+        <div class="server-detail-section">
+          <div class="server-detail-label">Capabilities</div>
+          <div class="server-detail-value">${Object.keys(server.capabilities || {}).join(', ') || 'None'}</div>
+        </div>
+      ` : ''}
+      
+      ${server.health?.lastProbeAt ? `
+        <div class="server-detail-section">
+          <div class="server-detail-label">Liveness</div>
+          <div class="server-detail-value">
+            ${server.health.latencyMs !== null ? `${server.health.latencyMs}ms` : 'No response'}
+            ${server.health.consecutiveFailures ? `(${server.health.consecutiveFailures} failed: ${server.health.lastError})` : ''}
+          </div>
+        </div>
+      ` : ''}
+      
       ${serverActions ? `
         <div class="server-detail-section">
           <div class="server-detail-label">Quick Actions</div>
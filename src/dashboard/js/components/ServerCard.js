@@ -66,6 +66,7 @@ export function renderServerCard(server, index) {
   const statusIcon = STATUS_ICONS[server.status] || STATUS_ICONS.default;
   const args = server.config?.args || [];
   const argsDisplay = args.slice(0, 3).join(' ') + (args.length > 3 ? '...' : '');
+  const active = server.status === 'running' || server.status === 'degraded';
   
   return `
     <div class="glass-card server-card" 
@@ -89,17 +90,17 @@ export function renderServerCard(server, index) {
         </span>
       </div>
       <div class="server-command">
-        ${server.config?.command || 'N/A'} ${argsDisplay}
+        ${server.config?.command || server.config?.url || 'N/A'} ${argsDisplay}
       </div>
       <div class="server-actions">
         <button onclick="window.Dashboard.startServer('${server.name}')" 
                 class="btn btn-success"
-                ${server.status === 'running' ? 'disabled' : ''}>
+                ${active ? 'disabled' : ''}>
           ▶ Start
         </button>
         <button onclick="window.Dashboard.stopServer('${server.name}')" 
                 class="btn btn-danger"
-                ${server.status !== 'running' ? 'disabled' : ''}>
+                ${!active ? 'disabled' : ''}>
           ⏹ Stop
         </button>
         <button onclick="window.Dashboard.openServerModal('${server.name}')" 
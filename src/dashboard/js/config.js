@@ -86,11 +86,73 @@ export function getApiBase() {
 
 /**
  * Get WebSocket URL (dynamic getter)
+ * Browsers cannot set headers on WebSocket upgrades, so the API key is
+ * passed as `access_token`.
  */
 export function getWsUrl() {
-  if (!isDev) return `ws://${window.location.host}/ws`;
-  const port = getApiPort();
-  return `ws://localhost:${port}/ws`;
+  const url = isDev ? `ws://localhost:${getApiPort()}/ws` : `ws://${window.location.host}/ws`;
+  const key = getApiKey();
+  return key ? `${url}?access_token=${encodeURIComponent(key)}` : url;
+}
+
+/**
+ * Get the API key from localStorage
+ */
+export function getApiKey() {
+  return localStorage.getItem('apiKey');
+}
+
+/**
+ * Set the API key in localStorage (an empty key removes it)
+ */
+export function setApiKey(key) {
+  if (key) {
+    localStorage.setItem('apiKey', key);
+  } else {
+    localStorage.removeItem('apiKey');
+  }
+}
+
+/**
+ * Check whether a URL points at the API server's /api or /mcp routes
+ */
+function isApiUrl(url) {
+  const target = new URL(url, window.location.href);
+  const api = new URL(getApiBase(), window.location.href);
+  return target.origin === api.origin && /^\/(api|mcp)(\/|$)/.test(target.pathname);
+}
+
+/**
+ * Send the API key with every request to the API
+ * Wraps window.fetch once, so components that call fetch directly are covered too.
+ */
+export function installApiKey() {
+  const nativeFetch = window.fetch.bind(window);
+
+  window.fetch = (input, init = {}) => {
+    const key = getApiKey();
+    const url = input instanceof Request ? input.url : String(input);
+    if (!key || !isApiUrl(url)) return nativeFetch(input, init);
+
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    if (!headers.has('Authorization')) headers.set('Authorization', `Bearer ${key}`);
+    return nativeFetch(input, { ...init, headers });
+  };
+}
+
+/**
+ * Ask for an API key until the API accepts one
+ * @returns {Promise<boolean>} False if the prompt was dismissed
+ */
+export async function ensureApiKey() {
+  for (;;) {
+    const response = await fetch(`${getApiBase()}/servers`);
+    if (response.status !== 401) return true;
+
+    const key = prompt('🔑 API key (created with POST /api/keys, or API_SECRET_KEY):');
+    if (!key) return false;
+    setApiKey(key.trim());
+  }
 }
 
 // Legacy exports for backward compatibility (will use default port initially)
@@ -139,6 +201,7 @@ export const STATUS_ICONS = {
   running: '●',
   stopped: '○',
   starting: '◐',
+  degraded: '◑',
   error: '✕',
   default: '?',
 };
@@ -109,6 +109,50 @@ export async function stopServer(name) {
   }
 }
 
+/**
+ * Save a server definition to the settings file
+ * @param {string} name - Server name
+ * @param {Object} config - Server config entry
+ * @param {boolean} [exists=false] - Replace an existing definition instead of adding one
+ */
+export async function saveServerConfig(name, config, exists = false) {
+  const response = await fetch(
+    exists ? `${API_BASE()}/servers/${name}` : `${API_BASE()}/servers`,
+    {
+      method: exists ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(exists ? { config } : { name, config }),
+    }
+  );
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error([data.error, ...(data.details || [])].join(': '));
+  }
+  return data;
+}
+
+/**
+ * Fetch buffered log history of a server
+ * @param {string} name - Server name
+ * @param {Object} [options] - Filters: since, level, limit
+ */
+export async function fetchServerLogs(name, options = {}) {
+  try {
+    const params = new URLSearchParams(options);
+    const query = params.toString() ? `?${params}` : '';
+    const data = await apiGet(`/servers/${name}/logs${query}`, 'Failed to fetch server logs');
+    Actions.setServerLogs(name, data.logs.map(log => ({
+      level: log.level,
+      message: log.message,
+      timestamp: new Date(log.timestamp),
+    })));
+    return data;
+  } catch (error) {
+    console.error(`Failed to fetch logs for ${name}:`, error);
+    return null;
+  }
+}
+
 /**
  * Fetch health status
  */
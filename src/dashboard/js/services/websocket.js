@@ -8,6 +8,7 @@ import { processRenderCommand, WorkspaceAPI } from '../components/AgentWorkspace
 import { showToast } from '../components/Toast.js';
 import { getWsUrl, WS_CONFIG } from '../config.js';
 import { Actions } from '../state/store.js';
+import { fetchServers } from './api.js';
 
 let ws = null;
 let reconnectAttempts = 0;
@@ -108,6 +109,41 @@ function handleMessage(event) {
         });
         break;
         
+      case 'server:log':
+        Actions.appendServerLog(message.data.server, {
+          level: message.data.level || 'info',
+          message: message.data.message,
+          timestamp: new Date(message.timestamp)
+        });
+        break;
+        
+      case 'config:changed': {
+        const { server, change } = message.data;
+        const descriptions = {
+          added: 'added',
+          removed: 'removed',
+          changed: 'changed, relaunching',
+          updated: 'settings updated'
+        };
+        addActivity('config:changed', `${server} ${descriptions[change] || change}`, {
+          server,
+          level: change === 'removed' ? 'warning' : 'info'
+        });
+        // Pick up added/removed servers and new config values
+        fetchServers();
+        break;
+      }
+
+      case 'tool:progress': {
+        const { server, progress, total, message: text } = message.data;
+        const amount = total ? `${progress}/${total}` : `${progress}`;
+        addActivity('tool:progress', `${server}: ${text || 'progress'} (${amount})`, {
+          server,
+          level: 'info'
+        });
+        break;
+      }
+        
       case 'HEALTH_UPDATE':
         addActivity('health:update', 'Health check received', { level: 'info' });
         break;
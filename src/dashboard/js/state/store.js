@@ -158,6 +158,13 @@ export const Actions = {
     });
   },
 
+  setServerLogs(serverName, logs) {
+    const { serverLogs } = AppState.getState();
+    AppState.setState({
+      serverLogs: { ...serverLogs, [serverName]: logs.slice(-100) }
+    });
+  },
+
   clearServerLogs(serverName) {
     const { serverLogs } = AppState.getState();
     AppState.setState({
@@ -176,7 +183,7 @@ function filterServerList(servers, searchQuery, filter) {
     const query = searchQuery.toLowerCase();
     const matchesSearch = !query || 
       server.name.toLowerCase().includes(query) ||
-      (server.config?.command || '').toLowerCase().includes(query);
+      (server.config?.command || server.config?.url || '').toLowerCase().includes(query);
     
     // Status filter
     let matchesStatus = true;
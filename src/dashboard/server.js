@@ -8,6 +8,7 @@ import { createServer } from 'http';
 import { dirname, extname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { createLogger } from '../utils/logger.js';
+import { shutdownCoordinator } from '../utils/shutdown.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const logger = createLogger('dashboard');
@@ -63,6 +64,8 @@ export function createDashboardServer(port, host) {
     logger.info(`Dashboard running at http://${host}:${port}`);
   });
 
+  shutdownCoordinator.addServer('Dashboard server', server);
+
   return server;
 }
 
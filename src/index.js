@@ -3,83 +3,133 @@
  * Main Entry Point
  */
 
+import { MCP_STDIO } from './utils/stdio-mode.js';
 import 'dotenv/config';
+import './utils/config-check.js';
 
 import { createApiServer } from './api/routes.js';
 import { createDashboardServer } from './dashboard/server.js';
+import { existsSync } from 'fs';
+import { clarityHandlers } from './servers/clarity.js';
 import { registry } from './servers/index.js';
-import { getConfig } from './utils/config.js';
+import { serveStdio } from './servers/mcp-gateway.js';
+import { mcpToolCatalog } from './servers/mcp-tools.js';
+import { memoryManagerHandlers } from './servers/memory/manager.js';
+import { mongoClient } from './servers/mongodb.js';
+import { getConfig, watchMcpServers } from './utils/config.js';
 import { createLogger } from './utils/logger.js';
+import { shutdownCoordinator } from './utils/shutdown.js';
+import { FileSpanExporter, setSpanExporter } from './utils/trace.js';
 
 const logger = createLogger('main');
 
 /**
- * Load and validate environment variables
+ * Log the effective configuration (without secrets)
+ * @param {Object} config - Loaded configuration
  */
-function loadEnvironment() {
-  const env = {
-    // Server Ports
-    API_PORT: process.env.API_PORT || '8080',
-    DASHBOARD_PORT: process.env.DASHBOARD_PORT || '3000',
-    
-    // Logging
-    LOG_LEVEL: process.env.LOG_LEVEL || 'info',
-    
-    // Database
-    MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017',
-    
-    // Storage
-    STORAGE_DIR: process.env.STORAGE_DIR || './data/storage',
-    
-    // LM Studio
-    LMS_HOST: process.env.LMS_HOST || 'localhost',
-    LMS_PORT: process.env.LMS_PORT || '1234',
-    
-    // Kokoro TTS
-    KOKORO_URL: process.env.KOKORO_URL || 'http://192.168.0.122:8880',
-    
-    // API Keys (optional)
-    GITHUB_TOKEN: process.env.GITHUB_TOKEN || '',
-    STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || '',
-    PATREON_ACCESS_TOKEN: process.env.PATREON_ACCESS_TOKEN || '',
-    HUGGINGFACE_TOKEN: process.env.HUGGINGFACE_TOKEN || '',
-    CLARITY_PROJECT_ID: process.env.CLARITY_PROJECT_ID || '',
-  };
+function logConfigSummary(config) {
+  const { services } = config;
+  const isSet = (value) => (value ? '✅ Set' : '❌ Not set');
+
+  logger.info('Configuration loaded:');
+  logger.info(`  API Port: ${config.api.port}`);
+  logger.info(`  Dashboard Port: ${config.dashboard.port}`);
+  logger.info(`  Log Level: ${config.env.logLevel}`);
+  logger.info(`  MongoDB URI: ${config.database.mongodb.uri.replace(/\/\/.*@/, '//***@')}`);
+  logger.info(`  LM Studio: ${config.lmstudio.host}:${config.lmstudio.port}`);
+  logger.info(`  Kokoro TTS: ${config.kokoro.url}`);
+  logger.info(`  GitHub Token: ${isSet(services.github.token)}`);
+  logger.info(`  Stripe Key: ${isSet(services.stripe.apiKey)}`);
+  logger.info(`  Patreon Token: ${isSet(services.patreon.accessToken)}`);
+  logger.info(`  HuggingFace Token: ${isSet(services.huggingface.token)}`);
+  logger.info(`  Clarity Project: ${isSet(services.clarity.projectId)}`);
+}
 
-  // Log loaded environment (without secrets)
-  logger.info('Environment variables loaded:');
-  logger.info(`  API Port: ${env.API_PORT}`);
-  logger.info(`  Dashboard Port: ${env.DASHBOARD_PORT}`);
-  logger.info(`  Log Level: ${env.LOG_LEVEL}`);
-  logger.info(`  MongoDB URI: ${env.MONGODB_URI.replace(/\/\/.*@/, '//***@')}`);
-  logger.info(`  LM Studio: ${env.LMS_HOST}:${env.LMS_PORT}`);
-  logger.info(`  Kokoro TTS: ${env.KOKORO_URL}`);
-  logger.info(`  GitHub Token: ${env.GITHUB_TOKEN ? '✅ Set' : '❌ Not set'}`);
-  logger.info(`  Stripe Key: ${env.STRIPE_SECRET_KEY ? '✅ Set' : '❌ Not set'}`);
-  logger.info(`  Patreon Token: ${env.PATREON_ACCESS_TOKEN ? '✅ Set' : '❌ Not set'}`);
-  logger.info(`  HuggingFace Token: ${env.HUGGINGFACE_TOKEN ? '✅ Set' : '❌ Not set'}`);
-  logger.info(`  Clarity Project: ${env.CLARITY_PROJECT_ID ? '✅ Set' : '❌ Not set'}`);
-
-  return env;
+/**
+ * Append finished spans to TRACE_FILE as OTLP JSON
+ * @param {Object} config - Loaded configuration
+ * @returns {FileSpanExporter|null} Exporter, or null when TRACE_TO_FILE is off
+ */
+function setupTracing(config) {
+  if (!config.tracing.toFile) return null;
+
+  const spanExporter = new FileSpanExporter({ path: config.tracing.file });
+  setSpanExporter(spanExporter);
+  return spanExporter;
 }
 
 /**
- * Graceful shutdown handler
+ * Graceful shutdown
+ * The API and dashboard servers register themselves for draining; this
+ * adds the hooks persisting memory and analytics, then stopping MCP servers
+ * and writing the remaining spans as the last steps.
+ * @param {Object} config - Loaded configuration
+ * @param {FileSpanExporter} [spanExporter] - Exporter to flush
  */
-function setupShutdown(apiServer, dashboardServer) {
-  const shutdown = (signal) => {
-    logger.info(`Received ${signal}, shutting down...`);
-    
-    registry.stopAll();
-    
-    apiServer.close(() => logger.info('API server closed'));
-    dashboardServer.close(() => logger.info('Dashboard server closed'));
-    
-    setTimeout(() => process.exit(0), 1000);
-  };
+function setupShutdown(config, spanExporter = null) {
+  shutdownCoordinator.addHook('memory snapshot', () => memoryManagerHandlers.saveToFile(config.memory.snapshotPath));
+  shutdownCoordinator.addHook('memory sync', () => (mongoClient.connected ? memoryManagerHandlers.saveToMongoDB() : null));
+  shutdownCoordinator.addHook('clarity analytics', () => clarityHandlers.saveToFile(config.services.clarity.snapshotPath));
+
+  shutdownCoordinator.addStop('MCP servers', () => registry.stopAll());
+  // Last, so spans of servers stopping are written too
+  if (spanExporter) {
+    shutdownCoordinator.addStop('Trace export', () => spanExporter.flush());
+  }
+  shutdownCoordinator.install();
+}
+
+/**
+ * Restore the memory graph and analytics saved by the last shutdown
+ * @param {Object} config - Loaded configuration
+ */
+async function restoreSnapshots(config) {
+  if (existsSync(config.memory.snapshotPath)) {
+    await memoryManagerHandlers.loadFromFile(config.memory.snapshotPath);
+  }
+  if (existsSync(config.services.clarity.snapshotPath)) {
+    await clarityHandlers.loadFromFile(config.services.clarity.snapshotPath);
+  }
+}
 
-  process.on('SIGINT', () => shutdown('SIGINT'));
-  process.on('SIGTERM', () => shutdown('SIGTERM'));
+/**
+ * Apply edits of the MCP server config files without restarting the tower
+ * @param {Object} config - Loaded configuration
+ */
+function setupConfigReload(config) {
+  if (!config.mcp.watch) return;
+
+  watchMcpServers((servers, origins) => {
+    logger.info('MCP server config changed, reloading...');
+    registry.applyConfig(servers, origins).catch((error) => {
+      logger.error('Failed to apply MCP server config:', error.message);
+    });
+  }, {
+    sources: config.mcp.sources,
+    onError: (error) => logger.error(`Ignoring invalid MCP server config: ${error.message}`),
+  });
+  logger.info(`Watching ${config.mcp.sources.join(', ')} for server changes`);
+}
+
+/**
+ * Gateway mode (`--mcp-stdio`)
+ * Serves the tower's tools to one MCP client over stdin/stdout instead of
+ * starting the API and dashboard servers. Supervised MCP servers are still
+ * started so their tools are available through the gateway.
+ */
+async function mainStdio() {
+  const config = getConfig();
+  await restoreSnapshots(config);
+  registry.loadFromConfig(config.mcp.servers, config.mcp.origins);
+  mcpToolCatalog.attach();
+  setupShutdown(config);
+
+  const served = serveStdio();
+  registry.startAll().catch((error) => logger.error('Failed to start MCP servers:', error.message));
+  setupConfigReload(config);
+  await served;
+
+  await shutdownCoordinator.shutdown('end of stdin');
 }
 
 /**
@@ -91,16 +141,15 @@ async function main() {
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   `);
 
-  // Load and validate environment variables
-  const env = loadEnvironment();
-
-  // Load configuration
+  // Load configuration (validated by config-check on import)
   const config = getConfig();
-  logger.info('Configuration loaded');
+  logConfigSummary(config);
+  const spanExporter = setupTracing(config);
+  await restoreSnapshots(config);
 
   // Load MCP servers from config
   logger.info('Loading MCP server configurations...');
-  registry.loadFromConfig(config.mcp.servers);
+  registry.loadFromConfig(config.mcp.servers, config.mcp.origins);
   
   const stats = registry.getStats();
   logger.info(`MCP Servers: ${stats.total} configured`);
@@ -125,14 +174,14 @@ async function main() {
 
   // Start API server
   logger.info('Starting API server...');
-  const apiServer = createApiServer(config.api.port, config.api.host);
+  createApiServer(config.api.port, config.api.host);
 
   // Start Dashboard server
   logger.info('Starting Dashboard server...');
-  const dashboardServer = createDashboardServer(config.dashboard.port, config.dashboard.host);
+  createDashboardServer(config.dashboard.port, config.dashboard.host);
 
   // Setup graceful shutdown
-  setupShutdown(apiServer, dashboardServer);
+  setupShutdown(config, spanExporter);
 
   logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   logger.info('🌸 MCP Control Tower is ready! 🌸');
@@ -143,6 +192,9 @@ async function main() {
   logger.info(`📊 Metrics:   http://localhost:${config.api.port}/api/metrics`);
   logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
+  // Merge tools of running MCP servers into the agent tool catalog
+  mcpToolCatalog.attach();
+
   // Auto-start all MCP servers
   logger.info('Auto-starting all MCP servers...');
   const startResults = await registry.startAll();
@@ -154,6 +206,14 @@ async function main() {
   if (startResults.failed.length > 0) {
     logger.warn(`❌ Failed (${startResults.failed.length}): ${startResults.failed.join(', ')}`);
   }
+  if (startResults.skipped.length > 0) {
+    logger.warn(`⏭️ Skipped (${startResults.skipped.length}):`);
+    for (const { name, reason } of startResults.skipped) {
+      logger.warn(`  ${name}: ${reason}`);
+    }
+  }
+
+  setupConfigReload(config);
 
   // Log critical service status
   logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -168,7 +228,7 @@ async function main() {
   logger.info('🌸 All systems operational! Ready to serve. 🌸');
 }
 
-main().catch((error) => {
+(MCP_STDIO ? mainStdio() : main()).catch((error) => {
   logger.error('Fatal error:', error);
   process.exit(1);
 });
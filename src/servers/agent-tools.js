@@ -6,7 +6,12 @@
  * Routes tool calls to appropriate MCP servers or local handlers.
  */
 
+import { auditLog } from '../api/audit.js';
+import { getPrincipal, hasScope } from '../api/auth.js';
+import { recordToolExecution } from '../api/metrics.js';
 import { createLogger } from '../utils/logger.js';
+import { withSpan } from '../utils/trace.js';
+import { MCP_TOOL_CATEGORY, mcpToolCatalog } from './mcp-tools.js';
 
 const logger = createLogger('agent-tools');
 
@@ -33,8 +38,31 @@ export const TOOL_CATEGORIES = Object.freeze({
   CONVERSATION: 'conversation',
   WORKSPACE: 'workspace',
   MEMORY_MANAGER: 'memory-manager',
+  MCP: MCP_TOOL_CATEGORY,
 });
 
+/**
+ * API scopes tools of a category need instead of `agent`, matching the
+ * routes that reach the same services
+ */
+const CATEGORY_SCOPES = Object.freeze({
+  [TOOL_CATEGORIES.STRIPE]: 'payments',
+  [TOOL_CATEGORIES.PATREON]: 'payments',
+  [TOOL_CATEGORIES.MCP]: 'servers:write',
+});
+
+/**
+ * Categories whose destructive tools write to a data store (scope `db:write`)
+ */
+const DATA_CATEGORIES = new Set([
+  TOOL_CATEGORIES.MEMORY,
+  TOOL_CATEGORIES.MEMORY_MANAGER,
+  TOOL_CATEGORIES.STORAGE,
+  TOOL_CATEGORIES.MONGODB,
+  TOOL_CATEGORIES.SQLITE,
+  TOOL_CATEGORIES.CLARITY,
+]);
+
 /**
  * Core tool definitions with OpenAI function calling schema
  * Each tool defines:
@@ -43,6 +71,7 @@ export const TOOL_CATEGORIES = Object.freeze({
  * - category: Tool category for routing
  * - parameters: JSON Schema for parameters
  * - handler: Name of handler method in corresponding server module
+ * - destructive: Whether it writes or deletes data or money (recorded in the audit log)
  */
 export const AGENT_TOOLS = [
   // =====================================================
@@ -140,6 +169,7 @@ export const AGENT_TOOLS = [
     name: 'memory_delete_entities',
     description: 'Delete entities from the knowledge graph.',
     category: TOOL_CATEGORIES.MEMORY,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -157,6 +187,7 @@ export const AGENT_TOOLS = [
     name: 'memory_delete_observations',
     description: 'Delete specific observations from entities.',
     category: TOOL_CATEGORIES.MEMORY,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -180,6 +211,7 @@ export const AGENT_TOOLS = [
     name: 'memory_delete_relations',
     description: 'Delete relations from the knowledge graph.',
     category: TOOL_CATEGORIES.MEMORY,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -682,6 +714,7 @@ export const AGENT_TOOLS = [
     name: 'memory_cleanup',
     description: 'Remove low-confidence entities.',
     category: TOOL_CATEGORIES.MEMORY_MANAGER,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -719,6 +752,7 @@ export const AGENT_TOOLS = [
     name: 'memory_load_mongo',
     description: 'Load memory graph from MongoDB.',
     category: TOOL_CATEGORIES.MEMORY_MANAGER,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {},
@@ -743,6 +777,7 @@ export const AGENT_TOOLS = [
     name: 'memory_import_file',
     description: 'Import memory graph from file.',
     category: TOOL_CATEGORIES.MEMORY_MANAGER,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -786,6 +821,7 @@ export const AGENT_TOOLS = [
     name: 'storage_write',
     description: 'Write content to a file in storage.',
     category: TOOL_CATEGORIES.STORAGE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -800,6 +836,7 @@ export const AGENT_TOOLS = [
     name: 'storage_delete',
     description: 'Delete a file from storage.',
     category: TOOL_CATEGORIES.STORAGE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1101,6 +1138,7 @@ export const AGENT_TOOLS = [
     name: 'mongodb_insert',
     description: 'Insert documents into a collection.',
     category: TOOL_CATEGORIES.MONGODB,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1119,6 +1157,7 @@ export const AGENT_TOOLS = [
     name: 'mongodb_update',
     description: 'Update documents in a collection.',
     category: TOOL_CATEGORIES.MONGODB,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1135,6 +1174,7 @@ export const AGENT_TOOLS = [
     name: 'mongodb_delete',
     description: 'Delete documents from a collection.',
     category: TOOL_CATEGORIES.MONGODB,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1181,6 +1221,7 @@ export const AGENT_TOOLS = [
     name: 'mongodb_create_index',
     description: 'Create an index on a collection.',
     category: TOOL_CATEGORIES.MONGODB,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1196,6 +1237,7 @@ export const AGENT_TOOLS = [
     name: 'mongodb_delete_many',
     description: 'Delete multiple documents from a collection.',
     category: TOOL_CATEGORIES.MONGODB,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1241,6 +1283,7 @@ export const AGENT_TOOLS = [
     name: 'sqlite_execute',
     description: 'Execute a write query (INSERT, UPDATE, DELETE).',
     category: TOOL_CATEGORIES.SQLITE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1255,6 +1298,7 @@ export const AGENT_TOOLS = [
     name: 'sqlite_create_table',
     description: 'Create a new table in the database.',
     category: TOOL_CATEGORIES.SQLITE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1395,6 +1439,7 @@ export const AGENT_TOOLS = [
     name: 'stripe_create_customer',
     description: 'Create a new Stripe customer.',
     category: TOOL_CATEGORIES.STRIPE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1424,6 +1469,7 @@ export const AGENT_TOOLS = [
     name: 'stripe_create_product',
     description: 'Create a new Stripe product.',
     category: TOOL_CATEGORIES.STRIPE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1453,6 +1499,7 @@ export const AGENT_TOOLS = [
     name: 'stripe_create_price',
     description: 'Create a price for a product.',
     category: TOOL_CATEGORIES.STRIPE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1475,6 +1522,7 @@ export const AGENT_TOOLS = [
     name: 'stripe_create_invoice',
     description: 'Create a new invoice.',
     category: TOOL_CATEGORIES.STRIPE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1490,6 +1538,7 @@ export const AGENT_TOOLS = [
     name: 'stripe_finalize_invoice',
     description: 'Finalize an invoice.',
     category: TOOL_CATEGORIES.STRIPE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1548,6 +1597,7 @@ export const AGENT_TOOLS = [
     name: 'stripe_create_coupon',
     description: 'Create a discount coupon.',
     category: TOOL_CATEGORIES.STRIPE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1566,6 +1616,7 @@ export const AGENT_TOOLS = [
     name: 'stripe_create_refund',
     description: 'Create a refund.',
     category: TOOL_CATEGORIES.STRIPE,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1736,6 +1787,7 @@ export const AGENT_TOOLS = [
     name: 'patreon_create_webhook',
     description: 'Create a new webhook for a campaign.',
     category: TOOL_CATEGORIES.PATREON,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1768,6 +1820,7 @@ export const AGENT_TOOLS = [
     name: 'patreon_update_webhook',
     description: 'Update an existing webhook.',
     category: TOOL_CATEGORIES.PATREON,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1788,6 +1841,7 @@ export const AGENT_TOOLS = [
     name: 'patreon_delete_webhook',
     description: 'Delete a webhook.',
     category: TOOL_CATEGORIES.PATREON,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -1917,6 +1971,7 @@ export const AGENT_TOOLS = [
     name: 'clarity_reset',
     description: 'Reset Clarity tracking data.',
     category: TOOL_CATEGORIES.CLARITY,
+    destructive: true,
     parameters: {
       type: 'object',
       properties: {
@@ -2696,13 +2751,44 @@ export const AGENT_TOOLS = [
   },
 ];
 
+/**
+ * Get the complete tool catalog
+ * Built-in tools plus tools discovered on running MCP servers
+ * @returns {Array} Tool definitions
+ */
+export function getAllTools() {
+  return [...AGENT_TOOLS, ...mcpToolCatalog.getTools()];
+}
+
 /**
  * Get tool by name
  * @param {string} name - Tool name
  * @returns {Object|null} Tool definition
  */
 export function getToolByName(name) {
-  return AGENT_TOOLS.find(t => t.name === name) || null;
+  return AGENT_TOOLS.find(t => t.name === name) || mcpToolCatalog.getTool(name);
+}
+
+/**
+ * Get the API scope a tool needs
+ * Stripe and Patreon tools need `payments`, tools of MCP servers
+ * `servers:write`, writes to data stores `db:write` and all others `agent`.
+ * @param {Object} tool - Tool definition
+ * @returns {string} Scope
+ */
+export function getToolScope(tool) {
+  if (CATEGORY_SCOPES[tool.category]) return CATEGORY_SCOPES[tool.category];
+  return tool.destructive && DATA_CATEGORIES.has(tool.category) ? 'db:write' : 'agent';
+}
+
+/**
+ * Check whether a principal may use a tool
+ * @param {Object} tool - Tool definition
+ * @param {Object|null} [principal] - Principal (the current one by default)
+ * @returns {boolean} True when the principal holds the tool's scope
+ */
+export function canUseTool(tool, principal = getPrincipal()) {
+  return hasScope(principal, getToolScope(tool));
 }
 
 /**
@@ -2711,7 +2797,7 @@ export function getToolByName(name) {
  * @returns {Array} Tools in category
  */
 export function getToolsByCategory(category) {
-  return AGENT_TOOLS.filter(t => t.category === category);
+  return getAllTools().filter(t => t.category === category);
 }
 
 /**
@@ -2735,11 +2821,11 @@ export function getCoreTools(useCase = 'chat') {
       'mongodb_query', 'mongodb_insert',
       'thinking_step', 'thinking_conclude',
     ],
-    full: AGENT_TOOLS.map(t => t.name),
+    full: getAllTools().map(t => t.name),
   };
 
   const toolNames = coreSets[useCase] || coreSets.chat;
-  return AGENT_TOOLS.filter(t => toolNames.includes(t.name));
+  return getAllTools().filter(t => toolNames.includes(t.name));
 }
 
 /**
@@ -2747,7 +2833,7 @@ export function getCoreTools(useCase = 'chat') {
  * @param {Array} tools - Tool definitions
  * @returns {Array} OpenAI format tools
  */
-export function formatToolsForOpenAI(tools = AGENT_TOOLS) {
+export function formatToolsForOpenAI(tools = getAllTools()) {
   return tools.map(tool => ({
     type: 'function',
     function: {
@@ -2766,10 +2852,18 @@ export class AgentToolExecutor {
   #handlers = new Map();
   #mcpClient = null;
   #wsServer = null;
+  #auditLog = null;
 
+  /**
+   * @param {Object} [options] - Executor options
+   * @param {Object} [options.mcpClient] - MCP client used as fallback
+   * @param {Object} [options.wsServer] - WebSocket server for render commands
+   * @param {AuditLog} [options.auditLog] - Audit log destructive tools are recorded in (AUDIT_LOG_PATH by default)
+   */
   constructor(options = {}) {
     this.#mcpClient = options.mcpClient || null;
     this.#wsServer = options.wsServer || null;
+    this.#auditLog = options.auditLog || auditLog;
     
     logger.info('Agent tool executor initialized', {
       hasMcpClient: !!this.#mcpClient,
@@ -2805,11 +2899,19 @@ export class AgentToolExecutor {
 
   /**
    * Execute a tool call
+   * Known tools run in a `tool <name>` span and are counted by outcome and
+   * timed in `/api/metrics`. Destructive tools (`destructive: true`, or MCP
+   * tools not annotated read-only or non-destructive) are recorded in the
+   * audit log with the actor they run for. Tools whose scope (see
+   * getToolScope) the current principal lacks are refused.
    * @param {string} toolName - Tool name
    * @param {Object} args - Tool arguments
+   * @param {Object} [options] - Options for tools of MCP servers
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {AbortSignal} [options.signal] - Cancels the call
    * @returns {Promise<Object>} Execution result
    */
-  async execute(toolName, args = {}) {
+  async execute(toolName, args = {}, options = {}) {
     const tool = getToolByName(toolName);
     
     if (!tool) {
@@ -2821,14 +2923,71 @@ export class AgentToolExecutor {
       };
     }
 
+    if (!canUseTool(tool)) {
+      const scope = getToolScope(tool);
+      const error = `API key lacks the "${scope}" scope`;
+      logger.warn(`Refused tool: ${toolName}`, { scope });
+      if (tool.destructive) {
+        this.#auditLog.record({
+          kind: 'tool',
+          action: toolName,
+          category: tool.category,
+          server: tool.server,
+          args,
+          error,
+          outcome: 'denied',
+          durationMs: 0,
+        });
+      }
+      return { success: false, error, toolName, scope };
+    }
+
     logger.info(`Executing tool: ${toolName}`, { category: tool.category, args });
 
+    return withSpan(`tool ${toolName}`, {
+      attributes: { 'tool.name': toolName, 'tool.category': tool.category },
+    }, async (span) => {
+      const started = performance.now();
+      const execution = await this.#executeTool(tool, args, options);
+      const durationMs = performance.now() - started;
+      recordToolExecution(toolName, execution.success, durationMs);
+      if (tool.destructive) {
+        this.#auditLog.record({
+          kind: 'tool',
+          action: toolName,
+          category: tool.category,
+          server: tool.server,
+          args,
+          source: execution.source,
+          error: execution.error,
+          outcome: execution.success ? 'success' : 'failure',
+          durationMs,
+        });
+      }
+      span.setAttributes({ 'tool.success': execution.success, 'tool.source': execution.source });
+      if (!execution.success) span.setError(execution.error);
+      return execution;
+    });
+  }
+
+  /**
+   * Run a known tool on its render, MCP server, local or fallback handler
+   * @private
+   */
+  async #executeTool(tool, args, options) {
+    const toolName = tool.name;
+
     try {
       // Handle render commands via WebSocket
       if (tool.category === TOOL_CATEGORIES.RENDER) {
         return await this.#executeRenderCommand(tool, args);
       }
 
+      // Route discovered MCP tools back to their owning server
+      if (tool.category === TOOL_CATEGORIES.MCP) {
+        return await this.#executeMcpServerTool(tool, args, options);
+      }
+
       // Try local handler first
       const handlers = this.#handlers.get(tool.category);
       if (handlers && typeof handlers[tool.handler] === 'function') {
@@ -2879,6 +3038,37 @@ export class AgentToolExecutor {
     );
   }
 
+  /**
+   * Execute a tool discovered on a running MCP server
+   * @private
+   */
+  async #executeMcpServerTool(tool, args, options) {
+    const result = await mcpToolCatalog.callTool(tool.name, args, options);
+
+    if (result?.isError) {
+      const message = (result.content || [])
+        .filter(item => item.type === 'text')
+        .map(item => item.text)
+        .join('\n');
+      return {
+        success: false,
+        error: message || `Tool failed on ${tool.server}`,
+        result,
+        toolName: tool.name,
+        source: 'mcp',
+        server: tool.server,
+      };
+    }
+
+    return {
+      success: true,
+      result,
+      toolName: tool.name,
+      source: 'mcp',
+      server: tool.server,
+    };
+  }
+
   /**
    * Execute render command via WebSocket
    * @private
@@ -2911,21 +3101,21 @@ export class AgentToolExecutor {
   }
 
   /**
-   * Get available tools
+   * Get the tools the current principal may use
    * @returns {Array} Tool definitions
    */
   getAvailableTools() {
-    return AGENT_TOOLS;
+    return getAllTools().filter(tool => canUseTool(tool));
   }
 
   /**
-   * Get tools formatted for OpenAI
+   * Get the tools the current principal may use, formatted for OpenAI
    * @param {string} useCase - Use case filter
    * @returns {Array} OpenAI format tools
    */
   getOpenAITools(useCase = 'full') {
-    const tools = useCase === 'full' ? AGENT_TOOLS : getCoreTools(useCase);
-    return formatToolsForOpenAI(tools);
+    const tools = useCase === 'full' ? getAllTools() : getCoreTools(useCase);
+    return formatToolsForOpenAI(tools.filter(tool => canUseTool(tool)));
   }
 }
 
@@ -10,10 +10,12 @@
  * - Conversation memory and state management
  * - Agent personality and ethereal communication style
  * - Real-time event emission for WebSocket updates
+ * - Streamed replies: tokens and tool calls as they happen
  */
 
+import { getSetting } from '../utils/config.js';
 import { createLogger } from '../utils/logger.js';
-import { AGENT_TOOLS, AgentToolExecutor } from './agent-tools.js';
+import { AgentToolExecutor, getAllTools, getToolByName } from './agent-tools.js';
 import { clarityHandlers } from './clarity.js';
 import { fetchHandlers } from './fetch.js';
 import { githubHandlers } from './github.js';
@@ -238,10 +240,10 @@ class AgentOrchestrator {
   #lmClient = null;
   #modelConfig = {
     provider: 'lmstudio',
-    model: process.env.LMS_MODEL || 'qwen2.5-7b-instruct',
+    model: getSetting('LMS_MODEL'),
     fallbackModel: 'qwen2.5-coder-7b-instruct',
-    maxTokens: parseInt(process.env.LMS_MAX_TOKENS) || 2048,
-    temperature: parseFloat(process.env.LMS_TEMPERATURE) || 0.7,
+    maxTokens: getSetting('LMS_MAX_TOKENS'),
+    temperature: getSetting('LMS_TEMPERATURE'),
   };
   #stats = {
     totalConversations: 0,
@@ -279,7 +281,7 @@ class AgentOrchestrator {
   }
 
   get conversations() { return this.#conversations; }
-  get tools() { return AGENT_TOOLS; }
+  get tools() { return getAllTools(); }
   get systemPrompt() { return this.#systemPrompt; }
   get personality() { return this.#personality; }
   get modelConfig() { return this.#modelConfig; }
@@ -369,8 +371,8 @@ class AgentOrchestrator {
       const jsonMatch = response.match(/\{[\s\S]*?"tool"[\s\S]*?\}/);
       if (jsonMatch) {
         const parsed = JSON.parse(jsonMatch[0]);
-        // Check if tool exists in AGENT_TOOLS array
-        const toolExists = AGENT_TOOLS.some(t => t.name === parsed.tool);
+        // Check if tool exists in the catalog (built-in or MCP server tools)
+        const toolExists = !!getToolByName(parsed.tool);
         if (parsed.tool && toolExists) {
           return {
             tool: parsed.tool,
@@ -437,6 +439,40 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * Generate a response with LM Studio, streaming its tokens
+   * Falls back like generateResponse() when the model fails before sending
+   * anything; adds the reported token counts to `usage`.
+   * @private
+   */
+  async #streamResponse(messages, { onEvent, signal, iteration, usage }) {
+    let streamed = false;
+    try {
+      const result = await this.#lmClient.streamCompletion(messages, {
+        model: this.#modelConfig.model,
+        maxTokens: this.#modelConfig.maxTokens,
+        temperature: this.#modelConfig.temperature,
+        signal,
+      }, (delta) => {
+        if (delta.type !== 'token') return;
+        streamed = true;
+        onEvent('token', { content: delta.content, iteration });
+      });
+
+      for (const [key, count] of Object.entries(result.usage || {})) {
+        if (typeof count === 'number') usage[key] = (usage[key] || 0) + count;
+      }
+      if (result.content.trim()) return result.content.trim();
+    } catch (error) {
+      if (streamed || signal?.aborted) throw error;
+      logger.error('Model inference failed', error);
+    }
+
+    const fallback = this.generateFallbackResponse(messages);
+    onEvent('token', { content: fallback, iteration });
+    return fallback;
+  }
+
   /**
    * Generate fallback response when model is unavailable - with personality
    */
@@ -489,10 +525,23 @@ class AgentOrchestrator {
 
   /**
    * Process a user message and generate response - Enhanced with events
+   * With `options.onEvent` the reply is streamed: `(event, data)` receives
+   * `token` for each piece of model output (a tool call arrives as the JSON
+   * the model writes) and `tool_call_start` / `tool_call_end` around each
+   * tool, and the result gains summed token `usage`.
+   * @param {string} userMessage - User message
+   * @param {string} [conversationId] - Conversation to continue
+   * @param {Object} [options] - Chat options
+   * @param {number} [options.maxIterations=5] - Maximum model turns
+   * @param {Function} [options.onEvent] - Receives streamed events
+   * @param {AbortSignal} [options.signal] - Stops the model and the loop
+   * @returns {Promise<Object>} Final response, tool calls and iterations
    */
   async chat(userMessage, conversationId = null, options = {}) {
     const conversation = this.getConversation(conversationId);
     const maxIterations = options.maxIterations || 5;
+    const { onEvent, signal } = options;
+    const usage = {};
     
     // Add user message
     conversation.addMessage('user', userMessage);
@@ -508,18 +557,30 @@ class AgentOrchestrator {
     let toolResults = [];
     
     while (iteration < maxIterations) {
+      signal?.throwIfAborted();
       iteration++;
       
       // Generate response
-      response = await this.generateResponse(conversation.getHistory());
+      response = onEvent
+        ? await this.#streamResponse(conversation.getHistory(), { onEvent, signal, iteration, usage })
+        : await this.generateResponse(conversation.getHistory());
       
       // Check for tool call
       const toolCall = this.parseToolCall(response);
       
       if (toolCall) {
         // Execute tool
+        onEvent?.('tool_call_start', { tool: toolCall.tool, args: toolCall.args, iteration });
+        const started = performance.now();
         const result = await this.executeTool(toolCall.tool, toolCall.args);
         toolResults.push({ tool: toolCall.tool, result });
+        onEvent?.('tool_call_end', {
+          tool: toolCall.tool,
+          success: result?.success !== false,
+          result,
+          durationMs: Math.round(performance.now() - started),
+          iteration,
+        });
         
         // Add to conversation
         conversation.addMessage('assistant', response, { toolCall: toolCall.tool });
@@ -549,6 +610,7 @@ class AgentOrchestrator {
       toolResults,
       iteration,
       source: this.#lmConnected ? 'lmstudio' : 'fallback',
+      ...(onEvent && { usage }),
     };
   }
 
@@ -556,7 +618,7 @@ class AgentOrchestrator {
    * Get available tools info - Enhanced format
    */
   getToolsInfo() {
-    return AGENT_TOOLS.map(tool => ({
+    return getAllTools().map(tool => ({
       name: tool.name,
       description: tool.description,
       category: tool.category,
@@ -660,6 +722,8 @@ export const agentHandlers = {
   // Chat
   chat: (message, conversationId, options) => 
     agentOrchestrator.chat(message, conversationId, options),
+  chatStream: (message, conversationId, options = {}, onEvent) =>
+    agentOrchestrator.chat(message, conversationId, { ...options, onEvent }),
   
   // Conversations
   createConversation: () => {
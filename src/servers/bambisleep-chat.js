@@ -3,6 +3,7 @@
  * BambiSleep Chat MCP Server Handler - Trigger detection, TTS processing, and chat management
  */
 
+import { getSetting } from '../utils/config.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('bambisleep-chat');
@@ -406,7 +407,7 @@ export const ttsHandlers = {
   getEngines() {
     logger.info('Getting available TTS engines');
     return [
-      { id: 'kokoro', name: 'Kokoro (Neural TTS)', available: true, url: 'http://192.168.0.122:8880' },
+      { id: 'kokoro', name: 'Kokoro (Neural TTS)', available: true, url: getSetting('KOKORO_URL') },
       { id: 'webspeech', name: 'Web Speech API', available: true, url: 'browser' }
     ];
   },
@@ -7,6 +7,8 @@
  * Uses @microsoft/clarity npm package API.
  */
 
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('clarity');
@@ -406,6 +408,76 @@ class ClarityClient {
     };
   }
 
+  /**
+   * Save analytics aggregates and event history to a JSON file
+   * Sessions are not saved; they belong to the running process.
+   * @param {string} path - File path
+   * @returns {Promise<Object>} Save result
+   */
+  async saveToFile(path) {
+    const timestamp = new Date();
+
+    try {
+      const data = {
+        version: '1.0.0',
+        timestamp: timestamp.toISOString(),
+        stats: { ...this.stats, identifiedUsers: [...this.stats.identifiedUsers] },
+        eventHistory: this.eventHistory,
+      };
+
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, JSON.stringify(data, null, 2), 'utf-8');
+
+      logger.info('Saved analytics to file', { path });
+      return {
+        success: true,
+        path,
+        timestamp: timestamp.toISOString(),
+      };
+    } catch (error) {
+      logger.error('Failed to save analytics to file', { path, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Load analytics saved by saveToFile()
+   * @param {string} path - File path
+   * @returns {Promise<Object>} Load result
+   */
+  async loadFromFile(path) {
+    try {
+      const data = JSON.parse(await readFile(path, 'utf-8'));
+
+      this.stats = {
+        ...this.stats,
+        ...data.stats,
+        identifiedUsers: new Set(data.stats?.identifiedUsers || []),
+      };
+      this.eventHistory = (data.eventHistory || []).slice(-this.maxEventHistory);
+
+      logger.info('Loaded analytics from file', {
+        path,
+        events: this.eventHistory.length,
+        savedAt: data.timestamp,
+      });
+      return {
+        success: true,
+        loaded: this.eventHistory.length,
+        savedAt: data.timestamp,
+      };
+    } catch (error) {
+      logger.error('Failed to load analytics from file', { path, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Clear all data (for testing)
    */
@@ -476,6 +548,10 @@ export const clarityHandlers = {
   getEventHistory: (options) => clarityClient.getEventHistory(options),
   getTopEvents: (limit) => clarityClient.getTopEvents(limit),
   getTopPages: (limit) => clarityClient.getTopPages(limit),
+
+  // Persistence
+  saveToFile: (path) => clarityClient.saveToFile(path),
+  loadFromFile: (path) => clarityClient.loadFromFile(path),
 };
 
 export default clarityHandlers;
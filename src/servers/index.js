@@ -4,7 +4,23 @@
  */
 
 import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { isDeepStrictEqual } from 'util';
+import {
+  emitConfigChanged,
+  emitResourceListChanged,
+  emitResourceUpdated,
+  emitServerLog,
+  emitServerStatus,
+  emitToolProgress,
+} from '../api/websocket.js';
+import { getSetting, redactServerConfig } from '../utils/config.js';
 import { createLogger } from '../utils/logger.js';
+import { RingBuffer } from '../utils/ring-buffer.js';
+import { runDetached } from '../utils/trace.js';
+import { McpToolClient } from './mcp-client.js';
+import { StreamableHttpTransport } from './mcp-http-transport.js';
+import { describeSpawnSpec, resolveSpawnSpec } from './spawn-spec.js';
 
 const logger = createLogger('servers');
 
@@ -15,36 +31,444 @@ export const ServerStatus = {
   STOPPED: 'stopped',
   STARTING: 'starting',
   RUNNING: 'running',
+  DEGRADED: 'degraded',
   ERROR: 'error',
 };
 
+/**
+ * Check whether a status means the server is up (possibly unhealthy)
+ * @param {string} status - Server status
+ * @returns {boolean}
+ */
+const isActive = (status) => status === ServerStatus.RUNNING || status === ServerStatus.DEGRADED;
+
+/**
+ * Log severities, most severe first
+ */
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Guess the severity of a line a server wrote to stderr
+ * (stdout is reserved for JSON-RPC, so servers log everything to stderr)
+ * @param {string} line - Output line
+ * @returns {string} Log level
+ */
+export function detectLogLevel(line) {
+  if (/\b(error|fatal|exception|uncaught)\b|ERR!/i.test(line)) return 'error';
+  if (/\b(warn|warning|deprecated)\b/i.test(line)) return 'warn';
+  if (/\bdebug\b/i.test(line)) return 'debug';
+  return 'info';
+}
+
+/**
+ * Restart policy enumeration
+ */
+export const RestartPolicy = {
+  ALWAYS: 'always',
+  ON_FAILURE: 'on-failure',
+  NEVER: 'never',
+};
+
+/**
+ * Default restart settings (restart is opt-in per server)
+ */
+const RESTART_DEFAULTS = {
+  policy: RestartPolicy.NEVER,
+  maxRetries: 5,
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  resetAfterMs: 60000,
+  crashLoopWindowMs: 60000,
+  crashLoopThreshold: 5,
+};
+
+/**
+ * Resolve the restart settings of a server config entry
+ * Accepts either a policy name (`"restart": "always"`) or an object
+ * (`"restart": { "policy": "on-failure", "maxRetries": 3 }`)
+ * @param {string|Object} [restart] - `restart` value from server config
+ * @returns {Object} Complete restart settings
+ */
+export function resolveRestartPolicy(restart) {
+  const options = typeof restart === 'string' ? { policy: restart } : { ...restart };
+
+  if (options.policy && !Object.values(RestartPolicy).includes(options.policy)) {
+    logger.warn(`Unknown restart policy "${options.policy}", using "${RESTART_DEFAULTS.policy}"`);
+    delete options.policy;
+  }
+
+  return { ...RESTART_DEFAULTS, ...options };
+}
+
+/**
+ * Default liveness probe settings; the interval comes from MCP_PROBE_INTERVAL
+ */
+const PROBE_DEFAULTS = {
+  timeoutMs: 5000,
+  failureThreshold: 3,
+  restart: false,
+};
+
+/**
+ * Resolve the liveness probe settings of a server config entry
+ * `"probe": false` disables probing; an object overrides single settings
+ * (`"probe": { "intervalMs": 10000, "restart": true }`).
+ * @param {boolean|Object} [probe] - `probe` value from server config
+ * @param {number} [intervalMs] - Registry default interval (0 disables)
+ * @returns {Object} Complete probe settings; intervalMs is 0 when disabled
+ */
+export function resolveProbePolicy(probe, intervalMs = getSetting('MCP_PROBE_INTERVAL')) {
+  if (probe === false) {
+    return { ...PROBE_DEFAULTS, intervalMs: 0 };
+  }
+  return { ...PROBE_DEFAULTS, intervalMs, ...(typeof probe === 'object' && probe) };
+}
+
+/**
+ * Compute exponential backoff delay for a restart attempt
+ * @param {Object} restartPolicy - Resolved restart settings
+ * @param {number} attempt - Restart attempt number (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRestartDelay(restartPolicy, attempt) {
+  const delay = restartPolicy.initialDelayMs * 2 ** Math.max(0, attempt - 1);
+  return Math.min(delay, restartPolicy.maxDelayMs);
+}
+
+/**
+ * Config fields that define how a server is launched or connected to
+ */
+const LAUNCH_FIELDS = [
+  'command', 'args', 'env', 'envAllowlist', 'cwd', 'shell', 'maxHeapMb', 'maxRuntimeMs', 'url', 'headers',
+];
+
+/**
+ * Check whether a config change requires relaunching the server
+ * @param {Object} previous - Previous server config
+ * @param {Object} next - New server config
+ * @returns {boolean} True when a launch field differs
+ */
+export function hasLaunchChanges(previous, next) {
+  return LAUNCH_FIELDS.some((field) => !isDeepStrictEqual(previous[field], next[field]));
+}
+
+/**
+ * Server names usable as settings keys and in API paths
+ */
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+const isStringMap = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && Object.values(value).every((item) => typeof item === 'string');
+
+/**
+ * Validate a server definition before it is registered or persisted
+ * @param {string} name - Server name
+ * @param {Object} config - Server config entry
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateServerConfig(name, config) {
+  const errors = [];
+
+  if (typeof name !== 'string' || !SERVER_NAME_PATTERN.test(name)) {
+    errors.push('name must start with a letter or digit and contain only letters, digits, ".", "_" and "-"');
+  }
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return [...errors, 'config must be an object'];
+  }
+
+  const hasCommand = config.command !== undefined;
+  const hasUrl = config.url !== undefined;
+  if (hasCommand === hasUrl) {
+    errors.push('config must define exactly one of command or url');
+  }
+  if (hasCommand && (typeof config.command !== 'string' || !config.command.trim())) {
+    errors.push('command must be a non-empty string');
+  }
+  if (hasUrl && !/^https?:\/\/\S+$/.test(config.url)) {
+    errors.push('url must be an http(s) URL');
+  }
+  if (config.args !== undefined && !isStringArray(config.args)) {
+    errors.push('args must be an array of strings');
+  }
+  if (config.env !== undefined && !isStringMap(config.env)) {
+    errors.push('env must map names to strings');
+  }
+  if (config.envAllowlist !== undefined && !isStringArray(config.envAllowlist)) {
+    errors.push('envAllowlist must be an array of variable names');
+  }
+  if (config.cwd !== undefined && (typeof config.cwd !== 'string' || !config.cwd.trim())) {
+    errors.push('cwd must be a non-empty string');
+  }
+  if (config.shell !== undefined && typeof config.shell !== 'boolean') {
+    errors.push('shell must be a boolean');
+  }
+  for (const field of ['maxHeapMb', 'maxRuntimeMs']) {
+    if (config[field] !== undefined && !(Number.isInteger(config[field]) && config[field] > 0)) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  }
+  if (config.headers !== undefined && !isStringMap(config.headers)) {
+    errors.push('headers must map names to strings');
+  }
+  if (config.dependsOn !== undefined && !isStringArray(config.dependsOn)) {
+    errors.push('dependsOn must be an array of server names');
+  }
+  if (config.startupTimeoutMs !== undefined
+    && !(Number.isFinite(config.startupTimeoutMs) && config.startupTimeoutMs > 0)) {
+    errors.push('startupTimeoutMs must be a positive number');
+  }
+
+  if (config.probe !== undefined && typeof config.probe !== 'boolean'
+    && (config.probe === null || typeof config.probe !== 'object' || Array.isArray(config.probe))) {
+    errors.push('probe must be a boolean or an object');
+  } else if (typeof config.probe === 'object') {
+    for (const field of ['intervalMs', 'timeoutMs', 'failureThreshold']) {
+      const value = config.probe[field];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        errors.push(`probe.${field} must be a positive integer`);
+      }
+    }
+    if (config.probe.restart !== undefined && typeof config.probe.restart !== 'boolean') {
+      errors.push('probe.restart must be a boolean');
+    }
+  }
+
+  const policy = typeof config.restart === 'string' ? config.restart : config.restart?.policy;
+  if (config.restart !== undefined && typeof config.restart !== 'string'
+    && (config.restart === null || typeof config.restart !== 'object')) {
+    errors.push('restart must be a policy name or an object');
+  } else if (policy !== undefined && !Object.values(RestartPolicy).includes(policy)) {
+    errors.push(`restart policy must be one of: ${Object.values(RestartPolicy).join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Find servers that cannot be started because of their `dependsOn` lists
+ * Reports unknown dependencies and every member of a dependency cycle;
+ * dependents of these servers are handled during startup.
+ * @param {Object} configs - Server configs by name
+ * @returns {Map<string, string>} Reason by server name
+ */
+export function getDependencyProblems(configs) {
+  const problems = new Map();
+  const dependsOn = (name) => configs[name]?.dependsOn || [];
+
+  for (const name of Object.keys(configs)) {
+    const unknown = dependsOn(name).filter((dep) => !(dep in configs));
+    if (unknown.length > 0) {
+      problems.set(name, `Unknown dependency: ${unknown.join(', ')}`);
+    }
+  }
+
+  // Depth-first search; a dependency still on the path closes a cycle
+  const visited = new Set();
+  const path = [];
+  const visit = (name) => {
+    if (path.includes(name)) {
+      const cycle = [...path.slice(path.indexOf(name)), name];
+      for (const member of cycle) {
+        problems.set(member, `Dependency cycle: ${cycle.join(' -> ')}`);
+      }
+      return;
+    }
+    if (visited.has(name) || !(name in configs)) return;
+
+    visited.add(name);
+    path.push(name);
+    dependsOn(name).forEach(visit);
+    path.pop();
+  };
+  Object.keys(configs).forEach(visit);
+
+  return problems;
+}
+
+/**
+ * API view of a server record
+ * Built field by field, so internal state added to the record later is not
+ * exposed by default. The config has env and headers values redacted, as
+ * in getRedactedConfig(), and the spawn spec lists env names only.
+ * @param {Object} server - Server record
+ * @param {Object} [options] - View options
+ * @param {boolean} [options.previewSpawnSpec=false] - Resolve the spawn spec of
+ *   local servers that have not been started yet
+ * @returns {Object} View safe to return to any `read` key
+ */
+export function describeServer(server, { previewSpawnSpec = false } = {}) {
+  const { config } = server;
+  const spawnSpec = server.spawnSpec
+    ?? (previewSpawnSpec && config.command ? describeSpawnSpec(resolveSpawnSpec(config), config) : null);
+
+  return {
+    name: server.name,
+    source: server.source,
+    status: server.status,
+    startedAt: server.startedAt,
+    error: server.error,
+    restartPolicy: server.restartPolicy,
+    restartCount: server.restartCount,
+    nextRestartAt: server.nextRestartAt,
+    lastExitCode: server.lastExitCode,
+    lastExitSignal: server.lastExitSignal,
+    lastExitAt: server.lastExitAt,
+    serverInfo: server.serverInfo,
+    protocolVersion: server.protocolVersion,
+    capabilities: server.capabilities,
+    health: server.health,
+    spawnSpec,
+    config: redactServerConfig(config),
+  };
+}
+
 /**
  * MCP Server Registry
- * Manages all configured MCP servers
+ * Manages all configured MCP servers and supervises their processes
+ *
+ * Emits `status` with the server record on every status transition and
+ * `probe` with `{ name, success, latencyMs }` after every liveness probe.
  */
-export class ServerRegistry {
-  constructor() {
+export class ServerRegistry extends EventEmitter {
+  #restartTimers = new Map();
+  #crashHistory = new Map();
+  #probeTimers = new Map();
+  #exiting = new Map();
+
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {number} [options.startupTimeoutMs] - Default MCP handshake timeout (MCP_STARTUP_TIMEOUT)
+   * @param {number} [options.logBufferSize] - Default log lines kept per server (MCP_LOG_BUFFER_SIZE)
+   * @param {number} [options.probeIntervalMs] - Default liveness probe interval, 0 disables (MCP_PROBE_INTERVAL)
+   * @param {number} [options.killTimeoutMs] - Time a stopped process gets to exit before SIGKILL (MCP_KILL_TIMEOUT)
+   */
+  constructor({
+    startupTimeoutMs = getSetting('MCP_STARTUP_TIMEOUT'),
+    logBufferSize = getSetting('MCP_LOG_BUFFER_SIZE'),
+    probeIntervalMs = getSetting('MCP_PROBE_INTERVAL'),
+    killTimeoutMs = getSetting('MCP_KILL_TIMEOUT'),
+  } = {}) {
+    super();
     this.servers = new Map();
     this.processes = new Map();
+    this.clients = new Map();
+    this.logs = new Map();
+    this.startupTimeoutMs = startupTimeoutMs;
+    this.logBufferSize = logBufferSize;
+    this.probeIntervalMs = probeIntervalMs;
+    this.killTimeoutMs = killTimeoutMs;
+    this.logSequence = 0;
   }
 
   /**
    * Register servers from configuration
-   * @param {Object} mcpConfig - MCP servers configuration from settings.json
+   * @param {Object} mcpConfig - MCP servers configuration
+   * @param {Object} [origins] - Config file each server was read from, by name
    */
-  loadFromConfig(mcpConfig) {
+  loadFromConfig(mcpConfig, origins = {}) {
     for (const [name, config] of Object.entries(mcpConfig)) {
-      this.servers.set(name, {
-        name,
-        config,
-        status: ServerStatus.STOPPED,
-        startedAt: null,
-        error: null,
-      });
+      this.#register(name, config, origins[name]);
     }
     logger.info(`Loaded ${this.servers.size} MCP servers from config`);
   }
 
+  /**
+   * Create the record and log buffer of a server
+   * @private
+   */
+  #register(name, config, source = null) {
+    this.servers.set(name, {
+      name,
+      config,
+      source,
+      status: ServerStatus.STOPPED,
+      startedAt: null,
+      error: null,
+      restartPolicy: resolveRestartPolicy(config.restart),
+      restartCount: 0,
+      retryAttempt: 0,
+      nextRestartAt: null,
+      lastExitCode: null,
+      lastExitSignal: null,
+      lastExitAt: null,
+      serverInfo: null,
+      protocolVersion: null,
+      capabilities: null,
+      spawnSpec: null,
+      health: { latencyMs: null, lastProbeAt: null, consecutiveFailures: 0, lastError: null },
+    });
+    this.logs.set(name, new RingBuffer(config.logBufferSize ?? this.logBufferSize));
+  }
+
+  /**
+   * Apply a reloaded configuration to the registry
+   * Added servers are started, removed servers are stopped and dropped,
+   * and servers whose launch settings (see LAUNCH_FIELDS) changed are
+   * restarted if they were active. Other config changes are applied
+   * without a restart.
+   * @param {Object} mcpConfig - New MCP servers configuration
+   * @param {Object} [origins] - Config file each server was read from, by name
+   * @returns {Promise<Object>} Server names by change: added, removed, changed, updated
+   */
+  async applyConfig(mcpConfig, origins = {}) {
+    const changes = { added: [], removed: [], changed: [], updated: [] };
+    const toStart = [];
+
+    for (const name of [...this.servers.keys()]) {
+      if (name in mcpConfig) continue;
+      this.stop(name);
+      this.servers.delete(name);
+      this.logs.delete(name);
+      this.#crashHistory.delete(name);
+      changes.removed.push(name);
+    }
+
+    for (const [name, config] of Object.entries(mcpConfig)) {
+      const server = this.servers.get(name);
+
+      if (!server) {
+        this.#register(name, config, origins[name]);
+        this.appendLog(name, 'info', 'Added by configuration reload');
+        changes.added.push(name);
+        toStart.push(name);
+        continue;
+      }
+
+      server.source = origins[name] ?? null;
+      if (isDeepStrictEqual(server.config, config)) continue;
+
+      const relaunch = hasLaunchChanges(server.config, config);
+      server.config = config;
+      server.restartPolicy = resolveRestartPolicy(config.restart);
+
+      if (relaunch) {
+        changes.changed.push(name);
+        this.appendLog(name, 'info', 'Launch settings changed by configuration reload');
+        // stop() reports whether anything was running or scheduled
+        if (this.stop(name)) {
+          toStart.push(name);
+        }
+      } else {
+        changes.updated.push(name);
+        // Probe settings apply from the next probe on
+        if (isActive(server.status)) {
+          this.#scheduleProbe(server);
+        }
+      }
+    }
+
+    for (const [change, names] of Object.entries(changes)) {
+      for (const name of names) {
+        emitConfigChanged(name, change);
+      }
+    }
+
+    logger.info('Configuration reloaded', changes);
+    await this.#startGraph(toStart);
+    return changes;
+  }
+
   /**
    * Get all registered servers
    * @returns {Array} Array of server objects
@@ -62,8 +486,80 @@ export class ServerRegistry {
     return this.servers.get(name);
   }
 
+  /**
+   * Append a line to a server's log buffer and stream it to WebSocket clients
+   * @param {string} name - Server name
+   * @param {string} level - Log level (error, warn, info, debug)
+   * @param {string} message - Log line
+   * @param {string} [source='supervisor'] - Origin: stderr, stdout or supervisor
+   */
+  appendLog(name, level, message, source = 'supervisor') {
+    const buffer = this.logs.get(name);
+    if (!buffer) return;
+
+    buffer.push({
+      seq: ++this.logSequence,
+      timestamp: new Date().toISOString(),
+      level,
+      source,
+      message,
+    });
+    emitServerLog(name, level, message);
+  }
+
+  /**
+   * Get buffered log lines of a server
+   * @param {string} name - Server name
+   * @param {Object} [filters] - Query filters
+   * @param {string|number} [filters.since] - Only lines after this time (ISO date or epoch ms)
+   * @param {string} [filters.level] - Minimum severity (error, warn, info, debug)
+   * @param {number} [filters.limit] - Return only the newest N lines
+   * @returns {Array|null} Log entries (oldest first), or null for unknown servers
+   */
+  getLogs(name, { since, level, limit } = {}) {
+    const buffer = this.logs.get(name);
+    if (!buffer) return null;
+
+    let entries = buffer.toArray();
+
+    if (since !== undefined && since !== null && since !== '') {
+      const sinceMs = /^\d+$/.test(String(since)) ? Number(since) : Date.parse(since);
+      if (Number.isNaN(sinceMs)) {
+        throw new Error(`Invalid since value: ${since}`);
+      }
+      entries = entries.filter((entry) => Date.parse(entry.timestamp) > sinceMs);
+    }
+
+    if (level) {
+      const maxSeverity = LOG_LEVELS.indexOf(level);
+      if (maxSeverity === -1) {
+        throw new Error(`Invalid log level: ${level}`);
+      }
+      entries = entries.filter((entry) => LOG_LEVELS.indexOf(entry.level) <= maxSeverity);
+    }
+
+    if (limit > 0) {
+      entries = entries.slice(-limit);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get the MCP client connected to a running server
+   * @param {string} name - Server name
+   * @returns {McpToolClient|undefined} Initialized client
+   */
+  getClient(name) {
+    // Degraded servers keep their client for probes but take no other requests
+    return this.servers.get(name)?.status === ServerStatus.RUNNING
+      ? this.clients.get(name)
+      : undefined;
+  }
+
   /**
    * Start a specific MCP server
+   * Resets the supervisor's retry and crash-loop state
    * @param {string} name - Server name
    * @returns {Promise<boolean>} Success status
    */
@@ -74,54 +570,394 @@ export class ServerRegistry {
       return false;
     }
 
-    if (server.status === ServerStatus.RUNNING) {
+    if (isActive(server.status)) {
       logger.warn(`Server already running: ${name}`);
       return true;
     }
 
+    this.#cancelRestart(name);
+    this.#crashHistory.delete(name);
+    server.retryAttempt = 0;
+
+    return this.#launch(server);
+  }
+
+  /**
+   * Spawn the server process (or connect to a remote `url` server), attach
+   * the supervisor and perform the MCP initialize handshake. The server is
+   * only RUNNING once the handshake succeeded.
+   * @private
+   * @param {Object} server - Server record
+   * @returns {Promise<boolean>} Success status
+   */
+  async #launch(server) {
+    const { name } = server;
+    const remote = Boolean(server.config.url);
+    let proc = null;
+    let client = null;
+    let spawnedAt = Date.now();
+
     try {
-      server.status = ServerStatus.STARTING;
-      const { command, args = [] } = server.config;
+      server.serverInfo = null;
+      server.protocolVersion = null;
+      server.capabilities = null;
+      this.#setStatus(server, ServerStatus.STARTING);
 
-      logger.info(`Starting server: ${name} (${command} ${args.join(' ')})`);
+      client = new McpToolClient(server.config);
+      client.on('stderr', (line) => this.appendLog(name, detectLogLevel(line), line, 'stderr'));
+      client.on('output', (line) => this.appendLog(name, 'info', line, 'stdout'));
+      client.on('notification', (message) => this.#forwardNotification(name, message));
 
-      const proc = spawn(command, args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true,
-      });
+      // Process and transport events must not log under the request that started them
+      if (remote) {
+        runDetached(() => this.#connectRemote(server, client));
+      } else {
+        proc = runDetached(() => this.#spawnProcess(server, client));
+      }
+      spawnedAt = Date.now();
+      this.clients.set(name, client);
 
-      this.processes.set(name, proc);
+      const timeout = server.config.startupTimeoutMs ?? this.startupTimeoutMs;
+      const result = await client.initialize({ timeout });
 
-      proc.on('error', (err) => {
-        logger.error(`Server ${name} error:`, err.message);
-        server.status = ServerStatus.ERROR;
-        server.error = err.message;
-      });
+      // Stopped, exited or disconnected while the handshake was in flight
+      if (this.clients.get(name) !== client) return false;
 
-      proc.on('exit', (code) => {
-        logger.info(`Server ${name} exited with code ${code}`);
-        server.status = ServerStatus.STOPPED;
-        this.processes.delete(name);
-      });
+      server.serverInfo = result?.serverInfo ?? null;
+      server.protocolVersion = result?.protocolVersion ?? null;
+      server.capabilities = result?.capabilities ?? {};
+      server.startedAt = new Date();
+      server.error = null;
+      server.health = { latencyMs: null, lastProbeAt: null, consecutiveFailures: 0, lastError: null };
+      this.#setStatus(server, ServerStatus.RUNNING);
+      logger.info(`Server started: ${name}`, server.serverInfo);
+      this.appendLog(name, 'info', `MCP handshake complete (protocol ${server.protocolVersion})`);
+      this.#scheduleProbe(server);
+      return true;
+    } catch (error) {
+      const connected = Boolean(proc) || remote;
 
-      // Give it a moment to start
-      await new Promise((resolve) => setTimeout(resolve, 500));
+      // The exit handler already recorded processes that died on their own
+      if (connected && this.clients.get(name) !== client) return false;
 
-      if (proc.exitCode === null) {
-        server.status = ServerStatus.RUNNING;
-        server.startedAt = new Date();
-        server.error = null;
-        logger.info(`Server started: ${name}`);
-        return true;
+      // A process that failed to spawn (e.g. ENOENT) already reported its error
+      const reported = server.status === ServerStatus.ERROR;
+      if (!reported) {
+        logger.error(`Failed to start ${name}:`, error.message);
+        server.error = connected ? `MCP handshake failed: ${error.message}` : error.message;
+        this.appendLog(name, 'error', server.error);
       }
 
+      if (connected) {
+        this.processes.delete(name);
+        this.clients.delete(name);
+        if (proc) {
+          this.#terminate(name, proc);
+        } else {
+          client.disconnect();
+        }
+      }
+
+      if (!reported) this.#setStatus(server, ServerStatus.ERROR);
+      if (connected) {
+        this.#applyRestartPolicy(server, true, Date.now() - spawnedAt);
+      }
       return false;
-    } catch (error) {
-      logger.error(`Failed to start ${name}:`, error.message);
-      server.status = ServerStatus.ERROR;
+    }
+  }
+
+  /**
+   * Spawn a local server process and supervise its exit
+   * @private
+   * @param {Object} server - Server record
+   * @param {McpToolClient} client - Client to attach to the process
+   * @returns {ChildProcess} Spawned process
+   */
+  #spawnProcess(server, client) {
+    const { name } = server;
+    const spec = resolveSpawnSpec(server.config);
+    const { command, args } = spec;
+    server.spawnSpec = describeSpawnSpec(spec, server.config);
+
+    logger.info(`Starting server: ${name} (${command} ${args.join(' ')})`);
+    this.appendLog(name, 'info', `Starting: ${command} ${args.join(' ')}`);
+
+    const proc = spawn(command, args, spec.options);
+
+    this.processes.set(name, proc);
+    const spawnedAt = Date.now();
+
+    proc.on('error', (err) => {
+      logger.error(`Server ${name} error:`, err.message);
+      this.appendLog(name, 'error', `Process error: ${err.message}`);
+      server.error = err.message;
+      client.rejectAll(err);
+      this.#setStatus(server, ServerStatus.ERROR);
+    });
+
+    if (spec.maxRuntimeMs) {
+      const runtimeTimer = setTimeout(() => {
+        server.error = `Exceeded max runtime (${spec.maxRuntimeMs}ms)`;
+        logger.warn(`Server ${name}: ${server.error}, stopping`);
+        this.appendLog(name, 'warn', `${server.error}, stopping`);
+        this.#terminate(name, proc);
+      }, spec.maxRuntimeMs);
+      runtimeTimer.unref();
+      proc.once('exit', () => clearTimeout(runtimeTimer));
+    }
+
+    proc.on('exit', (code, signal) => {
+      const exitMessage = `Exited with code ${code}${signal ? ` (${signal})` : ''}`;
+      logger.info(`Server ${name} ${exitMessage.toLowerCase()}`);
+      this.appendLog(name, code === 0 ? 'info' : 'error', exitMessage);
+      server.lastExitCode = code;
+      server.lastExitSignal = signal;
+      server.lastExitAt = new Date();
+
+      // Ignore exits of processes that were stopped or replaced
+      if (this.processes.get(name) !== proc) return;
+
+      this.processes.delete(name);
+      this.clients.delete(name);
+      this.#setStatus(server, ServerStatus.STOPPED);
+      this.#applyRestartPolicy(server, code !== 0 || signal !== null, Date.now() - spawnedAt);
+    });
+
+    client.attach(proc);
+    return proc;
+  }
+
+  /**
+   * Connect a client to a remote server over Streamable HTTP and
+   * supervise the connection like a process
+   * @private
+   * @param {Object} server - Server record
+   * @param {McpToolClient} client - Client to connect
+   */
+  #connectRemote(server, client) {
+    const { name } = server;
+    const { url, headers = {} } = server.config;
+
+    logger.info(`Connecting to server: ${name} (${url})`);
+    this.appendLog(name, 'info', `Connecting: ${url}`);
+
+    const connectedAt = Date.now();
+    client.attachTransport(new StreamableHttpTransport(url, { headers }));
+
+    client.on('close', (error) => {
+      logger.warn(`Server ${name} disconnected: ${error.message}`);
+      this.appendLog(name, 'error', `Disconnected: ${error.message}`);
+      server.lastExitAt = new Date();
+
+      // Ignore connections that were stopped or replaced
+      if (this.clients.get(name) !== client) return;
+
+      this.clients.delete(name);
       server.error = error.message;
-      return false;
+      this.#setStatus(server, ServerStatus.STOPPED);
+      this.#applyRestartPolicy(server, true, Date.now() - connectedAt);
+    });
+  }
+
+  /**
+   * Apply the restart policy after a process exited on its own
+   * or failed its MCP handshake
+   * @private
+   * @param {Object} server - Server record
+   * @param {boolean} failed - Whether the run ended in failure
+   * @param {number} uptimeMs - How long the process was alive
+   */
+  #applyRestartPolicy(server, failed, uptimeMs) {
+    const { name, restartPolicy } = server;
+
+    if (restartPolicy.policy === RestartPolicy.NEVER) return;
+    if (restartPolicy.policy === RestartPolicy.ON_FAILURE && !failed) return;
+
+    // A long enough run counts as healthy and resets the retry budget
+    if (uptimeMs >= restartPolicy.resetAfterMs) {
+      server.retryAttempt = 0;
+    }
+
+    const now = Date.now();
+    const crashes = (this.#crashHistory.get(name) || [])
+      .filter((timestamp) => now - timestamp < restartPolicy.crashLoopWindowMs);
+    crashes.push(now);
+    this.#crashHistory.set(name, crashes);
+
+    if (crashes.length >= restartPolicy.crashLoopThreshold) {
+      server.error = `Crash loop detected: ${crashes.length} exits within ${restartPolicy.crashLoopWindowMs}ms`;
+      logger.error(`Server ${name}: ${server.error}, giving up`);
+      this.appendLog(name, 'error', `${server.error}, giving up`);
+      this.#setStatus(server, ServerStatus.ERROR);
+      return;
+    }
+
+    if (server.retryAttempt >= restartPolicy.maxRetries) {
+      server.error = `Exceeded max retries (${restartPolicy.maxRetries})`;
+      logger.error(`Server ${name}: ${server.error}, giving up`);
+      this.appendLog(name, 'error', `${server.error}, giving up`);
+      this.#setStatus(server, ServerStatus.ERROR);
+      return;
+    }
+
+    server.retryAttempt++;
+    const delay = getRestartDelay(restartPolicy, server.retryAttempt);
+    server.nextRestartAt = new Date(now + delay);
+    logger.warn(`Restarting ${name} in ${delay}ms (attempt ${server.retryAttempt}/${restartPolicy.maxRetries})`);
+    this.appendLog(name, 'warn', `Restarting in ${delay}ms (attempt ${server.retryAttempt}/${restartPolicy.maxRetries})`);
+
+    const timer = runDetached(() => setTimeout(() => {
+      this.#restartTimers.delete(name);
+      server.nextRestartAt = null;
+      server.restartCount++;
+      this.#launch(server);
+    }, delay));
+    timer.unref();
+    this.#restartTimers.set(name, timer);
+  }
+
+  /**
+   * Cancel a pending automatic restart
+   * @private
+   * @param {string} name - Server name
+   * @returns {boolean} True if a restart was pending
+   */
+  #cancelRestart(name) {
+    const timer = this.#restartTimers.get(name);
+    if (!timer) return false;
+
+    clearTimeout(timer);
+    this.#restartTimers.delete(name);
+    const server = this.servers.get(name);
+    if (server) server.nextRestartAt = null;
+    return true;
+  }
+
+  /**
+   * Relay server notifications that WebSocket clients can subscribe to
+   * @private
+   * @param {string} name - Server name
+   * @param {Object} message - JSON-RPC notification
+   */
+  #forwardNotification(name, message) {
+    switch (message.method) {
+      case 'notifications/resources/updated':
+        emitResourceUpdated(name, message.params?.uri);
+        break;
+      case 'notifications/resources/list_changed':
+        emitResourceListChanged(name);
+        break;
+      case 'notifications/progress':
+        emitToolProgress(name, message.params || {});
+        break;
+    }
+  }
+
+  /**
+   * Schedule the next liveness probe of a running server
+   * @private
+   * @param {Object} server - Server record
+   */
+  #scheduleProbe(server) {
+    const { intervalMs } = resolveProbePolicy(server.config.probe, this.probeIntervalMs);
+    this.#cancelProbe(server.name);
+    if (!intervalMs) return;
+
+    const timer = runDetached(() => setTimeout(() => this.#probe(server), intervalMs));
+    timer.unref();
+    this.#probeTimers.set(server.name, timer);
+  }
+
+  /**
+   * Cancel the pending liveness probe of a server
+   * @private
+   * @param {string} name - Server name
+   */
+  #cancelProbe(name) {
+    clearTimeout(this.#probeTimers.get(name));
+    this.#probeTimers.delete(name);
+  }
+
+  /**
+   * Send an MCP `ping` and update the server's health
+   * Any response, including a JSON-RPC error from servers without `ping`,
+   * proves the server is alive. After `failureThreshold` consecutive
+   * failures the server becomes DEGRADED (and is restarted when the probe
+   * has `restart` set); a successful probe makes it RUNNING again.
+   * @private
+   * @param {Object} server - Server record
+   */
+  async #probe(server) {
+    const { name, health } = server;
+    const client = this.clients.get(name);
+    this.#probeTimers.delete(name);
+    if (!client) return;
+
+    const policy = resolveProbePolicy(server.config.probe, this.probeIntervalMs);
+    const startedAt = performance.now();
+    let failure = null;
+    try {
+      await client.ping({ timeout: policy.timeoutMs });
+    } catch (error) {
+      if (typeof error.code !== 'number') failure = error;
+    }
+
+    // Stopped or replaced while the probe was in flight
+    if (this.clients.get(name) !== client) return;
+
+    const latencyMs = Math.round((performance.now() - startedAt) * 100) / 100;
+    health.lastProbeAt = new Date();
+    this.emit('probe', { name, success: !failure, latencyMs });
+
+    if (!failure) {
+      health.latencyMs = latencyMs;
+      health.consecutiveFailures = 0;
+      health.lastError = null;
+      if (server.status === ServerStatus.DEGRADED) {
+        server.error = null;
+        logger.info(`Server ${name} is responding again`);
+        this.appendLog(name, 'info', `Liveness probe recovered (${latencyMs}ms)`);
+        this.#setStatus(server, ServerStatus.RUNNING);
+      }
+      this.#scheduleProbe(server);
+      return;
+    }
+
+    health.consecutiveFailures++;
+    health.lastError = failure.message;
+    logger.debug(`Liveness probe of ${name} failed: ${failure.message}`);
+
+    if (health.consecutiveFailures >= policy.failureThreshold && server.status === ServerStatus.RUNNING) {
+      server.error = `Liveness probe failed ${health.consecutiveFailures} times: ${failure.message}`;
+      logger.warn(`Server ${name} degraded: ${server.error}`);
+      this.appendLog(name, 'warn', `Degraded: ${server.error}`);
+      this.#setStatus(server, ServerStatus.DEGRADED);
+
+      if (policy.restart) {
+        this.appendLog(name, 'warn', 'Restarting unresponsive server');
+        this.stop(name);
+        server.restartCount++;
+        this.#launch(server);
+        return;
+      }
     }
+
+    this.#scheduleProbe(server);
+  }
+
+  /**
+   * Update server status and broadcast the transition
+   * @private
+   * @param {Object} server - Server record
+   * @param {string} status - New status
+   */
+  #setStatus(server, status) {
+    if (!isActive(status)) {
+      this.#cancelProbe(server.name);
+    }
+    server.status = status;
+    emitServerStatus(server);
+    this.emit('status', server);
   }
 
   /**
@@ -131,51 +967,88 @@ export class ServerRegistry {
    */
   stop(name) {
     const proc = this.processes.get(name);
+    const client = this.clients.get(name);
     const server = this.servers.get(name);
+    const restartCancelled = this.#cancelRestart(name);
 
-    if (!proc || !server) {
+    if (!server || (!proc && !client && !restartCancelled)) {
       return false;
     }
 
     logger.info(`Stopping server: ${name}`);
-    // Use SIGKILL on Windows for reliable termination
-    proc.kill(process.platform === 'win32' ? 'SIGKILL' : 'SIGTERM');
-    server.status = ServerStatus.STOPPED;
+    this.appendLog(name, 'info', 'Stop requested');
+    // Remove before killing so the supervisor treats the exit as requested
     this.processes.delete(name);
+    this.clients.delete(name);
+    client?.rejectAll(new Error('MCP server stopped'));
+    if (proc) {
+      this.#terminate(name, proc);
+    } else {
+      client?.disconnect();
+    }
+    this.#setStatus(server, ServerStatus.STOPPED);
     return true;
   }
 
   /**
-   * Stop all running servers
+   * Ask a process to exit and escalate to SIGKILL after killTimeoutMs
+   * @private
+   * @param {string} name - Server name
+   * @param {ChildProcess} proc - Process to stop
+   * @returns {Promise<void>} Resolves when the process has exited
+   */
+  #terminate(name, proc) {
+    if (proc.exitCode !== null || proc.signalCode !== null) {
+      return Promise.resolve();
+    }
+
+    const exited = new Promise((resolve) => proc.once('exit', () => resolve()));
+    // Use SIGKILL on Windows for reliable termination
+    proc.kill(process.platform === 'win32' ? 'SIGKILL' : 'SIGTERM');
+
+    const timer = setTimeout(() => {
+      logger.warn(`Server ${name} did not exit within ${this.killTimeoutMs}ms, sending SIGKILL`);
+      this.appendLog(name, 'warn', `No exit after ${this.killTimeoutMs}ms, sending SIGKILL`);
+      proc.kill('SIGKILL');
+    }, this.killTimeoutMs);
+    timer.unref();
+
+    this.#exiting.set(proc, exited);
+    exited.then(() => {
+      clearTimeout(timer);
+      this.#exiting.delete(proc);
+    });
+    return exited;
+  }
+
+  /**
+   * Stop all running servers and cancel pending restarts
+   * @returns {Promise<void>} Resolves when every stopped process has exited
    */
   stopAll() {
     logger.info('Stopping all servers...');
-    for (const name of this.processes.keys()) {
+    const names = new Set([
+      ...this.processes.keys(),
+      ...this.clients.keys(),
+      ...this.#restartTimers.keys(),
+    ]);
+    for (const name of names) {
       this.stop(name);
     }
+    return Promise.all(this.#exiting.values()).then(() => {});
   }
 
   /**
    * Start all configured servers
-   * @returns {Promise<Object>} Results object with success/failed counts
+   * Servers start in parallel as soon as everything in their `dependsOn`
+   * list is running. Dependents of servers that failed or were skipped,
+   * members of dependency cycles and servers with unknown dependencies
+   * are skipped.
+   * @returns {Promise<Object>} Results: started and failed names, skipped `{ name, reason }`
    */
   async startAll() {
     logger.info('Starting all MCP servers...');
-    const results = { started: [], failed: [] };
-
-    for (const server of this.servers.values()) {
-      try {
-        const success = await this.start(server.name);
-        if (success) {
-          results.started.push(server.name);
-        } else {
-          results.failed.push(server.name);
-        }
-      } catch (error) {
-        logger.error(`Failed to start ${server.name}:`, error.message);
-        results.failed.push(server.name);
-      }
-    }
+    const results = await this.#startGraph([...this.servers.keys()]);
 
     logger.info(`Started ${results.started.length}/${this.servers.size} servers`);
     if (results.failed.length > 0) {
@@ -185,6 +1058,67 @@ export class ServerRegistry {
     return results;
   }
 
+  /**
+   * Start a set of servers in dependency order
+   * Dependencies outside the set count as satisfied when they are running.
+   * @private
+   * @param {string[]} names - Servers to start
+   * @returns {Promise<Object>} Results as returned by startAll()
+   */
+  async #startGraph(names) {
+    const results = { started: [], failed: [], skipped: [] };
+    const targets = new Set(names);
+
+    const configs = Object.fromEntries(
+      Array.from(this.servers.values(), (server) => [server.name, server.config])
+    );
+    const problems = getDependencyProblems(configs);
+    const outcomes = new Map();
+
+    const skip = (name, reason) => {
+      logger.warn(`Skipping ${name}: ${reason}`);
+      this.appendLog(name, 'warn', `Not started: ${reason}`);
+      results.skipped.push({ name, reason });
+      return false;
+    };
+
+    const launch = async (name) => {
+      if (problems.has(name)) {
+        return skip(name, problems.get(name));
+      }
+
+      const dependencies = configs[name].dependsOn || [];
+      const ready = await Promise.all(dependencies.map((dependency) => (targets.has(dependency)
+        ? run(dependency)
+        : isActive(this.servers.get(dependency).status))));
+      const missing = dependencies.filter((_, i) => !ready[i]);
+      if (missing.length > 0) {
+        return skip(name, `Dependency not started: ${missing.join(', ')}`);
+      }
+
+      try {
+        const success = await this.start(name);
+        (success ? results.started : results.failed).push(name);
+        return success;
+      } catch (error) {
+        logger.error(`Failed to start ${name}:`, error.message);
+        results.failed.push(name);
+        return false;
+      }
+    };
+
+    // Each server is launched once, however many dependents wait on it
+    const run = (name) => {
+      if (!outcomes.has(name)) {
+        outcomes.set(name, launch(name));
+      }
+      return outcomes.get(name);
+    };
+
+    await Promise.all(names.map(run));
+    return results;
+  }
+
   /**
    * Get summary statistics
    * @returns {Object} Status counts
@@ -193,12 +1127,14 @@ export class ServerRegistry {
     const stats = {
       total: this.servers.size,
       running: 0,
+      degraded: 0,
       stopped: 0,
       error: 0,
     };
 
     for (const server of this.servers.values()) {
       if (server.status === ServerStatus.RUNNING) stats.running++;
+      else if (server.status === ServerStatus.DEGRADED) stats.degraded++;
       else if (server.status === ServerStatus.ERROR) stats.error++;
       else stats.stopped++;
     }
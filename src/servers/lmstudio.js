@@ -7,13 +7,14 @@
  * 
  * Features:
  * - Chat completions with tool calling
- * - Streaming responses
+ * - Streaming responses with tool calls and usage (abortable)
  * - Vision/image input (requires vision-enabled model like LLaVA)
  * - Embeddings generation with similarity search
  * - Structured JSON output
  * - Auto model selection and JIT loading
  * - REST API v0 with enhanced stats (tokens/sec, TTFT)
  * - TTL (Time-To-Live) for auto model unloading
+ * - Requests join the current trace (`traceparent`, `X-Request-Id`)
  * - Model info (arch, quantization, context length)
  * 
  * Based on bambisleep-church-agent LmStudioClient implementation.
@@ -23,14 +24,15 @@
  * @see https://lmstudio.ai/docs/cli
  */
 
-import { getConfig } from '../utils/config.js';
+import { getConfig, getSetting } from '../utils/config.js';
 import { createLogger } from '../utils/logger.js';
+import { tracedFetch } from '../utils/trace.js';
 
 const logger = createLogger('lmstudio');
 
 /**
  * Get LM Studio configuration from centralized config
- * Falls back to environment variables and defaults
+ * Falls back to the LMS_* settings alone when the config cannot be loaded
  * @returns {Object} LM Studio configuration
  */
 function getLmStudioConfig() {
@@ -39,14 +41,16 @@ function getLmStudioConfig() {
     return config.lmstudio;
   } catch {
     // Fallback if getConfig() fails
+    const host = getSetting('LMS_HOST');
+    const port = getSetting('LMS_PORT');
     return {
-      host: process.env.LMS_HOST || 'localhost',
-      port: parseInt(process.env.LMS_PORT || '1234', 10),
-      model: process.env.LMS_MODEL || 'qwen2.5-7b-instruct',
-      temperature: parseFloat(process.env.LMS_TEMPERATURE || '0.7'),
-      maxTokens: parseInt(process.env.LMS_MAX_TOKENS || '2048', 10),
-      timeout: parseInt(process.env.LMS_TIMEOUT || '60000', 10),
-      baseUrl: `http://${process.env.LMS_HOST || 'localhost'}:${parseInt(process.env.LMS_PORT || '1234', 10)}/v1`,
+      host,
+      port,
+      model: getSetting('LMS_MODEL'),
+      temperature: getSetting('LMS_TEMPERATURE'),
+      maxTokens: getSetting('LMS_MAX_TOKENS'),
+      timeout: getSetting('LMS_TIMEOUT'),
+      baseUrl: `http://${host}:${port}/v1`,
     };
   }
 }
@@ -193,7 +197,7 @@ export class LMStudioClient {
    */
   async listModels() {
     try {
-      const response = await fetch(`${this.#baseUrl}/models`, {
+      const response = await tracedFetch(`${this.#baseUrl}/models`, {
         method: 'GET',
         signal: AbortSignal.timeout(10000),
       });
@@ -218,7 +222,7 @@ export class LMStudioClient {
    */
   async listDownloadedModels() {
     try {
-      const response = await fetch(`${this.#apiV0Url}/models`, {
+      const response = await tracedFetch(`${this.#apiV0Url}/models`, {
         method: 'GET',
         signal: AbortSignal.timeout(10000),
       });
@@ -250,7 +254,7 @@ export class LMStudioClient {
    */
   async getModelInfo(modelId) {
     try {
-      const response = await fetch(`${this.#apiV0Url}/models/${encodeURIComponent(modelId)}`, {
+      const response = await tracedFetch(`${this.#apiV0Url}/models/${encodeURIComponent(modelId)}`, {
         method: 'GET',
         signal: AbortSignal.timeout(10000),
       });
@@ -366,7 +370,7 @@ export class LMStudioClient {
     let lastError;
     for (let attempt = 1; attempt <= this.#retries; attempt++) {
       try {
-        const response = await fetch(`${this.#baseUrl}/chat/completions`, {
+        const response = await tracedFetch(`${this.#baseUrl}/chat/completions`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -465,7 +469,7 @@ export class LMStudioClient {
     logger.debug('[LmStudio] REST API v0 chat request:', { model, ttl: options.ttl });
 
     try {
-      const response = await fetch(`${this.#apiV0Url}/chat/completions`, {
+      const response = await tracedFetch(`${this.#apiV0Url}/chat/completions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
@@ -522,7 +526,7 @@ export class LMStudioClient {
     if (options.stop) payload.stop = options.stop;
 
     try {
-      const response = await fetch(`${this.#apiV0Url}/completions`, {
+      const response = await tracedFetch(`${this.#apiV0Url}/completions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
@@ -591,20 +595,19 @@ export class LMStudioClient {
   }
 
   /**
-   * Stream chat completion response
-   * 
+   * Stream a chat completion
+   * Content deltas are passed to `onDelta` as they arrive, tool call
+   * fragments are assembled and usage is requested with
+   * `stream_options.include_usage`.
+   *
    * @param {Array<{role: string, content: string}>} messages - Chat messages
-   * @param {Object} [options] - Additional options
-   * @param {Function} onChunk - Callback for each streamed chunk
-   * @returns {Promise<string>} Full accumulated response
+   * @param {Object} [options] - Additional options (model, temperature, maxTokens, tools, toolChoice)
+   * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the client disconnects
+   * @param {Function} [onDelta] - Called with `{ type: 'token', content }` for content and
+   *   `{ type: 'tool_call_start', index, id, name }` when a tool call begins
+   * @returns {Promise<Object>} `{ model, content, toolCalls, finishReason, usage }`
    */
-  async streamChat(messages, options = {}, onChunk = null) {
-    // Support legacy signature: streamChat(messages, onChunk, options)
-    if (typeof options === 'function') {
-      onChunk = options;
-      options = {};
-    }
-
+  async streamCompletion(messages, options = {}, onDelta = null) {
     if (!this.#loadedModel) {
       await this.selectLoadedModel();
     }
@@ -619,6 +622,7 @@ export class LMStudioClient {
       temperature,
       max_tokens: maxTokens,
       stream: true,
+      stream_options: { include_usage: true },
     };
 
     if (options.tools && options.tools.length > 0) {
@@ -628,14 +632,17 @@ export class LMStudioClient {
 
     logger.debug('[LmStudio] Stream chat request', { model, messageCount: messages.length });
 
+    const timeout = AbortSignal.timeout(this.#timeout);
+    const result = { model, content: '', toolCalls: [], finishReason: null, usage: null };
+
     try {
-      const response = await fetch(`${this.#baseUrl}/chat/completions`, {
+      const response = await tracedFetch(`${this.#baseUrl}/chat/completions`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(payload),
-        signal: AbortSignal.timeout(this.#timeout),
+        signal: options.signal ? AbortSignal.any([options.signal, timeout]) : timeout,
       });
 
       if (!response.ok) {
@@ -644,7 +651,6 @@ export class LMStudioClient {
 
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
-      let fullContent = '';
       let buffer = '';
 
       while (true) {
@@ -656,32 +662,78 @@ export class LMStudioClient {
         buffer = lines.pop() || '';
 
         for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
-
-            try {
-              const parsed = JSON.parse(data);
-              const delta = parsed.choices?.[0]?.delta?.content || '';
-              if (delta) {
-                fullContent += delta;
-                if (onChunk) onChunk(delta, fullContent);
-              }
-            } catch {
-              // Ignore parse errors for incomplete chunks
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') continue;
+
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch {
+            continue; // Ignore parse errors for incomplete chunks
+          }
+
+          result.model = parsed.model || result.model;
+          if (parsed.usage) result.usage = parsed.usage;
+
+          const choice = parsed.choices?.[0];
+          if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+
+          const content = choice?.delta?.content;
+          if (content) {
+            result.content += content;
+            onDelta?.({ type: 'token', content });
+          }
+
+          for (const fragment of choice?.delta?.tool_calls || []) {
+            const index = fragment.index ?? 0;
+            let call = result.toolCalls[index];
+            if (!call) {
+              call = { id: fragment.id, type: 'function', function: { name: fragment.function?.name || '', arguments: '' } };
+              result.toolCalls[index] = call;
+              onDelta?.({ type: 'tool_call_start', index, id: call.id, name: call.function.name });
             }
+            call.function.arguments += fragment.function?.arguments || '';
           }
         }
       }
 
       this.#connected = true;
-      return fullContent;
+      return result;
     } catch (error) {
-      logger.error('[LmStudio] Stream error:', error.message);
+      if (options.signal?.aborted) {
+        logger.debug('[LmStudio] Stream aborted by caller');
+      } else {
+        logger.error('[LmStudio] Stream error:', error.message);
+      }
       throw error;
     }
   }
 
+  /**
+   * Stream chat completion response
+   * 
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Additional options
+   * @param {Function} onChunk - Callback for each streamed chunk
+   * @returns {Promise<string>} Full accumulated response
+   */
+  async streamChat(messages, options = {}, onChunk = null) {
+    // Support legacy signature: streamChat(messages, onChunk, options)
+    if (typeof options === 'function') {
+      onChunk = options;
+      options = {};
+    }
+
+    let fullContent = '';
+    const { content } = await this.streamCompletion(messages, options, (delta) => {
+      if (delta.type !== 'token') return;
+      fullContent += delta.content;
+      if (onChunk) onChunk(delta.content, fullContent);
+    });
+    return content;
+  }
+
   // Alias for backwards compatibility
   async chatStream(messages, onChunk, options = {}) {
     return this.streamChat(messages, options, onChunk);
@@ -710,7 +762,7 @@ export class LMStudioClient {
     logger.debug('Completion request', { model, promptLength: prompt.length });
 
     try {
-      const response = await fetch(`${this.#baseUrl}/completions`, {
+      const response = await tracedFetch(`${this.#baseUrl}/completions`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -759,7 +811,7 @@ export class LMStudioClient {
     });
 
     try {
-      const response = await fetch(`${this.#baseUrl}/embeddings`, {
+      const response = await tracedFetch(`${this.#baseUrl}/embeddings`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
@@ -903,7 +955,7 @@ export class LMStudioClient {
     try {
       logger.debug('[LmStudio] Vision request:', { model, imageCount: images.length });
 
-      const response = await fetch(`${this.#baseUrl}/chat/completions`, {
+      const response = await tracedFetch(`${this.#baseUrl}/chat/completions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
@@ -1087,7 +1139,7 @@ export class LMStudioClient {
 
       // Make a minimal chat request to trigger JIT loading
       // LM Studio will auto-load the model if it's downloaded
-      const response = await fetch(`${this.#baseUrl}/chat/completions`, {
+      const response = await tracedFetch(`${this.#baseUrl}/chat/completions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
@@ -1312,6 +1364,14 @@ export const lmstudioHandlers = {
     return client.chatStream(messages, onChunk, options);
   },
 
+  /**
+   * Stream chat completion with token, tool call and usage details
+   */
+  streamCompletion: async (messages, options = {}, onDelta = null) => {
+    const client = getLmStudioClient();
+    return client.streamCompletion(messages, options, onDelta);
+  },
+
   /**
    * Stream chat (alternate method name)
    */
@@ -1,67 +1,119 @@
 /**
  * BambiSleep™ Church MCP Control Tower
- * MCP Tool Client - Invokes MCP server tools via stdio
+ * MCP Tool Client - Invokes MCP server tools via stdio or Streamable HTTP
  */
 
 import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
 import { createLogger } from '../utils/logger.js';
+import { StreamableHttpTransport } from './mcp-http-transport.js';
+import { resolveSpawnSpec } from './spawn-spec.js';
 
 const logger = createLogger('mcp-client');
 
+/**
+ * MCP protocol revision requested during initialize
+ */
+export const MCP_PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * Default request timeout in milliseconds
+ */
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+/**
+ * Build the rejection reason of an aborted request
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The signal's reason, or a generic AbortError
+ */
+function abortError(signal) {
+  if (signal.reason instanceof Error) return signal.reason;
+  const error = new Error('MCP request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Split a readable stream into lines
+ * @param {Readable} stream - Stream to read
+ * @param {Function} onLine - Called with each complete, non-empty line
+ */
+function readLines(stream, onLine) {
+  let buffer = '';
+
+  stream.on('data', (data) => {
+    buffer += data.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (line.trim()) onLine(line.replace(/\r$/, ''));
+    }
+  });
+}
+
 /**
  * MCP Tool Client
- * Communicates with MCP servers using JSON-RPC over stdio
+ * Communicates with MCP servers using JSON-RPC over stdio, or over the
+ * Streamable HTTP transport when the server config has a `url`
+ *
+ * Events:
+ * - `notification` (message): JSON-RPC notification sent by the server
+ * - `progress` (params): `notifications/progress` params, also passed to the
+ *   `onProgress` callback of the request that owns the progress token
+ * - `output` (line): non-JSON-RPC line written to stdout
+ * - `stderr` (line): line written to stderr
+ * - `close` (error): connection to a remote server was lost
  */
-export class McpToolClient {
+export class McpToolClient extends EventEmitter {
   constructor(serverConfig) {
+    super();
+    this.config = serverConfig;
     this.command = serverConfig.command;
     this.args = serverConfig.args || [];
+    this.url = serverConfig.url || null;
+    this.headers = serverConfig.headers || {};
     this.process = null;
+    this.transport = null;
     this.requestId = 0;
     this.pendingRequests = new Map();
+    this.progressHandlers = new Map();
+    this.serverInfo = null;
+    this.protocolVersion = null;
+    this.capabilities = null;
   }
 
   /**
-   * Start the MCP server process
+   * Start the MCP server process, or connect to the remote server
+   * Processes are spawned from the same spec as registry-supervised servers.
    */
   async connect() {
+    if (this.url) {
+      this.attachTransport(new StreamableHttpTransport(this.url, { headers: this.headers }));
+      return this.initialize();
+    }
+
     return new Promise((resolve, reject) => {
-      this.process = spawn(this.command, this.args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: true,
-      });
+      const spec = resolveSpawnSpec({ ...this.config, command: this.command, args: this.args });
+      const proc = spawn(spec.command, spec.args, spec.options);
 
-      let buffer = '';
-
-      this.process.stdout.on('data', (data) => {
-        buffer += data.toString();
-        
-        // Process complete JSON-RPC messages
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-        
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const message = JSON.parse(line);
-              this.handleMessage(message);
-            } catch (e) {
-              logger.debug('Non-JSON output:', line);
-            }
-          }
-        }
-      });
+      this.attach(proc);
 
-      this.process.stderr.on('data', (data) => {
-        logger.debug('MCP stderr:', data.toString());
-      });
+      if (spec.maxRuntimeMs) {
+        const runtimeTimer = setTimeout(() => {
+          logger.warn(`MCP process exceeded max runtime (${spec.maxRuntimeMs}ms), stopping`);
+          proc.kill();
+        }, spec.maxRuntimeMs);
+        runtimeTimer.unref();
+        proc.once('exit', () => clearTimeout(runtimeTimer));
+      }
 
-      this.process.on('error', (err) => {
+      proc.on('error', (err) => {
         logger.error('MCP process error:', err.message);
         reject(err);
       });
 
-      this.process.on('spawn', () => {
+      proc.on('spawn', () => {
         logger.info('MCP server connected');
         // Initialize the connection
         this.initialize().then(resolve).catch(reject);
@@ -69,83 +121,342 @@ export class McpToolClient {
     });
   }
 
+  /**
+   * Attach to an already spawned MCP server process
+   * Used by the ServerRegistry, which owns the process lifecycle
+   * @param {ChildProcess} proc - Process with piped stdio
+   */
+  attach(proc) {
+    this.process = proc;
+    this.transport = {
+      send: (message) => proc.stdin.write(JSON.stringify(message) + '\n'),
+    };
+
+    // Process complete JSON-RPC messages
+    readLines(proc.stdout, (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        logger.debug('Non-JSON output:', line);
+        this.emit('output', line);
+        return;
+      }
+      this.handleMessage(message);
+    });
+
+    readLines(proc.stderr, (line) => {
+      logger.debug('MCP stderr:', line);
+      this.emit('stderr', line);
+    });
+
+    // Writes to a process that already exited surface as EPIPE here
+    proc.stdin.on('error', (err) => {
+      logger.debug('MCP stdin error:', err.message);
+    });
+
+    proc.on('exit', (code) => {
+      this.rejectAll(new Error(`MCP server exited with code ${code}`));
+      if (this.process === proc) {
+        this.process = null;
+        this.transport = null;
+      }
+    });
+  }
+
+  /**
+   * Attach to a message transport (e.g. StreamableHttpTransport)
+   * @param {EventEmitter} transport - Emits `message` and `close`, has send() and close()
+   */
+  attachTransport(transport) {
+    this.transport = transport;
+
+    transport.on('message', (message) => this.handleMessage(message));
+    transport.on('close', (error) => {
+      this.rejectAll(error);
+      if (this.transport === transport) {
+        this.transport = null;
+        this.emit('close', error);
+      }
+    });
+  }
+
+  /**
+   * Write a message to the transport
+   * @param {Object} message - JSON-RPC message without the `jsonrpc` field
+   * @returns {Promise<void>} Rejects when the transport fails to deliver
+   */
+  async send(message) {
+    await this.transport.send({ jsonrpc: '2.0', ...message });
+  }
+
+  /**
+   * Reject every pending request
+   * @param {Error} error - Rejection reason
+   */
+  rejectAll(error) {
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
   /**
    * Handle incoming JSON-RPC message
+   * Responses resolve pending requests, notifications are emitted as
+   * `notification` events and server-initiated requests are answered.
    */
   handleMessage(message) {
+    if (message.method) {
+      if (message.id !== undefined) {
+        this.handleServerRequest(message);
+      } else {
+        if (message.method === 'notifications/progress') {
+          this.handleProgress(message.params || {});
+        }
+        this.emit('notification', message);
+      }
+      return;
+    }
+
     if (message.id !== undefined && this.pendingRequests.has(message.id)) {
       const { resolve, reject } = this.pendingRequests.get(message.id);
       this.pendingRequests.delete(message.id);
       
       if (message.error) {
-        reject(new Error(message.error.message || 'MCP error'));
+        reject(Object.assign(new Error(message.error.message || 'MCP error'), { code: message.error.code }));
       } else {
         resolve(message.result);
       }
     }
   }
 
+  /**
+   * Route a progress notification to the request that asked for it
+   * @param {Object} params - `notifications/progress` params
+   */
+  handleProgress(params) {
+    this.emit('progress', params);
+
+    const onProgress = this.progressHandlers.get(params.progressToken);
+    if (!onProgress) return;
+    try {
+      onProgress(params);
+    } catch (err) {
+      logger.warn('Progress handler failed:', err.message);
+    }
+  }
+
+  /**
+   * Answer a request sent by the server
+   * Only `ping` is supported; the tower declares no client capabilities.
+   */
+  handleServerRequest(message) {
+    const response = message.method === 'ping'
+      ? { result: {} }
+      : { error: { code: -32601, message: `Method not found: ${message.method}` } };
+
+    this.send({ id: message.id, ...response }).catch((err) => {
+      logger.debug('Failed to answer server request:', err.message);
+    });
+  }
+
   /**
    * Send JSON-RPC request
+   * Requests that time out or are aborted are rejected and announced to the
+   * server with `notifications/cancelled`.
+   * @param {string} method - JSON-RPC method
+   * @param {Object} [params] - Method parameters
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout=30000] - Timeout in milliseconds
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Function} [options.onProgress] - Called with `notifications/progress`
+   *   params; attaches a `_meta.progressToken` to the request
    */
-  async request(method, params = {}) {
+  async request(method, params = {}, options = {}) {
+    const { timeout: timeoutMs = DEFAULT_REQUEST_TIMEOUT, signal, onProgress } = options;
+
     return new Promise((resolve, reject) => {
+      if (!this.transport) {
+        reject(new Error('MCP server not connected'));
+        return;
+      }
+      if (signal?.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
       const id = ++this.requestId;
       const message = {
-        jsonrpc: '2.0',
         id,
         method,
         params,
       };
 
-      this.pendingRequests.set(id, { resolve, reject });
-      
-      const timeout = setTimeout(() => {
+      let progressToken;
+      if (onProgress) {
+        progressToken = `${method}:${id}`;
+        message.params = { ...params, _meta: { ...params._meta, progressToken } };
+        this.progressHandlers.set(progressToken, onProgress);
+      }
+
+      const settle = () => {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
         this.pendingRequests.delete(id);
-        reject(new Error('MCP request timeout'));
-      }, 30000);
+        this.progressHandlers.delete(progressToken);
+      };
+
+      const cancel = (error) => {
+        settle();
+        this.notify('notifications/cancelled', { requestId: id, reason: error.message });
+        reject(error);
+      };
+
+      const timeout = setTimeout(() => {
+        cancel(new Error(`MCP request timeout: ${method}`));
+      }, timeoutMs);
+
+      const onAbort = () => cancel(abortError(signal));
+      signal?.addEventListener('abort', onAbort, { once: true });
 
       this.pendingRequests.set(id, {
         resolve: (result) => {
-          clearTimeout(timeout);
+          settle();
           resolve(result);
         },
         reject: (err) => {
-          clearTimeout(timeout);
+          settle();
           reject(err);
         },
       });
 
-      this.process.stdin.write(JSON.stringify(message) + '\n');
+      this.send(message).catch((err) => {
+        this.pendingRequests.get(id)?.reject(err);
+      });
+    });
+  }
+
+  /**
+   * Send JSON-RPC notification (no response expected)
+   * @param {string} method - Notification method
+   * @param {Object} [params] - Notification parameters
+   */
+  notify(method, params = {}) {
+    if (!this.transport) return;
+    this.send({ method, params }).catch((err) => {
+      logger.debug(`Failed to send ${method}:`, err.message);
     });
   }
 
   /**
    * Initialize MCP connection
+   * Performs the `initialize` request and confirms with `notifications/initialized`
+   * @param {Object} [options] - Request options (see request())
+   * @returns {Promise<Object>} Server's protocolVersion, capabilities and serverInfo
    */
-  async initialize() {
-    return this.request('initialize', {
-      protocolVersion: '2024-11-05',
+  async initialize(options = {}) {
+    const result = await this.request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
       capabilities: {},
       clientInfo: {
         name: 'BambiSleep MCP Control Tower',
         version: '1.0.0',
       },
-    });
+    }, options);
+
+    this.serverInfo = result?.serverInfo || null;
+    this.protocolVersion = result?.protocolVersion || null;
+    this.capabilities = result?.capabilities || {};
+    if (this.transport) {
+      this.transport.protocolVersion = this.protocolVersion;
+    }
+    this.notify('notifications/initialized');
+
+    return result;
+  }
+
+  /**
+   * Check that the server is responsive
+   * @param {Object} [options] - Request options (see request())
+   */
+  async ping(options = {}) {
+    return this.request('ping', {}, options);
   }
 
   /**
    * List available tools
+   * @param {string} [cursor] - Pagination cursor from a previous `nextCursor`
    */
-  async listTools() {
-    return this.request('tools/list');
+  async listTools(cursor) {
+    return this.request('tools/list', cursor ? { cursor } : {});
   }
 
   /**
    * Call a tool
+   * @param {string} name - Tool name
+   * @param {Object} [args] - Tool arguments
+   * @param {Object} [options] - Request options (timeout, signal, onProgress; see request())
+   */
+  async callTool(name, args = {}, options = {}) {
+    return this.request('tools/call', { name, arguments: args }, options);
+  }
+
+  /**
+   * List available resources
+   * @param {string} [cursor] - Pagination cursor from a previous `nextCursor`
+   */
+  async listResources(cursor) {
+    return this.request('resources/list', cursor ? { cursor } : {});
+  }
+
+  /**
+   * List resource templates (parameterized URIs)
+   * @param {string} [cursor] - Pagination cursor from a previous `nextCursor`
+   */
+  async listResourceTemplates(cursor) {
+    return this.request('resources/templates/list', cursor ? { cursor } : {});
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   */
+  async readResource(uri) {
+    return this.request('resources/read', { uri });
+  }
+
+  /**
+   * Subscribe to `notifications/resources/updated` for a resource
+   * @param {string} uri - Resource URI
+   */
+  async subscribeResource(uri) {
+    return this.request('resources/subscribe', { uri });
+  }
+
+  /**
+   * Cancel a resource subscription
+   * @param {string} uri - Resource URI
+   */
+  async unsubscribeResource(uri) {
+    return this.request('resources/unsubscribe', { uri });
+  }
+
+  /**
+   * List available prompts
+   * @param {string} [cursor] - Pagination cursor from a previous `nextCursor`
+   */
+  async listPrompts(cursor) {
+    return this.request('prompts/list', cursor ? { cursor } : {});
+  }
+
+  /**
+   * Get a prompt rendered with arguments
+   * @param {string} name - Prompt name
+   * @param {Object} [args] - Prompt arguments (string values)
    */
-  async callTool(name, args = {}) {
-    return this.request('tools/call', { name, arguments: args });
+  async getPrompt(name, args = {}) {
+    return this.request('prompts/get', { name, arguments: args });
   }
 
   /**
@@ -155,7 +466,11 @@ export class McpToolClient {
     if (this.process) {
       this.process.kill();
       this.process = null;
+    } else {
+      this.transport?.close();
     }
+    this.transport = null;
+    this.rejectAll(new Error('MCP client disconnected'));
   }
 }
 
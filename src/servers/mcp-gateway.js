@@ -0,0 +1,384 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * MCP Gateway - Serves the tower's agent tools to MCP clients
+ *
+ * Implements the server side of MCP (`initialize`, `ping`, `tools/list`,
+ * `tools/call`) on top of `AgentToolExecutor`, so clients such as Claude
+ * Desktop or VS Code reach every integration, including the tools of
+ * supervised MCP servers, through one connection. Served over stdio
+ * (`--mcp-stdio`) or Streamable HTTP (`/mcp` on the API server).
+ */
+
+import { randomUUID } from 'crypto';
+import { createInterface } from 'readline';
+import { getSetting } from '../utils/config.js';
+import { createLogger } from '../utils/logger.js';
+import { redirectConsoleToStderr } from '../utils/stdio-mode.js';
+import { AgentToolExecutor, canUseTool, getAllTools, TOOL_CATEGORIES } from './agent-tools.js';
+import { clarityHandlers } from './clarity.js';
+import { fetchHandlers } from './fetch.js';
+import { githubHandlers } from './github.js';
+import { huggingfaceHandlers } from './huggingface.js';
+import { lmstudioHandlers } from './lmstudio.js';
+import { MCP_PROTOCOL_VERSION } from './mcp-client.js';
+import { conversationHandlers } from './memory/conversation.js';
+import { memoryHandlers } from './memory/graph.js';
+import { memoryManagerHandlers } from './memory/manager.js';
+import { userModelHandlers } from './memory/user-model.js';
+import { workspaceHandlers } from './memory/workspace.js';
+import { mongoHandlers } from './mongodb.js';
+import { patreonHandlers } from './patreon.js';
+import { puppeteerHandlers } from './puppeteer.js';
+import { thinkingHandlers } from './sequential-thinking.js';
+import { sqliteHandlers } from './sqlite.js';
+import { storageHandlers } from './storage.js';
+import { stripeHandlers } from './stripe.js';
+
+const logger = createLogger('mcp-gateway');
+
+/**
+ * Server identity reported to clients during initialize
+ */
+export const GATEWAY_SERVER_INFO = {
+  name: 'bambisleep-church-control-tower',
+  version: '1.0.0',
+};
+
+/**
+ * Protocol revisions the gateway can speak, newest first
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', MCP_PROTOCOL_VERSION];
+
+/**
+ * JSON-RPC error codes
+ */
+export const JsonRpcErrorCode = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+/**
+ * Create an executor with every built-in handler module registered
+ * @param {Object} [options] - Executor options (e.g. wsServer for render tools)
+ * @returns {AgentToolExecutor} Executor
+ */
+export function createGatewayExecutor(options = {}) {
+  const executor = new AgentToolExecutor(options);
+  executor.registerHandlers('memory', memoryHandlers);
+  executor.registerHandlers('user-model', userModelHandlers);
+  executor.registerHandlers('conversation', conversationHandlers);
+  executor.registerHandlers('workspace', workspaceHandlers);
+  executor.registerHandlers('memory-manager', memoryManagerHandlers);
+  executor.registerHandlers('storage', storageHandlers);
+  executor.registerHandlers('fetch', fetchHandlers);
+  executor.registerHandlers('puppeteer', puppeteerHandlers);
+  executor.registerHandlers('mongodb', mongoHandlers);
+  executor.registerHandlers('sqlite', sqliteHandlers);
+  executor.registerHandlers('thinking', thinkingHandlers);
+  executor.registerHandlers('stripe', stripeHandlers);
+  executor.registerHandlers('patreon', patreonHandlers);
+  executor.registerHandlers('clarity', clarityHandlers);
+  executor.registerHandlers('github', githubHandlers);
+  executor.registerHandlers('lmstudio', lmstudioHandlers);
+  executor.registerHandlers('huggingface', huggingfaceHandlers);
+  return executor;
+}
+
+/**
+ * Convert an agent tool definition to an MCP tool
+ * @param {Object} tool - Agent tool definition
+ * @returns {Object} MCP tool (name, description, inputSchema)
+ */
+export function toMcpTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.parameters || { type: 'object', properties: {} },
+  };
+}
+
+/**
+ * Convert an executor result to an MCP `tools/call` result
+ * Results of supervised MCP servers are passed through unchanged.
+ * @param {Object} execution - AgentToolExecutor result
+ * @returns {Object} MCP tool result
+ */
+export function toMcpToolResult(execution) {
+  if (execution.source === 'mcp' && Array.isArray(execution.result?.content)) {
+    return execution.result;
+  }
+
+  if (!execution.success) {
+    return { content: [{ type: 'text', text: execution.error || 'Tool failed' }], isError: true };
+  }
+
+  const { result } = execution;
+  const text = typeof result === 'string' ? result : JSON.stringify(result ?? null, null, 2);
+  return { content: [{ type: 'text', text }] };
+}
+
+/**
+ * Build a JSON-RPC error response
+ */
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+/**
+ * MCP Gateway
+ * Transport-independent handling of client messages
+ */
+export class McpGateway {
+  #executor;
+  #inFlight = new Map();
+
+  /**
+   * @param {Object} [options] - Gateway options
+   * @param {AgentToolExecutor} [options.executor] - Executor for tool calls
+   * @param {Function} [options.getTools] - Returns the agent tools to expose
+   */
+  constructor({ executor = createGatewayExecutor(), getTools = getAllTools } = {}) {
+    this.#executor = executor;
+    this.getTools = getTools;
+  }
+
+  /**
+   * Handle one client message
+   * @param {Object} message - JSON-RPC request, notification or response
+   * @param {Object} [context] - Per-connection context
+   * @param {Function} [context.notify] - Sends a notification to the client
+   * @param {string} [context.session=''] - Session the message belongs to; request
+   *   ids (and so cancellations) are only unique within one
+   * @returns {Promise<Object|null>} Response, or null for notifications
+   */
+  async handleMessage(message, { notify = () => {}, session = '' } = {}) {
+    if (!message || message.jsonrpc !== '2.0' || (message.method === undefined && message.id === undefined)) {
+      return errorResponse(message?.id, JsonRpcErrorCode.INVALID_REQUEST, 'Invalid JSON-RPC message');
+    }
+
+    // Responses to server requests (the gateway sends none) and notifications
+    if (!message.method) return null;
+    if (message.id === undefined) {
+      this.#handleNotification(message, session);
+      return null;
+    }
+
+    try {
+      const result = await this.#dispatch(message, notify, session);
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      return errorResponse(message.id, error.code ?? JsonRpcErrorCode.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  #handleNotification(message, session) {
+    if (message.method === 'notifications/cancelled') {
+      this.#inFlight.get(`${session}:${JSON.stringify(message.params?.requestId)}`)?.abort();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async #dispatch({ id, method, params = {} }, notify, session) {
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+            ? requested
+            : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: GATEWAY_SERVER_INFO,
+        };
+      }
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return {
+          tools: this.getTools()
+            .filter((tool) => tool.category !== TOOL_CATEGORIES.RENDER && canUseTool(tool))
+            .map(toMcpTool),
+        };
+
+      case 'tools/call':
+        return this.#callTool(`${session}:${JSON.stringify(id)}`, params, notify);
+
+      default:
+        throw Object.assign(new Error(`Method not found: ${method}`), {
+          code: JsonRpcErrorCode.METHOD_NOT_FOUND,
+        });
+    }
+  }
+
+  /**
+   * Run a tool call, relaying progress of proxied MCP server tools
+   * @private
+   * @param {string} call - Session and request id, as cancellations name it
+   */
+  async #callTool(call, { name, arguments: args = {}, _meta } = {}, notify) {
+    const tool = this.getTools().find((t) => t.name === name);
+    if (!tool || tool.category === TOOL_CATEGORIES.RENDER) {
+      throw Object.assign(new Error(`Unknown tool: ${name}`), {
+        code: JsonRpcErrorCode.INVALID_PARAMS,
+      });
+    }
+    if (this.#inFlight.has(call)) {
+      throw Object.assign(new Error('Request id is already in use by a call in progress'), {
+        code: JsonRpcErrorCode.INVALID_REQUEST,
+      });
+    }
+
+    const controller = new AbortController();
+    this.#inFlight.set(call, controller);
+    const progressToken = _meta?.progressToken;
+
+    try {
+      const execution = await this.#executor.execute(name, args, {
+        signal: controller.signal,
+        ...(progressToken !== undefined && {
+          onProgress: ({ progress, total, message }) => notify({
+            jsonrpc: '2.0',
+            method: 'notifications/progress',
+            params: { progressToken, progress, total, message },
+          }),
+        }),
+      });
+      return toMcpToolResult(execution);
+    } finally {
+      this.#inFlight.delete(call);
+    }
+  }
+}
+
+/**
+ * Serve the gateway over stdin/stdout
+ * stdout carries JSON-RPC only, so console output is moved to stderr.
+ * @param {McpGateway} [gateway] - Gateway to serve
+ * @returns {Promise<void>} Resolves when stdin closes
+ */
+export function serveStdio(gateway = new McpGateway()) {
+  redirectConsoleToStderr();
+
+  const write = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+  const rl = createInterface({ input: process.stdin });
+
+  rl.on('line', async (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      write(errorResponse(null, JsonRpcErrorCode.PARSE_ERROR, 'Parse error'));
+      return;
+    }
+
+    const response = await gateway.handleMessage(message, { notify: write });
+    if (response) write(response);
+  });
+
+  logger.info('MCP gateway serving on stdio');
+  return new Promise((resolve) => rl.on('close', resolve));
+}
+
+/**
+ * Create a Streamable HTTP request handler for the gateway
+ * Sessions are created by `initialize` and identified by `Mcp-Session-Id`.
+ * A session belongs to the API key that created it: other keys get 404, as
+ * for unknown sessions. Sessions idle for `idleTimeoutMs` expire, the least
+ * recently used are dropped beyond `maxSessions`. Requests that carry a
+ * progress token are answered over SSE so progress notifications can
+ * precede the result.
+ * @param {McpGateway} [gateway] - Gateway to serve
+ * @param {Object} [options] - Session options
+ * @param {number} [options.idleTimeoutMs] - Idle time before a session expires (MCP_SESSION_IDLE_TIMEOUT)
+ * @param {number} [options.maxSessions=1000] - Most sessions kept
+ * @returns {Function} Handler `(req, res, body, principal) => void` where body is
+ *   the parsed JSON and principal the authenticated API key
+ */
+export function createMcpHttpHandler(gateway = new McpGateway(), {
+  idleTimeoutMs = getSetting('MCP_SESSION_IDLE_TIMEOUT'),
+  maxSessions = 1000,
+} = {}) {
+  // Session id -> { owner, expiresAt }, least recently used first
+  const sessions = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (session.expiresAt > now && sessions.size <= maxSessions) break;
+      sessions.delete(id);
+    }
+  };
+
+  // Re-inserted on every use so the map stays ordered by expiry
+  const touch = (id, owner) => {
+    sessions.delete(id);
+    sessions.set(id, { owner, expiresAt: Date.now() + idleTimeoutMs });
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, body === undefined ? headers : { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  };
+
+  const handler = async (req, res, body, principal = null) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const owner = principal?.id ?? null;
+    prune();
+    const owned = sessions.get(sessionId)?.owner === owner;
+
+    if (req.method === 'DELETE') {
+      return send(res, owned && sessions.delete(sessionId) ? 204 : 404);
+    }
+
+    // No standalone stream: the gateway never sends unsolicited messages
+    if (req.method !== 'POST') {
+      return send(res, 405, undefined, { Allow: 'POST, DELETE' });
+    }
+
+    if (body?.method === 'initialize') {
+      const response = await gateway.handleMessage(body);
+      const newSession = randomUUID();
+      touch(newSession, owner);
+      prune();
+      return send(res, 200, response, { 'Mcp-Session-Id': newSession });
+    }
+
+    if (!sessionId) {
+      return send(res, 400, errorResponse(body?.id, JsonRpcErrorCode.INVALID_REQUEST, 'Missing Mcp-Session-Id header'));
+    }
+    if (!sessions.has(sessionId) || !owned) {
+      return send(res, 404, errorResponse(body?.id, JsonRpcErrorCode.INVALID_REQUEST, 'Unknown session'));
+    }
+    touch(sessionId, owner);
+
+    const streaming = body?.params?._meta?.progressToken !== undefined
+      && (req.headers.accept || '').includes('text/event-stream');
+
+    if (!streaming) {
+      const response = await gateway.handleMessage(body, { session: sessionId });
+      return response ? send(res, 200, response) : send(res, 202);
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const writeEvent = (message) => res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    const response = await gateway.handleMessage(body, { notify: writeEvent, session: sessionId });
+    if (response) writeEvent(response);
+    res.end();
+  };
+
+  handler.sessions = sessions;
+  return handler;
+}
+
+export default McpGateway;
@@ -0,0 +1,276 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * MCP Streamable HTTP Transport - JSON-RPC over HTTP POST and Server-Sent Events
+ *
+ * Every client message is POSTed to the server URL. The server answers with
+ * `application/json`, with a `text/event-stream` that carries the response
+ * (plus any notifications sent before it), or with `202 Accepted` for
+ * notifications. After `notifications/initialized` a GET stream is opened
+ * for server-initiated messages and resumed with `Last-Event-ID` when it
+ * drops. The `Mcp-Session-Id` assigned during initialize is sent on every
+ * request and the session is deleted on close.
+ */
+
+import { EventEmitter } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('mcp-http');
+
+/**
+ * Header carrying the session id assigned by the server
+ */
+export const SESSION_HEADER = 'Mcp-Session-Id';
+
+/**
+ * Parse a Server-Sent Events body
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onEvent - Called with `{ event, data, id }` for every dispatched event
+ */
+async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { event: 'message', data: [], id: null };
+
+  const dispatchLine = (line) => {
+    if (line === '') {
+      if (event.data.length > 0) {
+        onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+      }
+      event = { event: 'message', data: [], id: null };
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event.event = value;
+    else if (field === 'data') event.data.push(value);
+    else if (field === 'id') event.id = value;
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      dispatchLine(line.replace(/\r$/, ''));
+    }
+  }
+}
+
+/**
+ * Streamable HTTP transport for remote MCP servers
+ *
+ * Events:
+ * - `message` (message): JSON-RPC message received from the server
+ * - `close` (error): the connection was lost for good (session expired or
+ *   the event stream could not be resumed); not emitted by close()
+ */
+export class StreamableHttpTransport extends EventEmitter {
+  #controller = new AbortController();
+  #lastEventId = null;
+  #streaming = false;
+  #closed = false;
+
+  /**
+   * @param {string} url - MCP endpoint URL
+   * @param {Object} [options] - Transport options
+   * @param {Object} [options.headers] - Extra request headers (e.g. Authorization)
+   * @param {number} [options.reconnectDelayMs=1000] - Initial delay before resuming the event stream
+   * @param {number} [options.maxReconnectAttempts=5] - Consecutive failed resumes before giving up
+   */
+  constructor(url, { headers = {}, reconnectDelayMs = 1000, maxReconnectAttempts = 5 } = {}) {
+    super();
+    this.url = url;
+    this.headers = headers;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.sessionId = null;
+    this.protocolVersion = null;
+  }
+
+  /**
+   * Whether close() was called or the connection was lost
+   */
+  get closed() {
+    return this.#closed;
+  }
+
+  /**
+   * Build request headers including the session id
+   * @private
+   */
+  #requestHeaders(extra) {
+    return {
+      ...this.headers,
+      ...(this.sessionId && { [SESSION_HEADER]: this.sessionId }),
+      ...(this.protocolVersion && { 'MCP-Protocol-Version': this.protocolVersion }),
+      ...extra,
+    };
+  }
+
+  /**
+   * POST a JSON-RPC message
+   * Resolves once the server accepted it; responses arrive as `message` events.
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    if (this.#closed) {
+      throw new Error('MCP transport closed');
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this.#requestHeaders({
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+      }),
+      body: JSON.stringify(message),
+      signal: this.#controller.signal,
+    });
+
+    const sessionId = response.headers.get(SESSION_HEADER);
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (response.status === 404 && this.sessionId && message.method !== 'initialize') {
+      const error = new Error('MCP session expired');
+      this.#lose(error);
+      throw error;
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`MCP HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      // Read in the background so the caller is not blocked by long streams
+      readEventStream(response.body, (event) => this.#onEvent(event)).catch((error) => {
+        if (!this.#closed) logger.warn(`Response stream of ${this.url} failed: ${error.message}`);
+      });
+    } else if (contentType.includes('application/json')) {
+      const body = await response.json();
+      for (const item of Array.isArray(body) ? body : [body]) {
+        this.emit('message', item);
+      }
+    } else {
+      await response.body?.cancel();
+    }
+
+    if (message.method === 'notifications/initialized') {
+      this.#openStream();
+    }
+  }
+
+  /**
+   * Emit the JSON-RPC message carried by an SSE event
+   * @private
+   */
+  #onEvent({ event, data, id }) {
+    if (id) this.#lastEventId = id;
+    if (event !== 'message') return;
+
+    try {
+      this.emit('message', JSON.parse(data));
+    } catch {
+      logger.debug(`Ignoring non-JSON event from ${this.url}`);
+    }
+  }
+
+  /**
+   * Keep a GET event stream open for server-initiated messages
+   * Resumes with `Last-Event-ID` and exponential backoff when it drops.
+   * @private
+   */
+  async #openStream() {
+    if (this.#streaming) return;
+    this.#streaming = true;
+    let attempt = 0;
+
+    while (!this.#closed) {
+      try {
+        const response = await fetch(this.url, {
+          method: 'GET',
+          headers: this.#requestHeaders({
+            Accept: 'text/event-stream',
+            ...(this.#lastEventId && { 'Last-Event-ID': this.#lastEventId }),
+          }),
+          signal: this.#controller.signal,
+        });
+
+        // The server does not offer a standalone stream
+        if (response.status === 405) {
+          await response.body?.cancel();
+          break;
+        }
+        if (response.status === 404 && this.sessionId) {
+          this.#lose(new Error('MCP session expired'));
+          break;
+        }
+        if (!response.ok) {
+          await response.body?.cancel();
+          throw new Error(`MCP HTTP ${response.status}`);
+        }
+
+        attempt = 0;
+        await readEventStream(response.body, (event) => this.#onEvent(event));
+        logger.debug(`Event stream of ${this.url} ended, resuming`);
+      } catch (error) {
+        if (this.#closed) break;
+        attempt++;
+        if (attempt > this.maxReconnectAttempts) {
+          this.#lose(new Error(`MCP event stream lost: ${error.message}`));
+          break;
+        }
+        logger.warn(`Event stream of ${this.url} failed (${error.message}), retry ${attempt}/${this.maxReconnectAttempts}`);
+      }
+
+      const delay = this.reconnectDelayMs * 2 ** Math.max(attempt - 1, 0);
+      await sleep(delay, undefined, { signal: this.#controller.signal }).catch(() => {});
+    }
+
+    this.#streaming = false;
+  }
+
+  /**
+   * Give up on the connection and notify the owner
+   * @private
+   */
+  #lose(error) {
+    if (this.#closed) return;
+    this.#closed = true;
+    this.#controller.abort();
+    logger.warn(`Lost connection to ${this.url}: ${error.message}`);
+    this.emit('close', error);
+  }
+
+  /**
+   * Abort open requests and terminate the session
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.#closed) return;
+    this.#closed = true;
+    this.#controller.abort();
+
+    if (this.sessionId) {
+      try {
+        await fetch(this.url, {
+          method: 'DELETE',
+          headers: this.#requestHeaders(),
+          signal: AbortSignal.timeout(5000),
+        });
+      } catch (error) {
+        logger.debug(`Failed to delete session on ${this.url}: ${error.message}`);
+      }
+    }
+  }
+}
+
+export default StreamableHttpTransport;
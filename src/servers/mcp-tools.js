@@ -0,0 +1,238 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * MCP Tool Catalog - Tools discovered on running MCP servers
+ *
+ * Calls `tools/list` on every running server and exposes the results in
+ * the agent tool format, prefixed with the server name
+ * (e.g. `filesystem__read_file`). Refreshes on
+ * `notifications/tools/list_changed`.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { registry, ServerStatus } from './index.js';
+
+const logger = createLogger('mcp-tools');
+
+/**
+ * Category of tools provided by external MCP servers
+ */
+export const MCP_TOOL_CATEGORY = 'mcp';
+
+/**
+ * Separator between server prefix and tool name
+ * (built-in tools use single underscores, so prefixed names never collide)
+ */
+const PREFIX_SEPARATOR = '__';
+
+/**
+ * Build the catalog name of a server tool
+ * Function names are limited to [a-zA-Z0-9_-]{1,64} by OpenAI-style clients
+ * @param {string} serverName - Server name
+ * @param {string} toolName - Tool name reported by the server
+ * @returns {string} Prefixed tool name
+ */
+export function getMcpToolName(serverName, toolName) {
+  return `${serverName}${PREFIX_SEPARATOR}${toolName}`
+    .replace(/[^a-zA-Z0-9_-]/g, '_')
+    .slice(0, 64);
+}
+
+/**
+ * Check whether an MCP tool may change state
+ * Per the MCP spec `destructiveHint` defaults to true for tools that are not
+ * `readOnlyHint`, so unannotated tools count as destructive.
+ * @param {Object} [annotations] - Tool annotations reported by the server
+ * @returns {boolean}
+ */
+export function isDestructiveTool(annotations) {
+  return annotations?.readOnlyHint !== true && annotations?.destructiveHint !== false;
+}
+
+/**
+ * MCP Tool Catalog
+ * Keeps the tools of running MCP servers in sync with the registry
+ */
+export class McpToolCatalog {
+  #registry;
+  #tools = new Map();
+  #subscriptions = new Map();
+  #attached = false;
+
+  /**
+   * @param {ServerRegistry} serverRegistry - Registry to follow
+   */
+  constructor(serverRegistry = registry) {
+    this.#registry = serverRegistry;
+  }
+
+  /**
+   * Start following server status changes
+   * Servers that are already running are listed immediately.
+   */
+  attach() {
+    if (this.#attached) return;
+    this.#attached = true;
+    this.#registry.on('status', this.#onStatus);
+
+    for (const server of this.#registry.getAll()) {
+      if (server.status === ServerStatus.RUNNING) {
+        this.#track(server.name);
+      }
+    }
+  }
+
+  /**
+   * Stop following the registry and drop all discovered tools
+   */
+  detach() {
+    this.#registry.off('status', this.#onStatus);
+    this.#attached = false;
+    for (const name of this.#subscriptions.keys()) {
+      this.remove(name);
+    }
+    this.#tools.clear();
+  }
+
+  #onStatus = (server) => {
+    if (server.status === ServerStatus.RUNNING) {
+      this.#track(server.name);
+    } else if (this.#subscriptions.has(server.name)) {
+      this.remove(server.name);
+    }
+  };
+
+  /**
+   * Subscribe to list_changed notifications and list the server's tools
+   * @private
+   */
+  #track(serverName) {
+    const client = this.#registry.getClient(serverName);
+    if (!client) return;
+
+    this.#subscriptions.get(serverName)?.();
+    const onNotification = (message) => {
+      if (message.method === 'notifications/tools/list_changed') {
+        logger.info(`Tool list changed on ${serverName}, refreshing`);
+        this.refresh(serverName);
+      }
+    };
+    client.on('notification', onNotification);
+    this.#subscriptions.set(serverName, () => client.off('notification', onNotification));
+
+    this.refresh(serverName);
+  }
+
+  /**
+   * Re-list the tools of a running server
+   * @param {string} serverName - Server name
+   * @returns {Promise<Array>} Catalog entries of the server
+   */
+  async refresh(serverName) {
+    const client = this.#registry.getClient(serverName);
+    const server = this.#registry.get(serverName);
+    if (!client || !server?.capabilities?.tools) {
+      return [];
+    }
+
+    try {
+      const tools = [];
+      let cursor;
+      do {
+        const page = await client.listTools(cursor);
+        tools.push(...(page?.tools || []));
+        cursor = page?.nextCursor;
+      } while (cursor);
+
+      // Server stopped or restarted while listing
+      if (this.#registry.getClient(serverName) !== client) return [];
+
+      this.#removeTools(serverName);
+      const entries = tools.map((tool) => ({
+        name: getMcpToolName(serverName, tool.name),
+        description: tool.description || tool.title || tool.name,
+        category: MCP_TOOL_CATEGORY,
+        parameters: tool.inputSchema || { type: 'object', properties: {} },
+        handler: tool.name,
+        server: serverName,
+        destructive: isDestructiveTool(tool.annotations),
+      }));
+      for (const entry of entries) {
+        this.#tools.set(entry.name, entry);
+      }
+
+      logger.info(`Registered ${entries.length} tools from ${serverName}`);
+      return entries;
+    } catch (error) {
+      logger.warn(`Failed to list tools of ${serverName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Drop a server's tools and notification subscription
+   * @param {string} serverName - Server name
+   */
+  remove(serverName) {
+    this.#subscriptions.get(serverName)?.();
+    this.#subscriptions.delete(serverName);
+    this.#removeTools(serverName);
+  }
+
+  /**
+   * @private
+   */
+  #removeTools(serverName) {
+    for (const [name, tool] of this.#tools) {
+      if (tool.server === serverName) {
+        this.#tools.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Get all discovered tools
+   * @returns {Array} Tool definitions in agent tool format
+   */
+  getTools() {
+    return Array.from(this.#tools.values());
+  }
+
+  /**
+   * Get a discovered tool by its prefixed name
+   * @param {string} name - Prefixed tool name
+   * @returns {Object|null} Tool definition
+   */
+  getTool(name) {
+    return this.#tools.get(name) || null;
+  }
+
+  /**
+   * Call a discovered tool on its owning server
+   * A progress token is always attached so servers can report progress,
+   * which the registry relays to the dashboard.
+   * @param {string} name - Prefixed tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} [options] - Request options (timeout, signal, onProgress)
+   * @returns {Promise<Object>} MCP `tools/call` result
+   */
+  async callTool(name, args = {}, options = {}) {
+    const tool = this.getTool(name);
+    if (!tool) {
+      throw new Error(`Unknown MCP tool: ${name}`);
+    }
+
+    const client = this.#registry.getClient(tool.server);
+    if (!client) {
+      throw new Error(`MCP server not running: ${tool.server}`);
+    }
+
+    const {
+      onProgress = (progress) => logger.debug(`${name} progress: ${progress.progress}/${progress.total ?? '?'}`),
+    } = options;
+    return client.callTool(tool.handler, args, { ...options, onProgress });
+  }
+}
+
+// Singleton instance following the shared registry
+export const mcpToolCatalog = new McpToolCatalog(registry);
+export default mcpToolCatalog;
@@ -321,7 +321,7 @@ class PatreonClient {
 
   /**
    * Verify webhook signature
-   * @param {string} body - Raw request body
+   * @param {string|Buffer} body - Raw request body, as received
    * @param {string} signature - X-Patreon-Signature header
    */
   verifyWebhookSignature(body, signature) {
@@ -0,0 +1,122 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Spawn Spec - How local MCP server processes are launched
+ *
+ * Servers run without a shell and with a minimal environment: only the
+ * variables in BASE_ENV_ALLOWLIST and the server's `envAllowlist` are
+ * inherited from the tower, and `env` entries are injected on top. The
+ * resolved spec is shared by the ServerRegistry and McpToolClient.
+ */
+
+import { isAbsolute, resolve } from 'path';
+
+/**
+ * Variables every server inherits: what shells, package runners and
+ * runtimes need to locate executables, caches and temp space
+ */
+export const BASE_ENV_ALLOWLIST = [
+  'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TERM', 'TZ',
+  'TMPDIR', 'TMP', 'TEMP',
+  // Windows
+  'Path', 'PATHEXT', 'SystemRoot', 'SystemDrive', 'windir', 'ComSpec',
+  'USERPROFILE', 'APPDATA', 'LOCALAPPDATA', 'ProgramData', 'ProgramFiles', 'ProgramFiles(x86)',
+];
+
+/**
+ * Package runner shims that are batch files on Windows and cannot be
+ * spawned without a shell there
+ */
+const WINDOWS_SHIMS = /^(npm|npx|pnpm|pnpx|yarn)$|\.(cmd|bat)$/i;
+
+/**
+ * Check whether an allowlist entry matches a variable name
+ * Entries ending in `*` match by prefix (e.g. `NPM_CONFIG_*`).
+ * @param {string} entry - Allowlist entry
+ * @param {string} name - Variable name
+ * @returns {boolean}
+ */
+function allows(entry, name) {
+  return entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : entry === name;
+}
+
+/**
+ * Build the environment of a server process
+ * @param {Object} config - Server config entry
+ * @param {Object} [parentEnv=process.env] - Environment to inherit from
+ * @returns {Object} Child environment
+ */
+export function buildSpawnEnv(config, parentEnv = process.env) {
+  const allowlist = [...BASE_ENV_ALLOWLIST, ...(config.envAllowlist || [])];
+  const env = {};
+
+  for (const [name, value] of Object.entries(parentEnv)) {
+    if (value !== undefined && allowlist.some((entry) => allows(entry, name))) {
+      env[name] = value;
+    }
+  }
+  Object.assign(env, config.env);
+
+  if (config.maxHeapMb) {
+    env.NODE_OPTIONS = [env.NODE_OPTIONS, `--max-old-space-size=${config.maxHeapMb}`]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  return env;
+}
+
+/**
+ * Resolve how a local server is spawned
+ * @param {Object} config - Server config entry
+ * @param {Object} [options] - Resolution options
+ * @param {Object} [options.env=process.env] - Environment to inherit from
+ * @param {string} [options.cwd=process.cwd()] - Directory relative `cwd` values are resolved against
+ * @param {string} [options.platform=process.platform] - Target platform
+ * @returns {Object} Spec: command, args, options (for child_process.spawn), maxRuntimeMs
+ */
+export function resolveSpawnSpec(config, {
+  env = process.env,
+  cwd = process.cwd(),
+  platform = process.platform,
+} = {}) {
+  const { command, args = [] } = config;
+  const shell = config.shell ?? (platform === 'win32' && WINDOWS_SHIMS.test(command));
+
+  return {
+    command,
+    args,
+    options: {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      shell,
+      cwd: config.cwd ? (isAbsolute(config.cwd) ? config.cwd : resolve(cwd, config.cwd)) : cwd,
+      env: buildSpawnEnv(config, env),
+    },
+    maxRuntimeMs: config.maxRuntimeMs ?? null,
+  };
+}
+
+/**
+ * Describe a spawn spec for the API
+ * Environment values are left out because inherited variables may hold
+ * secrets; the names show what the process can see.
+ * @param {Object} spec - Spec from resolveSpawnSpec()
+ * @param {Object} config - Server config entry the spec was resolved from
+ * @returns {Object} Command, args, cwd, shell, env names, limits
+ */
+export function describeSpawnSpec(spec, config) {
+  const injected = Object.keys(config.env || {});
+  if (config.maxHeapMb && !injected.includes('NODE_OPTIONS')) injected.push('NODE_OPTIONS');
+
+  return {
+    command: spec.command,
+    args: spec.args,
+    cwd: spec.options.cwd,
+    shell: spec.options.shell,
+    env: {
+      inherited: Object.keys(spec.options.env).filter((name) => !injected.includes(name)).sort(),
+      injected,
+    },
+    maxHeapMb: config.maxHeapMb ?? null,
+    maxRuntimeMs: spec.maxRuntimeMs,
+  };
+}
@@ -4,6 +4,8 @@
  * Reference: docs/STRIPE_MCP_REFERENCE.md
  */
 
+import { getIdempotencyKey } from '../api/idempotency.js';
+import { getSetting } from '../utils/config.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('stripe');
@@ -14,7 +16,7 @@ const STRIPE_API = 'https://api.stripe.com/v1';
  * Stripe API client
  */
 class StripeClient {
-  constructor(secretKey = process.env.STRIPE_SECRET_KEY) {
+  constructor(secretKey = getSetting('STRIPE_API_KEY')) {
     this.secretKey = secretKey;
     this.headers = {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -26,13 +28,18 @@ class StripeClient {
 
   /**
    * Make Stripe API request
+   * POSTs made while handling a request sent with an `Idempotency-Key`
+   * carry a key derived from it, so Stripe dedupes retries too.
    */
   async request(endpoint, options = {}) {
     const url = `${STRIPE_API}${endpoint}`;
-    
+    const headers = { ...this.headers, ...options.headers };
+    const idempotencyKey = options.method === 'POST' && getIdempotencyKey(`POST ${endpoint}`);
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
     const response = await fetch(url, {
       ...options,
-      headers: { ...this.headers, ...options.headers },
+      headers,
     });
 
     const data = await response.json();
@@ -0,0 +1,17 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Config Check - Stops startup on invalid environment values
+ *
+ * Imported by the entry point right after dotenv, before any module reads
+ * the configuration, so a bad value ends the process with one report
+ * instead of a stack trace from whichever module loads first.
+ */
+
+import { formatConfigProblems, validateEnvironment } from './config.js';
+
+const problems = validateEnvironment();
+
+if (problems.length > 0) {
+  console.error(formatConfigProblems(problems));
+  process.exit(1);
+}
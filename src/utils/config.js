@@ -3,27 +3,27 @@
  * Configuration loader
  */
 
-import { existsSync, readFileSync } from 'fs';
-import { dirname, join } from 'path';
+import dotenv from 'dotenv';
+import { existsSync, readFileSync, renameSync, watch, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { basename, dirname, join, resolve } from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = join(__dirname, '..', '..');
 
 /**
- * Default configuration
+ * Default MCP config file locations
  */
 const defaults = {
-  dashboard: {
-    port: 3000,
-    host: '0.0.0.0',
-  },
-  api: {
-    port: 8080,
-    host: '0.0.0.0',
-  },
   mcp: {
     configPath: join(ROOT_DIR, '.vscode', 'settings.json'),
+    // Server definition files, highest precedence first
+    sources: [
+      join(ROOT_DIR, '.vscode', 'settings.json'),
+      join(ROOT_DIR, '.vscode', 'mcp.json'),
+      join(ROOT_DIR, '.mcp.json'),
+    ],
   },
 };
 
@@ -86,104 +86,746 @@ export function stripJsonc(content) {
 }
 
 /**
- * Load MCP server configuration from VS Code settings
- * @param {string} [configPath] - Optional custom config path (for testing)
+ * Skip whitespace and comments
+ * @returns {number} Index of the next significant character
+ */
+function skipTrivia(content, i) {
+  while (i < content.length) {
+    if (/\s/.test(content[i])) {
+      i++;
+    } else if (content.startsWith('//', i)) {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (content.startsWith('/*', i)) {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Parse one JSONC value into a node with source offsets
+ * Objects keep their members as `{ key, keyStart, value, commaEnd }`, where
+ * commaEnd is the offset after the separating comma (or null).
+ * @returns {Object} Node `{ type, start, end, members? }`
+ */
+function parseJsoncNode(content, i) {
+  i = skipTrivia(content, i);
+  const start = i;
+  const char = content[i];
+
+  if (char === '"') {
+    i++;
+    while (i < content.length && content[i] !== '"') {
+      i += content[i] === '\\' ? 2 : 1;
+    }
+    return { type: 'string', start, end: i + 1 };
+  }
+
+  if (char === '{' || char === '[') {
+    const close = char === '{' ? '}' : ']';
+    const members = [];
+    i = skipTrivia(content, i + 1);
+
+    while (content[i] !== close) {
+      if (i >= content.length) throw new SyntaxError(`Unterminated ${char} at ${start}`);
+
+      let key = null;
+      const keyStart = i;
+      if (char === '{') {
+        const keyNode = parseJsoncNode(content, i);
+        key = JSON.parse(content.slice(keyNode.start, keyNode.end));
+        i = skipTrivia(content, keyNode.end);
+        if (content[i] !== ':') throw new SyntaxError(`Expected ':' at ${i}`);
+        i++;
+      }
+
+      const value = parseJsoncNode(content, i);
+      const member = { key, keyStart, value, commaEnd: null };
+      members.push(member);
+
+      i = skipTrivia(content, value.end);
+      if (content[i] === ',') {
+        member.commaEnd = i + 1;
+        i = skipTrivia(content, i + 1);
+      } else if (content[i] !== close) {
+        throw new SyntaxError(`Expected ',' or '${close}' at ${i}`);
+      }
+    }
+
+    return { type: char === '{' ? 'object' : 'array', start, end: i + 1, members };
+  }
+
+  const match = /^[^\s,:{}[\]/]+/.exec(content.slice(i));
+  if (!match) throw new SyntaxError(`Unexpected token at ${i}`);
+  return { type: 'literal', start, end: i + match[0].length };
+}
+
+/**
+ * Leading whitespace of the line containing an offset
+ */
+function lineIndent(content, offset) {
+  const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+  return /^[ \t]*/.exec(content.slice(lineStart))[0];
+}
+
+/**
+ * Set or remove a property in JSONC text
+ * Only the affected member is rewritten, so comments and formatting
+ * elsewhere in the document are preserved. Missing parent objects are
+ * created.
+ * @param {string} content - JSONC document whose root is an object
+ * @param {string[]} path - Property keys from the root
+ * @param {*} value - New value, or undefined to remove the property
+ * @returns {string} Updated document
+ */
+export function modifyJsonc(content, path, value) {
+  if (!content.trim()) content = '{}\n';
+
+  const root = parseJsoncNode(content, 0);
+  if (root.type !== 'object') throw new SyntaxError('JSONC root must be an object');
+
+  const firstMember = root.members[0];
+  const indentUnit = (firstMember && lineIndent(content, firstMember.keyStart)) || '  ';
+
+  let node = root;
+  for (let depth = 0; depth < path.length; depth++) {
+    const key = path[depth];
+    const member = node.members.find((m) => m.key === key);
+    const isLast = depth === path.length - 1;
+
+    if (member && !isLast && member.value.type === 'object') {
+      node = member.value;
+      continue;
+    }
+
+    if (value === undefined) {
+      return member && isLast ? removeMember(content, node, member) : content;
+    }
+
+    // Build the remaining path as nested objects
+    const newValue = path.slice(depth + 1).reduceRight((inner, k) => ({ [k]: inner }), value);
+    if (member) {
+      const indent = lineIndent(content, member.keyStart);
+      const text = JSON.stringify(newValue, null, indentUnit).replace(/\n/g, `\n${indent}`);
+      return content.slice(0, member.value.start) + text + content.slice(member.value.end);
+    }
+    return insertMember(content, node, key, newValue, indentUnit);
+  }
+
+  return content;
+}
+
+/**
+ * Append a member to an object node
+ */
+function insertMember(content, node, key, value, indentUnit) {
+  const parentIndent = lineIndent(content, node.start);
+  const last = node.members.at(-1);
+  const indent = last ? lineIndent(content, last.keyStart) : parentIndent + indentUnit;
+  const text = `${JSON.stringify(key)}: ${JSON.stringify(value, null, indentUnit).replace(/\n/g, `\n${indent}`)}`;
+
+  if (!last) {
+    const inner = content.slice(node.start + 1, node.end - 1);
+    return `${content.slice(0, node.start + 1)}${inner.trimEnd()}\n${indent}${text}\n${parentIndent}${content.slice(node.end - 1)}`;
+  }
+
+  // Keep a comment trailing the last member on its line
+  const afterValue = last.commaEnd ?? last.value.end;
+  const lineEnd = content.indexOf('\n', afterValue);
+  const restOfLine = content.slice(afterValue, lineEnd === -1 ? node.end - 1 : lineEnd);
+  const insertAt = lineEnd !== -1 && lineEnd < node.end && /^\s*(\/\/.*)?$/.test(restOfLine)
+    ? lineEnd
+    : afterValue;
+
+  const comma = last.commaEnd === null ? ',' : '';
+  return content.slice(0, last.value.end) + comma
+    + content.slice(last.value.end, insertAt) + `\n${indent}${text}` + content.slice(insertAt);
+}
+
+/**
+ * Remove a member (and its separating comma) from an object node
+ */
+function removeMember(content, node, member) {
+  let start = member.keyStart;
+  let end = member.commaEnd ?? member.value.end;
+
+  // Drop the whole line (with a trailing comment) when the member was alone on it
+  const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = content.indexOf('\n', end);
+  if (/^[ \t]*$/.test(content.slice(lineStart, start))
+    && lineEnd !== -1 && /^[ \t]*(\/\/.*)?$/.test(content.slice(end, lineEnd))) {
+    start = lineStart;
+    end = lineEnd + 1;
+  }
+
+  let result = content.slice(0, start) + content.slice(end);
+
+  // The last member takes the previous separator with it
+  const previous = node.members[node.members.indexOf(member) - 1];
+  if (member.commaEnd === null && previous?.commaEnd) {
+    const comma = previous.commaEnd - 1;
+    result = result.slice(0, comma) + result.slice(comma + 1);
+  }
+
+  return result;
+}
+
+/**
+ * Keys holding server definitions, by config format:
+ * `mcp.servers` (VS Code settings), `servers` (`.vscode/mcp.json`) and
+ * `mcpServers` (Claude Desktop, project `.mcp.json`)
+ */
+const SERVER_KEYS = ['mcp.servers', 'servers', 'mcpServers'];
+
+/**
+ * Pick the key holding server definitions in a config file
+ * Files without any of the keys are told apart by name.
+ * @param {string} configPath - Config file path
+ * @param {Object} [settings] - Parsed file content
+ * @returns {string} Servers key
+ */
+function getServersKey(configPath, settings = {}) {
+  const present = SERVER_KEYS.find((key) => key in settings);
+  if (present) return present;
+  if (basename(configPath) === 'settings.json') return 'mcp.servers';
+  if (basename(configPath) === 'mcp.json') return 'servers';
+  return 'mcpServers';
+}
+
+/**
+ * Resolve variables in every string of a server config
+ * Supports `${env:VAR}`, `${workspaceFolder}` and `${input:id}`. Inputs are
+ * read from `MCP_INPUT_<ID>` (id upper-cased, other characters replaced by
+ * `_`) and fall back to the `default` of the matching `inputs` entry.
+ * @param {*} value - Config value
+ * @param {Array} [inputs] - `inputs` declared by the config file
+ * @returns {*} Value with variables replaced
+ */
+export function interpolateConfig(value, inputs = []) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(?:(env|input):([^}]+)|workspaceFolder)\}/g, (match, kind, name) => {
+      if (!kind) return ROOT_DIR;
+
+      const resolved = kind === 'env'
+        ? process.env[name]
+        : process.env[`MCP_INPUT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`]
+          ?? inputs.find((input) => input.id === name)?.default;
+
+      if (resolved === undefined) {
+        console.warn(`MCP config variable ${match} is not set`);
+        return '';
+      }
+      return resolved;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolateConfig(item, inputs));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateConfig(item, inputs)]));
+  }
+  return value;
+}
+
+/**
+ * Get the MCP config files to read, highest precedence first
+ * `MCP_CONFIG_SOURCES` (comma-separated, relative to the project root,
+ * `~` for the home directory) replaces the default list.
+ * @returns {string[]} Absolute file paths
+ */
+export function getMcpConfigSources() {
+  const configured = (process.env.MCP_CONFIG_SOURCES || '')
+    .split(',')
+    .map((source) => source.trim())
+    .filter(Boolean);
+
+  if (configured.length === 0) return defaults.mcp.sources;
+  return configured.map((source) => resolve(ROOT_DIR, source.replace(/^~(?=$|[\\/])/, homedir())));
+}
+
+/**
+ * Read the server definitions of one MCP config file
+ * Unlike loadMcpServers(), a missing or malformed file throws.
+ * @param {string} [configPath] - Config file path
+ * @returns {Object} MCP servers configuration with variables resolved
+ */
+export function readMcpServers(configPath = defaults.mcp.configPath) {
+  const content = readFileSync(configPath, 'utf-8');
+  const settings = JSON.parse(stripJsonc(content));
+  const servers = settings[getServersKey(configPath, settings)] || {};
+  return interpolateConfig(servers, settings.inputs);
+}
+
+/**
+ * Merge the servers of several files; earlier files take precedence
+ */
+function mergeMcpSources(sources, read) {
+  const servers = {};
+  const origins = {};
+
+  for (const configPath of sources) {
+    if (!existsSync(configPath)) continue;
+    for (const [name, config] of Object.entries(read(configPath))) {
+      if (name in servers) continue;
+      servers[name] = config;
+      origins[name] = configPath;
+    }
+  }
+
+  return { servers, origins };
+}
+
+/**
+ * Read and merge MCP server definitions from every source
+ * Missing files are skipped; a malformed file throws.
+ * @param {string[]} [sources] - Config files, highest precedence first
+ * @returns {Object} `{ servers, origins }` where origins maps server names to files
+ */
+export function readMcpServerConfig(sources = getMcpConfigSources()) {
+  return mergeMcpSources(sources, readMcpServers);
+}
+
+/**
+ * Load and merge MCP server definitions from every source
+ * Malformed files are logged and skipped.
+ * @param {string[]} [sources] - Config files, highest precedence first
+ * @returns {Object} `{ servers, origins }` where origins maps server names to files
+ */
+export function loadMcpServerConfig(sources = getMcpConfigSources()) {
+  if (!sources.some((configPath) => existsSync(configPath))) {
+    console.warn(`MCP config not found at ${sources.join(', ')}`);
+  }
+
+  return mergeMcpSources(sources, (configPath) => {
+    try {
+      return readMcpServers(configPath);
+    } catch (error) {
+      console.error(`Failed to load MCP config ${configPath}:`, error.message);
+      return {};
+    }
+  });
+}
+
+/**
+ * Load MCP server configuration
+ * @param {string} [configPath] - Single config file (for testing); all sources by default
  * @returns {Object} MCP servers configuration
  */
-export function loadMcpServers(configPath = defaults.mcp.configPath) {
-  if (!existsSync(configPath)) {
-    console.warn(`MCP config not found at ${configPath}`);
-    return {};
+export function loadMcpServers(configPath) {
+  return loadMcpServerConfig(configPath ? [configPath] : getMcpConfigSources()).servers;
+}
+
+/**
+ * Add, replace or remove one MCP server definition in a config file
+ * Comments and formatting of the rest of the file are preserved. The file
+ * is replaced atomically and created when missing.
+ * @param {string} name - Server name
+ * @param {Object|undefined} definition - Server config, or undefined to remove it
+ * @param {Object} [options] - Write options
+ * @param {string} [options.configPath] - Config file path
+ * @returns {Object} Server definitions of the file after the change
+ */
+export function writeMcpServer(name, definition, { configPath = defaults.mcp.configPath } = {}) {
+  const content = existsSync(configPath) ? readFileSync(configPath, 'utf-8') : '';
+  const key = getServersKey(configPath, content.trim() ? JSON.parse(stripJsonc(content)) : {});
+  const updated = modifyJsonc(content, [key, name], definition);
+  const settings = JSON.parse(stripJsonc(updated));
+
+  const tempPath = `${configPath}.${process.pid}.tmp`;
+  writeFileSync(tempPath, updated);
+  renameSync(tempPath, configPath);
+
+  return settings[key] || {};
+}
+
+/**
+ * Watch the MCP config files for changes
+ * Directories are watched so editors that replace files on save are
+ * noticed. Unreadable or malformed content is reported via onError and
+ * does not reach onChange.
+ * @param {Function} onChange - Called with the merged `(servers, origins)`
+ * @param {Object} [options] - Watch options
+ * @param {string[]} [options.sources] - Config files, highest precedence first
+ * @param {number} [options.debounceMs=250] - Quiet period before reloading
+ * @param {Function} [options.onError] - Called with read/parse errors
+ * @returns {Function} Stops watching
+ */
+export function watchMcpServers(onChange, {
+  sources = getMcpConfigSources(),
+  debounceMs = 250,
+  onError = (error) => console.error('Failed to reload MCP config:', error.message),
+} = {}) {
+  let timer = null;
+
+  const reload = () => {
+    timer = null;
+    let config;
+    try {
+      config = readMcpServerConfig(sources);
+    } catch (error) {
+      onError(error);
+      return;
+    }
+    onChange(config.servers, config.origins);
+  };
+
+  // Group watched file names by directory
+  const filesByDir = new Map();
+  for (const configPath of sources) {
+    const dir = dirname(configPath);
+    if (!existsSync(dir)) continue;
+    if (!filesByDir.has(dir)) filesByDir.set(dir, new Set());
+    filesByDir.get(dir).add(basename(configPath));
   }
 
-  try {
-    const content = readFileSync(configPath, 'utf-8');
-    const jsonContent = stripJsonc(content);
-    const settings = JSON.parse(jsonContent);
-    return settings['mcp.servers'] || {};
-  } catch (error) {
-    console.error('Failed to load MCP config:', error.message);
-    return {};
+  const watchers = [...filesByDir].map(([dir, filenames]) => watch(dir, (eventType, changed) => {
+    if (changed && !filenames.has(changed)) return;
+    clearTimeout(timer);
+    timer = setTimeout(reload, debounceMs);
+  }));
+
+  return () => {
+    clearTimeout(timer);
+    for (const watcher of watchers) watcher.close();
+  };
+}
+
+/**
+ * Settings read from the environment
+ * Each entry maps an environment variable to a config path with its type,
+ * default (a value, or a function of the values resolved before it) and
+ * optional constraints. `secret` values are redacted by getRedactedConfig();
+ * `aliases` are older variable names still accepted.
+ */
+const CONFIG_SCHEMA = [
+  { env: 'NODE_ENV', path: 'env.nodeEnv', type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+  { env: 'LOG_LEVEL', path: 'env.logLevel', type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info' },
+  { env: 'LOG_TO_FILE', path: 'env.logToFile', type: 'boolean', default: true },
+  { env: 'TRACE_TO_FILE', path: 'tracing.toFile', type: 'boolean', default: true },
+  { env: 'TRACE_FILE', path: 'tracing.file', type: 'string', default: './logs/traces.jsonl' },
+
+  { env: 'DASHBOARD_PORT', path: 'dashboard.port', type: 'port', default: 3000 },
+  { env: 'DASHBOARD_HOST', path: 'dashboard.host', type: 'string', default: '0.0.0.0' },
+  { env: 'API_PORT', path: 'api.port', type: 'port', default: 8080 },
+  { env: 'API_HOST', path: 'api.host', type: 'string', default: '0.0.0.0' },
+  { env: 'API_BODY_LIMIT', path: 'api.bodyLimit', type: 'integer', min: 1, default: 1024 * 1024 },
+  { env: 'API_UPLOAD_LIMIT', path: 'api.uploadLimit', type: 'integer', min: 1, default: 50 * 1024 * 1024 },
+  { env: 'IDEMPOTENCY_TTL', path: 'api.idempotencyTtl', type: 'integer', min: 0, default: 86400000 }, // 24 hours
+  { env: 'IDEMPOTENCY_MAX_ENTRIES', path: 'api.idempotencyMaxEntries', type: 'integer', min: 1, default: 10000 },
+
+  { env: 'MCP_API_URL', path: 'mcp.apiUrl', type: 'url', default: (v) => `http://localhost:${v.API_PORT}/api` },
+  { env: 'MCP_WS_URL', path: 'mcp.wsUrl', type: 'url', default: (v) => `ws://localhost:${v.API_PORT}` },
+  { env: 'MCP_MAX_RECONNECT_ATTEMPTS', path: 'mcp.maxReconnectAttempts', type: 'integer', min: 0, default: 10 },
+  { env: 'MCP_RECONNECT_INTERVAL', path: 'mcp.reconnectInterval', type: 'integer', min: 1, default: 5000 },
+  { env: 'MCP_STARTUP_TIMEOUT', path: 'mcp.startupTimeoutMs', type: 'integer', min: 1, default: 30000 },
+  { env: 'MCP_LOG_BUFFER_SIZE', path: 'mcp.logBufferSize', type: 'integer', min: 1, default: 500 },
+  { env: 'MCP_PROBE_INTERVAL', path: 'mcp.probeIntervalMs', type: 'integer', min: 0, default: 30000 },
+  { env: 'MCP_KILL_TIMEOUT', path: 'mcp.killTimeoutMs', type: 'integer', min: 1, default: 5000 },
+  { env: 'MCP_SESSION_IDLE_TIMEOUT', path: 'mcp.sessionIdleTimeoutMs', type: 'integer', min: 1, default: 1800000 }, // 30 minutes
+  { env: 'MCP_CONFIG_WATCH', path: 'mcp.watch', type: 'boolean', default: true },
+  { env: 'MCP_CONFIG_SOURCES', path: 'mcp.sources', type: 'list', default: () => defaults.mcp.sources },
+
+  { env: 'LMS_HOST', path: 'lmstudio.host', type: 'string', default: 'localhost' },
+  { env: 'LMS_PORT', path: 'lmstudio.port', type: 'port', default: 1234 },
+  { env: 'LMS_MODEL', path: 'lmstudio.model', type: 'string', default: 'qwen2.5-7b-instruct' },
+  { env: 'LMS_TEMPERATURE', path: 'lmstudio.temperature', type: 'number', min: 0, default: 0.7 },
+  { env: 'LMS_MAX_TOKENS', path: 'lmstudio.maxTokens', type: 'integer', min: 1, default: 2048 },
+  { env: 'LMS_TIMEOUT', path: 'lmstudio.timeout', type: 'integer', min: 1, default: 120000 }, // 2 minutes for slow models
+  { env: 'LMS_RETRIES', path: 'lmstudio.retries', type: 'integer', min: 0, default: 2 },
+
+  { env: 'AGENT_MAX_ITERATIONS', path: 'agent.maxIterations', type: 'integer', min: 1, default: 5 },
+  { env: 'AGENT_MAX_CONVERSATIONS', path: 'agent.maxConversations', type: 'integer', min: 1, default: 100 },
+  { env: 'AGENT_CONVERSATION_TTL', path: 'agent.conversationTtl', type: 'integer', min: 1, default: 3600000 }, // 1 hour
+  { env: 'AGENT_PERSONALITY_NAME', path: 'agent.personalityName', type: 'string', default: 'Bambi' },
+  { env: 'AGENT_ENABLE_TOOL_CALLING', path: 'agent.enableToolCalling', type: 'boolean', default: true },
+  { env: 'AGENT_ENABLE_KNOWLEDGE_GRAPH', path: 'agent.enableKnowledgeGraph', type: 'boolean', default: true },
+
+  { env: 'MONGODB_URI', path: 'database.mongodb.uri', type: 'url', default: 'mongodb://localhost:27017/bambisleep', redact: 'credentials' },
+  { env: 'MONGODB_DATABASE', path: 'database.mongodb.database', type: 'string', default: 'bambisleepchurch' },
+  { env: 'SQLITE_PATH', path: 'database.sqlite.path', type: 'string', default: './data/local.db' },
+  { env: 'MEMORY_SNAPSHOT_PATH', path: 'memory.snapshotPath', type: 'string', default: './data/memory.json' },
+  { env: 'STORAGE_DIR', path: 'storage.dir', type: 'string', default: './data/storage' },
+  { env: 'STORAGE_PUBLIC_URL', path: 'storage.publicUrl', type: 'url', default: (v) => `http://localhost:${v.DASHBOARD_PORT}/storage` },
+
+  { env: 'KOKORO_URL', path: 'kokoro.url', type: 'url', default: 'http://192.168.0.122:8880' },
+  { env: 'KOKORO_DEFAULT_VOICE', path: 'kokoro.defaultVoice', type: 'string', default: 'af_bella' },
+  { env: 'KOKORO_SPEED', path: 'kokoro.speed', type: 'number', min: 0, default: 1 },
+
+  { env: 'GITHUB_TOKEN', path: 'services.github.token', type: 'string', default: '', secret: true },
+  { env: 'STRIPE_API_KEY', path: 'services.stripe.apiKey', type: 'string', default: '', secret: true, aliases: ['STRIPE_SECRET_KEY'] },
+  { env: 'STRIPE_WEBHOOK_SECRET', path: 'services.stripe.webhookSecret', type: 'string', default: '', secret: true },
+  { env: 'PATREON_CLIENT_ID', path: 'services.patreon.clientId', type: 'string', default: '' },
+  { env: 'PATREON_CLIENT_SECRET', path: 'services.patreon.clientSecret', type: 'string', default: '', secret: true },
+  { env: 'PATREON_ACCESS_TOKEN', path: 'services.patreon.accessToken', type: 'string', default: '', secret: true },
+  { env: 'PATREON_WEBHOOK_SECRET', path: 'services.patreon.webhookSecret', type: 'string', default: '', secret: true },
+  { env: 'HUGGINGFACE_TOKEN', path: 'services.huggingface.token', type: 'string', default: '', secret: true, aliases: ['HF_ACCESS_TOKEN'] },
+  { env: 'CLARITY_PROJECT_ID', path: 'services.clarity.projectId', type: 'string', default: '' },
+  { env: 'CLARITY_SNAPSHOT_PATH', path: 'services.clarity.snapshotPath', type: 'string', default: './data/clarity.json' },
+
+  { env: 'RATE_LIMIT_WINDOW_MS', path: 'rateLimit.windowMs', type: 'integer', min: 1, default: 60000 },
+  { env: 'RATE_LIMIT_MAX_REQUESTS', path: 'rateLimit.maxRequests', type: 'integer', min: 1, default: 100 },
+
+  { env: 'METRICS_HTTP_BUCKETS', path: 'metrics.httpBuckets', type: 'buckets', default: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] },
+  { env: 'METRICS_TOOL_BUCKETS', path: 'metrics.toolBuckets', type: 'buckets', default: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60] },
+
+  { env: 'CORS_ORIGINS', path: 'security.corsOrigins', type: 'list', default: (v) => [`http://localhost:${v.DASHBOARD_PORT}`, `http://localhost:${v.API_PORT}`] },
+  { env: 'CORS_CREDENTIALS', path: 'security.corsCredentials', type: 'boolean', default: true },
+  { env: 'CORS_MAX_AGE', path: 'security.corsMaxAge', type: 'integer', min: 0, default: 600 },
+  { env: 'API_SECRET_KEY', path: 'security.apiSecretKey', type: 'string', default: '', secret: true },
+  { env: 'API_AUTH', path: 'security.authRequired', type: 'boolean', default: true },
+  { env: 'API_KEYS_PATH', path: 'security.apiKeysPath', type: 'string', default: './data/api-keys.json' },
+  { env: 'AUDIT_LOG_PATH', path: 'security.auditLogPath', type: 'string', default: './data/audit.jsonl' },
+
+  { env: 'SHUTDOWN_TIMEOUT', path: 'shutdown.timeoutMs', type: 'integer', min: 1, default: 15000 },
+];
+
+/**
+ * Variable names of the schema, aliases included
+ */
+const KNOWN_VARIABLES = new Set(CONFIG_SCHEMA.flatMap((setting) => [setting.env, ...(setting.aliases || [])]));
+
+/**
+ * Prefixes of the tower's settings
+ * Other `.env` entries starting with one are most likely misspelled settings.
+ * `MCP_INPUT_` variables hold `${input:id}` values and are not settings.
+ */
+const SETTING_PREFIXES = [
+  'AGENT_', 'API_', 'AUDIT_', 'CORS_', 'DASHBOARD_', 'IDEMPOTENCY_', 'KOKORO_', 'LMS_',
+  'MCP_', 'METRICS_', 'PATREON_', 'RATE_LIMIT_', 'SHUTDOWN_', 'STORAGE_', 'STRIPE_', 'TRACE_',
+];
+const INPUT_PREFIX = 'MCP_INPUT_';
+
+/**
+ * Parsers by setting type; undefined means the raw value is invalid
+ */
+const PARSERS = {
+  string: (raw) => raw,
+  integer: (raw) => (/^-?\d+$/.test(raw) ? Number(raw) : undefined),
+  number: (raw) => (Number.isFinite(Number(raw)) ? Number(raw) : undefined),
+  port: (raw) => (/^\d+$/.test(raw) && Number(raw) >= 1 && Number(raw) <= 65535 ? Number(raw) : undefined),
+  boolean: (raw) => ({ true: true, 1: true, yes: true, false: false, 0: false, no: false })[raw.toLowerCase()],
+  url: (raw) => (URL.canParse(raw) ? raw : undefined),
+  list: (raw) => raw.split(',').map((item) => item.trim()).filter(Boolean),
+  buckets: (raw) => {
+    const bounds = raw.split(',').map((item) => Number(item.trim()));
+    const valid = bounds.every((bound, i) => Number.isFinite(bound) && bound > 0 && (i === 0 || bound > bounds[i - 1]));
+    return valid ? bounds : undefined;
+  },
+  enum: (raw, setting) => (setting.values.includes(raw) ? raw : undefined),
+};
+
+/**
+ * Describe the values a setting accepts
+ */
+function expected(setting) {
+  const min = setting.min !== undefined ? ` >= ${setting.min}` : '';
+  switch (setting.type) {
+    case 'integer': return `an integer${min}`;
+    case 'number': return `a number${min}`;
+    case 'port': return 'a port number (1-65535)';
+    case 'boolean': return 'true or false';
+    case 'url': return 'a URL';
+    case 'buckets': return 'increasing positive numbers separated by commas';
+    case 'enum': return `one of ${setting.values.join(', ')}`;
+    default: return 'a string';
   }
 }
 
+/**
+ * Resolve every setting from the environment
+ * Empty variables count as unset.
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} `{ values, sources, problems }` keyed by variable name
+ */
+function resolveSettings(env = process.env) {
+  const values = {};
+  const sources = {};
+  const problems = [];
+
+  for (const setting of CONFIG_SCHEMA) {
+    const variable = [setting.env, ...(setting.aliases || [])].find((name) => env[name]);
+
+    if (!variable) {
+      values[setting.env] = typeof setting.default === 'function' ? setting.default(values) : setting.default;
+      sources[setting.env] = { source: 'default' };
+      continue;
+    }
+
+    const raw = env[variable];
+    const value = PARSERS[setting.type](raw, setting);
+    if (value === undefined || (setting.min !== undefined && value < setting.min)) {
+      problems.push({ variable, value: raw, message: `expected ${expected(setting)}, got "${raw}"` });
+      values[setting.env] = typeof setting.default === 'function' ? setting.default(values) : setting.default;
+      continue;
+    }
+
+    values[setting.env] = value;
+    sources[setting.env] = { source: 'environment', ...(variable !== setting.env && { variable }) };
+  }
+
+  return { values, sources, problems };
+}
+
+/**
+ * Read the `.env` file dotenv loads (in the working directory)
+ * @returns {Object} Variables it defines, empty without one
+ */
+function readEnvFile() {
+  const path = join(process.cwd(), '.env');
+  return existsSync(path) ? dotenv.parse(readFileSync(path)) : {};
+}
+
+/**
+ * Check the environment against the config schema
+ * Reports invalid values, and `.env` entries with a setting prefix that the
+ * schema does not know. Only `.env` is checked for those, as the process
+ * environment holds variables of other tools.
+ * @param {Object} [env] - Environment variables
+ * @param {Object} [envFile] - Variables defined in `.env`
+ * @returns {Array} Problems `{ variable, value, message }` (empty when valid)
+ */
+export function validateEnvironment(env = process.env, envFile = readEnvFile()) {
+  const { problems } = resolveSettings(env);
+
+  for (const [variable, value] of Object.entries(envFile)) {
+    if (!value || KNOWN_VARIABLES.has(variable) || variable.startsWith(INPUT_PREFIX)) continue;
+    if (SETTING_PREFIXES.some((prefix) => variable.startsWith(prefix))) {
+      problems.push({ variable, value, message: 'unknown setting (set in .env)' });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Get one setting by environment variable name
+ * Lighter than getConfig() for modules that need a single value; invalid
+ * values fall back to the default (startup already reported them).
+ * @param {string} name - Environment variable name from the schema
+ * @returns {*} Parsed value
+ */
+export function getSetting(name) {
+  return resolveSettings().values[name];
+}
+
+/**
+ * Format config problems as a report
+ * @param {Array} problems - Problems from validateEnvironment()
+ * @returns {string} Multi-line report
+ */
+export function formatConfigProblems(problems) {
+  return [
+    `Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):`,
+    ...problems.map(({ variable, message }) => `  - ${variable}: ${message}`),
+  ].join('\n');
+}
+
+function getPath(target, path) {
+  return path.split('.').reduce((node, key) => node?.[key], target);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), target);
+  parent[last] = value;
+}
+
 /**
  * Get full configuration
  * @returns {Object} Complete configuration object
+ * @throws {Error} With a `problems` list when environment values are invalid
  */
 export function getConfig() {
-  return {
-    dashboard: {
-      port: parseInt(process.env.DASHBOARD_PORT) || defaults.dashboard.port,
-      host: process.env.DASHBOARD_HOST || defaults.dashboard.host,
-    },
-    api: {
-      port: parseInt(process.env.API_PORT) || defaults.api.port,
-      host: process.env.API_HOST || defaults.api.host,
-    },
-    mcp: {
-      ...defaults.mcp,
-      servers: loadMcpServers(),
-      apiUrl: process.env.MCP_API_URL || `http://localhost:${parseInt(process.env.API_PORT) || defaults.api.port}/api`,
-      wsUrl: process.env.MCP_WS_URL || `ws://localhost:${parseInt(process.env.API_PORT) || defaults.api.port}`,
-      maxReconnectAttempts: parseInt(process.env.MCP_MAX_RECONNECT_ATTEMPTS) || 10,
-      reconnectInterval: parseInt(process.env.MCP_RECONNECT_INTERVAL) || 5000,
-    },
-    lmstudio: {
-      baseUrl: `http://${process.env.LMS_HOST || 'localhost'}:${parseInt(process.env.LMS_PORT) || 1234}/v1`,
-      host: process.env.LMS_HOST || 'localhost',
-      port: parseInt(process.env.LMS_PORT) || 1234,
-      model: process.env.LMS_MODEL || 'qwen2.5-7b-instruct',
-      temperature: parseFloat(process.env.LMS_TEMPERATURE) || 0.7,
-      maxTokens: parseInt(process.env.LMS_MAX_TOKENS) || 2048,
-      timeout: parseInt(process.env.LMS_TIMEOUT) || 120000, // 2 minutes for slow models
-      retries: parseInt(process.env.LMS_RETRIES) || 2,
-    },
-    agent: {
-      maxIterations: parseInt(process.env.AGENT_MAX_ITERATIONS) || 5,
-      maxConversations: parseInt(process.env.AGENT_MAX_CONVERSATIONS) || 100,
-      conversationTtl: parseInt(process.env.AGENT_CONVERSATION_TTL) || 3600000, // 1 hour
-      personalityName: process.env.AGENT_PERSONALITY_NAME || 'Bambi',
-      enableToolCalling: process.env.AGENT_ENABLE_TOOL_CALLING !== 'false',
-      enableKnowledgeGraph: process.env.AGENT_ENABLE_KNOWLEDGE_GRAPH !== 'false',
-    },
-    database: {
-      mongodb: {
-        uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/bambisleep',
-      },
-      sqlite: {
-        path: process.env.SQLITE_PATH || './data/local.db',
-      },
-    },
-    services: {
-      github: { token: process.env.GITHUB_TOKEN || '' },
-      stripe: { 
-        apiKey: process.env.STRIPE_API_KEY || '',
-        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || '',
-      },
-      patreon: {
-        clientId: process.env.PATREON_CLIENT_ID || '',
-        clientSecret: process.env.PATREON_CLIENT_SECRET || '',
-        accessToken: process.env.PATREON_ACCESS_TOKEN || '',
-        webhookSecret: process.env.PATREON_WEBHOOK_SECRET || '',
-      },
-      huggingface: { token: process.env.HUGGINGFACE_TOKEN || '' },
-      clarity: { projectId: process.env.CLARITY_PROJECT_ID || '' },
-    },
-    rateLimit: {
-      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
-      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-    },
-    security: {
-      corsOrigins: (process.env.CORS_ORIGINS || `http://localhost:${parseInt(process.env.DASHBOARD_PORT) || defaults.dashboard.port},http://localhost:${parseInt(process.env.API_PORT) || defaults.api.port}`).split(','),
-      apiSecretKey: process.env.API_SECRET_KEY || '',
-    },
-    env: {
-      nodeEnv: process.env.NODE_ENV || 'development',
-      isDev: process.env.NODE_ENV !== 'production',
-      logLevel: process.env.LOG_LEVEL || 'info',
-    },
-  };
+  const { values, problems } = resolveSettings();
+  if (problems.length > 0) {
+    throw Object.assign(new Error(formatConfigProblems(problems)), { problems });
+  }
+
+  const config = {};
+  for (const setting of CONFIG_SCHEMA) {
+    setPath(config, setting.path, values[setting.env]);
+  }
+
+  const sources = getMcpConfigSources();
+  const { servers, origins } = loadMcpServerConfig(sources);
+  Object.assign(config.mcp, {
+    // Servers added over the API are written to the first source
+    configPath: sources[0],
+    sources,
+    servers,
+    origins,
+  });
+
+  config.lmstudio.baseUrl = `http://${config.lmstudio.host}:${config.lmstudio.port}/v1`;
+  config.env.isDev = config.env.nodeEnv !== 'production';
+
+  return config;
+}
+
+/**
+ * Placeholder for redacted values
+ */
+const REDACTED = '[redacted]';
+
+/**
+ * Copy of an MCP server definition with its env and headers values redacted
+ * Definitions are interpolated when read, so `${env:...}` entries there
+ * hold the resolved secrets.
+ * @param {Object} definition - Server definition
+ * @returns {Object} Copy safe to return from the API
+ */
+export function redactServerConfig(definition) {
+  const redacted = { ...definition };
+  for (const field of ['env', 'headers']) {
+    if (definition[field]) {
+      redacted[field] = Object.fromEntries(Object.keys(definition[field]).map((key) => [key, REDACTED]));
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Get the effective configuration for display
+ * Secrets, credentials in URLs and the env/headers values of MCP servers
+ * are redacted. Sources map config paths to where each value came from:
+ * `default`, `environment` or `.env` (plus the variable when an alias was
+ * used), and the config file of every MCP server.
+ * @returns {Object} `{ config, sources }`
+ */
+export function getRedactedConfig() {
+  const config = structuredClone(getConfig());
+  const { sources: settingSources } = resolveSettings();
+
+  const envFile = readEnvFile();
+
+  const sources = {};
+  for (const setting of CONFIG_SCHEMA) {
+    const value = getPath(config, setting.path);
+    if (setting.secret && value) {
+      setPath(config, setting.path, REDACTED);
+    } else if (setting.redact === 'credentials') {
+      setPath(config, setting.path, value.replace(/\/\/[^/@]*@/, `//${REDACTED}@`));
+    }
+
+    const { source, variable = setting.env } = settingSources[setting.env];
+    sources[setting.path] = {
+      env: setting.env,
+      source: source === 'environment' && envFile[variable] === process.env[variable] ? '.env' : source,
+      ...(variable !== setting.env && { variable }),
+      ...(setting.secret && { secret: true }),
+    };
+  }
+
+  for (const [name, server] of Object.entries(config.mcp.servers)) {
+    config.mcp.servers[name] = redactServerConfig(server);
+    sources[`mcp.servers.${name}`] = { source: config.mcp.origins[name] };
+  }
+
+  return { config, sources };
 }
 
 export default getConfig;
@@ -9,6 +9,7 @@ import { existsSync } from 'fs';
 import { appendFile, mkdir } from 'fs/promises';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { getTraceContext } from './trace.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const LOGS_DIR = join(__dirname, '..', '..', 'logs');
@@ -58,6 +59,8 @@ async function writeToFile(entry) {
 
 /**
  * Create a logger instance
+ * Lines logged while handling a request carry its request id (console) and
+ * its request, trace and span ids (file).
  * @param {string} namespace - Logger namespace (e.g., 'server', 'api')
  * @returns {Object} Logger instance
  */
@@ -65,10 +68,11 @@ export function createLogger(namespace = 'app') {
   const level = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
   const enableFileLogging = process.env.LOG_TO_FILE !== 'false';
 
-  const format = (lvl, color, message, ...args) => {
+  const format = (lvl, color, message, trace, ...args) => {
     const timestamp = new Date().toISOString();
     const icon = LEVEL_ICONS[lvl] || '';
-    const prefix = `${COLORS.gray}${timestamp}${COLORS.reset} ${icon} ${color}[${lvl.toUpperCase()}]${COLORS.reset} ${COLORS.magenta}${namespace}${COLORS.reset}`;
+    const requestId = trace ? ` ${COLORS.gray}[${trace.requestId}]${COLORS.reset}` : '';
+    const prefix = `${COLORS.gray}${timestamp}${COLORS.reset} ${icon} ${color}[${lvl.toUpperCase()}]${COLORS.reset} ${COLORS.magenta}${namespace}${COLORS.reset}${requestId}`;
     return [prefix, message, ...args];
   };
 
@@ -77,6 +81,7 @@ export function createLogger(namespace = 'app') {
     if (numericLevel > level) return;
 
     const timestamp = new Date().toISOString();
+    const trace = getTraceContext();
     const color = {
       error: COLORS.red,
       warn: COLORS.yellow,
@@ -93,9 +98,9 @@ export function createLogger(namespace = 'app') {
     }[lvl] || console.log;
 
     if (data) {
-      consoleMethod(...format(lvl, color, message), data);
+      consoleMethod(...format(lvl, color, message, trace), data);
     } else {
-      consoleMethod(...format(lvl, color, message));
+      consoleMethod(...format(lvl, color, message, trace));
     }
 
     // File output (JSON structured logs)
@@ -104,6 +109,7 @@ export function createLogger(namespace = 'app') {
         timestamp,
         level: lvl,
         namespace,
+        ...trace,
         message,
         ...(data && { data }),
       };
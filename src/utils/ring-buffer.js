@@ -0,0 +1,75 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Ring Buffer - Fixed-capacity FIFO that overwrites its oldest items
+ */
+
+/**
+ * Fixed-capacity buffer keeping the most recent items
+ */
+export class RingBuffer {
+  #items;
+  #start = 0;
+  #size = 0;
+
+  /**
+   * @param {number} capacity - Maximum number of items kept
+   */
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`RingBuffer capacity must be a positive integer, got ${capacity}`);
+    }
+    this.#items = new Array(capacity);
+  }
+
+  /**
+   * Maximum number of items kept
+   */
+  get capacity() {
+    return this.#items.length;
+  }
+
+  /**
+   * Current number of items
+   */
+  get size() {
+    return this.#size;
+  }
+
+  /**
+   * Append an item, dropping the oldest one when full
+   * @param {*} item - Item to append
+   */
+  push(item) {
+    const index = (this.#start + this.#size) % this.capacity;
+    this.#items[index] = item;
+
+    if (this.#size < this.capacity) {
+      this.#size++;
+    } else {
+      this.#start = (this.#start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Get items from oldest to newest
+   * @returns {Array} Buffered items
+   */
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.#size; i++) {
+      result.push(this.#items[(this.#start + i) % this.capacity]);
+    }
+    return result;
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.#items = new Array(this.capacity);
+    this.#start = 0;
+    this.#size = 0;
+  }
+}
+
+export default RingBuffer;
@@ -0,0 +1,191 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Shutdown Coordinator - Orderly exit on SIGINT/SIGTERM
+ *
+ * Shutdown runs in phases:
+ * 1. HTTP servers stop accepting connections, WebSocket clients are closed
+ *    with 1001 (going away) and in-flight requests are drained
+ * 2. Shutdown hooks run in registration order (e.g. persisting state)
+ * 3. `stop` callbacks run (e.g. stopping MCP servers and waiting for exit)
+ *
+ * Draining and each hook are bounded by their own timeouts, the whole
+ * shutdown by `timeoutMs`; a second signal exits immediately.
+ */
+
+import { getSetting } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('shutdown');
+
+/**
+ * Resolve after `ms`, or with the promise's outcome if it settles first
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Time limit
+ * @returns {Promise<boolean>} True if the promise settled in time
+ */
+function within(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Coordinates draining servers, running hooks and exiting
+ */
+export class ShutdownCoordinator {
+  #servers = [];
+  #hooks = [];
+  #stops = [];
+  #shutdown = null;
+
+  /**
+   * @param {Object} [options] - Coordinator options
+   * @param {number} [options.timeoutMs] - Upper bound for the whole shutdown (SHUTDOWN_TIMEOUT)
+   * @param {number} [options.drainTimeoutMs=5000] - Time allowed for in-flight requests
+   * @param {number} [options.hookTimeoutMs=5000] - Time allowed per hook
+   * @param {Function} [options.exit=process.exit] - Called with the exit code
+   */
+  constructor({
+    timeoutMs = getSetting('SHUTDOWN_TIMEOUT'),
+    drainTimeoutMs = 5000,
+    hookTimeoutMs = 5000,
+    exit = (code) => process.exit(code),
+  } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.drainTimeoutMs = drainTimeoutMs;
+    this.hookTimeoutMs = hookTimeoutMs;
+    this.exit = exit;
+  }
+
+  /**
+   * Whether shutdown has begun
+   */
+  get shuttingDown() {
+    return this.#shutdown !== null;
+  }
+
+  /**
+   * Drain an HTTP server (and its WebSocket server) on shutdown
+   * @param {string} name - Name used in logs
+   * @param {http.Server} server - HTTP server
+   * @param {WebSocketServer} [wss] - WebSocket server attached to it
+   */
+  addServer(name, server, wss = null) {
+    this.#servers.push({ name, server, wss });
+  }
+
+  /**
+   * Run a function before child processes are stopped
+   * @param {string} name - Name used in logs
+   * @param {Function} fn - Hook, may return a promise
+   */
+  addHook(name, fn) {
+    this.#hooks.push({ name, fn });
+  }
+
+  /**
+   * Run a function in the last phase, after every hook
+   * @param {string} name - Name used in logs
+   * @param {Function} fn - Stop function, may return a promise
+   */
+  addStop(name, fn) {
+    this.#stops.push({ name, fn });
+  }
+
+  /**
+   * Exit through shutdown() on SIGINT and SIGTERM
+   * A second signal while shutting down exits immediately.
+   */
+  install() {
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.on(signal, () => {
+        if (this.shuttingDown) {
+          logger.warn(`Received ${signal} again, exiting immediately`);
+          this.exit(1);
+          return;
+        }
+        this.shutdown(signal);
+      });
+    }
+  }
+
+  /**
+   * Shut down and exit
+   * Calling it again returns the shutdown already in progress.
+   * @param {string} [reason='shutdown'] - Logged reason (e.g. the signal)
+   * @returns {Promise<number>} Exit code passed to exit()
+   */
+  shutdown(reason = 'shutdown') {
+    if (!this.#shutdown) {
+      logger.info(`Received ${reason}, shutting down...`);
+      this.#shutdown = within(this.#run(), this.timeoutMs).then((completed) => {
+        const code = completed ? 0 : 1;
+        if (!completed) {
+          logger.error(`Shutdown did not finish within ${this.timeoutMs}ms, exiting`);
+        }
+        this.exit(code);
+        return code;
+      });
+    }
+    return this.#shutdown;
+  }
+
+  /**
+   * @private
+   */
+  async #run() {
+    await Promise.all(this.#servers.map((entry) => this.#drain(entry)));
+
+    for (const { name, fn } of this.#hooks) {
+      try {
+        if (!await within(Promise.resolve().then(fn), this.hookTimeoutMs)) {
+          logger.warn(`Shutdown hook "${name}" timed out after ${this.hookTimeoutMs}ms`);
+        }
+      } catch (error) {
+        logger.error(`Shutdown hook "${name}" failed:`, error.message);
+      }
+    }
+
+    for (const { name, fn } of this.#stops) {
+      try {
+        await fn();
+      } catch (error) {
+        logger.error(`Shutdown step "${name}" failed:`, error.message);
+      }
+    }
+
+    logger.info('Shutdown complete');
+  }
+
+  /**
+   * Stop accepting connections and wait for in-flight requests
+   * @private
+   */
+  async #drain({ name, server, wss }) {
+    if (wss) {
+      for (const client of wss.clients) {
+        client.close(1001, 'Server shutting down');
+      }
+      wss.close();
+    }
+
+    const closed = new Promise((resolve) => server.close(resolve));
+    server.closeIdleConnections?.();
+
+    if (await within(closed, this.drainTimeoutMs)) {
+      logger.info(`${name} closed`);
+      return;
+    }
+
+    logger.warn(`${name} still had open connections after ${this.drainTimeoutMs}ms, closing them`);
+    server.closeAllConnections?.();
+    wss?.clients.forEach((client) => client.terminate());
+    await closed;
+  }
+}
+
+// Singleton instance
+export const shutdownCoordinator = new ShutdownCoordinator();
+export default shutdownCoordinator;
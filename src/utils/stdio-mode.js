@@ -0,0 +1,26 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Stdio Mode - Keeps stdout free for JSON-RPC
+ *
+ * Imported before anything else by the entry point: with `--mcp-stdio`
+ * the tower is an MCP server on stdin/stdout, so console output of every
+ * module (including dotenv's startup message) must go to stderr.
+ */
+
+/**
+ * Whether the process was started as an MCP stdio server
+ */
+export const MCP_STDIO = process.argv.includes('--mcp-stdio');
+
+/**
+ * Send console.log/info/debug to stderr
+ */
+export function redirectConsoleToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
+
+if (MCP_STDIO) {
+  redirectConsoleToStderr();
+}
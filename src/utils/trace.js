@@ -0,0 +1,340 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Tracing - Request IDs and W3C trace context
+ *
+ * Every HTTP request and WebSocket message runs inside a span held in
+ * AsyncLocalStorage, so log lines, tool executions, outgoing calls and
+ * events produced while handling it share its request id and trace id.
+ * Incoming `X-Request-Id` and `traceparent` values are honored. Finished
+ * spans go to the configured exporter; FileSpanExporter appends them to a
+ * file as OTLP JSON, one export request per line.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes, randomUUID } from 'crypto';
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const storage = new AsyncLocalStorage();
+
+let exporter = null;
+
+/**
+ * OTLP span kinds
+ */
+export const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+};
+
+/**
+ * OTLP status codes
+ */
+export const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2,
+};
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Current time in nanoseconds since the epoch
+ */
+function nowNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+/**
+ * Parse a W3C `traceparent` header
+ * @param {string} [header] - Header value
+ * @returns {{traceId: string, spanId: string, flags: string}|null} Null when absent or invalid
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header ?? '').trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, spanId, flags] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+  return { traceId, spanId, flags };
+}
+
+/**
+ * Convert attributes to OTLP key/value pairs
+ */
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => {
+    if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+    if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+    if (typeof value === 'number') return { key, value: { doubleValue: value } };
+    return { key, value: { stringValue: String(value) } };
+  });
+}
+
+/**
+ * Span
+ * A timed operation within a trace; carries the request id of its trace.
+ */
+export class Span {
+  /**
+   * @param {string} name - Operation name
+   * @param {Object} options - Span options
+   * @param {string} options.traceId - 32 hex digit trace id
+   * @param {string} options.requestId - Request id shared by the trace
+   * @param {string} [options.parentSpanId] - Parent span id
+   * @param {number} [options.kind=SpanKind.INTERNAL] - Span kind
+   * @param {Object} [options.attributes={}] - Initial attributes
+   */
+  constructor(name, { traceId, requestId, parentSpanId = null, kind = SpanKind.INTERNAL, attributes = {} }) {
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.requestId = requestId;
+    this.kind = kind;
+    this.attributes = {};
+    this.status = { code: SpanStatusCode.UNSET };
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.setAttributes(attributes);
+  }
+
+  /**
+   * `traceparent` header value naming this span as the parent
+   */
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+
+  /**
+   * Set attributes, skipping null and undefined values
+   * @param {Object} attributes - Attribute names and values
+   * @returns {Span} This span
+   */
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      if (value !== undefined && value !== null) this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Mark the span as failed
+   * @param {Error|string} error - Error or message
+   * @returns {Span} This span
+   */
+  setError(error) {
+    this.status = { code: SpanStatusCode.ERROR, message: error?.message ?? String(error) };
+    return this;
+  }
+
+  /**
+   * End the span and hand it to the exporter; later calls do nothing
+   */
+  end() {
+    if (this.endTime !== null) return;
+    this.endTime = nowNanos();
+    exporter?.export(this);
+  }
+
+  /**
+   * Span in OTLP JSON form
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId && { parentSpanId: this.parentSpanId }),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: String(this.startTime),
+      endTimeUnixNano: String(this.endTime ?? this.startTime),
+      attributes: toOtlpAttributes({ 'request.id': this.requestId, ...this.attributes }),
+      status: this.status,
+    };
+  }
+}
+
+/**
+ * Start a span
+ * The span joins the current trace; without one it continues the trace of
+ * `traceparent` or starts a new trace. The request id is inherited, taken
+ * from `requestId` when valid, or generated.
+ * @param {string} name - Operation name
+ * @param {Object} [options] - Span options
+ * @param {number} [options.kind=SpanKind.INTERNAL] - Span kind
+ * @param {Object} [options.attributes] - Initial attributes
+ * @param {string} [options.traceparent] - Incoming `traceparent` header
+ * @param {string} [options.requestId] - Incoming request id (`X-Request-Id`)
+ * @returns {Span} Started span; call end() when done
+ */
+export function startSpan(name, { kind = SpanKind.INTERNAL, attributes = {}, traceparent, requestId } = {}) {
+  const current = storage.getStore();
+  if (current) {
+    return new Span(name, {
+      traceId: current.traceId,
+      parentSpanId: current.spanId,
+      requestId: current.requestId,
+      kind,
+      attributes,
+    });
+  }
+
+  const parent = parseTraceparent(traceparent);
+  return new Span(name, {
+    traceId: parent?.traceId ?? randomBytes(16).toString('hex'),
+    parentSpanId: parent?.spanId ?? null,
+    requestId: REQUEST_ID_PATTERN.test(requestId ?? '') ? requestId : randomUUID(),
+    kind,
+    attributes,
+  });
+}
+
+/**
+ * Run a function with a span as the current context
+ * @param {Span} span - Span to make current
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runInSpan(span, fn) {
+  return storage.run(span, fn);
+}
+
+/**
+ * Run a function outside any trace
+ * For long-lived resources (child processes, timers) created while handling
+ * a request, which would otherwise log under that request forever.
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runDetached(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Run a function in a new span that ends when it settles
+ * Errors thrown by fn mark the span as failed and are rethrown.
+ * @param {string} name - Operation name
+ * @param {Object} options - Options of startSpan()
+ * @param {Function} fn - `(span) => result`, may be async
+ * @returns {Promise<*>} Result of fn
+ */
+export function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  return runInSpan(span, async () => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.setError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Ids of the current trace
+ * @returns {{requestId: string, traceId: string, spanId: string}|null} Null outside a trace
+ */
+export function getTraceContext() {
+  const span = storage.getStore();
+  return span ? { requestId: span.requestId, traceId: span.traceId, spanId: span.spanId } : null;
+}
+
+/**
+ * Headers propagating the current trace to another service
+ * @returns {Object} `traceparent` and `X-Request-Id`, empty outside a trace
+ */
+export function getTraceHeaders() {
+  const span = storage.getStore();
+  return span ? { traceparent: span.traceparent, 'X-Request-Id': span.requestId } : {};
+}
+
+/**
+ * fetch() in a client span that propagates the current trace
+ * @param {string|URL} url - Request URL
+ * @param {Object} [init={}] - fetch options
+ * @returns {Promise<Response>} Response
+ */
+export function tracedFetch(url, init = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  return withSpan(`HTTP ${method}`, {
+    kind: SpanKind.CLIENT,
+    attributes: { 'http.request.method': method, 'url.full': String(url) },
+  }, async (span) => {
+    const response = await fetch(url, { ...init, headers: { ...init.headers, ...getTraceHeaders() } });
+    span.setAttributes({ 'http.response.status_code': response.status });
+    if (!response.ok) span.setError(`HTTP ${response.status}`);
+    return response;
+  });
+}
+
+/**
+ * Span exporter appending OTLP JSON export requests to a file
+ * Spans are batched and written asynchronously; call flush() before exit.
+ */
+export class FileSpanExporter {
+  #queue = [];
+  #timer = null;
+  #writing = Promise.resolve();
+
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.path - File to append to
+   * @param {string} [options.serviceName='bambisleep-mcp-tower'] - `service.name` resource attribute
+   * @param {number} [options.flushInterval=1000] - Milliseconds spans are batched for
+   */
+  constructor({ path, serviceName = 'bambisleep-mcp-tower', flushInterval = 1000 }) {
+    this.path = path;
+    this.serviceName = serviceName;
+    this.flushInterval = flushInterval;
+  }
+
+  /**
+   * Queue a finished span
+   * @param {Span} span - Span
+   */
+  export(span) {
+    this.#queue.push(span.toJSON());
+    if (!this.#timer) {
+      this.#timer = setTimeout(() => this.flush(), this.flushInterval);
+      this.#timer.unref();
+    }
+  }
+
+  /**
+   * Write queued spans
+   * Write errors are ignored so tracing never breaks request handling.
+   * @returns {Promise<void>} Resolves once queued spans are written
+   */
+  flush() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    if (this.#queue.length === 0) return this.#writing;
+
+    const spans = this.#queue.splice(0);
+    const line = JSON.stringify({
+      resourceSpans: [{
+        resource: { attributes: toOtlpAttributes({ 'service.name': this.serviceName }) },
+        scopeSpans: [{ scope: { name: 'mcp-tower' }, spans }],
+      }],
+    });
+
+    this.#writing = this.#writing
+      .then(() => mkdir(dirname(this.path), { recursive: true }))
+      .then(() => appendFile(this.path, line + '\n'))
+      .catch(() => {});
+    return this.#writing;
+  }
+}
+
+/**
+ * Set the exporter finished spans are sent to
+ * @param {Object|null} spanExporter - Object with `export(span)`, or null to drop spans
+ */
+export function setSpanExporter(spanExporter) {
+  exporter = spanExporter;
+}
@@ -0,0 +1,180 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Audit Log
+ */
+
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { AuditLog, describeActor, getActor, httpOutcome, redact, runAsActor } from '../../src/api/audit.js';
+import { runInSpan, startSpan } from '../../src/utils/trace.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'audit-'));
+let files = 0;
+
+/**
+ * Audit log writing to a new file
+ */
+function createLog() {
+  return new AuditLog({ path: join(dir, `audit-${++files}.jsonl`) });
+}
+
+/**
+ * Record an HTTP operation
+ */
+function recordHttp(log, action, actor, outcome = 'success') {
+  return log.record({ kind: 'http', action, actor, status: 200, outcome, durationMs: 1.4 });
+}
+
+describe('Audit Log', () => {
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  describe('redact', () => {
+    it('should replace sensitive fields and URL credentials', () => {
+      assert.deepStrictEqual(redact({
+        name: 'tower',
+        apiKey: 'bst_123',
+        code: 'oauth-code',
+        nested: { refresh_token: 'r', uri: 'mongodb://user:pass@db:27017/app' },
+      }), {
+        name: 'tower',
+        apiKey: '[redacted]',
+        code: '[redacted]',
+        nested: { refresh_token: '[redacted]', uri: 'mongodb://[redacted]@db:27017/app' },
+      });
+    });
+
+    it('should summarize buffers and cut long strings and arrays', () => {
+      const redacted = redact({ data: Buffer.alloc(2048), content: 'x'.repeat(1000), ids: Array.from({ length: 25 }, (_, i) => i) });
+      assert.strictEqual(redacted.data, '[2048 bytes]');
+      assert.match(redacted.content, /^x{256}… \(1000 chars\)$/);
+      assert.strictEqual(redacted.ids.length, 21);
+      assert.strictEqual(redacted.ids.at(-1), '… (5 more)');
+    });
+  });
+
+  describe('record', () => {
+    it('should chain entries by hash and stamp the current trace', () => {
+      const log = createLog();
+      const span = startSpan('POST /api/keys', { requestId: 'req-audit' });
+
+      const first = runInSpan(span, () => log.record({
+        kind: 'http',
+        action: 'POST /api/keys',
+        actor: { type: 'api-key', id: 'root', name: 'API_SECRET_KEY' },
+        body: { name: 'ci', password: 'hunter2' },
+        outcome: 'success',
+        durationMs: 3.6,
+      }));
+      const second = recordHttp(log, 'DELETE /api/keys/:id', { type: 'api-key', id: 'root' });
+
+      assert.strictEqual(first.seq, 1);
+      assert.strictEqual(first.prevHash, '0'.repeat(64));
+      assert.match(first.hash, /^[0-9a-f]{64}$/);
+      assert.strictEqual(first.requestId, 'req-audit');
+      assert.strictEqual(first.traceId, span.traceId);
+      assert.strictEqual(first.durationMs, 4);
+      assert.deepStrictEqual(first.body, { name: 'ci', password: '[redacted]' });
+      assert.strictEqual(second.seq, 2);
+      assert.strictEqual(second.prevHash, first.hash);
+
+      const lines = readFileSync(log.path, 'utf-8').trim().split('\n');
+      assert.deepStrictEqual(lines.map((line) => JSON.parse(line)), [first, second].map((entry) => JSON.parse(JSON.stringify(entry))));
+    });
+
+    it('should use the current actor, or system outside requests', () => {
+      const log = createLog();
+      const actor = { type: 'websocket', id: 'client-1' };
+
+      assert.deepStrictEqual(log.record({ kind: 'tool', action: 'storage_delete', outcome: 'success', durationMs: 1 }).actor, { type: 'system' });
+      runAsActor(actor, () => {
+        assert.strictEqual(getActor(), actor);
+        assert.deepStrictEqual(log.record({ kind: 'tool', action: 'storage_delete', outcome: 'success', durationMs: 1 }).actor, actor);
+      });
+      assert.strictEqual(getActor(), null);
+    });
+
+    it('should continue the chain of an existing file', () => {
+      const log = createLog();
+      const last = recordHttp(log, 'POST /api/servers', { type: 'anonymous' });
+
+      const reopened = new AuditLog({ path: log.path });
+      const next = recordHttp(reopened, 'POST /api/servers', { type: 'anonymous' });
+      assert.strictEqual(next.seq, last.seq + 1);
+      assert.strictEqual(next.prevHash, last.hash);
+    });
+
+    it('should record nothing without a path', () => {
+      assert.strictEqual(recordHttp(new AuditLog(), 'POST /api/keys', { type: 'anonymous' }), null);
+    });
+  });
+
+  describe('verify', () => {
+    it('should accept an intact chain', async () => {
+      const log = createLog();
+      recordHttp(log, 'POST /api/a', { type: 'anonymous' });
+      const last = recordHttp(log, 'POST /api/b', { type: 'anonymous' });
+      assert.deepStrictEqual(await log.verify(), { valid: true, entries: 2, lastHash: last.hash });
+    });
+
+    it('should name the first edited or removed line', async () => {
+      const log = createLog();
+      for (const action of ['POST /api/a', 'POST /api/b', 'POST /api/c']) recordHttp(log, action, { type: 'anonymous' });
+      const lines = readFileSync(log.path, 'utf-8').trim().split('\n');
+
+      writeFileSync(log.path, [lines[0], lines[1].replace('"outcome":"success"', '"outcome":"failure"'), lines[2]].join('\n'));
+      assert.deepStrictEqual(await log.verify(), { valid: false, entries: 1, line: 2, reason: 'hash does not match the entry' });
+
+      writeFileSync(log.path, [lines[0], lines[2]].join('\n'));
+      assert.deepStrictEqual(await log.verify(), { valid: false, entries: 1, line: 2, reason: 'prevHash does not match the previous entry' });
+    });
+  });
+
+  describe('query', () => {
+    const log = createLog();
+    const alice = { type: 'api-key', id: 'key-a', name: 'alice' };
+    const bob = { type: 'websocket', id: 'client-b', key: 'key-b', name: 'bob' };
+    recordHttp(log, 'POST /api/keys', alice);
+    recordHttp(log, 'DELETE /api/keys/:id', bob, 'denied');
+    log.record({ kind: 'tool', action: 'stripe_create_refund', actor: alice, outcome: 'success', durationMs: 5 });
+
+    it('should return entries newest first, limited', async () => {
+      const entries = await log.query({ limit: 2 });
+      assert.deepStrictEqual(entries.map((entry) => entry.seq), [3, 2]);
+    });
+
+    it('should filter by actor, action, kind and outcome', async () => {
+      const seqs = async (filters) => (await log.query(filters)).map((entry) => entry.seq);
+      assert.deepStrictEqual(await seqs({ actor: 'alice' }), [3, 1]);
+      assert.deepStrictEqual(await seqs({ actor: 'key-b' }), [2]);
+      assert.deepStrictEqual(await seqs({ action: 'POST /api/keys' }), [1]);
+      assert.deepStrictEqual(await seqs({ action: 'stripe_*' }), [3]);
+      assert.deepStrictEqual(await seqs({ kind: 'http', outcome: 'denied' }), [2]);
+    });
+
+    it('should filter by time', async () => {
+      const [newest] = await log.query({ limit: 1 });
+      assert.strictEqual((await log.query({ since: new Date(Date.now() + 60000).toISOString() })).length, 0);
+      assert.strictEqual((await log.query({ until: '2000-01-01T00:00:00Z' })).length, 0);
+      assert.strictEqual((await log.query({ since: newest.timestamp, until: newest.timestamp }))[0].seq, newest.seq);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should describe request actors by API key or address', () => {
+      const req = { headers: { 'x-forwarded-for': '10.0.0.1, 10.0.0.2' }, socket: { remoteAddress: '127.0.0.1' } };
+      assert.deepStrictEqual(describeActor(req, { id: 'key-a', name: 'alice', scopes: [] }), { type: 'api-key', id: 'key-a', name: 'alice', ip: '10.0.0.1' });
+      assert.deepStrictEqual(describeActor({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }, {}), { type: 'anonymous', ip: '127.0.0.1' });
+    });
+
+    it('should derive outcomes from response status', () => {
+      assert.strictEqual(httpOutcome(201), 'success');
+      assert.strictEqual(httpOutcome(401), 'denied');
+      assert.strictEqual(httpOutcome(403), 'denied');
+      assert.strictEqual(httpOutcome(500), 'failure');
+      assert.strictEqual(httpOutcome(200, false), 'aborted');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - API Keys
+ */
+
+import assert from 'node:assert';
+import { existsSync, mkdtempSync, readFileSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { API_SCOPES, ApiKeyStore, hashApiKey, readApiKey } from '../../src/api/auth.js';
+
+describe('API Keys', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'api-keys-'));
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  describe('ApiKeyStore', () => {
+    it('should authenticate created keys with their scopes', () => {
+      const store = new ApiKeyStore();
+      const created = store.create({ name: 'ci', scopes: ['read', 'servers:write'] });
+
+      assert.match(created.key, /^bst_/);
+      assert.ok(created.key.startsWith(created.prefix));
+      assert.deepStrictEqual(store.authenticate(created.key), {
+        id: created.id,
+        name: 'ci',
+        scopes: ['read', 'servers:write'],
+      });
+      assert.strictEqual(store.authenticate('bst_wrong'), null);
+      assert.strictEqual(store.authenticate(null), null);
+    });
+
+    it('should give the root key every scope', () => {
+      const store = new ApiKeyStore({ rootKey: 'root-secret' });
+      assert.deepStrictEqual(store.authenticate('root-secret').scopes, Object.keys(API_SCOPES));
+      assert.strictEqual(store.hasKeys, true);
+    });
+
+    it('should stop authenticating revoked keys and keep them listed', () => {
+      const store = new ApiKeyStore();
+      const { id, key } = store.create({ name: 'temp', scopes: ['read'] });
+
+      const revoked = store.revoke(id);
+      assert.ok(revoked.revokedAt);
+      assert.strictEqual(store.authenticate(key), null);
+      assert.strictEqual(store.list()[0].revokedAt, revoked.revokedAt);
+      assert.strictEqual(store.hasKeys, false);
+      assert.strictEqual(store.revoke('missing'), null);
+    });
+
+    it('should reject unknown scopes', () => {
+      const store = new ApiKeyStore();
+      assert.throws(() => store.create({ name: 'x', scopes: ['read', 'everything'] }), /Unknown scope: everything/);
+    });
+
+    it('should persist only key hashes', () => {
+      const path = join(dir, 'nested', 'keys.json');
+      const { key } = new ApiKeyStore({ path }).create({ name: 'stored', scopes: ['payments'] });
+
+      const content = readFileSync(path, 'utf-8');
+      assert.ok(!content.includes(key), 'file should not contain the key');
+      assert.ok(content.includes(hashApiKey(key)));
+      if (process.platform !== 'win32') {
+        assert.strictEqual(statSync(path).mode & 0o777, 0o600);
+      }
+
+      const reloaded = new ApiKeyStore({ path });
+      assert.deepStrictEqual(reloaded.authenticate(key).scopes, ['payments']);
+      assert.ok(!('hash' in reloaded.list()[0]), 'listing should not expose hashes');
+    });
+
+    it('should not write a file when no path is configured', () => {
+      new ApiKeyStore().create({ name: 'memory', scopes: ['read'] });
+      assert.strictEqual(existsSync(join(dir, 'keys.json')), false);
+    });
+  });
+
+  describe('readApiKey', () => {
+    it('should read bearer tokens and X-API-Key', () => {
+      assert.strictEqual(readApiKey({ headers: { authorization: 'Bearer abc' } }), 'abc');
+      assert.strictEqual(readApiKey({ headers: { 'x-api-key': 'def' } }), 'def');
+      assert.strictEqual(readApiKey({ headers: { authorization: 'Basic abc' } }), null);
+    });
+
+    it('should only read access_token from the query when allowed', () => {
+      const req = { url: '/ws?access_token=ghi', headers: {} };
+      assert.strictEqual(readApiKey(req), null);
+      assert.strictEqual(readApiKey(req, { allowQuery: true }), 'ghi');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Request Body Parsing
+ */
+
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { describe, it } from 'node:test';
+import {
+  FORM_TYPE,
+  JSON_TYPE,
+  MULTIPART_TYPE,
+  parseBody,
+  parseContentType,
+  parseMultipart,
+} from '../../src/api/body.js';
+
+/**
+ * Request stream with headers, sending the body in small chunks
+ */
+function createRequest(body, headers = {}) {
+  const buffer = Buffer.from(body);
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += 4) chunks.push(buffer.subarray(i, i + 4));
+  return Object.assign(Readable.from(chunks), { headers });
+}
+
+const boundary = 'tower-boundary';
+const multipart = [
+  `--${boundary}`,
+  'Content-Disposition: form-data; name="filename"',
+  '',
+  'notes.txt',
+  `--${boundary}`,
+  'Content-Disposition: form-data; name="file"; filename="notes.txt"',
+  'Content-Type: text/plain',
+  '',
+  'line one\r\nline two',
+  `--${boundary}--`,
+  '',
+].join('\r\n');
+
+describe('Request Body Parsing', () => {
+  describe('parseBody', () => {
+    it('should parse JSON and keep the raw bytes', async () => {
+      const text = '{"name": "tower"}';
+      const { body, raw } = await parseBody(createRequest(text, { 'content-type': 'application/json; charset=utf-8' }));
+      assert.deepStrictEqual(body, { name: 'tower' });
+      assert.strictEqual(raw.toString(), text);
+    });
+
+    it('should read bodies without Content-Type as JSON and empty bodies as {}', async () => {
+      assert.deepStrictEqual((await parseBody(createRequest('[1, 2]'))).body, [1, 2]);
+      assert.deepStrictEqual((await parseBody(createRequest('', { 'content-type': 'text/plain' }))).body, {});
+    });
+
+    it('should reject invalid JSON with 400 and the parser message', async () => {
+      await assert.rejects(parseBody(createRequest('{"name": ', { 'content-type': JSON_TYPE })), (error) => {
+        assert.strictEqual(error.status, 400);
+        assert.match(error.message, /^Invalid JSON body: /);
+        return true;
+      });
+    });
+
+    it('should reject bodies over the limit with 413', async () => {
+      await assert.rejects(parseBody(createRequest('{"padding": "0123456789"}'), { limit: 10 }), (error) => {
+        assert.strictEqual(error.status, 413);
+        assert.deepStrictEqual(error.details, { limit: 10 });
+        assert.deepStrictEqual(error.headers, { Connection: 'close' });
+        return true;
+      });
+    });
+
+    it('should reject a declared Content-Length over the limit before reading', async () => {
+      const req = createRequest('{}', { 'content-length': '2048' });
+      await assert.rejects(parseBody(req, { limit: 1024 }), { status: 413 });
+    });
+
+    it('should reject content types the route does not accept with 415', async () => {
+      await assert.rejects(parseBody(createRequest('a=1', { 'content-type': FORM_TYPE })), (error) => {
+        assert.strictEqual(error.status, 415);
+        assert.deepStrictEqual(error.details, { accepted: [JSON_TYPE] });
+        return true;
+      });
+    });
+
+    it('should accept +json media types as JSON', async () => {
+      const req = createRequest('{"a": 1}', { 'content-type': 'application/merge-patch+json' });
+      assert.deepStrictEqual((await parseBody(req)).body, { a: 1 });
+    });
+
+    it('should parse urlencoded forms, collecting repeated names', async () => {
+      const req = createRequest('name=tower&tag=a&tag=b&__proto__=x', { 'content-type': FORM_TYPE });
+      const { body } = await parseBody(req, { types: [FORM_TYPE] });
+      assert.deepStrictEqual(body, { name: 'tower', tag: ['a', 'b'] });
+      assert.strictEqual(Object.getPrototypeOf(body), Object.prototype);
+    });
+
+    it('should parse multipart forms when accepted', async () => {
+      const req = createRequest(multipart, { 'content-type': `${MULTIPART_TYPE}; boundary="${boundary}"` });
+      const { body } = await parseBody(req, { types: [MULTIPART_TYPE] });
+      assert.strictEqual(body.filename, 'notes.txt');
+      assert.strictEqual(body.file.filename, 'notes.txt');
+      assert.strictEqual(body.file.contentType, 'text/plain');
+      assert.strictEqual(body.file.data.toString(), 'line one\r\nline two');
+      assert.strictEqual(body.file.size, 18);
+    });
+  });
+
+  describe('parseMultipart', () => {
+    it('should reject bodies without a closing boundary', () => {
+      const truncated = multipart.slice(0, multipart.indexOf(`--${boundary}--`));
+      assert.throws(() => parseMultipart(Buffer.from(truncated), boundary), { status: 400 });
+    });
+
+    it('should reject parts without a name', () => {
+      const body = `--${boundary}\r\nContent-Disposition: form-data\r\n\r\nx\r\n--${boundary}--\r\n`;
+      assert.throws(() => parseMultipart(Buffer.from(body), boundary), /part without a name/);
+    });
+  });
+
+  describe('parseContentType', () => {
+    it('should lower-case the type and unquote parameters', () => {
+      assert.deepStrictEqual(parseContentType('Multipart/Form-Data; Boundary="abc"; charset=utf-8'), {
+        type: 'multipart/form-data',
+        params: { boundary: 'abc', charset: 'utf-8' },
+      });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - CORS Policy
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { CORS_ALLOWED_HEADERS, CorsPolicy } from '../../src/api/cors.js';
+
+/**
+ * Response that records headers the way http.ServerResponse merges them
+ */
+function createResponse() {
+  return {
+    headers: {},
+    status: null,
+    body: '',
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    writeHead(status, headers = {}) {
+      this.status = status;
+      for (const [name, value] of Object.entries(headers)) this.setHeader(name, value);
+    },
+    end(body = '') { this.body = body; },
+  };
+}
+
+describe('CORS Policy', () => {
+  const policy = new CorsPolicy({ origins: ['http://localhost:3000', 'https://tower.example/'], maxAge: 300 });
+
+  describe('apply', () => {
+    it('should echo allowed origins with credentials', () => {
+      const res = createResponse();
+      assert.strictEqual(policy.apply({ headers: { origin: 'http://localhost:3000' } }, res), true);
+      assert.strictEqual(res.headers['access-control-allow-origin'], 'http://localhost:3000');
+      assert.strictEqual(res.headers['access-control-allow-credentials'], 'true');
+      assert.strictEqual(res.headers.vary, 'Origin');
+      assert.match(res.headers['access-control-expose-headers'], /Retry-After/);
+    });
+
+    it('should ignore a trailing slash in configured origins', () => {
+      assert.strictEqual(policy.isAllowed('https://tower.example'), true);
+    });
+
+    it('should not send CORS headers to other origins', () => {
+      const res = createResponse();
+      assert.strictEqual(policy.apply({ headers: { origin: 'https://evil.example' } }, res), false);
+      assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+      assert.strictEqual(res.headers.vary, 'Origin');
+    });
+
+    it('should leave requests without an Origin alone', () => {
+      const res = createResponse();
+      assert.strictEqual(policy.apply({ headers: {} }, res), true);
+      assert.deepStrictEqual(res.headers, {});
+    });
+
+    it('should allow any origin with * but still echo it', () => {
+      const res = createResponse();
+      new CorsPolicy({ origins: ['*'], credentials: false }).apply({ headers: { origin: 'https://a.example' } }, res);
+      assert.strictEqual(res.headers['access-control-allow-origin'], 'https://a.example');
+      assert.strictEqual(res.headers['access-control-allow-credentials'], undefined);
+    });
+  });
+
+  describe('preflight', () => {
+    const preflight = (headers, methods = ['GET', 'PATCH']) => {
+      const res = createResponse();
+      policy.preflight({ headers: { origin: 'http://localhost:3000', ...headers } }, res, methods);
+      return res;
+    };
+
+    it('should answer with the methods of the path and a max age', () => {
+      const res = preflight({ 'access-control-request-method': 'PATCH' });
+      assert.strictEqual(res.status, 204);
+      assert.strictEqual(res.headers['access-control-allow-methods'], 'GET, PATCH, OPTIONS');
+      assert.strictEqual(res.headers['access-control-max-age'], '300');
+    });
+
+    it('should echo only allowed request headers', () => {
+      const res = preflight({ 'access-control-request-headers': 'authorization, content-type, x-evil' });
+      assert.strictEqual(res.headers['access-control-allow-headers'], 'authorization, content-type');
+    });
+
+    it('should list every allowed header when none are requested', () => {
+      const res = preflight({});
+      assert.strictEqual(res.headers['access-control-allow-headers'], CORS_ALLOWED_HEADERS.join(', '));
+    });
+
+    it('should answer 404 for unknown paths', () => {
+      assert.strictEqual(preflight({}, []).status, 404);
+    });
+
+    it('should answer 403 for origins that are not allowed', () => {
+      const res = preflight({ origin: 'https://evil.example' });
+      assert.strictEqual(res.status, 403);
+      assert.strictEqual(res.headers['access-control-allow-methods'], undefined);
+    });
+  });
+});
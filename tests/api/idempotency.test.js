@@ -0,0 +1,260 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Idempotency Keys
+ */
+
+import assert from 'node:assert';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { getIdempotencyKey, IdempotencyStore, runWithIdempotencyKey } from '../../src/api/idempotency.js';
+import { Router } from '../../src/api/router.js';
+
+/**
+ * Request claimed in store tests
+ */
+function request(overrides = {}) {
+  return { owner: 'key-a', key: 'retry-1', method: 'POST', path: '/api/items', body: Buffer.from('{"n":1}'), ...overrides };
+}
+
+describe('Idempotency', () => {
+  describe('IdempotencyStore', () => {
+    it('should replay the stored response of a key', () => {
+      const store = new IdempotencyStore();
+      const { state, id } = store.begin(request());
+      assert.strictEqual(state, 'started');
+      assert.deepStrictEqual(store.begin(request()), { state: 'in-progress' });
+
+      const response = { status: 201, headers: { 'content-type': 'application/json' }, body: Buffer.from('{}') };
+      store.complete(id, response);
+      assert.deepStrictEqual(store.begin(request()), { state: 'replay', response });
+    });
+
+    it('should bind a key to its request and its API key', () => {
+      const store = new IdempotencyStore();
+      store.begin(request());
+      assert.deepStrictEqual(store.begin(request({ body: Buffer.from('{"n":2}') })), { state: 'mismatch' });
+      assert.deepStrictEqual(store.begin(request({ path: '/api/other' })), { state: 'mismatch' });
+      assert.strictEqual(store.begin(request({ owner: 'key-b' })).state, 'started');
+    });
+
+    it('should leave the multipart boundary out of the fingerprint', () => {
+      const store = new IdempotencyStore();
+      const upload = (boundary, content = 'hello') => request({
+        contentType: `multipart/form-data; boundary=${boundary}`,
+        body: Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="a.txt"\r\n\r\n${content}\r\n--${boundary}--\r\n`),
+      });
+
+      store.complete(store.begin(upload('first')).id, { status: 201, headers: {}, body: Buffer.from('{}') });
+      assert.strictEqual(store.begin(upload('second')).state, 'replay');
+      assert.strictEqual(store.begin(upload('third', 'changed')).state, 'mismatch');
+    });
+
+    it('should free released and expired keys', async () => {
+      const store = new IdempotencyStore({ ttlMs: 20 });
+      store.release(store.begin(request()).id);
+      assert.strictEqual(store.begin(request()).state, 'started');
+
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      assert.strictEqual(store.size, 0);
+      assert.strictEqual(store.begin(request()).state, 'started');
+    });
+
+    it('should drop the oldest keys beyond maxEntries', () => {
+      const store = new IdempotencyStore({ maxEntries: 2 });
+      for (const key of ['a', 'b', 'c']) store.begin(request({ key }));
+      assert.strictEqual(store.size, 2);
+      assert.strictEqual(store.begin(request({ key: 'a' })).state, 'started');
+    });
+
+    it('should be disabled with a TTL of 0', () => {
+      assert.strictEqual(new IdempotencyStore({ ttlMs: 0 }).enabled, false);
+    });
+  });
+
+  describe('getIdempotencyKey', () => {
+    it('should derive upstream keys per API key and call', () => {
+      assert.strictEqual(getIdempotencyKey('POST /customers'), null);
+
+      const key = (owner, scope) => runWithIdempotencyKey({ owner, key: 'retry-1' }, () => getIdempotencyKey(scope));
+      assert.match(key('key-a', 'POST /customers'), /^[0-9a-f]{64}$/);
+      assert.strictEqual(key('key-a', 'POST /customers'), key('key-a', 'POST /customers'));
+      assert.notStrictEqual(key('key-a', 'POST /customers'), key('key-b', 'POST /customers'));
+      assert.notStrictEqual(key('key-a', 'POST /customers'), key('key-a', 'POST /products'));
+    });
+
+    it('should number repeated calls of one request', () => {
+      const calls = () => runWithIdempotencyKey({ owner: 'key-a', key: 'retry-1' }, () => [
+        getIdempotencyKey('POST /customers'),
+        getIdempotencyKey('POST /customers'),
+        getIdempotencyKey('POST /products'),
+      ]);
+
+      const [first, second, product] = calls();
+      assert.notStrictEqual(first, second);
+      assert.notStrictEqual(product, first);
+      assert.deepStrictEqual(calls(), [first, second, product]);
+    });
+  });
+
+  describe('Router', () => {
+    const store = new IdempotencyStore();
+    const keys = { alice: { id: 'key-a', scopes: ['read', 'write'] }, bob: { id: 'key-b', scopes: ['read', 'write'] } };
+    let server;
+    let baseUrl;
+    let created;
+    let release;
+
+    before(async () => {
+      const router = new Router([
+        {
+          method: 'POST',
+          path: '/api/items',
+          scope: 'write',
+          handler: ({ res, body }) => {
+            created++;
+            res.writeHead(201, { 'Content-Type': 'application/json', Location: `/api/items/${created}` });
+            res.end(JSON.stringify({ id: created, ...body, upstreamKey: getIdempotencyKey('POST /items') }));
+          },
+        },
+        {
+          method: 'POST',
+          path: '/api/slow',
+          scope: 'write',
+          handler: async ({ res }) => {
+            await new Promise((resolve) => { release = resolve; });
+            res.end('done');
+          },
+        },
+        {
+          method: 'POST',
+          path: '/api/flaky',
+          scope: 'write',
+          handler: ({ res }) => {
+            created++;
+            res.writeHead(created === 1 ? 503 : 200);
+            res.end(String(created));
+          },
+        },
+      ], {
+        parseBody: async (req) => {
+          const chunks = [];
+          for await (const chunk of req) chunks.push(chunk);
+          const raw = Buffer.concat(chunks);
+          const json = raw.length && req.headers['content-type'] === 'application/json';
+          return { body: json ? JSON.parse(raw) : {}, raw };
+        },
+        send: (res, data, status = 200, headers = {}) => {
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+          res.end(JSON.stringify(data));
+        },
+        authenticate: (req) => keys[req.headers.authorization] ?? null,
+        idempotency: store,
+      });
+
+      server = createServer((req, res) => {
+        res.setHeader('X-Request-Id', `req-${Math.random()}`);
+        router.handle(req, res, new URL(req.url, 'http://localhost'));
+      });
+      server.listen(0, '127.0.0.1');
+      await once(server, 'listening');
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+      store.clear();
+      created = 0;
+    });
+
+    /**
+     * POST to the test server
+     */
+    function post(path, body, { key = 'retry-1', as = 'alice' } = {}) {
+      const headers = { authorization: as, 'Content-Type': 'application/json' };
+      if (key !== null) headers['Idempotency-Key'] = key;
+      return fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+    }
+
+    it('should run a retried request once and replay its response', async () => {
+      const first = await post('/api/items', { name: 'a' });
+      const retry = await post('/api/items', { name: 'a' });
+
+      assert.strictEqual(created, 1);
+      assert.strictEqual(retry.status, 201);
+      assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+      assert.strictEqual(retry.headers.get('location'), '/api/items/1');
+      assert.notStrictEqual(retry.headers.get('x-request-id'), first.headers.get('x-request-id'));
+      assert.strictEqual(first.headers.get('idempotent-replayed'), null);
+
+      const body = await first.json();
+      assert.deepStrictEqual(await retry.json(), body);
+      assert.match(body.upstreamKey, /^[0-9a-f]{64}$/);
+    });
+
+    it('should replay retried uploads sent with a new boundary', async () => {
+      const upload = () => {
+        const form = new FormData();
+        form.append('file', new Blob(['hello']), 'a.txt');
+        return fetch(`${baseUrl}/api/items`, { method: 'POST', headers: { authorization: 'alice', 'Idempotency-Key': 'upload-1' }, body: form });
+      };
+
+      assert.strictEqual((await upload()).status, 201);
+      const retry = await upload();
+      assert.strictEqual(retry.status, 201);
+      assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+      assert.strictEqual(created, 1);
+    });
+
+    it('should reject a key reused with a different body', async () => {
+      await post('/api/items', { name: 'a' });
+      const response = await post('/api/items', { name: 'b' });
+      assert.strictEqual(response.status, 409);
+      assert.match((await response.json()).error, /different request/);
+      assert.strictEqual(created, 1);
+    });
+
+    it('should keep keys of different API keys apart', async () => {
+      await post('/api/items', { name: 'a' });
+      const response = await post('/api/items', { name: 'a' }, { as: 'bob' });
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(created, 2);
+    });
+
+    it('should run requests without a key every time', async () => {
+      await post('/api/items', { name: 'a' }, { key: null });
+      await post('/api/items', { name: 'a' }, { key: null });
+      assert.strictEqual(created, 2);
+    });
+
+    it('should reject a retry while the first request is running', async () => {
+      const first = post('/api/slow', {});
+      while (!release) await new Promise((resolve) => setTimeout(resolve, 5));
+
+      const retry = await post('/api/slow', {});
+      assert.strictEqual(retry.status, 409);
+      assert.strictEqual(retry.headers.get('retry-after'), '1');
+
+      release();
+      assert.strictEqual(await (await first).text(), 'done');
+    });
+
+    it('should run the request again after a server error', async () => {
+      assert.strictEqual((await post('/api/flaky', {})).status, 503);
+      const retry = await post('/api/flaky', {});
+      assert.strictEqual(retry.status, 200);
+      assert.strictEqual(retry.headers.get('idempotent-replayed'), null);
+      assert.strictEqual(created, 2);
+    });
+
+    it('should reject keys that are too long', async () => {
+      const response = await post('/api/items', {}, { key: 'k'.repeat(256) });
+      assert.strictEqual(response.status, 400);
+      assert.deepStrictEqual((await response.json()).details, [
+        { field: 'Idempotency-Key', in: 'header', message: 'must be at most 255 characters' },
+      ]);
+      assert.strictEqual(created, 0);
+    });
+  });
+});
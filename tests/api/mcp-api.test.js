@@ -8,13 +8,14 @@
 
 const API_PORT = process.env.API_PORT || (() => { throw new Error('API_PORT not set - check .env'); })();
 const API_BASE = `http://localhost:${API_PORT}/api`;
+const AUTH = process.env.API_SECRET_KEY ? { Authorization: `Bearer ${process.env.API_SECRET_KEY}` } : {};
 
 async function testMemoryApi() {
   console.log('\n🧠 Testing Memory API...\n');
 
   // 1. Read empty graph
   console.log('1. Reading empty graph...');
-  let res = await fetch(`${API_BASE}/memory`);
+  let res = await fetch(`${API_BASE}/memory`, { headers: AUTH });
   let data = await res.json();
   console.log('   Graph:', JSON.stringify(data));
 
@@ -22,7 +23,7 @@ async function testMemoryApi() {
   console.log('\n2. Creating entities...');
   res = await fetch(`${API_BASE}/memory/entities`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...AUTH },
     body: JSON.stringify({
       entities: [
         { name: 'BambiSleep', entityType: 'Project', observations: ['MCP Control Tower'] },
@@ -38,7 +39,7 @@ async function testMemoryApi() {
   console.log('\n3. Creating relations...');
   res = await fetch(`${API_BASE}/memory/relations`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...AUTH },
     body: JSON.stringify({
       relations: [
         { from: 'BambiSleep', to: 'Memory', relationType: 'uses' },
@@ -51,14 +52,14 @@ async function testMemoryApi() {
 
   // 4. Read populated graph
   console.log('\n4. Reading populated graph...');
-  res = await fetch(`${API_BASE}/memory`);
+  res = await fetch(`${API_BASE}/memory`, { headers: AUTH });
   data = await res.json();
   console.log('   Entities:', data.entities.length);
   console.log('   Relations:', data.relations.length);
 
   // 5. Search
   console.log('\n5. Searching for "MCP"...');
-  res = await fetch(`${API_BASE}/memory/search?q=MCP`);
+  res = await fetch(`${API_BASE}/memory/search?q=MCP`, { headers: AUTH });
   data = await res.json();
   console.log('   Results:', data.results.map(r => r.name));
 }
@@ -68,7 +69,7 @@ async function testGitHubApi() {
 
   // List repos
   console.log('1. Listing repos (first 5)...');
-  const res = await fetch(`${API_BASE}/github/repos?per_page=5`);
+  const res = await fetch(`${API_BASE}/github/repos?per_page=5`, { headers: AUTH });
   const data = await res.json();
   
   if (data.error) {
@@ -86,7 +87,7 @@ async function testThinkingApi() {
   console.log('1. Creating thinking session...');
   let res = await fetch(`${API_BASE}/thinking/sessions`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...AUTH },
     body: JSON.stringify({ topic: 'Test session' }),
   });
   let data = await res.json();
@@ -97,7 +98,7 @@ async function testThinkingApi() {
   console.log('\n2. Adding thought...');
   res = await fetch(`${API_BASE}/thinking/sessions/${sessionId}/thought`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...AUTH },
     body: JSON.stringify({
       thought: 'This is a test thought',
       thoughtNumber: 1,
@@ -110,7 +111,7 @@ async function testThinkingApi() {
 
   // 3. Get session
   console.log('\n3. Getting session...');
-  res = await fetch(`${API_BASE}/thinking/sessions/${sessionId}`);
+  res = await fetch(`${API_BASE}/thinking/sessions/${sessionId}`, { headers: AUTH });
   data = await res.json();
   console.log('   Thoughts:', data.thoughts.length);
 
@@ -118,6 +119,7 @@ async function testThinkingApi() {
   console.log('\n4. Deleting session...');
   res = await fetch(`${API_BASE}/thinking/sessions/${sessionId}`, {
     method: 'DELETE',
+    headers: AUTH,
   });
   data = await res.json();
   console.log('   Deleted:', data.success);
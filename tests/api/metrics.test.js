@@ -0,0 +1,115 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Metrics
+ */
+
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { beforeEach, describe, it } from 'node:test';
+import {
+  formatPrometheusMetrics,
+  getMetricsJson,
+  Histogram,
+  recordHttpRequest,
+  recordToolExecution,
+  recordWsMessage,
+  resetMetrics,
+  setActiveConnections,
+  watchServerProbes,
+} from '../../src/api/metrics.js';
+
+/**
+ * Lines of the Prometheus output that start with a metric name
+ */
+function metricLines(name) {
+  return formatPrometheusMetrics().split('\n').filter((line) => line.startsWith(name));
+}
+
+describe('Metrics', () => {
+  beforeEach(() => resetMetrics());
+
+  describe('Histogram', () => {
+    it('should count observations into cumulative buckets', () => {
+      const histogram = new Histogram([0.1, 1]);
+      histogram.observe({ route: '/a' }, 0.05);
+      histogram.observe({ route: '/a' }, 0.5);
+      histogram.observe({ route: '/a' }, 3);
+
+      assert.deepStrictEqual(histogram.format('latency'), [
+        'latency_bucket{route="/a",le="0.1"} 1',
+        'latency_bucket{route="/a",le="1"} 2',
+        'latency_bucket{route="/a",le="+Inf"} 3',
+        'latency_sum{route="/a"} 3.550000',
+        'latency_count{route="/a"} 3',
+      ]);
+      assert.deepStrictEqual(histogram.toJSON(), [
+        { route: '/a', buckets: { 0.1: 1, 1: 2 }, count: 3, sum: 3.55 },
+      ]);
+    });
+
+    it('should escape label values', () => {
+      const histogram = new Histogram([1]);
+      histogram.observe({ tool: 'say "hi"\\\n' }, 0.5);
+      assert.strictEqual(histogram.format('t')[2], 't_sum{tool="say \\"hi\\"\\\\\\n"} 0.500000');
+    });
+  });
+
+  describe('HTTP requests', () => {
+    it('should label requests by route template and status', () => {
+      recordHttpRequest('/api/servers/:name', 'GET', 200, 12);
+      recordHttpRequest('/api/servers/:name', 'GET', 200, 30);
+      recordHttpRequest('/api/servers/:name', 'GET', 404, 2);
+
+      assert.deepStrictEqual(metricLines('mcp_http_requests_total{'), [
+        'mcp_http_requests_total{method="GET",route="/api/servers/:name",status="200"} 2',
+        'mcp_http_requests_total{method="GET",route="/api/servers/:name",status="404"} 1',
+      ]);
+      assert.ok(metricLines('mcp_http_request_duration_seconds_bucket').includes(
+        'mcp_http_request_duration_seconds_bucket{method="GET",route="/api/servers/:name",le="0.025"} 2',
+      ));
+      assert.deepStrictEqual(metricLines('mcp_http_errors_total{'), ['mcp_http_errors_total{status_code="404"} 1']);
+      assert.match(formatPrometheusMetrics(), /# TYPE mcp_http_request_duration_seconds histogram/);
+    });
+  });
+
+  describe('tool executions', () => {
+    it('should count successes and failures per tool with latency', () => {
+      recordToolExecution('fetch_url', true, 120);
+      recordToolExecution('fetch_url', false, 40);
+
+      assert.deepStrictEqual(metricLines('mcp_tool_executions_total{'), [
+        'mcp_tool_executions_total{tool="fetch_url",status="success"} 1',
+        'mcp_tool_executions_total{tool="fetch_url",status="failure"} 1',
+      ]);
+      assert.deepStrictEqual(metricLines('mcp_tool_execution_duration_seconds_count'), [
+        'mcp_tool_execution_duration_seconds_count{tool="fetch_url"} 2',
+      ]);
+      assert.deepStrictEqual(getMetricsJson().toolExecutionsTotal, [
+        { tool: 'fetch_url', status: 'success', count: 1 },
+        { tool: 'fetch_url', status: 'failure', count: 1 },
+      ]);
+    });
+  });
+
+  describe('WebSocket', () => {
+    it('should count messages and connections', () => {
+      recordWsMessage('sent', 3);
+      recordWsMessage('received');
+      setActiveConnections(2);
+
+      assert.deepStrictEqual(getMetricsJson().wsMessagesTotal, { sent: 3, received: 1 });
+      assert.deepStrictEqual(metricLines('mcp_active_connections '), ['mcp_active_connections 2']);
+    });
+  });
+
+  describe('watchServerProbes', () => {
+    it('should record probe events of a registry', () => {
+      const registry = new EventEmitter();
+      watchServerProbes(registry);
+      registry.emit('probe', { name: 'memory', success: true, latencyMs: 8 });
+      registry.emit('probe', { name: 'memory', success: false, latencyMs: null });
+
+      assert.deepStrictEqual(getMetricsJson().serverProbes.memory, { count: 1, sum: 8, last: 8, failures: 1 });
+    });
+  });
+});
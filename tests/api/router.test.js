@@ -0,0 +1,416 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Router and OpenAPI Generation
+ */
+
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { describe, it } from 'node:test';
+import { getActor } from '../../src/api/audit.js';
+import { getPrincipal } from '../../src/api/auth.js';
+import { getOpenApiSpec, openApiComponents } from '../../src/api/openapi.js';
+import { compilePath, parseQuery, Router, validateSchema } from '../../src/api/router.js';
+
+/**
+ * Minimal response that records what the router sends
+ */
+function createResponse() {
+  return { headersSent: false, sent: null, ended: false, end() { this.ended = true; } };
+}
+
+/**
+ * Router whose responses are recorded on the response object
+ */
+function createRouter(routes, body = {}, authenticate = null) {
+  return new Router(routes, {
+    schemas: openApiComponents.schemas,
+    parseBody: async () => {
+      if (body instanceof Error) throw body;
+      return { body, raw: Buffer.from(JSON.stringify(body)) };
+    },
+    authenticate,
+    send: (res, data, status = 200, headers = {}) => {
+      res.sent = { data, status, headers };
+    },
+  });
+}
+
+/**
+ * Run a request through a router
+ */
+async function request(router, method, path, headers = {}) {
+  const res = createResponse();
+  const handled = await router.handle({ method, headers }, res, new URL(path, 'http://localhost'));
+  return { handled, res };
+}
+
+describe('Router', () => {
+  describe('compilePath', () => {
+    it('should capture named segments', () => {
+      const { regex, keys } = compilePath('/api/servers/:name/tools/:tool');
+      assert.deepStrictEqual(keys, ['name', 'tool']);
+      assert.deepStrictEqual('/api/servers/memory/tools/read'.match(regex).slice(1), ['memory', 'read']);
+      assert.strictEqual(regex.test('/api/servers/memory/tools'), false);
+    });
+
+    it('should capture the rest of the path for wildcard segments', () => {
+      const { regex } = compilePath('/api/docs/:file*');
+      assert.strictEqual('/api/docs/guides/setup.md'.match(regex)[1], 'guides/setup.md');
+    });
+
+    it('should match literal segments exactly', () => {
+      const { regex } = compilePath('/api/openapi.yaml');
+      assert.strictEqual(regex.test('/api/openapi.yaml'), true);
+      assert.strictEqual(regex.test('/api/openapiXyaml'), false);
+    });
+  });
+
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['name', 'messages'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        limit: { type: 'integer', minimum: 1 },
+        mode: { type: 'string', enum: ['fast', 'slow'] },
+        messages: { type: 'array', items: { type: 'object', required: ['role'], properties: { role: { type: 'string' } } } },
+      },
+    };
+
+    it('should accept valid values', () => {
+      const errors = validateSchema(schema, { name: 'a', limit: 2, mode: 'fast', messages: [{ role: 'user' }] });
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it('should report every invalid field with its path', () => {
+      const errors = validateSchema(schema, { name: '', limit: 0.5, mode: 'other', messages: [{}] });
+      assert.deepStrictEqual(errors, [
+        { field: 'name', message: 'must not be empty' },
+        { field: 'limit', message: 'must be an integer' },
+        { field: 'mode', message: 'must be one of: fast, slow' },
+        { field: 'messages[0].role', message: 'is required' },
+      ]);
+    });
+
+    it('should report missing required fields', () => {
+      const errors = validateSchema(schema, {});
+      assert.deepStrictEqual(errors.map((error) => error.field), ['name', 'messages']);
+    });
+
+    it('should resolve component references', () => {
+      const errors = validateSchema(
+        { type: 'array', items: { $ref: '#/components/schemas/Relation' } },
+        [{ from: 'a', to: 'b', relationType: 3 }],
+        { schemas: openApiComponents.schemas },
+      );
+      assert.deepStrictEqual(errors, [{ field: '[0].relationType', message: 'must be a string' }]);
+    });
+
+    it('should reject properties not allowed by additionalProperties', () => {
+      const errors = validateSchema({ type: 'object', additionalProperties: false, properties: { a: {} } }, { a: 1, b: 2 });
+      assert.deepStrictEqual(errors, [{ field: 'b', message: 'is not allowed' }]);
+    });
+
+    it('should check date-time formats', () => {
+      const schema = { type: 'string', format: 'date-time' };
+      assert.deepStrictEqual(validateSchema(schema, '2026-10-19T08:00:00Z'), []);
+      assert.deepStrictEqual(validateSchema(schema, 'yesterday'), [{ field: '', message: 'must be a date-time' }]);
+    });
+  });
+
+  describe('parseQuery', () => {
+    it('should convert values to the declared types', () => {
+      const query = parseQuery(new URLSearchParams('limit=5&ai=false&q=x&tag=a&tag=b'), {
+        properties: { limit: { type: 'integer' }, ai: { type: 'boolean' }, tag: { type: 'array', items: { type: 'string' } } },
+      });
+      assert.deepStrictEqual(query, { limit: 5, ai: false, q: 'x', tag: ['a', 'b'] });
+    });
+
+    it('should leave values that do not convert for validation to reject', () => {
+      const query = parseQuery(new URLSearchParams('limit=ten'), { properties: { limit: { type: 'integer' } } });
+      assert.strictEqual(query.limit, 'ten');
+    });
+  });
+
+  describe('handle', () => {
+    it('should pass decoded params, typed query and body to the handler', async () => {
+      let received;
+      const router = createRouter([{
+        method: 'POST',
+        path: '/api/items/:name',
+        query: { type: 'object', properties: { limit: { type: 'integer' } } },
+        body: { type: 'object', required: ['value'] },
+        handler: ({ params, query, body }) => { received = { params, query, body }; },
+      }], { value: 1 });
+
+      const { handled } = await request(router, 'POST', '/api/items/a%20b?limit=3');
+      assert.strictEqual(handled, true);
+      assert.deepStrictEqual(received, { params: { name: 'a b' }, query: { limit: 3 }, body: { value: 1 } });
+    });
+
+    it('should return false for unknown paths', async () => {
+      const router = createRouter([{ method: 'GET', path: '/api/health', handler: () => {} }]);
+      const { handled, res } = await request(router, 'GET', '/api/unknown');
+      assert.strictEqual(handled, false);
+      assert.strictEqual(res.sent, null);
+    });
+
+    it('should answer 405 with Allow for other methods of a known path', async () => {
+      const router = createRouter([
+        { method: 'GET', path: '/api/items/:id', handler: () => {} },
+        { method: 'DELETE', path: '/api/items/:id', handler: () => {} },
+      ]);
+      const { res } = await request(router, 'POST', '/api/items/1');
+      assert.strictEqual(res.sent.status, 405);
+      assert.deepStrictEqual(res.sent.headers, { Allow: 'GET, DELETE' });
+    });
+
+    it('should list the methods of a path for preflights', () => {
+      const router = createRouter([
+        { method: 'GET', path: '/api/items/:id', handler: () => {} },
+        { method: 'PUT', path: '/api/items/:id', handler: () => {} },
+        { method: 'GET', path: '/api/items/:id', handler: () => {} },
+        { method: 'POST', path: '/api/items', handler: () => {} },
+      ]);
+      assert.deepStrictEqual(router.methodsFor('/api/items/1'), ['GET', 'PUT']);
+      assert.deepStrictEqual(router.methodsFor('/api/unknown'), []);
+    });
+
+    it('should answer 400 with field-level details without calling the handler', async () => {
+      let called = false;
+      const router = createRouter([{
+        method: 'POST',
+        path: '/api/items',
+        query: { type: 'object', required: ['scope'] },
+        body: { type: 'object', properties: { count: { type: 'integer' } } },
+        handler: () => { called = true; },
+      }], { count: 'many' });
+
+      const { res } = await request(router, 'POST', '/api/items');
+      assert.strictEqual(called, false);
+      assert.strictEqual(res.sent.status, 400);
+      assert.deepStrictEqual(res.sent.data, {
+        error: 'Validation failed',
+        details: [
+          { field: 'scope', in: 'query', message: 'is required' },
+          { field: 'count', in: 'body', message: 'must be an integer' },
+        ],
+      });
+    });
+
+    it('should answer body errors with their status and pass the raw body', async () => {
+      const tooLarge = Object.assign(new Error('Request body exceeds 10 bytes'), {
+        status: 413,
+        details: { limit: 10 },
+        headers: { Connection: 'close' },
+      });
+      let rawBody;
+      const routes = [{ method: 'POST', path: '/api/hooks', handler: (context) => { rawBody = context.rawBody; } }];
+
+      const { res } = await request(createRouter(routes, tooLarge), 'POST', '/api/hooks');
+      assert.deepStrictEqual(res.sent, {
+        data: { error: 'Request body exceeds 10 bytes', limit: 10 },
+        status: 413,
+        headers: { Connection: 'close' },
+      });
+
+      await request(createRouter(routes, { event: 'ping' }), 'POST', '/api/hooks');
+      assert.strictEqual(rawBody.toString(), '{"event":"ping"}');
+    });
+
+    it('should reject malformed path encoding', async () => {
+      const router = createRouter([{ method: 'GET', path: '/api/items/:id', handler: () => {} }]);
+      const { res } = await request(router, 'GET', '/api/items/%E0%A4%A');
+      assert.strictEqual(res.sent.status, 400);
+      assert.deepStrictEqual(res.sent.data.details, [{ field: 'id', in: 'path', message: 'is not valid URI encoding' }]);
+    });
+
+    it('should turn handler errors into 500 responses', async () => {
+      const router = createRouter([{
+        method: 'GET',
+        path: '/api/fail',
+        handler: () => { throw new Error('boom'); },
+      }]);
+      const { res } = await request(router, 'GET', '/api/fail');
+      assert.deepStrictEqual(res.sent, { data: { error: 'boom' }, status: 500, headers: {} });
+    });
+
+    describe('authentication', () => {
+      const keys = { reader: ['read'], writer: ['read', 'db:write'] };
+      const authenticate = (req) => (keys[req.headers.authorization] ? { scopes: keys[req.headers.authorization] } : null);
+      let received;
+      let current;
+      const router = createRouter([
+        { method: 'GET', path: '/api/health', auth: false, handler: () => {} },
+        { method: 'GET', path: '/api/items', handler: ({ auth }) => { received = auth; current = getPrincipal(); } },
+        { method: 'POST', path: '/api/items', scope: 'db:write', handler: () => {} },
+      ], {}, authenticate);
+
+      it('should answer 401 without a valid key', async () => {
+        const { res } = await request(router, 'GET', '/api/items', { authorization: 'unknown' });
+        assert.strictEqual(res.sent.status, 401);
+        assert.deepStrictEqual(res.sent.headers, { 'WWW-Authenticate': 'Bearer' });
+      });
+
+      it('should answer 403 when the key lacks the route scope', async () => {
+        const { res } = await request(router, 'POST', '/api/items', { authorization: 'reader' });
+        assert.strictEqual(res.sent.status, 403);
+        assert.strictEqual(res.sent.data.scope, 'db:write');
+      });
+
+      it('should require the read scope by default and pass the principal to the handler', async () => {
+        await request(router, 'GET', '/api/items', { authorization: 'writer' });
+        assert.deepStrictEqual(received, { scopes: ['read', 'db:write'] });
+        assert.strictEqual(current, received, 'agent tools it calls are checked against the principal');
+      });
+
+      it('should not authenticate public routes', async () => {
+        const { res } = await request(router, 'GET', '/api/health');
+        assert.strictEqual(res.sent, null);
+      });
+    });
+
+    describe('audit', () => {
+      const keys = { reader: { id: 'key-r', name: 'reader', scopes: ['read'] }, writer: { id: 'key-w', name: 'writer', scopes: ['read', 'db:write'] } };
+      const entries = [];
+      let actor;
+      const router = new Router([
+        { method: 'GET', path: '/api/items', handler: () => {} },
+        { method: 'GET', path: '/api/secrets', audit: true, handler: () => {} },
+        { method: 'POST', path: '/api/items/:name', scope: 'db:write', handler: () => { actor = getActor(); } },
+      ], {
+        parseBody: async () => ({ body: { value: 1, token: 't' }, raw: Buffer.from('{}') }),
+        authenticate: (req) => keys[req.headers.authorization] ?? null,
+        send: (res, data, status = 200) => { res.statusCode = status; },
+        audit: { record: (entry) => entries.push(entry) },
+      });
+
+      /**
+       * Run a request and close its response, as the server does
+       */
+      async function audited(method, path, authorization) {
+        const res = Object.assign(new EventEmitter(), { statusCode: 200, writableFinished: true, headersSent: false });
+        const req = { method, url: path, headers: { authorization }, socket: { remoteAddress: '127.0.0.1' } };
+        await router.handle(req, res, new URL(path, 'http://localhost'));
+        res.emit('close');
+        return entries.at(-1);
+      }
+
+      it('should record requests that change state with the actor and body', async () => {
+        const entry = await audited('POST', '/api/items/a?dry=1', 'writer');
+        assert.strictEqual(entry.kind, 'http');
+        assert.strictEqual(entry.action, 'POST /api/items/:name');
+        assert.deepStrictEqual(entry.actor, { type: 'api-key', id: 'key-w', name: 'writer', ip: '127.0.0.1' });
+        assert.strictEqual(entry.path, '/api/items/a');
+        assert.deepStrictEqual(entry.params, { name: 'a' });
+        assert.deepStrictEqual(entry.query, { dry: '1' });
+        assert.deepStrictEqual(entry.body, { value: 1, token: 't' });
+        assert.strictEqual(entry.outcome, 'success');
+        assert.ok(entry.durationMs >= 0);
+        assert.deepStrictEqual(actor, entry.actor);
+      });
+
+      it('should record rejected requests with the key that made them', async () => {
+        const entry = await audited('POST', '/api/items/a', 'reader');
+        assert.strictEqual(entry.status, 403);
+        assert.strictEqual(entry.outcome, 'denied');
+        assert.strictEqual(entry.actor.name, 'reader');
+        assert.strictEqual(entry.body, undefined);
+      });
+
+      it('should only record GET routes that declare audit', async () => {
+        const count = entries.length;
+        await audited('GET', '/api/items', 'reader');
+        assert.strictEqual(entries.length, count);
+        assert.strictEqual((await audited('GET', '/api/secrets', 'reader')).action, 'GET /api/secrets');
+      });
+    });
+
+    it('should reject routes without a handler', () => {
+      assert.throws(() => createRouter([{ method: 'GET', path: '/api/x' }]), /handler are required/);
+    });
+  });
+});
+
+describe('OpenAPI generation', () => {
+  const routes = [
+    {
+      method: 'GET',
+      path: '/api/servers/:name/resources/read',
+      tags: ['Servers'],
+      summary: 'Read an MCP resource',
+      query: { type: 'object', required: ['uri'], properties: { uri: { type: 'string', description: 'Resource URI' } } },
+      responses: { 200: { description: 'Resource contents', schema: { type: 'object' } }, 404: 'Server not found' },
+      handler: () => {},
+    },
+    {
+      method: 'POST',
+      path: '/api/servers/:name/resources/read',
+      summary: 'Not a real route',
+      auth: false,
+      handler: () => {},
+    },
+    {
+      method: 'PUT',
+      path: '/api/docs/:file*',
+      scope: 'db:write',
+      body: { type: 'object', required: ['content'], properties: { content: { type: 'string' } } },
+      handler: () => {},
+    },
+  ];
+  const spec = getOpenApiSpec(routes);
+
+  it('should generate a path for every route', () => {
+    assert.deepStrictEqual(Object.keys(spec.paths), ['/api/servers/{name}/resources/read', '/api/docs/{file}']);
+    assert.deepStrictEqual(Object.keys(spec.paths['/api/servers/{name}/resources/read']), ['get', 'post']);
+  });
+
+  it('should describe path and query parameters', () => {
+    const { parameters } = spec.paths['/api/servers/{name}/resources/read'].get;
+    assert.deepStrictEqual(parameters, [
+      { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
+      { name: 'uri', in: 'query', required: true, description: 'Resource URI', schema: { type: 'string' } },
+    ]);
+  });
+
+  it('should expand response shorthand and add the validation error response', () => {
+    const { responses } = spec.paths['/api/servers/{name}/resources/read'].get;
+    assert.deepStrictEqual(responses[200], {
+      description: 'Resource contents',
+      content: { 'application/json': { schema: { type: 'object' } } },
+    });
+    assert.deepStrictEqual(responses[404], { description: 'Server not found' });
+    assert.strictEqual(responses[400].content['application/json'].schema.$ref, '#/components/schemas/ValidationError');
+  });
+
+  it('should default responses for routes without schemas', () => {
+    assert.deepStrictEqual(spec.paths['/api/servers/{name}/resources/read'].post.responses, { 200: { description: 'Success' } });
+  });
+
+  it('should document the required scope', () => {
+    const operation = spec.paths['/api/docs/{file}'].put;
+    assert.strictEqual(operation['x-required-scope'], 'db:write');
+    assert.ok(operation.responses[401]);
+    assert.ok(operation.responses[403]);
+    assert.strictEqual(spec.paths['/api/servers/{name}/resources/read'].get['x-required-scope'], 'read');
+    assert.deepStrictEqual(spec.paths['/api/servers/{name}/resources/read'].post.security, []);
+  });
+
+  it('should document Idempotency-Key on authenticated mutating routes', () => {
+    const operation = spec.paths['/api/docs/{file}'].put;
+    assert.deepStrictEqual(operation.parameters.at(-1), { $ref: '#/components/parameters/IdempotencyKey' });
+    assert.ok(operation.responses[409]);
+    assert.ok(!spec.paths['/api/servers/{name}/resources/read'].post.parameters.some((parameter) => parameter.$ref));
+  });
+
+  it('should describe request bodies', () => {
+    const { requestBody } = spec.paths['/api/docs/{file}'].put;
+    assert.strictEqual(requestBody.required, true);
+    assert.strictEqual(requestBody.content['application/json'].schema, routes[2].body);
+  });
+
+  it('should include shared components', () => {
+    assert.strictEqual(spec.components, openApiComponents);
+    assert.ok(spec.components.schemas.ValidationError);
+  });
+});
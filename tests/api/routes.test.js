@@ -12,6 +12,8 @@ import { before, describe, it } from 'node:test';
 describe('API Routes', () => {
   const API_PORT = process.env.API_PORT || (() => { throw new Error('API_PORT not set - check .env'); })();
   const API_BASE = `http://localhost:${API_PORT}/api`;
+  // Every route except /api/health needs a key when the server enforces authentication
+  const headers = process.env.API_SECRET_KEY ? { Authorization: `Bearer ${process.env.API_SECRET_KEY}` } : {};
   let serverAvailable = false;
 
   before(async () => {
@@ -46,7 +48,7 @@ describe('API Routes', () => {
         return;
       }
 
-      const response = await fetch(`${API_BASE}/servers`);
+      const response = await fetch(`${API_BASE}/servers`, { headers });
       const data = await response.json();
 
       assert.strictEqual(response.status, 200);
@@ -55,6 +57,33 @@ describe('API Routes', () => {
     });
   });
 
+  describe('GET /api/docs/:filename', () => {
+    it('should serve markdown files', async (t) => {
+      if (!serverAvailable) {
+        t.skip('API server not running');
+        return;
+      }
+
+      const response = await fetch(`${API_BASE}/docs/PATREON_MCP_REFERENCE.md`, { headers });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.name, 'PATREON_MCP_REFERENCE');
+    });
+
+    it('should reject names that are not markdown files', async (t) => {
+      if (!serverAvailable) {
+        t.skip('API server not running');
+        return;
+      }
+
+      for (const name of ['TODO.txt', 'package.json', '..%2Fpackage.json']) {
+        const response = await fetch(`${API_BASE}/docs/${name}`, { headers });
+        assert.strictEqual(response.status, 400, name);
+      }
+    });
+  });
+
   describe('POST /api/servers/:name/start', () => {
     it('should attempt to start a server', async (t) => {
       if (!serverAvailable) {
@@ -64,6 +93,7 @@ describe('API Routes', () => {
 
       const response = await fetch(`${API_BASE}/servers/memory/start`, {
         method: 'POST',
+        headers,
       });
 
       // May succeed or fail depending on config
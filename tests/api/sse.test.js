@@ -0,0 +1,83 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Server-Sent Events
+ */
+
+import assert from 'node:assert';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { afterEach, describe, it } from 'node:test';
+import { streamEvents } from '../../src/api/sse.js';
+
+/**
+ * Parse an event stream body into `[event, data]` pairs
+ */
+function parseFrames(text) {
+  return text.split('\n\n').filter((frame) => frame.startsWith('event:')).map((frame) => {
+    const [event, data] = frame.split('\n');
+    return [event.slice('event: '.length), JSON.parse(data.slice('data: '.length))];
+  });
+}
+
+describe('Server-Sent Events', () => {
+  let server;
+
+  /**
+   * Serve every request with a handler and return the base URL
+   */
+  async function serve(handler) {
+    server = createServer(handler);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  afterEach(() => server?.close());
+
+  it('should send named JSON events and a final frame', async () => {
+    const url = await serve((req, res) => streamEvents(res, async (stream) => {
+      stream.send('token', { content: 'Hel' });
+      stream.send('token', { content: 'lo' });
+      return { usage: { total_tokens: 2 } };
+    }, { finalEvent: 'usage' }));
+
+    const response = await fetch(url);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    assert.strictEqual(response.headers.get('cache-control'), 'no-cache, no-transform');
+    assert.deepStrictEqual(parseFrames(await response.text()), [
+      ['token', { content: 'Hel' }],
+      ['token', { content: 'lo' }],
+      ['usage', { usage: { total_tokens: 2 } }],
+    ]);
+  });
+
+  it('should end with an error event when producing fails', async () => {
+    const url = await serve((req, res) => streamEvents(res, async (stream) => {
+      stream.send('token', { content: 'partial' });
+      throw new Error('model crashed');
+    }));
+
+    const frames = parseFrames(await (await fetch(url)).text());
+    assert.deepStrictEqual(frames.at(-1), ['error', { error: 'model crashed' }]);
+  });
+
+  it('should abort the signal when the client disconnects', async () => {
+    let resolveAborted;
+    const aborted = new Promise((resolve) => { resolveAborted = resolve; });
+    const url = await serve((req, res) => streamEvents(res, async (stream) => {
+      stream.send('token', { content: 'first' });
+      await new Promise((resolve) => stream.signal.addEventListener('abort', resolve));
+      resolveAborted(stream.signal.reason.message);
+      throw stream.signal.reason;
+    }));
+
+    const controller = new AbortController();
+    const response = await fetch(url, { signal: controller.signal });
+    const reader = response.body.getReader();
+    await reader.read();
+    controller.abort();
+
+    assert.strictEqual(await aborted, 'Client disconnected');
+  });
+});
@@ -4,12 +4,28 @@
  */
 
 import assert from 'node:assert';
-import { describe, it } from 'node:test';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import WebSocket from 'ws';
 import {
     MessageTypes,
+    createWebSocketServer,
+    disconnectApiKey,
     getWebSocketStats,
 } from '../../src/api/websocket.js';
 
+/**
+ * Open a WebSocket and resolve with the upgrade outcome
+ */
+function connect(url, options) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(url, options);
+    ws.on('open', () => { ws.close(); resolve(101); });
+    ws.on('unexpected-response', (req, res) => { res.resume(); resolve(res.statusCode); });
+    ws.on('error', () => resolve(null));
+  });
+}
+
 describe('WebSocket Module', () => {
   describe('MessageTypes', () => {
     it('should define server event types', () => {
@@ -99,4 +115,73 @@ describe('WebSocket Module', () => {
       }
     });
   });
+
+  describe('upgrade checks', () => {
+    const server = createServer();
+    let wss;
+    let url;
+
+    before(async () => {
+      wss = createWebSocketServer(server, {
+        authenticate: (req) => {
+          const token = new URL(req.url, 'http://localhost').searchParams.get('access_token');
+          return ['good', 'other'].includes(token) ? { id: `key-${token}`, scopes: ['read'] } : null;
+        },
+        isOriginAllowed: (origin) => origin === 'http://localhost:3000',
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      url = `ws://127.0.0.1:${server.address().port}/ws`;
+    });
+
+    after(async () => {
+      wss.close();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should accept allowed origins with a valid key', async () => {
+      assert.strictEqual(await connect(`${url}?access_token=good`, { origin: 'http://localhost:3000' }), 101);
+    });
+
+    it('should accept clients that send no origin', async () => {
+      assert.strictEqual(await connect(`${url}?access_token=good`), 101);
+    });
+
+    it('should answer messages under the request id the client sent', async () => {
+      const ws = new WebSocket(`${url}?access_token=good`);
+      const pong = new Promise((resolve) => ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        if (message.type === 'PONG') resolve(message);
+      }));
+      await new Promise((resolve) => ws.once('open', resolve));
+      ws.send(JSON.stringify({ type: 'ping', requestId: 'req-ws' }));
+
+      const { requestId, traceId } = await pong;
+      ws.close();
+      assert.strictEqual(requestId, 'req-ws');
+      assert.match(traceId, /^[0-9a-f]{32}$/);
+    });
+
+    it('should reject other origins with 403', async () => {
+      assert.strictEqual(await connect(`${url}?access_token=good`, { origin: 'https://evil.example' }), 403);
+    });
+
+    it('should reject missing keys with 401', async () => {
+      assert.strictEqual(await connect(url, { origin: 'http://localhost:3000' }), 401);
+    });
+
+    it('should close the connections of a revoked key', async () => {
+      const open = (token) => new Promise((resolve) => {
+        const ws = new WebSocket(`${url}?access_token=${token}`);
+        ws.once('open', () => resolve(ws));
+      });
+      const revoked = await open('good');
+      const kept = await open('other');
+      const closed = new Promise((resolve) => revoked.once('close', (code, reason) => resolve([code, reason.toString()])));
+
+      assert.strictEqual(disconnectApiKey('key-good'), 1);
+      assert.deepStrictEqual(await closed, [1008, 'API key revoked']);
+      assert.strictEqual(kept.readyState, WebSocket.OPEN);
+      kept.close();
+    });
+  });
 });
@@ -0,0 +1,27 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Test Helper - MCP gateway on stdio with a stub tool
+ *
+ * Usage: node tests/helpers/mock-gateway-stdio.js
+ */
+
+import { McpGateway, serveStdio } from '../../src/servers/mcp-gateway.js';
+
+const tools = [
+  {
+    name: 'greet',
+    description: 'Greet someone',
+    category: 'storage',
+    parameters: { type: 'object', properties: { name: { type: 'string' } } },
+  },
+];
+
+const executor = {
+  execute: async (name, args) => {
+    // Must end up on stderr, not in the JSON-RPC stream
+    console.log(`executing ${name}`);
+    return { success: true, result: { greeting: `hello ${args.name}` }, toolName: name, source: 'local' };
+  },
+};
+
+serveStdio(new McpGateway({ executor, getTools: () => tools }));
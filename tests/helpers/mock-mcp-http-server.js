@@ -0,0 +1,165 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Test Helper - Minimal Streamable HTTP MCP server
+ *
+ * Usage:
+ *   const mock = await startMockHttpServer();
+ *   registry.loadFromConfig({ remote: { url: mock.url } });
+ *   ...
+ *   await mock.close();
+ */
+
+import { randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const SERVER_INFO = { name: 'mock-mcp-http-server', version: '0.1.0' };
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the given text',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+  },
+  {
+    name: 'stream',
+    description: 'Answer over an SSE response with a progress notification first',
+    inputSchema: { type: 'object', properties: {} },
+  },
+];
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function writeEvent(res, message, id) {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Start the stand-in server on a random local port
+ * @returns {Promise<Object>} Control handle
+ */
+export async function startMockHttpServer() {
+  const sessions = new Set();
+  const streams = new Set();
+  const requests = [];
+  let eventId = 0;
+
+  const handlers = {
+    initialize: (params) => ({
+      protocolVersion: params.protocolVersion,
+      capabilities: { tools: {} },
+      serverInfo: SERVER_INFO,
+    }),
+    ping: () => ({}),
+    'tools/list': () => ({ tools }),
+    'tools/call': (params) => ({ content: [{ type: 'text', text: params.arguments?.text ?? '' }] }),
+  };
+
+  const server = createServer(async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    requests.push({ method: req.method, headers: req.headers });
+
+    if (req.method === 'DELETE') {
+      sessions.delete(sessionId);
+      res.writeHead(200).end();
+      return;
+    }
+
+    if (req.method === 'GET') {
+      if (!sessions.has(sessionId)) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      res.write(': connected\n\n');
+      streams.add(res);
+      res.on('close', () => streams.delete(res));
+      return;
+    }
+
+    const message = JSON.parse(await readBody(req));
+
+    if (message.method === 'initialize') {
+      const newSession = randomUUID();
+      sessions.add(newSession);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': newSession });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: handlers.initialize(message.params) }));
+      return;
+    }
+
+    if (!sessions.has(sessionId)) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    // Notifications and responses
+    if (message.id === undefined || !message.method) {
+      res.writeHead(202).end();
+      return;
+    }
+
+    // Answer over SSE, preceded by a progress notification
+    if (message.method === 'tools/call' && message.params?.name === 'stream') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const progressToken = message.params._meta?.progressToken;
+      if (progressToken !== undefined) {
+        writeEvent(res, {
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: { progressToken, progress: 1, total: 1 },
+        });
+      }
+      writeEvent(res, { jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text: 'streamed' }] } });
+      res.end();
+      return;
+    }
+
+    const handler = handlers[message.method];
+    const response = handler
+      ? { jsonrpc: '2.0', id: message.id, result: handler(message.params || {}) }
+      : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/mcp`,
+    sessions,
+    requests,
+    /** Number of open GET event streams */
+    get streamCount() {
+      return streams.size;
+    },
+    /** Send a server-initiated message on every open GET stream */
+    notify(message) {
+      eventId++;
+      for (const res of streams) {
+        writeEvent(res, { jsonrpc: '2.0', ...message }, eventId);
+      }
+    },
+    /** Close every GET stream (clients should resume) */
+    dropStreams() {
+      for (const res of streams) res.end();
+    },
+    /** Forget every session (clients get 404) */
+    expireSessions() {
+      sessions.clear();
+      for (const res of streams) res.end();
+    },
+    close() {
+      for (const res of streams) res.end();
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
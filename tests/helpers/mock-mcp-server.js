@@ -0,0 +1,186 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Test Helper - Minimal stdio MCP server
+ *
+ * Usage: node tests/helpers/mock-mcp-server.js [--silent] [--no-ping] [--ignore-sigterm]
+ *   --silent  Never answer requests (handshake timeout scenarios)
+ *   --no-ping Answer `ping` with "method not found"
+ *   --ignore-sigterm Keep running after SIGTERM (SIGKILL escalation scenarios)
+ */
+
+import { createInterface } from 'readline';
+
+let silent = process.argv.includes('--silent');
+
+if (process.argv.includes('--ignore-sigterm')) {
+  process.on('SIGTERM', () => process.stderr.write('ignoring SIGTERM\n'));
+}
+
+const SERVER_INFO = { name: 'mock-mcp-server', version: '0.1.0' };
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the given text',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: { text: { type: 'string' } },
+      required: ['text'],
+    },
+  },
+  {
+    name: 'fail',
+    description: 'Always report a tool error',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'slow',
+    description: 'Report progress in steps before answering',
+    inputSchema: {
+      type: 'object',
+      properties: { steps: { type: 'number' }, delayMs: { type: 'number' } },
+    },
+  },
+  {
+    name: 'env',
+    description: 'Report the working directory and environment of the process',
+    annotations: { destructiveHint: false },
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'hang',
+    description: 'Stop answering requests for a while',
+    inputSchema: { type: 'object', properties: { ms: { type: 'number' } } },
+  },
+  {
+    name: 'add_tool',
+    description: 'Register another tool and announce the list change',
+    inputSchema: {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name'],
+    },
+  },
+];
+
+const resources = [
+  { uri: 'mock://notes/readme', name: 'readme', mimeType: 'text/plain' },
+];
+
+const resourceTemplates = [
+  { uriTemplate: 'mock://notes/{name}', name: 'note', mimeType: 'text/plain' },
+];
+
+const prompts = [
+  {
+    name: 'greet',
+    description: 'Greet someone by name',
+    arguments: [{ name: 'name', required: true }],
+  },
+];
+
+/**
+ * Tool implementations by name
+ */
+const toolHandlers = {
+  echo: (args) => ({ content: [{ type: 'text', text: args.text ?? '' }] }),
+  slow: async (args, meta) => {
+    const steps = args.steps ?? 3;
+    for (let step = 1; step <= steps; step++) {
+      await new Promise((resolve) => setTimeout(resolve, args.delayMs ?? 10));
+      if (meta?.progressToken !== undefined) {
+        send({
+          method: 'notifications/progress',
+          params: { progressToken: meta.progressToken, progress: step, total: steps, message: `step ${step}` },
+        });
+      }
+    }
+    return { content: [{ type: 'text', text: `done after ${steps} steps` }] };
+  },
+  env: () => ({ content: [{ type: 'text', text: JSON.stringify({ cwd: process.cwd(), env: process.env }) }] }),
+  hang: (args) => {
+    setImmediate(() => { silent = true; });
+    setTimeout(() => { silent = false; }, args.ms ?? 1000);
+    return { content: [{ type: 'text', text: 'hanging' }] };
+  },
+  fail: () => ({ content: [{ type: 'text', text: 'Something broke' }], isError: true }),
+  add_tool: (args) => {
+    tools.push({ name: args.name, description: `Dynamic tool ${args.name}`, inputSchema: { type: 'object' } });
+    setImmediate(() => send({ method: 'notifications/tools/list_changed' }));
+    return { content: [{ type: 'text', text: `added ${args.name}` }] };
+  },
+};
+
+/**
+ * Request handlers by JSON-RPC method
+ */
+const handlers = {
+  initialize: (params) => ({
+    protocolVersion: params.protocolVersion,
+    capabilities: {
+      tools: { listChanged: true },
+      resources: { subscribe: true, listChanged: true },
+      prompts: {},
+    },
+    serverInfo: SERVER_INFO,
+  }),
+  ping: () => ({}),
+  'tools/list': () => ({ tools }),
+  'tools/call': (params) => toolHandlers[params.name]?.(params.arguments || {}, params._meta) ?? {
+    content: [{ type: 'text', text: `Unknown tool: ${params.name}` }],
+    isError: true,
+  },
+  'resources/list': () => ({ resources }),
+  'resources/templates/list': () => ({ resourceTemplates }),
+  'resources/read': (params) => ({
+    contents: [{ uri: params.uri, mimeType: 'text/plain', text: `contents of ${params.uri}` }],
+  }),
+  'resources/subscribe': (params) => {
+    // Pretend the resource changed right after subscribing
+    setImmediate(() => send({ method: 'notifications/resources/updated', params: { uri: params.uri } }));
+    return {};
+  },
+  'resources/unsubscribe': () => ({}),
+  'prompts/list': () => ({ prompts }),
+  'prompts/get': (params) => ({
+    description: 'Greeting',
+    messages: [
+      { role: 'user', content: { type: 'text', text: `Say hello to ${params.arguments?.name ?? 'nobody'}` } },
+    ],
+  }),
+};
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+// Real servers announce themselves on stderr; stdout is reserved for JSON-RPC
+process.stderr.write(`${SERVER_INFO.name} running on stdio\n`);
+
+const rl = createInterface({ input: process.stdin });
+
+rl.on('line', (line) => {
+  if (silent || !line.trim()) return;
+
+  const message = JSON.parse(line);
+  // Notifications carry no id and get no response
+  if (message.id === undefined) {
+    if (message.method === 'notifications/cancelled') {
+      process.stderr.write(`cancelled request ${message.params.requestId}: ${message.params.reason}\n`);
+    }
+    return;
+  }
+
+  const handler = message.method === 'ping' && process.argv.includes('--no-ping')
+    ? undefined
+    : handlers[message.method];
+  if (!handler) {
+    send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+    return;
+  }
+
+  Promise.resolve(handler(message.params || {})).then((result) => send({ id: message.id, result }));
+});
+
+rl.on('close', () => process.exit(0));
@@ -0,0 +1,96 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Agent Tool Executor
+ */
+
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { AuditLog } from '../../src/api/audit.js';
+import { runAsPrincipal } from '../../src/api/auth.js';
+import { canUseTool, createAgentToolExecutor, getToolByName, getToolScope } from '../../src/servers/agent-tools.js';
+
+describe('Agent Tool Executor', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'agent-tools-'));
+  const path = join(dir, 'audit.jsonl');
+  const agentKey = { id: 'key-agent', name: 'agent', scopes: ['agent'] };
+  const paymentsKey = { id: 'key-payments', name: 'payments', scopes: ['agent', 'payments'] };
+
+  function createExecutor() {
+    const calls = [];
+    const executor = createAgentToolExecutor({ auditLog: new AuditLog({ path }) });
+    executor.registerHandlers('stripe', {
+      listCustomers: async (args) => { calls.push(['listCustomers', args]); return { data: [] }; },
+      createRefund: async (args) => { calls.push(['createRefund', args]); return { id: 're_1' }; },
+    });
+    executor.registerHandlers('thinking', {
+      sequentialThinking: async (args) => { calls.push(['sequentialThinking', args]); return { ok: true }; },
+    });
+    return { executor, calls };
+  }
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getToolScope()', () => {
+    it('should map tool categories to API scopes', () => {
+      assert.strictEqual(getToolScope(getToolByName('stripe_list_customers')), 'payments');
+      assert.strictEqual(getToolScope(getToolByName('patreon_get_identity')), 'payments');
+      assert.strictEqual(getToolScope(getToolByName('mongodb_insert')), 'db:write');
+      assert.strictEqual(getToolScope(getToolByName('sqlite_execute')), 'db:write');
+      assert.strictEqual(getToolScope(getToolByName('mongodb_query')), 'agent');
+      assert.strictEqual(getToolScope({ name: 'server__tool', category: 'mcp' }), 'servers:write');
+      assert.strictEqual(getToolScope(getToolByName('fetch_url')), 'agent');
+    });
+
+    it('should allow every tool without a principal or with authentication off', () => {
+      const tool = getToolByName('stripe_create_refund');
+      assert.strictEqual(canUseTool(tool, null), true);
+      assert.strictEqual(canUseTool(tool, {}), true);
+      assert.strictEqual(canUseTool(tool, agentKey), false);
+    });
+  });
+
+  describe('execute()', () => {
+    it('should refuse a payments tool to an agent-only key', async () => {
+      const { executor, calls } = createExecutor();
+      const result = await runAsPrincipal(agentKey, () =>
+        executor.execute('stripe_create_refund', { payment_intent: 'pi_1' }));
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.scope, 'payments');
+      assert.match(result.error, /lacks the "payments" scope/);
+      assert.deepStrictEqual(calls, []);
+
+      const entry = readFileSync(path, 'utf8').trim().split('\n').map((line) => JSON.parse(line)).at(-1);
+      assert.strictEqual(entry.action, 'stripe_create_refund');
+      assert.strictEqual(entry.outcome, 'denied');
+    });
+
+    it('should run tools the key has the scope for', async () => {
+      const { executor, calls } = createExecutor();
+      const results = await runAsPrincipal(paymentsKey, () => Promise.all([
+        executor.execute('stripe_list_customers', {}),
+        executor.execute('thinking_step', { thought: 'one' }),
+      ]));
+
+      assert.deepStrictEqual(results.map((result) => result.success), [true, true]);
+      assert.deepStrictEqual(calls.map(([handler]) => handler), ['listCustomers', 'sequentialThinking']);
+    });
+  });
+
+  describe('getOpenAITools()', () => {
+    it('should list only tools the current key may call', () => {
+      const { executor } = createExecutor();
+      const names = runAsPrincipal(agentKey, () => executor.getOpenAITools().map((tool) => tool.function.name));
+
+      assert.ok(names.includes('fetch_url'));
+      assert.ok(!names.some((name) => name.startsWith('stripe_') || name.startsWith('patreon_')));
+      assert.ok(!names.includes('mongodb_insert'));
+      assert.ok(executor.getOpenAITools().some((tool) => tool.function.name === 'stripe_create_refund'));
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Clarity Analytics
+ */
+
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, beforeEach, describe, it } from 'node:test';
+import { clarityHandlers } from '../../src/servers/clarity.js';
+
+describe('Clarity Analytics', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'clarity-'));
+
+  beforeEach(() => {
+    clarityHandlers.reset();
+  });
+
+  after(() => {
+    clarityHandlers.reset();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('saveToFile() / loadFromFile()', () => {
+    it('should restore stats and event history', async () => {
+      const path = join(dir, 'nested', 'clarity.json');
+      clarityHandlers.identify('user-1');
+      clarityHandlers.event('dashboard:view', { tab: 'servers' });
+      clarityHandlers.pageView('/servers');
+
+      assert.strictEqual((await clarityHandlers.saveToFile(path)).success, true);
+      clarityHandlers.reset();
+
+      const result = await clarityHandlers.loadFromFile(path);
+      const { stats, recentEvents } = clarityHandlers.getDashboardData();
+
+      assert.strictEqual(result.loaded, 1);
+      assert.strictEqual(stats.totalEvents, 1);
+      assert.strictEqual(stats.identifiedUsersCount, 1);
+      assert.deepStrictEqual(stats.pagesByPath, { '/servers': 1 });
+      assert.deepStrictEqual(recentEvents[0].data, { tab: 'servers' });
+    });
+
+    it('should report missing files', async () => {
+      const result = await clarityHandlers.loadFromFile(join(dir, 'missing.json'));
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(clarityHandlers.getDashboardData().stats.totalEvents, 0);
+    });
+  });
+});
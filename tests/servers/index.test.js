@@ -5,7 +5,34 @@
 
 import assert from 'node:assert';
 import { afterEach, beforeEach, describe, it } from 'node:test';
-import { ServerRegistry, ServerStatus } from '../../src/servers/index.js';
+import { fileURLToPath } from 'node:url';
+import {
+  describeServer,
+  detectLogLevel,
+  getDependencyProblems,
+  getRestartDelay,
+  hasLaunchChanges,
+  resolveProbePolicy,
+  resolveRestartPolicy,
+  RestartPolicy,
+  ServerRegistry,
+  ServerStatus,
+  validateServerConfig,
+} from '../../src/servers/index.js';
+import { interpolateConfig } from '../../src/utils/config.js';
+
+const MOCK_SERVER = fileURLToPath(new URL('../helpers/mock-mcp-server.js', import.meta.url));
+
+/**
+ * Poll until predicate is true or timeout elapses
+ */
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
 
 describe('Server Registry', () => {
   let registry;
@@ -82,6 +109,41 @@ describe('Server Registry', () => {
     });
   });
 
+  describe('describeServer()', () => {
+    afterEach(() => {
+      delete process.env.DESCRIBE_SERVER_SECRET;
+    });
+
+    it('should never return resolved env and header values', () => {
+      process.env.DESCRIBE_SERVER_SECRET = 'sk_live_resolved';
+      registry.loadFromConfig(interpolateConfig({
+        local: { command: 'node', env: { TOKEN: '${env:DESCRIBE_SERVER_SECRET}' } },
+        remote: { url: 'https://mcp.example.com', headers: { Authorization: 'Bearer ${env:DESCRIBE_SERVER_SECRET}' } },
+      }));
+      assert.strictEqual(registry.get('local').config.env.TOKEN, 'sk_live_resolved');
+
+      const local = describeServer(registry.get('local'));
+      const remote = describeServer(registry.get('remote'));
+      assert.deepStrictEqual(local.config.env, { TOKEN: '[redacted]' });
+      assert.deepStrictEqual(remote.config.headers, { Authorization: '[redacted]' });
+      assert.ok(!JSON.stringify([local, remote]).includes('sk_live_resolved'));
+      assert.strictEqual(registry.get('local').config.env.TOKEN, 'sk_live_resolved');
+    });
+
+    it('should preview the spawn spec with env names only', () => {
+      process.env.DESCRIBE_SERVER_SECRET = 'sk_live_resolved';
+      registry.loadFromConfig(interpolateConfig({
+        local: { command: 'node', args: ['server.js'], env: { TOKEN: '${env:DESCRIBE_SERVER_SECRET}' } },
+      }));
+
+      assert.strictEqual(describeServer(registry.get('local')).spawnSpec, null);
+      const view = describeServer(registry.get('local'), { previewSpawnSpec: true });
+      assert.deepStrictEqual(view.spawnSpec.env.injected, ['TOKEN']);
+      assert.ok(!JSON.stringify(view).includes('sk_live_resolved'));
+      assert.strictEqual(view.retryAttempt, undefined);
+    });
+  });
+
   describe('getStats()', () => {
     it('should return stats object with counts', () => {
       registry.loadFromConfig({
@@ -244,6 +306,24 @@ describe('Server Registry', () => {
       assert.ok(server.status !== ServerStatus.STARTING);
     });
 
+    it('should report a missing command once', async () => {
+      registry.loadFromConfig({
+        'missing-command-server': { command: 'nonexistent-command-xyz-12345', args: [], restart: 'on-failure' },
+      });
+      const statuses = [];
+      registry.on('status', (server) => {
+        if (server.name === 'missing-command-server') statuses.push(server.status);
+      });
+
+      assert.strictEqual(await registry.start('missing-command-server'), false);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const server = registry.get('missing-command-server');
+      assert.deepStrictEqual(statuses, [ServerStatus.STARTING, ServerStatus.ERROR]);
+      assert.match(server.error, /ENOENT/);
+      assert.strictEqual(server.retryAttempt, 1);
+    });
+
     it('should set error status on spawn failure', async () => {
       registry.loadFromConfig({
         // Use a command that will cause spawn error on most systems
@@ -428,6 +508,648 @@ describe('Server Registry', () => {
       }
     });
   });
+  describe('restart policies', () => {
+    it('should default to never restarting', () => {
+      const policy = resolveRestartPolicy(undefined);
+      assert.strictEqual(policy.policy, RestartPolicy.NEVER);
+      assert.ok(policy.maxRetries > 0);
+    });
+
+    it('should accept a policy name or an options object', () => {
+      assert.strictEqual(resolveRestartPolicy('always').policy, RestartPolicy.ALWAYS);
+
+      const policy = resolveRestartPolicy({ policy: 'on-failure', maxRetries: 2 });
+      assert.strictEqual(policy.policy, RestartPolicy.ON_FAILURE);
+      assert.strictEqual(policy.maxRetries, 2);
+    });
+
+    it('should fall back to default for unknown policy', () => {
+      assert.strictEqual(resolveRestartPolicy('sometimes').policy, RestartPolicy.NEVER);
+    });
+
+    it('should back off exponentially up to the max delay', () => {
+      const policy = resolveRestartPolicy({ initialDelayMs: 100, maxDelayMs: 1000 });
+      assert.strictEqual(getRestartDelay(policy, 1), 100);
+      assert.strictEqual(getRestartDelay(policy, 2), 200);
+      assert.strictEqual(getRestartDelay(policy, 3), 400);
+      assert.strictEqual(getRestartDelay(policy, 10), 1000);
+    });
+
+    it('should expose restart state on the server record', () => {
+      registry.loadFromConfig({ 'test-server': { command: 'echo' } });
+
+      const server = registry.get('test-server');
+      assert.strictEqual(server.restartCount, 0);
+      assert.strictEqual(server.lastExitCode, null);
+      assert.strictEqual(server.restartPolicy.policy, RestartPolicy.NEVER);
+    });
+
+    it('should restart on failure until max retries are exhausted', async () => {
+      registry.loadFromConfig({
+        'flaky-server': {
+          command: 'node',
+          args: ['-e', 'process.exitCode=3'],
+          restart: { policy: 'on-failure', maxRetries: 2, initialDelayMs: 10 },
+        },
+      });
+
+      await registry.start('flaky-server');
+      const server = registry.get('flaky-server');
+      await waitFor(() => server.status === ServerStatus.ERROR);
+
+      assert.strictEqual(server.restartCount, 2);
+      assert.strictEqual(server.lastExitCode, 3);
+      assert.match(server.error, /max retries/);
+    });
+
+    it('should not restart clean exits with on-failure policy', async () => {
+      registry.loadFromConfig({
+        'clean-server': {
+          command: 'node',
+          args: ['-e', 'process.exitCode=0'],
+          restart: { policy: 'on-failure', initialDelayMs: 10 },
+        },
+      });
+
+      await registry.start('clean-server');
+      const server = registry.get('clean-server');
+      await waitFor(() => server.lastExitCode !== null);
+
+      assert.strictEqual(server.status, ServerStatus.STOPPED);
+      assert.strictEqual(server.restartCount, 0);
+      assert.strictEqual(server.nextRestartAt, null);
+    });
+
+    it('should detect crash loops', async () => {
+      registry.loadFromConfig({
+        'loop-server': {
+          command: 'node',
+          args: ['-e', 'process.exitCode=0'],
+          restart: { policy: 'always', maxRetries: 10, initialDelayMs: 10, crashLoopThreshold: 2 },
+        },
+      });
+
+      await registry.start('loop-server');
+      const server = registry.get('loop-server');
+      await waitFor(() => server.status === ServerStatus.ERROR);
+
+      assert.strictEqual(server.restartCount, 1);
+      assert.match(server.error, /Crash loop/);
+    });
+
+    it('should cancel a pending restart on stop', async () => {
+      registry.loadFromConfig({
+        'pending-server': {
+          command: 'node',
+          args: ['-e', 'process.exitCode=1'],
+          restart: { policy: 'on-failure', initialDelayMs: 60000 },
+        },
+      });
+
+      await registry.start('pending-server');
+      const server = registry.get('pending-server');
+      await waitFor(() => server.nextRestartAt !== null);
+
+      assert.strictEqual(registry.stop('pending-server'), true);
+      assert.strictEqual(server.nextRestartAt, null);
+      assert.strictEqual(server.status, ServerStatus.STOPPED);
+    });
+
+    it('should emit status transitions', async () => {
+      registry.loadFromConfig({
+        'emit-server': { command: 'node', args: ['-e', 'process.exitCode=0'] },
+      });
+
+      const transitions = [];
+      registry.on('status', (server) => transitions.push(server.status));
+
+      await registry.start('emit-server');
+      await waitFor(() => transitions.includes(ServerStatus.STOPPED));
+
+      assert.strictEqual(transitions[0], ServerStatus.STARTING);
+    });
+  });
+
+  describe('MCP handshake', () => {
+    it('should become running only after initialize succeeds', async () => {
+      registry.loadFromConfig({
+        'mock-server': { command: 'node', args: [MOCK_SERVER] },
+      });
+
+      const result = await registry.start('mock-server');
+      const server = registry.get('mock-server');
+
+      assert.strictEqual(result, true);
+      assert.strictEqual(server.status, ServerStatus.RUNNING);
+      assert.deepStrictEqual(server.serverInfo, { name: 'mock-mcp-server', version: '0.1.0' });
+      assert.strictEqual(server.protocolVersion, '2024-11-05');
+      assert.ok(server.capabilities.tools);
+      assert.ok(registry.getClient('mock-server'), 'client should be available');
+    });
+
+    it('should fail with error status when the handshake times out', async () => {
+      registry.loadFromConfig({
+        'silent-server': { command: 'node', args: [MOCK_SERVER, '--silent'], startupTimeoutMs: 300 },
+      });
+
+      const result = await registry.start('silent-server');
+      const server = registry.get('silent-server');
+
+      assert.strictEqual(result, false);
+      assert.strictEqual(server.status, ServerStatus.ERROR);
+      assert.match(server.error, /handshake failed/);
+      assert.strictEqual(registry.processes.has('silent-server'), false);
+      assert.strictEqual(registry.getClient('silent-server'), undefined);
+    });
+
+    it('should use the registry default timeout', async () => {
+      registry = new ServerRegistry({ startupTimeoutMs: 200 });
+      registry.loadFromConfig({
+        'silent-server': { command: 'node', args: [MOCK_SERVER, '--silent'] },
+      });
+
+      const startedAt = Date.now();
+      await registry.start('silent-server');
+
+      assert.strictEqual(registry.get('silent-server').status, ServerStatus.ERROR);
+      assert.ok(Date.now() - startedAt < 5000);
+    });
+
+    it('should not report servers that exit before initialize as running', async () => {
+      registry.loadFromConfig({
+        'exit-server': { command: 'node', args: ['-e', 'process.exitCode=0'] },
+      });
+
+      const result = await registry.start('exit-server');
+
+      assert.strictEqual(result, false);
+      assert.strictEqual(registry.get('exit-server').status, ServerStatus.STOPPED);
+      assert.strictEqual(registry.get('exit-server').serverInfo, null);
+    });
+  });
+
+  describe('log capture', () => {
+    it('should capture stderr and supervisor lines', async () => {
+      registry.loadFromConfig({
+        'mock-server': { command: 'node', args: [MOCK_SERVER] },
+      });
+
+      await registry.start('mock-server');
+      await waitFor(() => registry.getLogs('mock-server').some((log) => log.source === 'stderr'));
+
+      const logs = registry.getLogs('mock-server');
+      const stderr = logs.find((log) => log.source === 'stderr');
+      assert.strictEqual(stderr.message, 'mock-mcp-server running on stdio');
+      assert.strictEqual(stderr.level, 'info');
+      assert.ok(logs.some((log) => log.source === 'supervisor' && log.message.startsWith('Starting')));
+      assert.ok(logs.every((log, i) => i === 0 || log.seq > logs[i - 1].seq), 'should be ordered');
+    });
+
+    it('should record exit codes for crashed servers', async () => {
+      registry.loadFromConfig({
+        'crash-server': { command: 'node', args: ['-e', 'process.exitCode=7'] },
+      });
+
+      await registry.start('crash-server');
+      const errors = registry.getLogs('crash-server', { level: 'error' });
+
+      assert.ok(errors.some((log) => log.message === 'Exited with code 7'));
+      assert.ok(errors.every((log) => log.level === 'error'));
+    });
+
+    it('should filter by since and limit', () => {
+      registry.loadFromConfig({ 'test-server': { command: 'echo' } });
+      registry.appendLog('test-server', 'info', 'first');
+      const cutoff = Date.now() + 1000;
+      registry.logs.get('test-server').toArray()[0].timestamp = new Date(cutoff - 5000).toISOString();
+      registry.appendLog('test-server', 'info', 'second');
+      registry.logs.get('test-server').toArray()[1].timestamp = new Date(cutoff + 5000).toISOString();
+      registry.appendLog('test-server', 'warn', 'third');
+
+      const recent = registry.getLogs('test-server', { since: new Date(cutoff).toISOString() });
+      assert.deepStrictEqual(recent.map((log) => log.message), ['second']);
+      assert.deepStrictEqual(registry.getLogs('test-server', { since: String(cutoff) }).length, 1);
+      assert.deepStrictEqual(registry.getLogs('test-server', { limit: 1 }).map((log) => log.message), ['third']);
+    });
+
+    it('should keep a bounded buffer per server', () => {
+      registry.loadFromConfig({ 'test-server': { command: 'echo', logBufferSize: 3 } });
+      for (let i = 0; i < 5; i++) {
+        registry.appendLog('test-server', 'info', `line ${i}`);
+      }
+
+      const logs = registry.getLogs('test-server');
+      assert.deepStrictEqual(logs.map((log) => log.message), ['line 2', 'line 3', 'line 4']);
+    });
+
+    it('should reject invalid filters and unknown servers', () => {
+      registry.loadFromConfig({ 'test-server': { command: 'echo' } });
+
+      assert.strictEqual(registry.getLogs('non-existent'), null);
+      assert.throws(() => registry.getLogs('test-server', { level: 'loud' }), /Invalid log level/);
+      assert.throws(() => registry.getLogs('test-server', { since: 'yesterday' }), /Invalid since/);
+    });
+
+    it('should detect severity of stderr lines', () => {
+      assert.strictEqual(detectLogLevel('Error: connect ECONNREFUSED'), 'error');
+      assert.strictEqual(detectLogLevel('npm ERR! code E404'), 'error');
+      assert.strictEqual(detectLogLevel('(node) Warning: something'), 'warn');
+      assert.strictEqual(detectLogLevel('Server running on stdio'), 'info');
+    });
+  });
+
+  describe('dependency startup', () => {
+    const mock = (dependsOn) => ({ command: 'node', args: [MOCK_SERVER], ...(dependsOn && { dependsOn }) });
+    const failing = (dependsOn) => ({ command: 'node', args: ['-e', 'process.exitCode=1'], ...(dependsOn && { dependsOn }) });
+
+    /**
+     * Record status transitions as "name:status"
+     */
+    function recordTransitions() {
+      const transitions = [];
+      registry.on('status', (server) => transitions.push(`${server.name}:${server.status}`));
+      return transitions;
+    }
+
+    it('should report unknown dependencies and cycles', () => {
+      const problems = getDependencyProblems({
+        a: { dependsOn: ['b'] },
+        b: { dependsOn: ['a'] },
+        c: { dependsOn: ['missing'] },
+        d: { dependsOn: ['a'] },
+        e: {},
+      });
+
+      assert.strictEqual(problems.get('a'), 'Dependency cycle: a -> b -> a');
+      assert.strictEqual(problems.get('b'), 'Dependency cycle: a -> b -> a');
+      assert.strictEqual(problems.get('c'), 'Unknown dependency: missing');
+      assert.strictEqual(problems.has('d'), false);
+      assert.strictEqual(problems.has('e'), false);
+    });
+
+    it('should start dependencies before their dependents', async () => {
+      registry.loadFromConfig({ sync: mock(['db']), db: mock() });
+      const transitions = recordTransitions();
+
+      const results = await registry.startAll();
+
+      assert.deepStrictEqual(results.started, ['db', 'sync']);
+      assert.ok(transitions.indexOf('db:running') < transitions.indexOf('sync:starting'));
+    });
+
+    it('should start independent servers in parallel', async () => {
+      registry.loadFromConfig({ one: mock(), two: mock() });
+      const transitions = recordTransitions();
+
+      const results = await registry.startAll();
+
+      assert.strictEqual(results.started.length, 2);
+      const firstRunning = transitions.findIndex((t) => t.endsWith(':running'));
+      assert.ok(transitions.indexOf('one:starting') < firstRunning);
+      assert.ok(transitions.indexOf('two:starting') < firstRunning);
+    });
+
+    it('should skip dependents of servers that failed', async () => {
+      registry.loadFromConfig({ db: failing(), sync: mock(['db']), report: mock(['sync']), other: mock() });
+
+      const results = await registry.startAll();
+
+      assert.deepStrictEqual(results.failed, ['db']);
+      assert.deepStrictEqual(results.started, ['other']);
+      assert.deepStrictEqual(results.skipped, [
+        { name: 'sync', reason: 'Dependency not started: db' },
+        { name: 'report', reason: 'Dependency not started: sync' },
+      ]);
+      assert.strictEqual(registry.get('sync').status, ServerStatus.STOPPED);
+      assert.ok(registry.getLogs('sync').some((entry) => entry.message.includes('Dependency not started')));
+    });
+
+    it('should skip servers in dependency cycles', async () => {
+      registry.loadFromConfig({ a: mock(['b']), b: mock(['a']), c: mock() });
+
+      const results = await registry.startAll();
+
+      assert.deepStrictEqual(results.started, ['c']);
+      assert.deepStrictEqual(results.skipped.map((s) => s.name).sort(), ['a', 'b']);
+      assert.match(results.skipped[0].reason, /^Dependency cycle: /);
+    });
+  });
+
+  describe('applyConfig()', () => {
+    const mock = (extra = {}) => ({ command: 'node', args: [MOCK_SERVER], ...extra });
+
+    it('should detect launch setting changes', () => {
+      assert.strictEqual(hasLaunchChanges(mock(), mock()), false);
+      assert.strictEqual(hasLaunchChanges(mock(), mock({ restart: 'always' })), false);
+      assert.strictEqual(hasLaunchChanges(mock(), mock({ env: { DEBUG: '1' } })), true);
+      assert.strictEqual(hasLaunchChanges(mock(), { command: 'node', args: [] }), true);
+    });
+
+    it('should start added servers and drop removed ones', async () => {
+      registry.loadFromConfig({ old: mock() });
+      await registry.start('old');
+
+      const changes = await registry.applyConfig({ fresh: mock() });
+
+      assert.deepStrictEqual(changes.added, ['fresh']);
+      assert.deepStrictEqual(changes.removed, ['old']);
+      assert.strictEqual(registry.get('old'), undefined);
+      assert.strictEqual(registry.processes.has('old'), false);
+      assert.strictEqual(registry.get('fresh').status, ServerStatus.RUNNING);
+    });
+
+    it('should restart running servers whose launch settings changed', async () => {
+      registry.loadFromConfig({ mock: mock() });
+      await registry.start('mock');
+      const before = registry.processes.get('mock');
+
+      const changes = await registry.applyConfig({ mock: mock({ env: { MOCK_FLAG: '1' } }) });
+
+      assert.deepStrictEqual(changes.changed, ['mock']);
+      assert.strictEqual(registry.get('mock').status, ServerStatus.RUNNING);
+      assert.notStrictEqual(registry.processes.get('mock'), before);
+      assert.deepStrictEqual(registry.get('mock').config.env, { MOCK_FLAG: '1' });
+    });
+
+    it('should not start stopped servers whose launch settings changed', async () => {
+      registry.loadFromConfig({ mock: mock() });
+
+      const changes = await registry.applyConfig({ mock: mock({ args: [MOCK_SERVER, '--silent'] }) });
+
+      assert.deepStrictEqual(changes.changed, ['mock']);
+      assert.strictEqual(registry.get('mock').status, ServerStatus.STOPPED);
+    });
+
+    it('should update other settings without a restart', async () => {
+      registry.loadFromConfig({ mock: mock() });
+      await registry.start('mock');
+      const before = registry.processes.get('mock');
+
+      const changes = await registry.applyConfig({ mock: mock({ restart: 'on-failure' }) });
+
+      assert.deepStrictEqual(changes.updated, ['mock']);
+      assert.strictEqual(registry.processes.get('mock'), before);
+      assert.strictEqual(registry.get('mock').restartPolicy.policy, RestartPolicy.ON_FAILURE);
+    });
+
+    it('should record the config file of each server', async () => {
+      registry.loadFromConfig({ mock: mock() }, { mock: '/project/.mcp.json' });
+      assert.strictEqual(registry.get('mock').source, '/project/.mcp.json');
+
+      await registry.applyConfig({ mock: mock() }, { mock: '/project/.vscode/settings.json' });
+      assert.strictEqual(registry.get('mock').source, '/project/.vscode/settings.json');
+    });
+
+    it('should report nothing for identical configs', async () => {
+      registry.loadFromConfig({ mock: mock() });
+
+      const changes = await registry.applyConfig({ mock: mock() });
+
+      assert.deepStrictEqual(changes, { added: [], removed: [], changed: [], updated: [] });
+    });
+  });
+
+  describe('stopAll() exit confirmation', () => {
+    it('should resolve once every process has exited', async () => {
+      registry.loadFromConfig({ mock: { command: 'node', args: [MOCK_SERVER] } });
+      await registry.start('mock');
+      const proc = registry.processes.get('mock');
+
+      await registry.stopAll();
+      assert.notStrictEqual(proc.exitCode ?? proc.signalCode, null);
+    });
+
+    it('should escalate to SIGKILL when a process ignores SIGTERM', { skip: process.platform === 'win32' }, async () => {
+      registry = new ServerRegistry({ killTimeoutMs: 200 });
+      registry.loadFromConfig({ stubborn: { command: 'node', args: [MOCK_SERVER, '--ignore-sigterm'] } });
+      await registry.start('stubborn');
+      const proc = registry.processes.get('stubborn');
+
+      await registry.stopAll();
+      assert.strictEqual(proc.signalCode, 'SIGKILL');
+      assert.ok(registry.getLogs('stubborn').some((entry) => /sending SIGKILL/.test(entry.message)));
+    });
+  });
+
+  describe('liveness probes', () => {
+    const mock = (probe, args = []) => ({ command: 'node', args: [MOCK_SERVER, ...args], probe });
+
+    it('should record probe latency of running servers', async () => {
+      registry = new ServerRegistry({ probeIntervalMs: 50 });
+      const probes = [];
+      registry.on('probe', (probe) => probes.push(probe));
+      registry.loadFromConfig({ mock: mock() });
+      await registry.start('mock');
+
+      await waitFor(() => registry.get('mock').health.lastProbeAt);
+      const { health } = registry.get('mock');
+      assert.strictEqual(typeof health.latencyMs, 'number');
+      assert.strictEqual(health.consecutiveFailures, 0);
+      assert.deepStrictEqual(Object.keys(probes[0]), ['name', 'success', 'latencyMs']);
+      assert.strictEqual(probes[0].success, true);
+    });
+
+    it('should count error responses from servers without ping as alive', async () => {
+      registry.loadFromConfig({ mock: mock({ intervalMs: 50 }, ['--no-ping']) });
+      await registry.start('mock');
+
+      await waitFor(() => registry.get('mock').health.lastProbeAt);
+      assert.strictEqual(registry.get('mock').health.consecutiveFailures, 0);
+      assert.strictEqual(registry.get('mock').status, ServerStatus.RUNNING);
+    });
+
+    it('should mark unresponsive servers degraded and recover them', async () => {
+      registry.loadFromConfig({ mock: mock({ intervalMs: 50, timeoutMs: 100, failureThreshold: 2 }) });
+      await registry.start('mock');
+      await registry.getClient('mock').callTool('hang', { ms: 600 });
+
+      await waitFor(() => registry.get('mock').status === ServerStatus.DEGRADED);
+      assert.match(registry.get('mock').error, /Liveness probe failed 2 times/);
+      assert.strictEqual(registry.getClient('mock'), undefined);
+      assert.strictEqual(registry.getStats().degraded, 1);
+
+      await waitFor(() => registry.get('mock').status === ServerStatus.RUNNING);
+      assert.strictEqual(registry.get('mock').error, null);
+      assert.strictEqual(registry.get('mock').health.consecutiveFailures, 0);
+    });
+
+    it('should restart degraded servers when the probe asks for it', async () => {
+      registry.loadFromConfig({
+        mock: mock({ intervalMs: 50, timeoutMs: 100, failureThreshold: 2, restart: true }),
+      });
+      await registry.start('mock');
+      const { pid } = registry.processes.get('mock');
+      await registry.getClient('mock').callTool('hang', { ms: 10000 });
+
+      await waitFor(() => registry.get('mock').restartCount === 1
+        && registry.get('mock').status === ServerStatus.RUNNING);
+      assert.notStrictEqual(registry.processes.get('mock').pid, pid);
+    });
+
+    it('should not probe when disabled', async () => {
+      registry = new ServerRegistry({ probeIntervalMs: 50 });
+      registry.loadFromConfig({ mock: mock(false) });
+      await registry.start('mock');
+
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      assert.strictEqual(registry.get('mock').health.lastProbeAt, null);
+    });
+  });
+
+  describe('resolveProbePolicy()', () => {
+    it('should use the registry interval by default', () => {
+      assert.deepStrictEqual(resolveProbePolicy(undefined, 1000), {
+        intervalMs: 1000,
+        timeoutMs: 5000,
+        failureThreshold: 3,
+        restart: false,
+      });
+    });
+
+    it('should apply overrides and disable with false', () => {
+      assert.strictEqual(resolveProbePolicy({ intervalMs: 10, restart: true }).intervalMs, 10);
+      assert.strictEqual(resolveProbePolicy({ restart: true }).restart, true);
+      assert.strictEqual(resolveProbePolicy(false, 1000).intervalMs, 0);
+      assert.strictEqual(resolveProbePolicy(true, 1000).intervalMs, 1000);
+    });
+  });
+
+  describe('sandboxed spawn', () => {
+    const readEnv = async (name) => {
+      const result = await registry.getClient(name).callTool('env', {});
+      return JSON.parse(result.content[0].text);
+    };
+
+    it('should pass only allowlisted and injected variables', async () => {
+      process.env.TOWER_TEST_SECRET = 'hidden';
+      process.env.TOWER_TEST_SHARED = 'shared';
+      try {
+        registry.loadFromConfig({
+          mock: {
+            command: 'node',
+            args: [MOCK_SERVER],
+            env: { MOCK_FLAG: '1' },
+            envAllowlist: ['TOWER_TEST_SHARED'],
+          },
+        });
+        await registry.start('mock');
+        const { env } = await readEnv('mock');
+
+        assert.strictEqual(env.MOCK_FLAG, '1');
+        assert.strictEqual(env.TOWER_TEST_SHARED, 'shared');
+        assert.strictEqual(env.TOWER_TEST_SECRET, undefined);
+        assert.strictEqual(env.PATH, process.env.PATH);
+      } finally {
+        delete process.env.TOWER_TEST_SECRET;
+        delete process.env.TOWER_TEST_SHARED;
+      }
+    });
+
+    it('should run in the configured cwd with a heap limit', async () => {
+      const cwd = fileURLToPath(new URL('../helpers', import.meta.url));
+      registry.loadFromConfig({
+        mock: { command: 'node', args: [MOCK_SERVER], cwd, maxHeapMb: 128 },
+      });
+      await registry.start('mock');
+      const { cwd: actual, env } = await readEnv('mock');
+
+      assert.strictEqual(actual, cwd);
+      assert.match(env.NODE_OPTIONS, /--max-old-space-size=128/);
+    });
+
+    it('should not interpret commands with a shell', async () => {
+      registry.loadFromConfig({
+        mock: { command: 'node', args: [MOCK_SERVER, '$(exit 1)'] },
+      });
+
+      assert.strictEqual(await registry.start('mock'), true);
+      assert.strictEqual(registry.get('mock').spawnSpec.shell, false);
+    });
+
+    it('should record the resolved spawn spec without env values', async () => {
+      registry.loadFromConfig({
+        mock: { command: 'node', args: [MOCK_SERVER], env: { MOCK_TOKEN: 'secret' } },
+      });
+      await registry.start('mock');
+      const { spawnSpec } = registry.get('mock');
+
+      assert.strictEqual(spawnSpec.command, 'node');
+      assert.deepStrictEqual(spawnSpec.env.injected, ['MOCK_TOKEN']);
+      assert.ok(spawnSpec.env.inherited.includes('PATH'));
+      assert.ok(!JSON.stringify(spawnSpec).includes('secret'));
+    });
+
+    it('should stop processes that exceed maxRuntimeMs', async () => {
+      registry.loadFromConfig({
+        mock: { command: 'node', args: [MOCK_SERVER], maxRuntimeMs: 500 },
+      });
+      await registry.start('mock');
+
+      await waitFor(() => registry.get('mock').status === ServerStatus.STOPPED);
+      assert.match(registry.get('mock').error, /Exceeded max runtime \(500ms\)/);
+    });
+  });
+
+  describe('validateServerConfig()', () => {
+    it('should accept command and url definitions', () => {
+      assert.deepStrictEqual(validateServerConfig('memory', {
+        command: 'npx',
+        args: ['-y', 'server'],
+        env: { A: '1' },
+        restart: { policy: 'on-failure' },
+        dependsOn: ['db'],
+      }), []);
+      assert.deepStrictEqual(validateServerConfig('remote', { url: 'https://example.com/mcp', headers: {} }), []);
+    });
+
+    it('should reject invalid names', () => {
+      assert.strictEqual(validateServerConfig('../etc', { command: 'node' }).length, 1);
+      assert.strictEqual(validateServerConfig('', { command: 'node' }).length, 1);
+    });
+
+    it('should require exactly one of command or url', () => {
+      assert.match(validateServerConfig('a', {}).join(), /exactly one of command or url/);
+      assert.match(validateServerConfig('a', { command: 'x', url: 'http://h' }).join(), /exactly one/);
+    });
+
+    it('should report every invalid field', () => {
+      const errors = validateServerConfig('a', {
+        command: 'node',
+        args: 'server.js',
+        env: { PORT: 8080 },
+        startupTimeoutMs: -1,
+        restart: 'sometimes',
+      });
+      assert.strictEqual(errors.length, 4);
+    });
+
+    it('should validate sandbox fields', () => {
+      const errors = validateServerConfig('a', {
+        command: 'node',
+        envAllowlist: 'PATH',
+        cwd: '',
+        shell: 'yes',
+        maxHeapMb: 0,
+        maxRuntimeMs: 1.5,
+      });
+      assert.strictEqual(errors.length, 5);
+    });
+
+    it('should validate probe settings', () => {
+      assert.deepStrictEqual(validateServerConfig('a', { command: 'node', probe: false }), []);
+      assert.deepStrictEqual(validateServerConfig('a', { command: 'node', probe: { intervalMs: 1000 } }), []);
+      assert.strictEqual(validateServerConfig('a', { command: 'node', probe: 'often' }).length, 1);
+      assert.strictEqual(validateServerConfig('a', {
+        command: 'node',
+        probe: { intervalMs: 0, timeoutMs: -1, restart: 'yes' },
+      }).length, 3);
+    });
+
+    it('should reject non-object configs', () => {
+      assert.deepStrictEqual(validateServerConfig('a', null), ['config must be an object']);
+    });
+  });
+
   describe('ServerStatus', () => {
     it('should have expected status values', () => {
       assert.strictEqual(ServerStatus.RUNNING, 'running');
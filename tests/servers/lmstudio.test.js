@@ -0,0 +1,108 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - LM Studio Streaming
+ */
+
+import assert from 'node:assert';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { LMStudioClient } from '../../src/servers/lmstudio.js';
+
+/**
+ * OpenAI-style stream chunk
+ */
+function chunk(delta, extra = {}) {
+  return `data: ${JSON.stringify({ model: 'test-model', choices: [{ index: 0, delta, finish_reason: null }], ...extra })}\n\n`;
+}
+
+const TOOL_STREAM = [
+  chunk({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'memory_search_nodes', arguments: '' } }] }),
+  chunk({ tool_calls: [{ index: 0, function: { arguments: '{"query":' } }] }),
+  chunk({ tool_calls: [{ index: 0, function: { arguments: '"bambi"}' } }] }),
+  `data: ${JSON.stringify({ model: 'test-model', choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] })}\n\n`,
+];
+
+describe('LM Studio Streaming', () => {
+  let server;
+  let client;
+  let lastPayload;
+  let streamClosed;
+
+  before(async () => {
+    server = createServer(async (req, res) => {
+      if (req.url === '/v1/models') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ data: [{ id: 'test-model' }] }));
+      }
+
+      let body = '';
+      for await (const part of req) body += part;
+      lastPayload = JSON.parse(body);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+      const [, scenario] = lastPayload.messages.at(-1).content.split(':');
+      if (scenario === 'hang') {
+        res.write(chunk({ content: 'Thinking' }));
+        streamClosed = once(res, 'close');
+        return;
+      }
+
+      const frames = scenario === 'tools' ? TOOL_STREAM : [
+        chunk({ role: 'assistant', content: '' }),
+        chunk({ content: 'Hello' }),
+        // Split across writes so a chunk boundary falls inside a line
+        chunk({ content: ' world' }).slice(0, 20),
+        chunk({ content: ' world' }).slice(20),
+        `data: ${JSON.stringify({ model: 'test-model', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`,
+        `data: ${JSON.stringify({ model: 'test-model', choices: [], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } })}\n\n`,
+      ];
+      for (const frame of frames) res.write(frame);
+      res.end('data: [DONE]\n\n');
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    client = new LMStudioClient({ baseUrl: `http://127.0.0.1:${server.address().port}/v1`, timeout: 5000 });
+  });
+
+  after(() => server.close());
+
+  it('should pass content deltas and return content, finish reason and usage', async () => {
+    const deltas = [];
+    const result = await client.streamCompletion([{ role: 'user', content: 'say:hello' }], {}, (delta) => deltas.push(delta));
+
+    assert.deepStrictEqual(deltas, [{ type: 'token', content: 'Hello' }, { type: 'token', content: ' world' }]);
+    assert.strictEqual(result.content, 'Hello world');
+    assert.strictEqual(result.finishReason, 'stop');
+    assert.deepStrictEqual(result.usage, { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 });
+    assert.deepStrictEqual(lastPayload.stream_options, { include_usage: true });
+  });
+
+  it('should assemble tool call fragments', async () => {
+    const deltas = [];
+    const result = await client.streamCompletion([{ role: 'user', content: 'run:tools' }], {}, (delta) => deltas.push(delta));
+
+    assert.deepStrictEqual(deltas, [{ type: 'tool_call_start', index: 0, id: 'call_1', name: 'memory_search_nodes' }]);
+    assert.deepStrictEqual(result.toolCalls, [
+      { id: 'call_1', type: 'function', function: { name: 'memory_search_nodes', arguments: '{"query":"bambi"}' } },
+    ]);
+    assert.strictEqual(result.finishReason, 'tool_calls');
+  });
+
+  it('should keep the legacy streamChat result', async () => {
+    const chunks = [];
+    const content = await client.streamChat([{ role: 'user', content: 'say:hello' }], (delta, full) => chunks.push(full));
+    assert.strictEqual(content, 'Hello world');
+    assert.deepStrictEqual(chunks, ['Hello', 'Hello world']);
+  });
+
+  it('should abort the upstream request with the caller signal', async () => {
+    const controller = new AbortController();
+    const streaming = client.streamCompletion([{ role: 'user', content: 'wait:hang' }], { signal: controller.signal }, (delta) => {
+      if (delta.type === 'token') controller.abort(new Error('client gone'));
+    });
+
+    await assert.rejects(streaming, /client gone/);
+    await streamClosed;
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - MCP Client
+ */
+
+import assert from 'node:assert';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { McpToolClient } from '../../src/servers/mcp-client.js';
+
+const MOCK_SERVER = fileURLToPath(new URL('../helpers/mock-mcp-server.js', import.meta.url));
+
+describe('MCP Client', () => {
+  let client;
+
+  before(async () => {
+    client = new McpToolClient({ command: 'node', args: [MOCK_SERVER] });
+    await client.connect();
+  });
+
+  after(() => {
+    client.disconnect();
+  });
+
+  it('should record server capabilities from the handshake', () => {
+    assert.ok(client.capabilities.resources.subscribe);
+    assert.ok(client.capabilities.prompts);
+  });
+
+  describe('resources', () => {
+    it('should list resources', async () => {
+      const result = await client.listResources();
+      assert.deepStrictEqual(result.resources.map((r) => r.uri), ['mock://notes/readme']);
+    });
+
+    it('should list resource templates', async () => {
+      const result = await client.listResourceTemplates();
+      assert.strictEqual(result.resourceTemplates[0].uriTemplate, 'mock://notes/{name}');
+    });
+
+    it('should read a resource', async () => {
+      const result = await client.readResource('mock://notes/readme');
+      assert.strictEqual(result.contents[0].text, 'contents of mock://notes/readme');
+    });
+
+    it('should emit resource update notifications after subscribing', async () => {
+      const updated = new Promise((resolve) => {
+        client.on('notification', function onNotification(message) {
+          if (message.method === 'notifications/resources/updated') {
+            client.off('notification', onNotification);
+            resolve(message.params);
+          }
+        });
+      });
+
+      await client.subscribeResource('mock://notes/readme');
+      assert.deepStrictEqual(await updated, { uri: 'mock://notes/readme' });
+      await client.unsubscribeResource('mock://notes/readme');
+    });
+  });
+
+  describe('prompts', () => {
+    it('should list prompts', async () => {
+      const result = await client.listPrompts();
+      assert.strictEqual(result.prompts[0].name, 'greet');
+    });
+
+    it('should get a prompt with arguments', async () => {
+      const result = await client.getPrompt('greet', { name: 'Bambi' });
+      assert.strictEqual(result.messages[0].content.text, 'Say hello to Bambi');
+    });
+  });
+
+  describe('progress and cancellation', () => {
+    /**
+     * Resolve with the first stderr line matching pattern
+     */
+    function nextStderr(pattern) {
+      return new Promise((resolve) => {
+        client.on('stderr', function onStderr(line) {
+          if (pattern.test(line)) {
+            client.off('stderr', onStderr);
+            resolve(line);
+          }
+        });
+      });
+    }
+
+    it('should pass progress notifications to onProgress', async () => {
+      const updates = [];
+      const result = await client.callTool('slow', { steps: 3 }, {
+        onProgress: (progress) => updates.push(progress),
+      });
+
+      assert.strictEqual(result.content[0].text, 'done after 3 steps');
+      assert.deepStrictEqual(updates.map((u) => u.progress), [1, 2, 3]);
+      assert.strictEqual(updates[0].total, 3);
+      assert.strictEqual(client.progressHandlers.size, 0);
+    });
+
+    it('should emit progress events', async () => {
+      const events = [];
+      const onProgress = (params) => events.push(params);
+      client.on('progress', onProgress);
+      await client.callTool('slow', { steps: 2 }, { onProgress: () => {} });
+      client.off('progress', onProgress);
+
+      assert.strictEqual(events.length, 2);
+      assert.ok(events[0].progressToken);
+    });
+
+    it('should cancel requests that exceed their timeout', async () => {
+      const cancelled = nextStderr(/^cancelled request/);
+
+      await assert.rejects(
+        client.callTool('slow', { steps: 5, delayMs: 100 }, { timeout: 50 }),
+        /MCP request timeout: tools\/call/
+      );
+      assert.match(await cancelled, /MCP request timeout/);
+      assert.strictEqual(client.pendingRequests.size, 0);
+    });
+
+    it('should cancel requests when the signal aborts', async () => {
+      const controller = new AbortController();
+      const cancelled = nextStderr(/^cancelled request/);
+
+      const call = client.callTool('slow', { steps: 5, delayMs: 100 }, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 30);
+
+      await assert.rejects(call, { name: 'AbortError' });
+      await cancelled;
+      assert.strictEqual(client.pendingRequests.size, 0);
+    });
+
+    it('should reject immediately when the signal is already aborted', async () => {
+      const requestId = client.requestId;
+      await assert.rejects(
+        client.callTool('echo', { text: 'hi' }, { signal: AbortSignal.abort() }),
+        { name: 'AbortError' }
+      );
+      assert.strictEqual(client.requestId, requestId, 'should not send the request');
+    });
+  });
+});
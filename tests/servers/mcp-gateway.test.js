@@ -0,0 +1,334 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - MCP Gateway
+ */
+
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { runAsPrincipal } from '../../src/api/auth.js';
+import { McpToolClient } from '../../src/servers/mcp-client.js';
+import {
+  createMcpHttpHandler,
+  JsonRpcErrorCode,
+  McpGateway,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  toMcpToolResult,
+} from '../../src/servers/mcp-gateway.js';
+
+const GATEWAY_STDIO = fileURLToPath(new URL('../helpers/mock-gateway-stdio.js', import.meta.url));
+
+const tools = [
+  { name: 'echo', description: 'Echo', category: 'storage', parameters: { type: 'object', properties: {} } },
+  { name: 'render_card', description: 'Render', category: 'render', parameters: { type: 'object' } },
+];
+
+/**
+ * Executor stub recording calls; `slow` waits for its signal or progress
+ */
+function createStubExecutor() {
+  const calls = [];
+  return {
+    calls,
+    execute: async (name, args, options) => {
+      calls.push({ name, args, options });
+      if (args.fail) {
+        return { success: false, error: 'Boom', toolName: name };
+      }
+      if (args.progress) {
+        options.onProgress?.({ progress: 1, total: 2 });
+      }
+      if (args.wait) {
+        await new Promise((resolve) => options.signal.addEventListener('abort', resolve));
+        return { success: false, error: 'aborted', toolName: name };
+      }
+      return { success: true, result: { echoed: args }, toolName: name, source: 'local' };
+    },
+  };
+}
+
+describe('MCP Gateway', () => {
+  let executor;
+  let gateway;
+
+  beforeEach(() => {
+    executor = createStubExecutor();
+    gateway = new McpGateway({ executor, getTools: () => tools });
+  });
+
+  describe('handleMessage()', () => {
+    it('should negotiate the protocol version', async () => {
+      const supported = await gateway.handleMessage({
+        jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' },
+      });
+      assert.strictEqual(supported.result.protocolVersion, '2024-11-05');
+      assert.ok(supported.result.capabilities.tools);
+      assert.ok(supported.result.serverInfo.name);
+
+      const unknown = await gateway.handleMessage({
+        jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' },
+      });
+      assert.strictEqual(unknown.result.protocolVersion, SUPPORTED_PROTOCOL_VERSIONS[0]);
+    });
+
+    it('should list tools without render tools', async () => {
+      const response = await gateway.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+      assert.deepStrictEqual(response.result.tools, [
+        { name: 'echo', description: 'Echo', inputSchema: { type: 'object', properties: {} } },
+      ]);
+    });
+
+    it('should list only tools the API key may call', async () => {
+      const scoped = new McpGateway({
+        executor,
+        getTools: () => [...tools, { name: 'stripe_list_customers', description: 'Customers', category: 'stripe', parameters: { type: 'object' } }],
+      });
+      const list = (principal) => runAsPrincipal(principal, () =>
+        scoped.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' }));
+
+      const agentOnly = await list({ id: 'key-agent', scopes: ['agent'] });
+      assert.deepStrictEqual(agentOnly.result.tools.map((tool) => tool.name), ['echo']);
+      const payments = await list({ id: 'key-payments', scopes: ['agent', 'payments'] });
+      assert.deepStrictEqual(payments.result.tools.map((tool) => tool.name), ['echo', 'stripe_list_customers']);
+    });
+
+    it('should call tools and return text content', async () => {
+      const response = await gateway.handleMessage({
+        jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'echo', arguments: { a: 1 } },
+      });
+      assert.deepStrictEqual(JSON.parse(response.result.content[0].text), { echoed: { a: 1 } });
+      assert.strictEqual(response.result.isError, undefined);
+    });
+
+    it('should report failed tools as tool errors', async () => {
+      const response = await gateway.handleMessage({
+        jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'echo', arguments: { fail: true } },
+      });
+      assert.strictEqual(response.result.isError, true);
+      assert.strictEqual(response.result.content[0].text, 'Boom');
+    });
+
+    it('should reject unknown tools with invalid params', async () => {
+      const response = await gateway.handleMessage({
+        jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'render_card' },
+      });
+      assert.strictEqual(response.error.code, JsonRpcErrorCode.INVALID_PARAMS);
+    });
+
+    it('should reject unknown methods', async () => {
+      const response = await gateway.handleMessage({ jsonrpc: '2.0', id: 1, method: 'nope' });
+      assert.strictEqual(response.error.code, JsonRpcErrorCode.METHOD_NOT_FOUND);
+    });
+
+    it('should reject invalid messages', async () => {
+      const response = await gateway.handleMessage({ id: 1, method: 'ping' });
+      assert.strictEqual(response.error.code, JsonRpcErrorCode.INVALID_REQUEST);
+    });
+
+    it('should not answer notifications', async () => {
+      const response = await gateway.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      assert.strictEqual(response, null);
+    });
+
+    it('should relay progress for requests with a progress token', async () => {
+      const notifications = [];
+      await gateway.handleMessage({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'echo', arguments: { progress: true }, _meta: { progressToken: 'p1' } },
+      }, { notify: (message) => notifications.push(message) });
+
+      assert.strictEqual(notifications.length, 1);
+      assert.strictEqual(notifications[0].method, 'notifications/progress');
+      assert.strictEqual(notifications[0].params.progressToken, 'p1');
+    });
+
+    it('should abort calls on notifications/cancelled', async () => {
+      const pending = gateway.handleMessage({
+        jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'echo', arguments: { wait: true } },
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      await gateway.handleMessage({
+        jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7 },
+      });
+
+      const response = await pending;
+      assert.strictEqual(executor.calls[0].options.signal.aborted, true);
+      assert.strictEqual(response.result.isError, true);
+    });
+
+    it('should only cancel calls of the same session', async () => {
+      const call = { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'echo', arguments: { wait: true } } };
+      const cancel = { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7 } };
+      const pending = gateway.handleMessage(call, { session: 'a' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      await gateway.handleMessage(cancel, { session: 'b' });
+      assert.strictEqual(executor.calls[0].options.signal.aborted, false);
+
+      await gateway.handleMessage(cancel, { session: 'a' });
+      await pending;
+      assert.strictEqual(executor.calls[0].options.signal.aborted, true);
+    });
+
+    it('should reject a call reusing the id of one in progress', async () => {
+      const call = { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'echo', arguments: { wait: true } } };
+      const pending = gateway.handleMessage(call, { session: 'a' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const duplicate = await gateway.handleMessage(call, { session: 'a' });
+      assert.strictEqual(duplicate.error.code, JsonRpcErrorCode.INVALID_REQUEST);
+      assert.strictEqual(executor.calls.length, 1);
+
+      await gateway.handleMessage({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7 } }, { session: 'a' });
+      await pending;
+    });
+  });
+
+  describe('toMcpToolResult()', () => {
+    it('should pass through results of supervised MCP servers', () => {
+      const result = { content: [{ type: 'text', text: 'raw' }] };
+      assert.strictEqual(toMcpToolResult({ success: true, result, source: 'mcp' }), result);
+    });
+
+    it('should keep string results as text', () => {
+      assert.deepStrictEqual(toMcpToolResult({ success: true, result: 'plain' }), {
+        content: [{ type: 'text', text: 'plain' }],
+      });
+    });
+  });
+
+  describe('Streamable HTTP endpoint', () => {
+    let server;
+    let url;
+    let handler;
+
+    before(async () => {
+      handler = createMcpHttpHandler(new McpGateway({ executor: createStubExecutor(), getTools: () => tools }));
+      server = createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        handler(req, res, body ? JSON.parse(body) : null);
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/mcp`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it('should serve McpToolClient over sessions', async () => {
+      const client = new McpToolClient({ url });
+      await client.connect();
+
+      const { tools: listed } = await client.listTools();
+      assert.deepStrictEqual(listed.map((t) => t.name), ['echo']);
+      assert.strictEqual(handler.sessions.size, 1);
+
+      client.disconnect();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.strictEqual(handler.sessions.size, 0);
+    });
+
+    it('should require a known session', async () => {
+      const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+      const headers = { 'Content-Type': 'application/json' };
+
+      const missing = await fetch(url, { method: 'POST', headers, body });
+      assert.strictEqual(missing.status, 400);
+
+      const unknown = await fetch(url, { method: 'POST', headers: { ...headers, 'Mcp-Session-Id': 'nope' }, body });
+      assert.strictEqual(unknown.status, 404);
+    });
+
+    it('should not offer a standalone event stream', async () => {
+      const response = await fetch(url, { headers: { Accept: 'text/event-stream' } });
+      assert.strictEqual(response.status, 405);
+    });
+
+    it('should keep sessions to the API key that created them', async () => {
+      const owners = createMcpHttpHandler(new McpGateway({ executor: createStubExecutor(), getTools: () => tools }));
+      const ownedServer = createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        owners(req, res, body ? JSON.parse(body) : null, { id: req.headers.authorization });
+      });
+      await new Promise((resolve) => ownedServer.listen(0, '127.0.0.1', resolve));
+      const ownedUrl = `http://127.0.0.1:${ownedServer.address().port}/mcp`;
+
+      const post = (key, message, session) => fetch(ownedUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: key, ...(session && { 'Mcp-Session-Id': session }) },
+        body: JSON.stringify({ jsonrpc: '2.0', ...message }),
+      });
+
+      try {
+        const initialized = await post('key-a', { id: 1, method: 'initialize', params: {} });
+        const session = initialized.headers.get('mcp-session-id');
+
+        assert.strictEqual((await post('key-b', { id: 2, method: 'tools/list' }, session)).status, 404);
+        const deleted = await fetch(ownedUrl, { method: 'DELETE', headers: { Authorization: 'key-b', 'Mcp-Session-Id': session } });
+        assert.strictEqual(deleted.status, 404);
+        assert.strictEqual((await post('key-a', { id: 3, method: 'tools/list' }, session)).status, 200);
+      } finally {
+        await new Promise((resolve) => ownedServer.close(resolve));
+      }
+    });
+
+    it('should expire idle sessions', async () => {
+      const expiring = createMcpHttpHandler(new McpGateway({ executor: createStubExecutor(), getTools: () => tools }), {
+        idleTimeoutMs: 20,
+      });
+      const request = (headers, body) => {
+        const res = { writeHead(status) { this.status = status; }, end() {} };
+        return expiring({ method: 'POST', headers }, res, body).then(() => res);
+      };
+
+      await request({}, { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      const [session] = expiring.sessions.keys();
+      assert.strictEqual((await request({ 'mcp-session-id': session }, { jsonrpc: '2.0', id: 2, method: 'ping' })).status, 200);
+
+      await new Promise((resolve) => setTimeout(resolve, 40));
+      assert.strictEqual((await request({ 'mcp-session-id': session }, { jsonrpc: '2.0', id: 3, method: 'ping' })).status, 404);
+      assert.strictEqual(expiring.sessions.size, 0);
+    });
+
+    it('should stream progress before the result over SSE', async () => {
+      const client = new McpToolClient({ url });
+      await client.connect();
+
+      const updates = [];
+      const result = await client.callTool('echo', { progress: true }, { onProgress: (p) => updates.push(p) });
+
+      assert.strictEqual(updates.length, 1);
+      assert.deepStrictEqual(JSON.parse(result.content[0].text), { echoed: { progress: true } });
+      client.disconnect();
+    });
+  });
+
+  describe('stdio', () => {
+    let client;
+    const output = [];
+
+    before(async () => {
+      client = new McpToolClient({ command: 'node', args: [GATEWAY_STDIO] });
+      client.on('output', (line) => output.push(line));
+      await client.connect();
+    });
+
+    after(() => client.disconnect());
+
+    it('should serve tools over stdin/stdout', async () => {
+      const { tools: listed } = await client.listTools();
+      assert.deepStrictEqual(listed.map((t) => t.name), ['greet']);
+
+      const result = await client.callTool('greet', { name: 'Bambi' });
+      assert.deepStrictEqual(JSON.parse(result.content[0].text), { greeting: 'hello Bambi' });
+    });
+
+    it('should keep console output off stdout', () => {
+      assert.deepStrictEqual(output, []);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - MCP Streamable HTTP Transport
+ */
+
+import assert from 'node:assert';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { ServerRegistry, ServerStatus } from '../../src/servers/index.js';
+import { McpToolClient } from '../../src/servers/mcp-client.js';
+import { StreamableHttpTransport } from '../../src/servers/mcp-http-transport.js';
+import { startMockHttpServer } from '../helpers/mock-mcp-http-server.js';
+
+/**
+ * Poll until predicate is true or timeout elapses
+ */
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe('MCP Streamable HTTP Transport', () => {
+  let mock;
+
+  beforeEach(async () => {
+    mock = await startMockHttpServer();
+  });
+
+  afterEach(async () => {
+    await mock.close();
+  });
+
+  describe('McpToolClient', () => {
+    let client;
+    let transport;
+
+    beforeEach(async () => {
+      client = new McpToolClient({ url: mock.url });
+      transport = new StreamableHttpTransport(mock.url, { reconnectDelayMs: 20 });
+      client.attachTransport(transport);
+      await client.initialize();
+    });
+
+    afterEach(() => {
+      client.disconnect();
+    });
+
+    it('should keep the session id assigned during initialize', async () => {
+      assert.strictEqual(client.serverInfo.name, 'mock-mcp-http-server');
+      assert.ok(mock.sessions.has(transport.sessionId));
+
+      await client.listTools();
+      const last = mock.requests.at(-1);
+      assert.strictEqual(last.headers['mcp-session-id'], transport.sessionId);
+    });
+
+    it('should handle JSON responses', async () => {
+      const result = await client.callTool('echo', { text: 'over http' });
+      assert.strictEqual(result.content[0].text, 'over http');
+    });
+
+    it('should handle SSE responses with notifications before the result', async () => {
+      const updates = [];
+      const result = await client.callTool('stream', {}, { onProgress: (p) => updates.push(p) });
+
+      assert.strictEqual(result.content[0].text, 'streamed');
+      assert.strictEqual(updates.length, 1);
+    });
+
+    it('should receive server-initiated messages on the GET stream', async () => {
+      await waitFor(() => mock.streamCount === 1);
+      const received = new Promise((resolve) => client.once('notification', resolve));
+
+      mock.notify({ method: 'notifications/tools/list_changed' });
+      assert.strictEqual((await received).method, 'notifications/tools/list_changed');
+    });
+
+    it('should resume a dropped stream with Last-Event-ID', async () => {
+      await waitFor(() => mock.streamCount === 1);
+      const first = new Promise((resolve) => client.once('notification', resolve));
+      mock.notify({ method: 'notifications/message', params: { data: 'one' } });
+      await first;
+
+      const getRequests = () => mock.requests.filter((r) => r.method === 'GET');
+      mock.dropStreams();
+      await waitFor(() => getRequests().length === 2);
+
+      assert.strictEqual(getRequests()[1].headers['last-event-id'], '1');
+    });
+
+    it('should delete the session on disconnect', async () => {
+      const { sessionId } = transport;
+      client.disconnect();
+      await waitFor(() => !mock.sessions.has(sessionId));
+    });
+  });
+
+  describe('ServerRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = new ServerRegistry({ startupTimeoutMs: 2000 });
+    });
+
+    afterEach(() => {
+      registry.stopAll();
+    });
+
+    it('should run servers configured with a url', async () => {
+      registry.loadFromConfig({ remote: { url: mock.url } });
+
+      const success = await registry.start('remote');
+      const server = registry.get('remote');
+
+      assert.strictEqual(success, true);
+      assert.strictEqual(server.status, ServerStatus.RUNNING);
+      assert.strictEqual(server.serverInfo.name, 'mock-mcp-http-server');
+      assert.strictEqual(registry.processes.has('remote'), false);
+
+      const result = await registry.getClient('remote').callTool('echo', { text: 'hi' });
+      assert.strictEqual(result.content[0].text, 'hi');
+    });
+
+    it('should stop remote servers and end their session', async () => {
+      registry.loadFromConfig({ remote: { url: mock.url } });
+      await registry.start('remote');
+
+      assert.strictEqual(registry.stop('remote'), true);
+      assert.strictEqual(registry.get('remote').status, ServerStatus.STOPPED);
+      assert.ok(!registry.getClient('remote'));
+      await waitFor(() => mock.sessions.size === 0);
+    });
+
+    it('should mark servers stopped when the session expires', async () => {
+      registry.loadFromConfig({ remote: { url: mock.url } });
+      await registry.start('remote');
+      await waitFor(() => mock.streamCount === 1);
+
+      mock.expireSessions();
+      await waitFor(() => registry.get('remote').status === ServerStatus.STOPPED);
+      assert.match(registry.get('remote').error, /session expired/);
+    });
+
+    it('should reconnect with a new session under a restart policy', async () => {
+      registry.loadFromConfig({
+        remote: { url: mock.url, restart: { policy: 'on-failure', initialDelayMs: 20 } },
+      });
+      await registry.start('remote');
+      await waitFor(() => mock.streamCount === 1);
+
+      mock.expireSessions();
+      await waitFor(() => registry.get('remote').restartCount === 1
+        && registry.get('remote').status === ServerStatus.RUNNING);
+      assert.strictEqual(mock.sessions.size, 1);
+    });
+
+    it('should report unreachable servers as handshake failures', async () => {
+      const url = mock.url;
+      await mock.close();
+      mock = await startMockHttpServer();
+      registry.loadFromConfig({ remote: { url } });
+
+      const success = await registry.start('remote');
+
+      assert.strictEqual(success, false);
+      assert.strictEqual(registry.get('remote').status, ServerStatus.ERROR);
+      assert.match(registry.get('remote').error, /^MCP handshake failed/);
+    });
+  });
+});
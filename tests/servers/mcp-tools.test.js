@@ -0,0 +1,165 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - MCP Tool Catalog
+ */
+
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, afterEach, beforeEach, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { AuditLog } from '../../src/api/audit.js';
+import { createAgentToolExecutor, getAllTools, getToolByName, TOOL_CATEGORIES } from '../../src/servers/agent-tools.js';
+import { registry as sharedRegistry, ServerRegistry } from '../../src/servers/index.js';
+import { getMcpToolName, isDestructiveTool, McpToolCatalog, mcpToolCatalog } from '../../src/servers/mcp-tools.js';
+
+const MOCK_SERVER = fileURLToPath(new URL('../helpers/mock-mcp-server.js', import.meta.url));
+
+/**
+ * Poll until predicate is true or timeout elapses
+ */
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe('MCP Tool Catalog', () => {
+  describe('getMcpToolName()', () => {
+    it('should prefix tool names with the server name', () => {
+      assert.strictEqual(getMcpToolName('filesystem', 'read_file'), 'filesystem__read_file');
+    });
+
+    it('should replace characters not allowed in function names', () => {
+      assert.strictEqual(getMcpToolName('my.server', 'get item'), 'my_server__get_item');
+    });
+
+    it('should limit names to 64 characters', () => {
+      assert.strictEqual(getMcpToolName('server', 'x'.repeat(100)).length, 64);
+    });
+  });
+
+  describe('isDestructiveTool()', () => {
+    it('should follow the MCP annotation defaults', () => {
+      assert.strictEqual(isDestructiveTool(undefined), true);
+      assert.strictEqual(isDestructiveTool({}), true);
+      assert.strictEqual(isDestructiveTool({ readOnlyHint: true }), false);
+      assert.strictEqual(isDestructiveTool({ readOnlyHint: true, destructiveHint: true }), false);
+      assert.strictEqual(isDestructiveTool({ destructiveHint: false }), false);
+      assert.strictEqual(isDestructiveTool({ readOnlyHint: false, idempotentHint: true }), true);
+    });
+  });
+
+  describe('registry integration', () => {
+    let registry;
+    let catalog;
+
+    beforeEach(() => {
+      registry = new ServerRegistry();
+      catalog = new McpToolCatalog(registry);
+      catalog.attach();
+      registry.loadFromConfig({ mock: { command: 'node', args: [MOCK_SERVER] } });
+    });
+
+    afterEach(() => {
+      catalog.detach();
+      registry.stopAll();
+    });
+
+    it('should list tools of servers once they are running', async () => {
+      await registry.start('mock');
+      await waitFor(() => catalog.getTools().length > 0);
+
+      const tool = catalog.getTool('mock__echo');
+      assert.strictEqual(tool.server, 'mock');
+      assert.strictEqual(tool.handler, 'echo');
+      assert.strictEqual(tool.category, 'mcp');
+      assert.deepStrictEqual(tool.parameters.required, ['text']);
+      assert.strictEqual(tool.destructive, false);
+      assert.strictEqual(catalog.getTool('mock__env').destructive, false);
+      assert.strictEqual(catalog.getTool('mock__add_tool').destructive, true);
+    });
+
+    it('should drop tools when the server stops', async () => {
+      await registry.start('mock');
+      await waitFor(() => catalog.getTools().length > 0);
+
+      registry.stop('mock');
+
+      assert.deepStrictEqual(catalog.getTools(), []);
+    });
+
+    it('should refresh on tools/list_changed', async () => {
+      await registry.start('mock');
+      await waitFor(() => catalog.getTools().length > 0);
+
+      await catalog.callTool('mock__add_tool', { name: 'late' });
+      await waitFor(() => catalog.getTool('mock__late') !== null);
+
+      assert.strictEqual(catalog.getTool('mock__late').description, 'Dynamic tool late');
+    });
+
+    it('should call tools on the owning server', async () => {
+      await registry.start('mock');
+      await waitFor(() => catalog.getTools().length > 0);
+
+      const result = await catalog.callTool('mock__echo', { text: 'hello' });
+      assert.deepStrictEqual(result.content, [{ type: 'text', text: 'hello' }]);
+    });
+
+    it('should reject unknown tools', async () => {
+      await assert.rejects(catalog.callTool('mock__missing'), /Unknown MCP tool/);
+    });
+  });
+
+  describe('AgentToolExecutor routing', () => {
+    // Server tools are audited; keep the entries out of ./data/audit.jsonl
+    const dir = mkdtempSync(join(tmpdir(), 'mcp-tools-audit-'));
+    const auditLog = new AuditLog({ path: join(dir, 'audit.jsonl') });
+
+    after(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+      mcpToolCatalog.attach();
+      sharedRegistry.loadFromConfig({ 'mock-shared': { command: 'node', args: [MOCK_SERVER] } });
+      await sharedRegistry.start('mock-shared');
+      await waitFor(() => getToolByName('mock-shared__echo') !== null);
+    });
+
+    afterEach(() => {
+      mcpToolCatalog.detach();
+      sharedRegistry.stopAll();
+      sharedRegistry.servers.delete('mock-shared');
+    });
+
+    it('should merge server tools into the catalog', () => {
+      const tools = getAllTools();
+      assert.ok(tools.some((tool) => tool.name === 'memory_read_graph'), 'should keep built-in tools');
+      assert.ok(tools.some((tool) => tool.name === 'mock-shared__echo'));
+      assert.strictEqual(getToolByName('mock-shared__echo').category, TOOL_CATEGORIES.MCP);
+    });
+
+    it('should execute server tools through the executor', async () => {
+      const executor = createAgentToolExecutor({ auditLog });
+      const result = await executor.execute('mock-shared__echo', { text: 'routed' });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.source, 'mcp');
+      assert.strictEqual(result.server, 'mock-shared');
+      assert.strictEqual(result.result.content[0].text, 'routed');
+    });
+
+    it('should report tool errors as failures', async () => {
+      const executor = createAgentToolExecutor({ auditLog });
+      const result = await executor.execute('mock-shared__fail', {});
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.error, 'Something broke');
+    });
+  });
+});
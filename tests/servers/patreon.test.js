@@ -4,6 +4,7 @@
  */
 
 import assert from 'node:assert';
+import crypto from 'node:crypto';
 import { afterEach, beforeEach, describe, it, mock } from 'node:test';
 
 // Mock fetch globally
@@ -66,6 +67,20 @@ describe('Patreon Handlers', async () => {
       const isValid = patreonHandlers.verifyWebhookSignature('test body', 'test signature');
       assert.strictEqual(isValid, false);
     });
+
+    it('should verify the raw bytes of a delivery', () => {
+      const secret = patreonClient.webhookSecret;
+      patreonClient.webhookSecret = 'webhook-secret';
+      try {
+        const raw = Buffer.from('{"data": {"id": "member-1",  "type": "member"}}');
+        const signature = crypto.createHmac('md5', 'webhook-secret').update(raw).digest('hex');
+
+        assert.strictEqual(patreonHandlers.verifyWebhookSignature(raw, signature), true);
+        assert.strictEqual(patreonHandlers.verifyWebhookSignature(JSON.stringify(JSON.parse(raw)), signature), false);
+      } finally {
+        patreonClient.webhookSecret = secret;
+      }
+    });
   });
 
   describe('getAuthorizationUrl', () => {
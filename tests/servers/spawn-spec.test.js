@@ -0,0 +1,90 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Spawn Spec
+ */
+
+import assert from 'node:assert';
+import { resolve } from 'node:path';
+import { describe, it } from 'node:test';
+import {
+  buildSpawnEnv,
+  describeSpawnSpec,
+  resolveSpawnSpec,
+} from '../../src/servers/spawn-spec.js';
+
+const parentEnv = {
+  PATH: '/usr/bin',
+  HOME: '/home/tower',
+  API_SECRET_KEY: 'secret',
+  NPM_CONFIG_CACHE: '/cache',
+  NODE_OPTIONS: '--enable-source-maps',
+};
+
+describe('Spawn Spec', () => {
+  describe('buildSpawnEnv()', () => {
+    it('should inherit only the base allowlist by default', () => {
+      assert.deepStrictEqual(buildSpawnEnv({}, parentEnv), { PATH: '/usr/bin', HOME: '/home/tower' });
+    });
+
+    it('should inherit extra names and prefixes from envAllowlist', () => {
+      const env = buildSpawnEnv({ envAllowlist: ['NPM_CONFIG_*', 'NODE_OPTIONS'] }, parentEnv);
+      assert.strictEqual(env.NPM_CONFIG_CACHE, '/cache');
+      assert.strictEqual(env.NODE_OPTIONS, '--enable-source-maps');
+      assert.strictEqual(env.API_SECRET_KEY, undefined);
+    });
+
+    it('should inject env entries over inherited values', () => {
+      const env = buildSpawnEnv({ env: { HOME: '/srv', TOKEN: 't' } }, parentEnv);
+      assert.strictEqual(env.HOME, '/srv');
+      assert.strictEqual(env.TOKEN, 't');
+    });
+
+    it('should append the heap limit to NODE_OPTIONS', () => {
+      assert.strictEqual(buildSpawnEnv({ maxHeapMb: 256 }, parentEnv).NODE_OPTIONS, '--max-old-space-size=256');
+      assert.strictEqual(
+        buildSpawnEnv({ maxHeapMb: 256, envAllowlist: ['NODE_OPTIONS'] }, parentEnv).NODE_OPTIONS,
+        '--enable-source-maps --max-old-space-size=256',
+      );
+    });
+  });
+
+  describe('resolveSpawnSpec()', () => {
+    it('should spawn without a shell in the tower directory by default', () => {
+      const spec = resolveSpawnSpec({ command: 'node', args: ['server.js'] }, { env: parentEnv, cwd: '/tower' });
+      assert.strictEqual(spec.command, 'node');
+      assert.deepStrictEqual(spec.args, ['server.js']);
+      assert.strictEqual(spec.options.shell, false);
+      assert.strictEqual(spec.options.cwd, '/tower');
+      assert.strictEqual(spec.maxRuntimeMs, null);
+    });
+
+    it('should resolve relative cwd values', () => {
+      const spec = resolveSpawnSpec({ command: 'node', cwd: 'servers/memory' }, { cwd: '/tower' });
+      assert.strictEqual(spec.options.cwd, resolve('/tower', 'servers/memory'));
+    });
+
+    it('should use a shell for package runner shims on Windows', () => {
+      assert.strictEqual(resolveSpawnSpec({ command: 'npx' }, { platform: 'win32' }).options.shell, true);
+      assert.strictEqual(resolveSpawnSpec({ command: 'run.cmd' }, { platform: 'win32' }).options.shell, true);
+      assert.strictEqual(resolveSpawnSpec({ command: 'node' }, { platform: 'win32' }).options.shell, false);
+      assert.strictEqual(resolveSpawnSpec({ command: 'npx' }, { platform: 'linux' }).options.shell, false);
+    });
+
+    it('should honour an explicit shell setting', () => {
+      assert.strictEqual(resolveSpawnSpec({ command: 'npx', shell: false }, { platform: 'win32' }).options.shell, false);
+      assert.strictEqual(resolveSpawnSpec({ command: 'node', shell: true }).options.shell, true);
+    });
+  });
+
+  describe('describeSpawnSpec()', () => {
+    it('should list variable names without values', () => {
+      const config = { command: 'node', env: { TOKEN: 'secret' }, maxHeapMb: 64, maxRuntimeMs: 1000 };
+      const described = describeSpawnSpec(resolveSpawnSpec(config, { env: parentEnv, cwd: '/tower' }), config);
+
+      assert.deepStrictEqual(described.env, { inherited: ['HOME', 'PATH'], injected: ['TOKEN', 'NODE_OPTIONS'] });
+      assert.strictEqual(described.maxHeapMb, 64);
+      assert.strictEqual(described.maxRuntimeMs, 1000);
+      assert.ok(!JSON.stringify(described).includes('secret'));
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Stripe Client
+ */
+
+import assert from 'node:assert';
+import { afterEach, describe, it, mock } from 'node:test';
+import { getIdempotencyKey, runWithIdempotencyKey } from '../../src/api/idempotency.js';
+import { stripeClient } from '../../src/servers/stripe.js';
+
+const originalFetch = globalThis.fetch;
+
+describe('Stripe Client', () => {
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  /**
+   * Replace fetch with a successful Stripe response
+   */
+  function mockFetch() {
+    globalThis.fetch = mock.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ id: 'cus_1' }) }));
+    return globalThis.fetch;
+  }
+
+  describe('Idempotency-Key', () => {
+    const context = { owner: 'key-a', key: 'retry-1' };
+
+    it('should send a key derived from the request key on POSTs', async () => {
+      const fetch = mockFetch();
+      await runWithIdempotencyKey(context, () => stripeClient.createCustomer('bambi@example.com', 'Bambi'));
+
+      const [url, options] = fetch.mock.calls[0].arguments;
+      assert.strictEqual(url, 'https://api.stripe.com/v1/customers');
+      assert.strictEqual(options.headers['Idempotency-Key'],
+        runWithIdempotencyKey(context, () => getIdempotencyKey('POST /customers')));
+    });
+
+    it('should send each POST of one request its own key', async () => {
+      const fetch = mockFetch();
+      await runWithIdempotencyKey(context, async () => {
+        await stripeClient.createCustomer('bambi@example.com', 'Bambi');
+        await stripeClient.createCustomer('doll@example.com', 'Doll');
+      });
+
+      const [first, second] = fetch.mock.calls.map((call) => call.arguments[1].headers['Idempotency-Key']);
+      assert.notStrictEqual(first, second);
+    });
+
+    it('should send no key outside keyed requests or on other methods', async () => {
+      const fetch = mockFetch();
+      await stripeClient.createCustomer('bambi@example.com', 'Bambi');
+      await runWithIdempotencyKey(context, () => stripeClient.deleteCustomer('cus_1'));
+
+      for (const call of fetch.mock.calls) {
+        assert.strictEqual(call.arguments[1].headers['Idempotency-Key'], undefined);
+      }
+    });
+  });
+});
@@ -5,7 +5,22 @@
 
 import assert from 'node:assert';
 import { afterEach, beforeEach, describe, it } from 'node:test';
-import { getConfig, loadMcpServers, stripJsonc } from '../../src/utils/config.js';
+import {
+  formatConfigProblems,
+  getConfig,
+  getMcpConfigSources,
+  getRedactedConfig,
+  getSetting,
+  interpolateConfig,
+  loadMcpServers,
+  modifyJsonc,
+  readMcpServerConfig,
+  readMcpServers,
+  stripJsonc,
+  validateEnvironment,
+  watchMcpServers,
+  writeMcpServer,
+} from '../../src/utils/config.js';
 
 describe('Config Module', () => {
   // Store original env vars
@@ -300,4 +315,381 @@ describe('Config Module', () => {
       }
     });
   });
+
+  describe('readMcpServers()', () => {
+    it('should throw when JSON is invalid', async () => {
+      const { writeFileSync, unlinkSync } = await import('fs');
+      const { join } = await import('path');
+      const tempPath = join(process.cwd(), 'temp-invalid-read.json');
+
+      try {
+        writeFileSync(tempPath, '{ invalid json }');
+        assert.throws(() => readMcpServers(tempPath), SyntaxError);
+      } finally {
+        try { unlinkSync(tempPath); } catch { /* ignore */ }
+      }
+    });
+  });
+
+  describe('watchMcpServers()', () => {
+    let tempDir;
+    let stop;
+
+    beforeEach(async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join } = await import('path');
+      tempDir = mkdtempSync(join(tmpdir(), 'mcp-watch-'));
+    });
+
+    afterEach(async () => {
+      const { rmSync } = await import('fs');
+      stop?.();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should report the new servers after the file changes', async () => {
+      const { writeFileSync } = await import('fs');
+      const { join } = await import('path');
+      const configPath = join(tempDir, 'settings.json');
+      writeFileSync(configPath, '{ "mcp.servers": {} }');
+
+      const changed = new Promise((resolve) => {
+        stop = watchMcpServers(resolve, { sources: [configPath], debounceMs: 20 });
+      });
+      writeFileSync(configPath, '{ "mcp.servers": { "a": { "command": "node" } } }');
+
+      assert.deepStrictEqual(await changed, { a: { command: 'node' } });
+    });
+
+    it('should report invalid content to onError', async () => {
+      const { writeFileSync } = await import('fs');
+      const { join } = await import('path');
+      const configPath = join(tempDir, 'settings.json');
+      writeFileSync(configPath, '{ "mcp.servers": {} }');
+
+      const failed = new Promise((resolve) => {
+        stop = watchMcpServers(() => {}, { sources: [configPath], debounceMs: 20, onError: resolve });
+      });
+      writeFileSync(configPath, '{ broken');
+
+      assert.ok(await failed instanceof SyntaxError);
+    });
+  });
+
+  describe('modifyJsonc()', () => {
+    const settings = `{
+  // Editor
+  "editor.tabSize": 2,
+  "mcp.servers": {
+    // Knowledge graph
+    "memory": {
+      "command": "npx"
+    },
+    "fetch": { "command": "uvx" } // python
+  }
+}
+`;
+
+    it('should add a member and keep comments', () => {
+      const result = modifyJsonc(settings, ['mcp.servers', 'github'], { command: 'npx' });
+
+      assert.ok(result.includes('// Knowledge graph'));
+      assert.ok(result.includes('"fetch": { "command": "uvx" }, // python'));
+      assert.ok(result.includes('    "github": {\n      "command": "npx"\n    }\n'));
+      assert.deepStrictEqual(JSON.parse(stripJsonc(result))['mcp.servers'].github, { command: 'npx' });
+    });
+
+    it('should replace only the value of an existing member', () => {
+      const result = modifyJsonc(settings, ['mcp.servers', 'memory'], { command: 'node' });
+
+      assert.strictEqual(
+        result,
+        settings.replace('{\n      "command": "npx"\n    }', '{\n      "command": "node"\n    }'),
+      );
+    });
+
+    it('should remove the last member and its separator', () => {
+      const result = modifyJsonc(settings, ['mcp.servers', 'fetch'], undefined);
+
+      assert.ok(!result.includes('fetch'));
+      assert.ok(result.includes('"command": "npx"\n    }\n  }'));
+      assert.deepStrictEqual(Object.keys(JSON.parse(stripJsonc(result))['mcp.servers']), ['memory']);
+    });
+
+    it('should remove a member followed by others', () => {
+      const result = modifyJsonc(settings, ['mcp.servers', 'memory'], undefined);
+
+      assert.ok(result.includes('// Knowledge graph\n    "fetch"'));
+      assert.deepStrictEqual(Object.keys(JSON.parse(stripJsonc(result))['mcp.servers']), ['fetch']);
+    });
+
+    it('should create missing parent objects', () => {
+      const result = modifyJsonc('{\n  "a": 1\n}\n', ['mcp.servers', 'x'], { url: 'http://localhost/mcp' });
+
+      assert.deepStrictEqual(JSON.parse(stripJsonc(result)), {
+        a: 1,
+        'mcp.servers': { x: { url: 'http://localhost/mcp' } },
+      });
+    });
+
+    it('should leave the document unchanged when removing a missing member', () => {
+      assert.strictEqual(modifyJsonc(settings, ['mcp.servers', 'nope'], undefined), settings);
+    });
+
+    it('should throw on malformed documents', () => {
+      assert.throws(() => modifyJsonc('{ "a": }', ['b'], 1), SyntaxError);
+    });
+  });
+
+  describe('writeMcpServer()', () => {
+    it('should persist changes and return the new servers', async () => {
+      const { mkdtempSync, readFileSync, rmSync, writeFileSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join } = await import('path');
+      const tempDir = mkdtempSync(join(tmpdir(), 'mcp-write-'));
+      const configPath = join(tempDir, 'settings.json');
+
+      try {
+        writeFileSync(configPath, '{\n  // keep me\n  "mcp.servers": {}\n}\n');
+
+        const added = writeMcpServer('echo', { command: 'node' }, { configPath });
+        assert.deepStrictEqual(added, { echo: { command: 'node' } });
+        assert.ok(readFileSync(configPath, 'utf-8').includes('// keep me'));
+
+        const removed = writeMcpServer('echo', undefined, { configPath });
+        assert.deepStrictEqual(removed, {});
+        assert.deepStrictEqual(readMcpServers(configPath), {});
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('config sources', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      const { mkdtempSync } = await import('fs');
+      const { tmpdir } = await import('os');
+      const { join } = await import('path');
+      tempDir = mkdtempSync(join(tmpdir(), 'mcp-sources-'));
+    });
+
+    afterEach(async () => {
+      const { rmSync } = await import('fs');
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const writeSource = async (name, content) => {
+      const { writeFileSync } = await import('fs');
+      const { join } = await import('path');
+      const path = join(tempDir, name);
+      writeFileSync(path, JSON.stringify(content));
+      return path;
+    };
+
+    it('should read every servers key', async () => {
+      const settings = await writeSource('settings.json', { 'mcp.servers': { a: { command: 'a' } } });
+      const vscode = await writeSource('mcp.json', { servers: { b: { command: 'b' } } });
+      const claude = await writeSource('claude_desktop_config.json', { mcpServers: { c: { command: 'c' } } });
+
+      assert.deepStrictEqual(readMcpServers(settings), { a: { command: 'a' } });
+      assert.deepStrictEqual(readMcpServers(vscode), { b: { command: 'b' } });
+      assert.deepStrictEqual(readMcpServers(claude), { c: { command: 'c' } });
+    });
+
+    it('should merge sources with the first file taking precedence', async () => {
+      const { join } = await import('path');
+      const first = await writeSource('settings.json', { 'mcp.servers': { shared: { command: 'first' } } });
+      const second = await writeSource('.mcp.json', {
+        mcpServers: { shared: { command: 'second' }, extra: { command: 'extra' } },
+      });
+
+      const { servers, origins } = readMcpServerConfig([first, join(tempDir, 'missing.json'), second]);
+
+      assert.deepStrictEqual(servers, { shared: { command: 'first' }, extra: { command: 'extra' } });
+      assert.deepStrictEqual(origins, { shared: first, extra: second });
+    });
+
+    it('should throw for malformed sources but loadMcpServers should skip them', async () => {
+      const { writeFileSync } = await import('fs');
+      const { join } = await import('path');
+      const broken = join(tempDir, 'mcp.json');
+      writeFileSync(broken, '{ broken');
+
+      assert.throws(() => readMcpServerConfig([broken]), SyntaxError);
+      assert.deepStrictEqual(loadMcpServers(broken), {});
+    });
+
+    it('should use MCP_CONFIG_SOURCES when set', async () => {
+      const { homedir } = await import('os');
+      const { join } = await import('path');
+      process.env.MCP_CONFIG_SOURCES = '/tmp/a.json, ~/claude.json';
+
+      assert.deepStrictEqual(getMcpConfigSources(), ['/tmp/a.json', join(homedir(), 'claude.json')]);
+    });
+
+    it('should default to the VS Code and project files', () => {
+      delete process.env.MCP_CONFIG_SOURCES;
+
+      const sources = getMcpConfigSources();
+      assert.ok(sources[0].endsWith('settings.json'));
+      assert.ok(sources.some((source) => source.endsWith('.mcp.json')));
+    });
+
+    it('should write to the servers key of the file', async () => {
+      const path = await writeSource('.mcp.json', { mcpServers: {} });
+
+      writeMcpServer('added', { command: 'node' }, { configPath: path });
+      assert.deepStrictEqual(readMcpServers(path), { added: { command: 'node' } });
+    });
+  });
+
+  describe('interpolateConfig()', () => {
+    it('should resolve env and workspace variables', () => {
+      process.env.MCP_TEST_TOKEN = 'secret';
+
+      const result = interpolateConfig({
+        args: ['${workspaceFolder}/server.js'],
+        env: { TOKEN: '${env:MCP_TEST_TOKEN}', PORT: 8080 },
+      });
+
+      assert.ok(!result.args[0].includes('${'));
+      assert.ok(result.args[0].endsWith('/server.js'));
+      assert.deepStrictEqual(result.env, { TOKEN: 'secret', PORT: 8080 });
+    });
+
+    it('should resolve inputs from MCP_INPUT_ variables before defaults', () => {
+      const inputs = [{ id: 'api-key', default: 'fallback' }, { id: 'region', default: 'eu' }];
+      process.env.MCP_INPUT_API_KEY = 'from-env';
+
+      assert.strictEqual(interpolateConfig('${input:api-key}/${input:region}', inputs), 'from-env/eu');
+    });
+
+    it('should replace unknown variables with empty strings', () => {
+      delete process.env.MCP_TEST_MISSING;
+      assert.strictEqual(interpolateConfig('x${env:MCP_TEST_MISSING}y'), 'xy');
+    });
+  });
+
+  describe('validateEnvironment()', () => {
+    it('should accept the defaults', () => {
+      assert.deepStrictEqual(validateEnvironment({}), []);
+    });
+
+    it('should report every invalid value', () => {
+      const problems = validateEnvironment({
+        API_PORT: '80a',
+        LOG_LEVEL: 'verbose',
+        MCP_CONFIG_WATCH: 'maybe',
+        LMS_TEMPERATURE: '-1',
+        KOKORO_URL: 'not a url',
+      });
+
+      assert.deepStrictEqual(
+        problems.map((problem) => problem.variable),
+        ['LOG_LEVEL', 'API_PORT', 'MCP_CONFIG_WATCH', 'LMS_TEMPERATURE', 'KOKORO_URL'],
+      );
+      assert.match(formatConfigProblems(problems), /^Invalid configuration \(5 problems\):\n {2}- LOG_LEVEL: expected one of error, warn, info, debug, got "verbose"/);
+    });
+
+    it('should treat empty values as unset', () => {
+      assert.deepStrictEqual(validateEnvironment({ API_PORT: '', GITHUB_TOKEN: '' }), []);
+    });
+
+    it('should report unknown settings set in .env', () => {
+      const envFile = {
+        LMS_MODLE: 'qwen',
+        API_PROT: '8080',
+        LMS_MODEL: 'qwen',
+        STRIPE_SECRET_KEY: 'sk_test',
+        MCP_INPUT_API_KEY: 'from-env',
+        REDIS_URL: 'redis://localhost:6379',
+        TRACE_SAMPLE: '',
+      };
+      const problems = validateEnvironment({ ...envFile, API_TIMEOUT_MS: '5000' }, envFile);
+
+      assert.deepStrictEqual(problems.map((problem) => problem.variable), ['LMS_MODLE', 'API_PROT']);
+      assert.match(formatConfigProblems(problems), /- LMS_MODLE: unknown setting \(set in \.env\)/);
+    });
+
+    it('should require increasing positive histogram buckets', () => {
+      assert.deepStrictEqual(validateEnvironment({ METRICS_HTTP_BUCKETS: '0.1, 0.5,2' }), []);
+      assert.deepStrictEqual(
+        validateEnvironment({ METRICS_HTTP_BUCKETS: '1,0.5', METRICS_TOOL_BUCKETS: '0,1' }).map((problem) => problem.variable),
+        ['METRICS_HTTP_BUCKETS', 'METRICS_TOOL_BUCKETS'],
+      );
+    });
+  });
+
+  describe('typed settings', () => {
+    it('should throw a report from getConfig() for invalid values', () => {
+      process.env.RATE_LIMIT_MAX_REQUESTS = 'lots';
+
+      assert.throws(() => getConfig(), (error) => {
+        assert.strictEqual(error.problems[0].variable, 'RATE_LIMIT_MAX_REQUESTS');
+        return /expected an integer >= 1, got "lots"/.test(error.message);
+      });
+    });
+
+    it('should parse booleans', () => {
+      process.env.MCP_CONFIG_WATCH = 'no';
+      process.env.AGENT_ENABLE_TOOL_CALLING = 'FALSE';
+
+      const config = getConfig();
+      assert.strictEqual(config.mcp.watch, false);
+      assert.strictEqual(config.agent.enableToolCalling, false);
+    });
+
+    it('should accept deprecated aliases', () => {
+      delete process.env.STRIPE_API_KEY;
+      process.env.STRIPE_SECRET_KEY = 'sk_test_alias';
+
+      assert.strictEqual(getSetting('STRIPE_API_KEY'), 'sk_test_alias');
+      assert.strictEqual(getConfig().services.stripe.apiKey, 'sk_test_alias');
+    });
+
+    it('should derive defaults from other settings', () => {
+      process.env.API_PORT = '9100';
+      delete process.env.MCP_API_URL;
+
+      assert.strictEqual(getConfig().mcp.apiUrl, 'http://localhost:9100/api');
+    });
+  });
+
+  describe('getRedactedConfig()', () => {
+    it('should redact secrets and report sources', () => {
+      process.env.GITHUB_TOKEN = 'ghp_secret';
+      process.env.MONGODB_URI = 'mongodb://admin:hunter2@db:27017/app';
+      process.env.HF_ACCESS_TOKEN = 'hf_alias';
+      delete process.env.HUGGINGFACE_TOKEN;
+      delete process.env.CLARITY_PROJECT_ID;
+
+      const { config, sources } = getRedactedConfig();
+      const serialized = JSON.stringify(config);
+
+      assert.ok(!serialized.includes('ghp_secret'));
+      assert.ok(!serialized.includes('hunter2'));
+      assert.ok(!serialized.includes('hf_alias'));
+      assert.strictEqual(config.services.github.token, '[redacted]');
+      assert.strictEqual(config.database.mongodb.uri, 'mongodb://[redacted]@db:27017/app');
+
+      assert.deepStrictEqual(sources['services.github.token'], { env: 'GITHUB_TOKEN', source: 'environment', secret: true });
+      assert.deepStrictEqual(sources['services.huggingface.token'], {
+        env: 'HUGGINGFACE_TOKEN', source: 'environment', variable: 'HF_ACCESS_TOKEN', secret: true,
+      });
+      assert.deepStrictEqual(sources['services.clarity.projectId'], { env: 'CLARITY_PROJECT_ID', source: 'default' });
+    });
+
+    it('should redact env and headers of MCP servers', () => {
+      const { config } = getRedactedConfig();
+
+      for (const server of Object.values(config.mcp.servers)) {
+        for (const value of Object.values(server.env || {})) {
+          assert.strictEqual(value, '[redacted]');
+        }
+      }
+    });
+  });
 });
@@ -6,6 +6,7 @@
 import assert from 'node:assert';
 import { afterEach, beforeEach, describe, it } from 'node:test';
 import { createLogger, logger } from '../../src/utils/logger.js';
+import { runInSpan, startSpan } from '../../src/utils/trace.js';
 
 describe('Logger Module', () => {
   // Store original env
@@ -110,6 +111,20 @@ describe('Logger Module', () => {
     });
   });
 
+  describe('trace context', () => {
+    it('should prefix lines logged inside a span with its request id', (t) => {
+      process.env.LOG_TO_FILE = 'false';
+      const info = t.mock.method(console, 'info', () => {});
+      const log = createLogger('traced');
+
+      runInSpan(startSpan('request', { requestId: 'req-log' }), () => log.info('inside'));
+      log.info('outside');
+
+      assert.match(info.mock.calls[0].arguments[0], /traced.*\[req-log\]/);
+      assert.doesNotMatch(info.mock.calls[1].arguments[0], /req-log/);
+    });
+  });
+
   describe('default logger', () => {
     it('should be pre-configured with app namespace', () => {
       assert.ok(logger, 'default logger should exist');
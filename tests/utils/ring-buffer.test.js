@@ -0,0 +1,44 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Ring Buffer
+ */
+
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { RingBuffer } from '../../src/utils/ring-buffer.js';
+
+describe('RingBuffer', () => {
+  it('should return items oldest first', () => {
+    const buffer = new RingBuffer(3);
+    buffer.push(1);
+    buffer.push(2);
+
+    assert.deepStrictEqual(buffer.toArray(), [1, 2]);
+    assert.strictEqual(buffer.size, 2);
+  });
+
+  it('should drop the oldest items when full', () => {
+    const buffer = new RingBuffer(3);
+    for (let i = 1; i <= 7; i++) buffer.push(i);
+
+    assert.deepStrictEqual(buffer.toArray(), [5, 6, 7]);
+    assert.strictEqual(buffer.size, 3);
+    assert.strictEqual(buffer.capacity, 3);
+  });
+
+  it('should clear all items', () => {
+    const buffer = new RingBuffer(2);
+    buffer.push('a');
+    buffer.push('b');
+    buffer.clear();
+
+    assert.deepStrictEqual(buffer.toArray(), []);
+    buffer.push('c');
+    assert.deepStrictEqual(buffer.toArray(), ['c']);
+  });
+
+  it('should reject invalid capacity', () => {
+    assert.throws(() => new RingBuffer(0), /positive integer/);
+    assert.throws(() => new RingBuffer(1.5), /positive integer/);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Shutdown Coordinator
+ */
+
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { WebSocket, WebSocketServer } from 'ws';
+import { ShutdownCoordinator } from '../../src/utils/shutdown.js';
+
+/**
+ * Start an HTTP server on a random local port
+ */
+async function listen(handler) {
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('Shutdown Coordinator', () => {
+  let exitCodes;
+  let coordinator;
+
+  beforeEach(() => {
+    exitCodes = [];
+    coordinator = new ShutdownCoordinator({
+      timeoutMs: 3000,
+      drainTimeoutMs: 500,
+      hookTimeoutMs: 200,
+      exit: (code) => exitCodes.push(code),
+    });
+  });
+
+  afterEach(() => {
+    assert.ok(exitCodes.length <= 1, 'exit should be called at most once');
+  });
+
+  it('should finish in-flight requests before exiting', async () => {
+    const { server, url } = await listen((req, res) => {
+      setTimeout(() => res.end('done'), 200);
+    });
+    coordinator.addServer('test', server);
+
+    const response = fetch(url);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const code = await coordinator.shutdown('test');
+
+    assert.strictEqual(await (await response).text(), 'done');
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(exitCodes, [0]);
+    assert.strictEqual(server.listening, false);
+  });
+
+  it('should close connections still open after the drain timeout', async () => {
+    const { server, url } = await listen(() => {});
+    coordinator.addServer('test', server);
+
+    const response = fetch(url).catch((error) => error);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const startedAt = Date.now();
+    await coordinator.shutdown('test');
+
+    assert.ok(await response instanceof Error);
+    assert.ok(Date.now() - startedAt >= 450);
+    assert.deepStrictEqual(exitCodes, [0]);
+  });
+
+  it('should close WebSocket clients with going away', async () => {
+    const { server, url } = await listen();
+    const wss = new WebSocketServer({ server });
+    coordinator.addServer('test', server, wss);
+
+    const ws = new WebSocket(url.replace('http', 'ws'));
+    await new Promise((resolve) => ws.once('open', resolve));
+    const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+    await coordinator.shutdown('test');
+
+    assert.strictEqual(await closed, 1001);
+  });
+
+  it('should run hooks in order, then stop steps', async () => {
+    const calls = [];
+    coordinator.addStop('stop', () => calls.push('stop'));
+    coordinator.addHook('first', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      calls.push('first');
+    });
+    coordinator.addHook('second', () => calls.push('second'));
+
+    await coordinator.shutdown('test');
+    assert.deepStrictEqual(calls, ['first', 'second', 'stop']);
+  });
+
+  it('should continue after failing and hanging hooks', async () => {
+    const calls = [];
+    coordinator.addHook('fails', () => {
+      throw new Error('boom');
+    });
+    coordinator.addHook('hangs', () => new Promise(() => {}));
+    coordinator.addHook('last', () => calls.push('last'));
+
+    assert.strictEqual(await coordinator.shutdown('test'), 0);
+    assert.deepStrictEqual(calls, ['last']);
+  });
+
+  it('should exit with 1 when shutdown exceeds its timeout', async () => {
+    coordinator.timeoutMs = 100;
+    coordinator.addStop('hangs', () => new Promise(() => {}));
+
+    assert.strictEqual(await coordinator.shutdown('test'), 1);
+    assert.deepStrictEqual(exitCodes, [1]);
+  });
+
+  it('should shut down only once', async () => {
+    let runs = 0;
+    coordinator.addHook('count', () => runs++);
+
+    const first = coordinator.shutdown('first');
+    const second = coordinator.shutdown('second');
+
+    assert.strictEqual(first, second);
+    await first;
+    assert.strictEqual(runs, 1);
+    assert.strictEqual(coordinator.shuttingDown, true);
+  });
+});
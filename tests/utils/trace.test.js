@@ -0,0 +1,162 @@
+/**
+ * BambiSleep™ Church MCP Control Tower
+ * Unit Tests - Tracing
+ */
+
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, afterEach, describe, it } from 'node:test';
+import {
+  FileSpanExporter,
+  getTraceContext,
+  getTraceHeaders,
+  parseTraceparent,
+  runDetached,
+  runInSpan,
+  setSpanExporter,
+  SpanKind,
+  SpanStatusCode,
+  startSpan,
+  tracedFetch,
+  withSpan,
+} from '../../src/utils/trace.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+describe('Tracing', () => {
+  afterEach(() => setSpanExporter(null));
+
+  describe('parseTraceparent', () => {
+    it('should parse valid headers', () => {
+      assert.deepStrictEqual(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`), {
+        traceId: TRACE_ID,
+        spanId: PARENT_ID,
+        flags: '01',
+      });
+    });
+
+    it('should reject malformed and all-zero ids', () => {
+      assert.strictEqual(parseTraceparent(undefined), null);
+      assert.strictEqual(parseTraceparent('00-abc-def-01'), null);
+      assert.strictEqual(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`), null);
+      assert.strictEqual(parseTraceparent(`ff-${TRACE_ID}-${PARENT_ID}-01`), null);
+    });
+  });
+
+  describe('startSpan', () => {
+    it('should continue an incoming trace and keep a valid request id', () => {
+      const span = startSpan('GET', { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`, requestId: 'req-42' });
+      assert.strictEqual(span.traceId, TRACE_ID);
+      assert.strictEqual(span.parentSpanId, PARENT_ID);
+      assert.strictEqual(span.requestId, 'req-42');
+      assert.match(span.traceparent, new RegExp(`^00-${TRACE_ID}-[0-9a-f]{16}-01$`));
+    });
+
+    it('should start a new trace and generate request ids that are missing or unsafe', () => {
+      const span = startSpan('GET', { requestId: 'bad id\nwith newline' });
+      assert.match(span.traceId, /^[0-9a-f]{32}$/);
+      assert.strictEqual(span.parentSpanId, null);
+      assert.match(span.requestId, /^[0-9a-f-]{36}$/);
+    });
+
+    it('should make spans started inside a span its children', () => {
+      const parent = startSpan('parent', { requestId: 'req-1', traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` });
+      const child = runInSpan(parent, () => startSpan('child', { requestId: 'ignored' }));
+      assert.strictEqual(child.traceId, parent.traceId);
+      assert.strictEqual(child.parentSpanId, parent.spanId);
+      assert.strictEqual(child.requestId, 'req-1');
+    });
+  });
+
+  describe('context', () => {
+    it('should expose the current ids across awaits', async () => {
+      assert.strictEqual(getTraceContext(), null);
+      const span = startSpan('request', { requestId: 'req-7' });
+
+      await runInSpan(span, async () => {
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepStrictEqual(getTraceContext(), { requestId: 'req-7', traceId: span.traceId, spanId: span.spanId });
+        assert.deepStrictEqual(getTraceHeaders(), { traceparent: span.traceparent, 'X-Request-Id': 'req-7' });
+        assert.strictEqual(runDetached(() => getTraceContext()), null);
+      });
+    });
+
+    it('should end spans from withSpan and record errors', async () => {
+      const ended = [];
+      setSpanExporter({ export: (span) => ended.push(span) });
+
+      await assert.rejects(withSpan('fails', { kind: SpanKind.CLIENT }, () => {
+        throw new Error('boom');
+      }), /boom/);
+      assert.strictEqual(await withSpan('works', {}, () => 42), 42);
+
+      assert.deepStrictEqual(ended.map((span) => [span.name, span.status.code]), [
+        ['fails', SpanStatusCode.ERROR],
+        ['works', SpanStatusCode.UNSET],
+      ]);
+      assert.strictEqual(ended[0].status.message, 'boom');
+    });
+  });
+
+  describe('tracedFetch', () => {
+    const server = createServer((req, res) => res.end(JSON.stringify(req.headers)));
+    after(() => server.close());
+
+    it('should send the trace headers in a client span', async () => {
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const ended = [];
+      setSpanExporter({ export: (span) => ended.push(span) });
+      const parent = startSpan('request', { requestId: 'req-9' });
+
+      const headers = await runInSpan(parent, async () => {
+        const response = await tracedFetch(`http://127.0.0.1:${server.address().port}/models`, {
+          headers: { Accept: 'application/json' },
+        });
+        return response.json();
+      });
+
+      const [client] = ended;
+      assert.strictEqual(client.kind, SpanKind.CLIENT);
+      assert.strictEqual(client.parentSpanId, parent.spanId);
+      assert.strictEqual(client.attributes['http.response.status_code'], 200);
+      assert.strictEqual(headers.traceparent, client.traceparent);
+      assert.strictEqual(headers['x-request-id'], 'req-9');
+      assert.strictEqual(headers.accept, 'application/json');
+    });
+  });
+
+  describe('FileSpanExporter', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'traces-'));
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('should append batches of spans as OTLP JSON lines', async () => {
+      const path = join(dir, 'nested', 'traces.jsonl');
+      const exporter = new FileSpanExporter({ path, serviceName: 'test-tower' });
+      setSpanExporter(exporter);
+
+      const span = startSpan('GET /api/health', { kind: SpanKind.SERVER, requestId: 'req-3', attributes: { 'http.response.status_code': 200 } });
+      span.end();
+      await exporter.flush();
+      startSpan('second').end();
+      await exporter.flush();
+
+      const lines = readFileSync(path, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+      assert.strictEqual(lines.length, 2);
+
+      const [resourceSpans] = lines[0].resourceSpans;
+      assert.deepStrictEqual(resourceSpans.resource.attributes, [{ key: 'service.name', value: { stringValue: 'test-tower' } }]);
+      const [exported] = resourceSpans.scopeSpans[0].spans;
+      assert.strictEqual(exported.traceId, span.traceId);
+      assert.strictEqual(exported.kind, SpanKind.SERVER);
+      assert.ok(BigInt(exported.endTimeUnixNano) >= BigInt(exported.startTimeUnixNano));
+      assert.deepStrictEqual(exported.attributes, [
+        { key: 'request.id', value: { stringValue: 'req-3' } },
+        { key: 'http.response.status_code', value: { intValue: '200' } },
+      ]);
+    });
+  });
+});